@@ -0,0 +1,62 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/poseidon.circom";
+include "./prove_score_threshold.circom";
+
+// ProveAnonymousScore: Proves some identity has a score of at least threshold, without revealing which
+//
+// The leaf is keyed by the identity commitment Poseidon(secret) instead of an account index,
+// so the proof reveals neither the key nor the score. Semaphore-style, it outputs
+//   nullifier = Poseidon(secret, externalNullifier)
+// which is the same for every proof of one identity in one scope (externalNullifier),
+// and can not be linked across scopes without the secret.
+//
+// Parameters:
+//   nLevels - Depth of the ScoreTree
+//   nBits   - Bit size of score and threshold
+//
+// Inputs:
+//   root              - ScoreTree root
+//   threshold         - Minimum score, must fit in nBits
+//   externalNullifier - Scope of the proof, chosen by the app
+//
+//   secret            - Identity secret, its commitment is the key of the leaf
+//   score             - Score of the identity, must fit in nBits
+//   siblings[nLevels] - Merkle proof of the commitment
+//
+// Outputs:
+//   nullifier - Poseidon(secret, externalNullifier)
+//
+template ProveAnonymousScore(nLevels, nBits) {
+    // ===== INPUTS =====
+    signal input root;
+    signal input threshold;
+    signal input externalNullifier;
+
+    signal input secret;
+    signal input score;
+    signal input siblings[nLevels];
+
+    // ===== OUTPUTS =====
+    signal output nullifier;
+
+    // ===== IDENTITY =====
+    component commitment = Poseidon(1);
+    commitment.inputs[0] <== secret;
+
+    // ===== SCORE =====
+    component atLeast = ProveScoreThreshold(nLevels, nBits);
+    atLeast.root <== root;
+    atLeast.idx <== commitment.out;
+    atLeast.threshold <== threshold;
+    atLeast.score <== score;
+    for (var i = 0; i < nLevels; i++) {
+        atLeast.siblings[i] <== siblings[i];
+    }
+
+    // ===== NULLIFIER =====
+    component nullifierHasher = Poseidon(2);
+    nullifierHasher.inputs[0] <== secret;
+    nullifierHasher.inputs[1] <== externalNullifier;
+    nullifier <== nullifierHasher.out;
+}
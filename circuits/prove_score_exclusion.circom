@@ -0,0 +1,36 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/smt/smtverifier.circom";
+
+// This template is a wrapper around the circomlib SMTVerifier to prove
+// that an index has no score in the tree (exclusion proof).
+// The Merkle path of idx ends either at an empty leaf (isOld0 = 1) or at
+// the leaf of another index (oldKey, oldValue) sharing its first bits.
+template ProveScoreExclusion(nLevels) {
+    // Inputs from the user/prover
+    signal input idx;
+    signal input root;
+    signal input siblings[nLevels];
+    signal input oldKey;
+    signal input oldValue;
+    signal input isOld0;
+
+    // SMTVerifier does not check isOld0 is a bit
+    isOld0 * (isOld0 - 1) === 0;
+
+    // Instantiate the SMTVerifier from circomlib
+    component verifier = SMTVerifier(nLevels);
+
+    verifier.enabled <== 1;
+    verifier.root <== root;
+    for (var i = 0; i < nLevels; i++) {
+        verifier.siblings[i] <== siblings[i];
+    }
+
+    verifier.oldKey <== oldKey;
+    verifier.oldValue <== oldValue;
+    verifier.isOld0 <== isOld0;
+    verifier.key <== idx;
+    verifier.value <== 0;
+    verifier.fnc <== 1; // fnc to use exclusion proof
+}
@@ -0,0 +1,56 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/bitify.circom";
+include "../node_modules/circomlib/circuits/comparators.circom";
+include "./prove_score_inclusion.circom";
+
+// ProveScoreThreshold: Proves the score of idx is at least threshold, without revealing it
+//
+// The score is read from the ScoreTree like ProveScoreInclusion(nLevels) reads it,
+// then compared to threshold. Only root, idx and threshold are meant to be public
+// (see the "public" list of its circuits.json entry), score and siblings stay private.
+//
+// Parameters:
+//   nLevels - Depth of the ScoreTree
+//   nBits   - Bit size of score and threshold (at most 252, the limit of GreaterEqThan)
+//
+// Inputs:
+//   root      - ScoreTree root
+//   idx       - Account index whose score is proven
+//   threshold - Minimum score, must fit in nBits
+//
+//   score             - Score of idx, must fit in nBits
+//   siblings[nLevels] - Merkle proof of idx
+//
+template ProveScoreThreshold(nLevels, nBits) {
+    assert(nBits <= 252);
+
+    // ===== INPUTS =====
+    signal input root;
+    signal input idx;
+    signal input threshold;
+
+    signal input score;
+    signal input siblings[nLevels];
+
+    // ===== MEMBERSHIP =====
+    component inclusion = ProveScoreInclusion(nLevels);
+    inclusion.idx <== idx;
+    inclusion.score <== score;
+    inclusion.root <== root;
+    for (var i = 0; i < nLevels; i++) {
+        inclusion.siblings[i] <== siblings[i];
+    }
+
+    // ===== RANGE =====
+    // GreaterEqThan is only sound on values of nBits bits
+    component scoreBits = Num2Bits(nBits);
+    scoreBits.in <== score;
+    component thresholdBits = Num2Bits(nBits);
+    thresholdBits.in <== threshold;
+
+    component atLeast = GreaterEqThan(nBits);
+    atLeast.in[0] <== score;
+    atLeast.in[1] <== threshold;
+    atLeast.out === 1;
+}
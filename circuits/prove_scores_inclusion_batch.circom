@@ -0,0 +1,111 @@
+pragma circom 2.0.0;
+
+include "../node_modules/circomlib/circuits/smt/smtverifier.circom";
+include "../node_modules/circomlib/circuits/sha256/sha256.circom";
+include "../node_modules/circomlib/circuits/bitify.circom";
+include "../node_modules/circomlib/circuits/comparators.circom";
+
+// ProveScoresInclusionBatch: Proves up to nProofs (idx, score) pairs against one ScoreTree root
+//
+// Slot i runs the SMTVerifier inclusion check of ProveScoreInclusion(nLevels) on (idx[i], score[i]).
+// A slot with idx[i] = 0 is a NOP and must also have score[i] = 0, so key 0 can not be proven in a batch.
+//
+// The only public signal is a SHA-256 commitment, computed like HashInputs:
+//   [ root     | idx[0]   | score[0] | ... | idx[nProofs-1] | score[nProofs-1] ]
+//   [ 256 bits each, most significant bit first                                ]
+// so a contract can recompute it with sha256(abi.encodePacked(uint256...)), NOP slots as zeros,
+// and the result is reduced to a field element by Bits2Num(256).
+// Every value is split with Num2Bits_strict: one field element has exactly one encoding.
+//
+// Parameters:
+//   nProofs - Number of (idx, score) slots per batch
+//   nLevels - Depth of the ScoreTree
+//
+// Inputs:
+//   root - ScoreTree root
+//
+//   idx[nProofs]               - Key of each slot, 0 for a NOP slot
+//   score[nProofs]             - Score of idx in the tree, 0 for a NOP slot
+//   siblings[nProofs][nLevels] - Merkle proof of idx
+//
+// Outputs:
+//   commitment - sha256(root, idx, score) as a field element
+//
+template ProveScoresInclusionBatch(nProofs, nLevels) {
+    var bitsField = 254;
+    var bitsWord = 256;
+    var totalBitsSha256 = (1 + 2 * nProofs) * bitsWord;
+
+    // ===== INPUTS =====
+    signal input root;
+
+    signal input idx[nProofs];
+    signal input score[nProofs];
+    signal input siblings[nProofs][nLevels];
+
+    // ===== OUTPUTS =====
+    signal output commitment;
+
+    // ===== INCLUSION SLOTS =====
+    component isNop[nProofs];
+    component verifiers[nProofs];
+
+    for (var p = 0; p < nProofs; p++) {
+        // NOP slot: idx == 0, and then score == 0 too
+        isNop[p] = IsZero();
+        isNop[p].in <== idx[p];
+        score[p] * isNop[p].out === 0;
+
+        verifiers[p] = SMTVerifier(nLevels);
+        verifiers[p].enabled <== 1 - isNop[p].out;
+        verifiers[p].root <== root;
+        for (var i = 0; i < nLevels; i++) {
+            verifiers[p].siblings[i] <== siblings[p][i];
+        }
+        verifiers[p].oldKey <== 0;
+        verifiers[p].oldValue <== 0;
+        verifiers[p].isOld0 <== 0;
+        verifiers[p].key <== idx[p];
+        verifiers[p].value <== score[p];
+        verifiers[p].fnc <== 0; // fnc to use inclusion proof
+    }
+
+    // ===== COMMITMENT =====
+    component inputsHasher = Sha256(totalBitsSha256);
+
+    // The 2 most significant bits of every 256-bit word are 0
+    component n2bRoot = Num2Bits_strict();
+    n2bRoot.in <== root;
+    inputsHasher.in[0] <== 0;
+    inputsHasher.in[1] <== 0;
+    for (var i = 0; i < bitsField; i++) {
+        inputsHasher.in[bitsWord - 1 - i] <== n2bRoot.out[i];
+    }
+
+    component n2bIdx[nProofs];
+    component n2bScore[nProofs];
+    var offset = bitsWord;
+    for (var p = 0; p < nProofs; p++) {
+        n2bIdx[p] = Num2Bits_strict();
+        n2bIdx[p].in <== idx[p];
+        n2bScore[p] = Num2Bits_strict();
+        n2bScore[p].in <== score[p];
+
+        inputsHasher.in[offset] <== 0;
+        inputsHasher.in[offset + 1] <== 0;
+        inputsHasher.in[offset + bitsWord] <== 0;
+        inputsHasher.in[offset + bitsWord + 1] <== 0;
+        for (var i = 0; i < bitsField; i++) {
+            inputsHasher.in[offset + bitsWord - 1 - i] <== n2bIdx[p].out[i];
+            inputsHasher.in[offset + 2 * bitsWord - 1 - i] <== n2bScore[p].out[i];
+        }
+        offset += 2 * bitsWord;
+    }
+
+    component n2bCommitment = Bits2Num(256);
+    for (var i = 0; i < 256; i++) {
+        n2bCommitment.in[i] <== inputsHasher.out[255 - i];
+    }
+
+    commitment <== n2bCommitment.out;
+}
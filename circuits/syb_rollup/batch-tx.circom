@@ -106,7 +106,9 @@ template BatchTx(nLevels) {
     processor3.oldValue <== oldValue3;
     processor3.isOld0 <== isOld0_3;
     processor3.newKey <== states.key3;
-    processor3.newValue <== states.isVouch; // Insert only on Vouch, Delete only on Unvouch/Explode
+    // Vouch leaves always hold 1: INSERT writes it on Vouch, and DELETE (Unvouch/Explode)
+    // must be given the stored value of the leaf it removes
+    processor3.newValue <== 1;
     processor3.fnc[0] <== states.P3_fnc0;
     processor3.fnc[1] <== states.P3_fnc1;
 
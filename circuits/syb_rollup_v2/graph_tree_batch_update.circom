@@ -0,0 +1,290 @@
+pragma circom 2.0.0;
+
+include "../../node_modules/circomlib/circuits/smt/smtprocessor.circom";
+include "../../node_modules/circomlib/circuits/comparators.circom";
+include "../../node_modules/circomlib/circuits/sha256/sha256.circom";
+include "../../node_modules/circomlib/circuits/bitify.circom";
+include "./node_hasher.circom";
+include "./lib/is_in_array.circom";
+
+// GraphTreeBatchSlot: One edge {u,v} of GraphTreeBatchUpdate
+//
+// Same checks and Merkle updates as GraphTreeUpdate, gated by enabled:
+//   enabled = 1 - adds edge {u,v}, newRoot is the updated root
+//   enabled = 0 - NOP slot, every check is skipped and newRoot = oldRoot
+//
+template GraphTreeBatchSlot(nLevels, maxDeg) {
+    // Calculate padLen for neighbor arrays
+    var numR = (maxDeg + 14) \ 15;
+    var padLen = 15 * numR;
+
+    // ===== INPUTS =====
+    signal input enabled;
+
+    signal input u;
+    signal input v;
+
+    signal input oldDegU;
+    signal input oldDegV;
+    signal input newDegU;
+    signal input newDegV;
+
+    signal input oldNbrArrU[padLen];
+    signal input oldNbrArrV[padLen];
+    signal input newNbrArrU[padLen];
+    signal input newNbrArrV[padLen];
+
+    signal input siblingsU[nLevels + 1];
+    signal input siblingsV[nLevels + 1];
+
+    signal input oldRoot;
+
+    // ===== OUTPUTS =====
+    signal output newRoot;
+
+    // ===== PRECONDITION CHECKS (only when enabled) =====
+
+    // 1. Check u != v
+    component uNotEqV = IsEqual();
+    uNotEqV.in[0] <== u;
+    uNotEqV.in[1] <== v;
+    uNotEqV.out * enabled === 0;
+
+    // 2. Check 0 < u < N (where N = 2^nLevels)
+    var N = 1 << nLevels; // 2^nLevels
+    component checkUGreaterZero = GreaterThan(32);
+    checkUGreaterZero.in[0] <== u;
+    checkUGreaterZero.in[1] <== 0;
+    (1 - checkUGreaterZero.out) * enabled === 0; // u > 0
+
+    component checkULessThanN = LessThan(32);
+    checkULessThanN.in[0] <== u;
+    checkULessThanN.in[1] <== N;
+    (1 - checkULessThanN.out) * enabled === 0; // u < N
+
+    // 3. Check 0 < v < N (where N = 2^nLevels)
+    component checkVGreaterZero = GreaterThan(32);
+    checkVGreaterZero.in[0] <== v;
+    checkVGreaterZero.in[1] <== 0;
+    (1 - checkVGreaterZero.out) * enabled === 0; // v > 0
+
+    component checkVLessThanN = LessThan(32);
+    checkVLessThanN.in[0] <== v;
+    checkVLessThanN.in[1] <== N;
+    (1 - checkVLessThanN.out) * enabled === 0; // v < N
+
+    // 4. Check newDegU = oldDegU + 1
+    (newDegU - oldDegU - 1) * enabled === 0;
+
+    // 5. Check newDegV = oldDegV + 1
+    (newDegV - oldDegV - 1) * enabled === 0;
+
+    // 6. Check newDegU <= maxDeg
+    component checkMaxDegU = LessEqThan(32);
+    checkMaxDegU.in[0] <== newDegU;
+    checkMaxDegU.in[1] <== maxDeg;
+    (1 - checkMaxDegU.out) * enabled === 0;
+
+    // 7. Check newDegV <= maxDeg
+    component checkMaxDegV = LessEqThan(32);
+    checkMaxDegV.in[0] <== newDegV;
+    checkMaxDegV.in[1] <== maxDeg;
+    (1 - checkMaxDegV.out) * enabled === 0;
+
+    // 8. Check that edge {u,v} does NOT already exist
+    component isVInUOldNbr = IsInArray(padLen);
+    for (var i = 0; i < padLen; i++) {
+        isVInUOldNbr.arr[i] <== oldNbrArrU[i];
+    }
+    isVInUOldNbr.target <== v;
+    isVInUOldNbr.out * enabled === 0;
+
+    component isUInVOldNbr = IsInArray(padLen);
+    for (var i = 0; i < padLen; i++) {
+        isUInVOldNbr.arr[i] <== oldNbrArrV[i];
+    }
+    isUInVOldNbr.target <== u;
+    isUInVOldNbr.out * enabled === 0;
+
+    // ===== COMPUTE OLD AND NEW HASHES =====
+    // A NOP slot hashes all-zero arrays of degree 0, which NodeHasher accepts
+
+    component oldHashU = NodeHasher(maxDeg);
+    oldHashU.d <== oldDegU;
+    component oldHashV = NodeHasher(maxDeg);
+    oldHashV.d <== oldDegV;
+    component newHashU = NodeHasher(maxDeg);
+    newHashU.d <== newDegU;
+    component newHashV = NodeHasher(maxDeg);
+    newHashV.d <== newDegV;
+    for (var i = 0; i < padLen; i++) {
+        oldHashU.nbr_arr[i] <== oldNbrArrU[i];
+        oldHashV.nbr_arr[i] <== oldNbrArrV[i];
+        newHashU.nbr_arr[i] <== newNbrArrU[i];
+        newHashV.nbr_arr[i] <== newNbrArrV[i];
+    }
+
+    // ===== UPDATE MERKLE TREE =====
+    // Function: UPDATE (fnc = [0, 1]) when enabled, NOP (fnc = [0, 0]) otherwise
+
+    component processorU = SMTProcessor(nLevels + 1);
+    processorU.oldRoot <== oldRoot;
+    for (var i = 0; i < nLevels + 1; i++) {
+        processorU.siblings[i] <== siblingsU[i];
+    }
+    processorU.oldKey <== u;
+    processorU.oldValue <== oldHashU.hash;
+    processorU.isOld0 <== 0;
+    processorU.newKey <== u;
+    processorU.newValue <== newHashU.hash;
+    processorU.fnc[0] <== 0;
+    processorU.fnc[1] <== enabled;
+
+    component processorV = SMTProcessor(nLevels + 1);
+    processorV.oldRoot <== processorU.newRoot; // Chain from u's update
+    for (var i = 0; i < nLevels + 1; i++) {
+        processorV.siblings[i] <== siblingsV[i];
+    }
+    processorV.oldKey <== v;
+    processorV.oldValue <== oldHashV.hash;
+    processorV.isOld0 <== 0;
+    processorV.newKey <== v;
+    processorV.newValue <== newHashV.hash;
+    processorV.fnc[0] <== 0;
+    processorV.fnc[1] <== enabled;
+
+    newRoot <== processorV.newRoot;
+}
+
+// GraphTreeBatchUpdate: Adds up to nEdges edges to the GraphTree in one proof
+//
+// Slot i applies edge {u[i], v[i]} to the root left by slot i-1, so a vertex
+// may appear in several edges of the batch. A slot with u[i] = 0 is a NOP
+// (vertex 0 is reserved) and must also have v[i] = 0.
+//
+// The only public signal is a SHA-256 commitment, computed like HashInputs:
+//   [ oldRoot | newRoot | u[0] | v[0] | ... | u[nEdges-1] | v[nEdges-1] ]
+//   [ 256 bits| 256 bits| 32 bits each, most significant bit first     ]
+// so a contract can recompute it with sha256(abi.encodePacked(bytes32, bytes32, uint32...))
+// and the result is reduced to a field element by Bits2Num(256).
+//
+// Parameters:
+//   nEdges  - Number of edge slots per batch
+//   nLevels - Depth of the Merkle tree (tree can hold 2^nLevels vertices, nLevels < 32)
+//   maxDeg  - Maximum degree allowed for any vertex
+//
+// Inputs:
+//   Every GraphTreeUpdate input, as an array of nEdges slots
+//   oldRoot - GraphTree root before the batch
+//   newRoot - GraphTree root after the batch (checked against the last slot)
+//
+// Outputs:
+//   commitment - sha256(oldRoot, newRoot, edges) as a field element
+//
+template GraphTreeBatchUpdate(nEdges, nLevels, maxDeg) {
+    assert(nLevels < 32);
+
+    // Calculate padLen for neighbor arrays
+    var numR = (maxDeg + 14) \ 15;
+    var padLen = 15 * numR;
+
+    var bitsRoot = 256;
+    var bitsVertex = 32;
+    var totalBitsSha256 = 2 * bitsRoot + 2 * nEdges * bitsVertex;
+
+    // ===== INPUTS =====
+    signal input u[nEdges];
+    signal input v[nEdges];
+
+    signal input oldDegU[nEdges];
+    signal input oldDegV[nEdges];
+    signal input newDegU[nEdges];
+    signal input newDegV[nEdges];
+
+    signal input oldNbrArrU[nEdges][padLen];
+    signal input oldNbrArrV[nEdges][padLen];
+    signal input newNbrArrU[nEdges][padLen];
+    signal input newNbrArrV[nEdges][padLen];
+
+    signal input siblingsU[nEdges][nLevels + 1];
+    signal input siblingsV[nEdges][nLevels + 1];
+
+    signal input oldRoot;
+    signal input newRoot;
+
+    // ===== OUTPUTS =====
+    signal output commitment;
+
+    // ===== EDGE SLOTS =====
+    component isNop[nEdges];
+    component slots[nEdges];
+
+    for (var e = 0; e < nEdges; e++) {
+        // NOP slot: u == 0, and then v == 0 too
+        isNop[e] = IsZero();
+        isNop[e].in <== u[e];
+        v[e] * isNop[e].out === 0;
+
+        slots[e] = GraphTreeBatchSlot(nLevels, maxDeg);
+        slots[e].enabled <== 1 - isNop[e].out;
+        slots[e].u <== u[e];
+        slots[e].v <== v[e];
+        slots[e].oldDegU <== oldDegU[e];
+        slots[e].oldDegV <== oldDegV[e];
+        slots[e].newDegU <== newDegU[e];
+        slots[e].newDegV <== newDegV[e];
+        for (var i = 0; i < padLen; i++) {
+            slots[e].oldNbrArrU[i] <== oldNbrArrU[e][i];
+            slots[e].oldNbrArrV[i] <== oldNbrArrV[e][i];
+            slots[e].newNbrArrU[i] <== newNbrArrU[e][i];
+            slots[e].newNbrArrV[i] <== newNbrArrV[e][i];
+        }
+        for (var i = 0; i < nLevels + 1; i++) {
+            slots[e].siblingsU[i] <== siblingsU[e][i];
+            slots[e].siblingsV[i] <== siblingsV[e][i];
+        }
+        if (e == 0) {
+            slots[e].oldRoot <== oldRoot;
+        } else {
+            slots[e].oldRoot <== slots[e-1].newRoot; // Chain from previous slot
+        }
+    }
+
+    newRoot === slots[nEdges-1].newRoot;
+
+    // ===== COMMITMENT =====
+    component inputsHasher = Sha256(totalBitsSha256);
+
+    component n2bOldRoot = Num2Bits(256);
+    n2bOldRoot.in <== oldRoot;
+    component n2bNewRoot = Num2Bits(256);
+    n2bNewRoot.in <== newRoot;
+
+    for (var i = 0; i < bitsRoot; i++) {
+        inputsHasher.in[bitsRoot - 1 - i] <== n2bOldRoot.out[i];
+        inputsHasher.in[2 * bitsRoot - 1 - i] <== n2bNewRoot.out[i];
+    }
+
+    // u and v are < 2^nLevels by the slot checks (or 0 for NOP slots)
+    component n2bU[nEdges];
+    component n2bV[nEdges];
+    var offset = 2 * bitsRoot;
+    for (var e = 0; e < nEdges; e++) {
+        n2bU[e] = Num2Bits(bitsVertex);
+        n2bU[e].in <== u[e];
+        n2bV[e] = Num2Bits(bitsVertex);
+        n2bV[e].in <== v[e];
+        for (var i = 0; i < bitsVertex; i++) {
+            inputsHasher.in[offset + bitsVertex - 1 - i] <== n2bU[e].out[i];
+            inputsHasher.in[offset + 2 * bitsVertex - 1 - i] <== n2bV[e].out[i];
+        }
+        offset += 2 * bitsVertex;
+    }
+
+    component n2bCommitment = Bits2Num(256);
+    for (var i = 0; i < 256; i++) {
+        n2bCommitment.in[i] <== inputsHasher.out[255 - i];
+    }
+
+    commitment <== n2bCommitment.out;
+}
@@ -0,0 +1,203 @@
+pragma circom 2.0.0;
+
+include "../../node_modules/circomlib/circuits/smt/smtprocessor.circom";
+include "../../node_modules/circomlib/circuits/comparators.circom";
+include "./node_hasher.circom";
+include "./lib/is_in_array.circom";
+include "./lib/remove_from_array.circom";
+
+// GraphTreeDelete: Updates the GraphTree when removing an edge {u,v}
+//
+// This circuit:
+// 1. Verifies preconditions (u != v, edge {u,v} exists, degrees go down by one)
+// 2. Verifies the new neighbor arrays are the old ones without v (resp. u)
+// 3. Computes old and new NbrHash for u and v
+// 4. Updates the Merkle tree for both leaves u and v
+//
+// Parameters:
+//   nLevels - Depth of the Merkle tree (tree can hold 2^nLevels vertices)
+//   maxDeg  - Maximum degree allowed for any vertex
+//
+// Inputs:
+//   u, v - The two vertices to disconnect (edge endpoints)
+//
+//   oldDegU, oldDegV - Old degrees (before removing edge)
+//   newDegU, newDegV - New degrees (after removing edge, should be oldDeg - 1)
+//
+//   oldNbrArrU[padLen], oldNbrArrV[padLen] - Old neighbor arrays (before edge removal)
+//   newNbrArrU[padLen], newNbrArrV[padLen] - New neighbor arrays (after edge removal)
+//
+//   siblingsU[nLevels+1] - Merkle proof for vertex u
+//   siblingsV[nLevels+1] - Merkle proof for vertex v
+//
+//   oldRoot - Old GraphTree root (before removing edge)
+//
+// Outputs:
+//   newRoot - New GraphTree root (after removing edge)
+//
+template GraphTreeDelete(nLevels, maxDeg) {
+    // Calculate padLen for neighbor arrays
+    var numR = (maxDeg + 14) \ 15;
+    var padLen = 15 * numR;
+
+    // ===== INPUTS =====
+    signal input u;
+    signal input v;
+
+    signal input oldDegU;
+    signal input oldDegV;
+    signal input newDegU;
+    signal input newDegV;
+
+    signal input oldNbrArrU[padLen];
+    signal input oldNbrArrV[padLen];
+    signal input newNbrArrU[padLen];
+    signal input newNbrArrV[padLen];
+
+    signal input siblingsU[nLevels + 1];
+    signal input siblingsV[nLevels + 1];
+
+    signal input oldRoot;
+
+    // ===== OUTPUTS =====
+    signal output newRoot;
+
+    // ===== PRECONDITION CHECKS =====
+
+    // 1. Check u != v
+    component uNotEqV = IsEqual();
+    uNotEqV.in[0] <== u;
+    uNotEqV.in[1] <== v;
+    uNotEqV.out === 0; // Must be different
+
+    // 2. Check 0 < u < N (where N = 2^nLevels)
+    var N = 1 << nLevels; // 2^nLevels
+    component checkUGreaterZero = GreaterThan(32);
+    checkUGreaterZero.in[0] <== u;
+    checkUGreaterZero.in[1] <== 0;
+    checkUGreaterZero.out === 1; // u > 0
+
+    component checkULessThanN = LessThan(32);
+    checkULessThanN.in[0] <== u;
+    checkULessThanN.in[1] <== N;
+    checkULessThanN.out === 1; // u < N
+
+    // 3. Check 0 < v < N (where N = 2^nLevels)
+    component checkVGreaterZero = GreaterThan(32);
+    checkVGreaterZero.in[0] <== v;
+    checkVGreaterZero.in[1] <== 0;
+    checkVGreaterZero.out === 1; // v > 0
+
+    component checkVLessThanN = LessThan(32);
+    checkVLessThanN.in[0] <== v;
+    checkVLessThanN.in[1] <== N;
+    checkVLessThanN.out === 1; // v < N
+
+    // 4. Check newDegU = oldDegU - 1
+    newDegU === oldDegU - 1;
+
+    // 5. Check newDegV = oldDegV - 1
+    newDegV === oldDegV - 1;
+
+    // 6. Check that edge {u,v} exists
+    // Verify v is in u's old neighbor list
+    component isVInUOldNbr = IsInArray(padLen);
+    for (var i = 0; i < padLen; i++) {
+        isVInUOldNbr.arr[i] <== oldNbrArrU[i];
+    }
+    isVInUOldNbr.target <== v;
+    isVInUOldNbr.out === 1;
+
+    // 7. Check that edge {u,v} exists
+    // Verify u is in v's old neighbor list
+    component isUInVOldNbr = IsInArray(padLen);
+    for (var i = 0; i < padLen; i++) {
+        isUInVOldNbr.arr[i] <== oldNbrArrV[i];
+    }
+    isUInVOldNbr.target <== u;
+    isUInVOldNbr.out === 1;
+
+    // 8. Check newNbrArrU is oldNbrArrU with v removed
+    // (sorted and zero padded, since the old array is and NodeHasher checks it again)
+    component removeVFromU = RemoveFromArray(padLen);
+    for (var i = 0; i < padLen; i++) {
+        removeVFromU.arr[i] <== oldNbrArrU[i];
+    }
+    removeVFromU.target <== v;
+    for (var i = 0; i < padLen; i++) {
+        newNbrArrU[i] === removeVFromU.out[i];
+    }
+
+    // 9. Check newNbrArrV is oldNbrArrV with u removed
+    component removeUFromV = RemoveFromArray(padLen);
+    for (var i = 0; i < padLen; i++) {
+        removeUFromV.arr[i] <== oldNbrArrV[i];
+    }
+    removeUFromV.target <== u;
+    for (var i = 0; i < padLen; i++) {
+        newNbrArrV[i] === removeUFromV.out[i];
+    }
+
+    // ===== COMPUTE OLD HASHES (before removing edge) =====
+
+    component oldHashU = NodeHasher(maxDeg);
+    oldHashU.d <== oldDegU;
+    for (var i = 0; i < padLen; i++) {
+        oldHashU.nbr_arr[i] <== oldNbrArrU[i];
+    }
+
+    component oldHashV = NodeHasher(maxDeg);
+    oldHashV.d <== oldDegV;
+    for (var i = 0; i < padLen; i++) {
+        oldHashV.nbr_arr[i] <== oldNbrArrV[i];
+    }
+
+    // ===== COMPUTE NEW HASHES (after removing edge) =====
+
+    component newHashU = NodeHasher(maxDeg);
+    newHashU.d <== newDegU;
+    for (var i = 0; i < padLen; i++) {
+        newHashU.nbr_arr[i] <== newNbrArrU[i];
+    }
+
+    component newHashV = NodeHasher(maxDeg);
+    newHashV.d <== newDegV;
+    for (var i = 0; i < padLen; i++) {
+        newHashV.nbr_arr[i] <== newNbrArrV[i];
+    }
+
+    // ===== UPDATE MERKLE TREE =====
+
+    // First update: Update vertex u's leaf
+    // Function: UPDATE (fnc = [0, 1])
+    component processorU = SMTProcessor(nLevels + 1);
+    processorU.oldRoot <== oldRoot;
+    for (var i = 0; i < nLevels + 1; i++) {
+        processorU.siblings[i] <== siblingsU[i];
+    }
+    processorU.oldKey <== u;
+    processorU.oldValue <== oldHashU.hash;
+    processorU.isOld0 <== 0; // Not inserting new leaf, updating existing
+    processorU.newKey <== u;
+    processorU.newValue <== newHashU.hash;
+    processorU.fnc[0] <== 0; // UPDATE operation
+    processorU.fnc[1] <== 1; // UPDATE operation
+
+    // Second update: Update vertex v's leaf
+    // Function: UPDATE (fnc = [0, 1])
+    component processorV = SMTProcessor(nLevels + 1);
+    processorV.oldRoot <== processorU.newRoot; // Chain from first update
+    for (var i = 0; i < nLevels + 1; i++) {
+        processorV.siblings[i] <== siblingsV[i];
+    }
+    processorV.oldKey <== v;
+    processorV.oldValue <== oldHashV.hash;
+    processorV.isOld0 <== 0; // Not inserting new leaf, updating existing
+    processorV.newKey <== v;
+    processorV.newValue <== newHashV.hash;
+    processorV.fnc[0] <== 0; // UPDATE operation
+    processorV.fnc[1] <== 1; // UPDATE operation
+
+    // Output the final root
+    newRoot <== processorV.newRoot;
+}
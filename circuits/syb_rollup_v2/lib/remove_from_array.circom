@@ -0,0 +1,47 @@
+pragma circom 2.0.0;
+
+include "../../../node_modules/circomlib/circuits/comparators.circom";
+
+// RemoveFromArray: Removes the occurrences of a target value from an array
+//
+// Every element at or after the first occurrence of target is shifted one
+// position to the left and a 0 is appended, so for an array holding target
+// exactly once:
+//   arr = [a_0, ..., a_{k-1}, target, a_{k+1}, ..., a_{n-1}]
+//   out = [a_0, ..., a_{k-1}, a_{k+1}, ..., a_{n-1}, 0]
+//
+// Parameters:
+//   n: Length of the array
+//
+// Inputs:
+//   arr[n]: The array to remove target from
+//   target: The value to remove
+//
+// Outputs:
+//   out[n]: arr without target, left aligned and zero padded
+//
+// Note: out is only meaningful when target appears exactly once,
+//       callers must enforce it (e.g. IsInArray(n).out === 1).
+
+template RemoveFromArray(n) {
+    signal input arr[n];
+    signal input target;
+    signal output out[n];
+
+    component isEqual[n];
+    signal seen[n + 1];    // seen[i + 1] = occurrences of target in arr[0..i]
+    seen[0] <== 0;
+
+    for (var i = 0; i < n; i++) {
+        isEqual[i] = IsEqual();
+        isEqual[i].in[0] <== arr[i];
+        isEqual[i].in[1] <== target;
+        seen[i + 1] <== seen[i] + isEqual[i].out;
+    }
+
+    // out[i] = arr[i] before the occurrence, arr[i + 1] from it on
+    for (var i = 0; i < n - 1; i++) {
+        out[i] <== arr[i] + seen[i + 1] * (arr[i + 1] - arr[i]);
+    }
+    out[n - 1] <== arr[n - 1] - seen[n] * arr[n - 1];
+}
@@ -0,0 +1,80 @@
+pragma circom 2.0.0;
+
+include "../../node_modules/circomlib/circuits/smt/smtprocessor.circom";
+
+// ScoreTreeUpdate: Applies a batch of score updates to the ScoreTree
+//
+// The ScoreTree uses the same SMT layout that ProveScoreInclusion(nLevels) reads:
+//   key = idx, value = score, nLevels levels
+//
+// Each slot runs one SMTProcessor on the root left by the previous slot:
+//   fnc = [0, 0] NOP    - slot unused, root unchanged
+//   fnc = [1, 0] INSERT - first score of idx
+//   fnc = [0, 1] UPDATE - new score of idx, oldValue is its current score
+//   fnc = [1, 1] DELETE - rejected, a score can not be removed from the tree
+//
+// Parameters:
+//   nUpdates - Number of update slots per batch
+//   nLevels  - Depth of the ScoreTree
+//
+// Inputs:
+//   oldRoot - ScoreTree root before the batch
+//
+//   fnc[nUpdates][2]            - SMTProcessor function of each slot
+//   idx[nUpdates]               - Account index whose score is written
+//   newScore[nUpdates]          - Score written to idx
+//   siblings[nUpdates][nLevels] - Merkle proof of idx in the tree left by the previous slot
+//   isOld0[nUpdates]            - INSERT: 1 when the path of idx ends in an empty leaf
+//   oldKey[nUpdates]            - INSERT: key of the leaf found on the path, UPDATE: idx
+//   oldValue[nUpdates]          - INSERT: value of the leaf found on the path, UPDATE: old score
+//
+// Outputs:
+//   newRoot - ScoreTree root after the batch
+//
+template ScoreTreeUpdate(nUpdates, nLevels) {
+    // ===== INPUTS =====
+    signal input oldRoot;
+
+    signal input fnc[nUpdates][2];
+    signal input idx[nUpdates];
+    signal input newScore[nUpdates];
+    signal input siblings[nUpdates][nLevels];
+    signal input isOld0[nUpdates];
+    signal input oldKey[nUpdates];
+    signal input oldValue[nUpdates];
+
+    // ===== OUTPUTS =====
+    signal output newRoot;
+
+    component processors[nUpdates];
+
+    for (var i = 0; i < nUpdates; i++) {
+        // ===== PRECONDITION CHECKS =====
+
+        // 1. fnc bits are binary and DELETE is not allowed
+        fnc[i][0] * (fnc[i][0] - 1) === 0;
+        fnc[i][1] * (fnc[i][1] - 1) === 0;
+        fnc[i][0] * fnc[i][1] === 0;
+
+        // ===== UPDATE MERKLE TREE =====
+        processors[i] = SMTProcessor(nLevels);
+        if (i == 0) {
+            processors[i].oldRoot <== oldRoot;
+        } else {
+            processors[i].oldRoot <== processors[i-1].newRoot; // Chain from previous slot
+        }
+        for (var j = 0; j < nLevels; j++) {
+            processors[i].siblings[j] <== siblings[i][j];
+        }
+        processors[i].oldKey <== oldKey[i];
+        processors[i].oldValue <== oldValue[i];
+        processors[i].isOld0 <== isOld0[i];
+        processors[i].newKey <== idx[i];
+        processors[i].newValue <== newScore[i];
+        processors[i].fnc[0] <== fnc[i][0];
+        processors[i].fnc[1] <== fnc[i][1];
+    }
+
+    // Output the final root
+    newRoot <== processors[nUpdates-1].newRoot;
+}
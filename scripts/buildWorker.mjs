@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+/**
+ * worker process of generateVerifier.mjs (see utils/workerPool.mjs)
+ * receives one circuit over IPC, builds it with processCircuit, records its peak memory in the
+ * circuit's journal for the next scheduling, sends the result back and exits
+ */
+import { processCircuit } from './processCircuit.mjs'
+import { updateJournal } from './utils/buildJournal.mjs'
+
+// The parent was stopped: stop too, the journal keeps the finished steps
+process.on('disconnect', () => process.exit(1))
+
+process.once('message', async ({ circuitName, circuitConfig, projectDir, options }) => {
+    const result = await processCircuit(circuitName, circuitConfig, projectDir, options)
+
+    // maxRSS is in KiB
+    const peakMemoryMiB = Math.ceil(process.resourceUsage().maxRSS / 1024)
+    await updateJournal(circuitName, projectDir, (journal) => {
+        journal.peakMemoryMiB = peakMemoryMiB
+    }).catch(() => {})
+
+    // snarkjs keeps its curve worker threads alive
+    process.send({ result: { ...result, peakMemoryMiB } }, () => process.exit(0))
+})
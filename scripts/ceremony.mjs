@@ -0,0 +1,283 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { randomBytes } from 'crypto'
+import * as snarkjs from 'snarkjs'
+import { hashFile } from './utils/helpers.mjs'
+import { readZkeyContributions } from './utils/zkeyInfo.mjs'
+import { log } from './utils/logger.mjs'
+
+/**
+ * Local Phase-2 trusted setup ceremony, one per circuit
+ *
+ *   build/<circuit>/ceremony/
+ *     ceremony.json            state: inputs, contributions, beacon
+ *     <circuit>_0000.zkey      initial zkey (no contributions)
+ *     <circuit>_0001.zkey ...  one zkey per contribution, the beacon is the last one
+ *     transcript.json          public record of the ceremony
+ *
+ * init -> contribute (1 or more, in order) -> beacon -> verify -> finalize
+ * Once finalized, generateKeys installs the last zkey as build/<circuit>/groth16_pkey.zkey
+ */
+
+// snarkjs only reports failures through its logger
+const snarkjsLogger = {
+    debug: () => {},
+    info: () => {},
+    warn: (msg) => log.warning(msg),
+    error: (msg) => log.error(msg),
+}
+
+export function ceremonyPaths(circuitName, projectDir) {
+    const dir = path.join(projectDir, 'build', circuitName, 'ceremony')
+    return {
+        dir,
+        statePath: path.join(dir, 'ceremony.json'),
+        transcriptPath: path.join(dir, 'transcript.json'),
+        zkeyPath: (index) => path.join(dir, `${circuitName}_${String(index).padStart(4, '0')}.zkey`),
+    }
+}
+
+// Read the ceremony state of a circuit, null when no ceremony was initialized
+export async function readCeremony(circuitName, projectDir) {
+    const { statePath } = ceremonyPaths(circuitName, projectDir)
+    try {
+        return JSON.parse(await fs.readFile(statePath, 'utf-8'))
+    } catch (error) {
+        if (error.code === 'ENOENT') return null
+        throw error
+    }
+}
+
+async function loadCeremony(circuitName, projectDir) {
+    const ceremony = await readCeremony(circuitName, projectDir)
+    if (!ceremony) {
+        throw new Error(`No ceremony for ${circuitName}, run: npm run ceremony -- init ${circuitName}`)
+    }
+    return ceremony
+}
+
+async function saveCeremony(ceremony, projectDir) {
+    const { statePath } = ceremonyPaths(ceremony.circuit, projectDir)
+    await fs.writeFile(statePath, JSON.stringify(ceremony, null, 2) + '\n')
+}
+
+// zkey holding the last contribution (or the initial zkey)
+export function lastZkeyPath(ceremony, projectDir) {
+    const last = ceremony.beacon || ceremony.contributions[ceremony.contributions.length - 1]
+    return path.join(projectDir, last ? last.zkey : ceremony.initialZkey)
+}
+
+function checkOpen(ceremony) {
+    if (ceremony.finalized) {
+        throw new Error(`Ceremony for ${ceremony.circuit} is finalized`)
+    }
+    if (ceremony.beacon) {
+        throw new Error(`Beacon already applied to the ceremony for ${ceremony.circuit}`)
+    }
+}
+
+// Create the initial zkey from the r1cs and the Phase-1 ptau
+export async function initCeremony(circuitName, r1csPath, ptauPath, projectDir, { force = false } = {}) {
+    const paths = ceremonyPaths(circuitName, projectDir)
+
+    if (await readCeremony(circuitName, projectDir)) {
+        if (!force) {
+            throw new Error(`Ceremony for ${circuitName} already exists, pass --force to start over`)
+        }
+        log.warning(`Discarding the existing ceremony for ${circuitName}`)
+        await fs.rm(paths.dir, { recursive: true, force: true })
+    }
+    await fs.mkdir(paths.dir, { recursive: true })
+
+    log.step(`Initializing ceremony for ${circuitName} (this may take a while)...`)
+    const initialZkey = paths.zkeyPath(0)
+    await snarkjs.zKey.newZKey(r1csPath, ptauPath, initialZkey)
+    const { csHash } = await readZkeyContributions(initialZkey)
+
+    const ceremony = {
+        circuit: circuitName,
+        r1cs: path.relative(projectDir, r1csPath),
+        r1csHash: await hashFile(r1csPath),
+        ptau: path.relative(projectDir, ptauPath),
+        circuitHash: csHash,
+        initialZkey: path.relative(projectDir, initialZkey),
+        createdAt: new Date().toISOString(),
+        contributions: [],
+        beacon: null,
+        verification: null,
+        finalized: false,
+    }
+    await saveCeremony(ceremony, projectDir)
+
+    log.success(`Ceremony initialized: ${ceremony.initialZkey}`)
+    return ceremony
+}
+
+// Add the next contribution, entropy defaults to 64 random bytes and is never stored
+export async function contribute(circuitName, projectDir, { name, entropy } = {}) {
+    const ceremony = await loadCeremony(circuitName, projectDir)
+    checkOpen(ceremony)
+
+    if (!name || !name.trim()) {
+        throw new Error('A contribution needs a contributor name')
+    }
+    if (!entropy) {
+        log.info('No entropy given, using 64 random bytes')
+        entropy = randomBytes(64).toString('hex')
+    }
+
+    const index = ceremony.contributions.length + 1
+    const prevZkey = lastZkeyPath(ceremony, projectDir)
+    const nextZkey = ceremonyPaths(circuitName, projectDir).zkeyPath(index)
+
+    log.step(`Contribution #${index} by ${name}`)
+    const hash = await snarkjs.zKey.contribute(prevZkey, nextZkey, name, entropy, snarkjsLogger)
+
+    const contribution = {
+        index,
+        name,
+        contributionHash: Buffer.from(hash).toString('hex'),
+        zkey: path.relative(projectDir, nextZkey),
+        date: new Date().toISOString(),
+    }
+    ceremony.contributions.push(contribution)
+    ceremony.verification = null
+    await saveCeremony(ceremony, projectDir)
+
+    log.success(`Contribution #${index} added: ${contribution.zkey}`)
+    return contribution
+}
+
+// Apply the random beacon (e.g. a future block hash) as the last contribution
+export async function applyBeacon(circuitName, projectDir, { beaconHash, numIterationsExp = 10, name = 'Final beacon' } = {}) {
+    const ceremony = await loadCeremony(circuitName, projectDir)
+    checkOpen(ceremony)
+
+    if (ceremony.contributions.length === 0) {
+        throw new Error(`Ceremony for ${circuitName} has no contributions, a beacon alone is not a setup`)
+    }
+    beaconHash = (beaconHash || '').replace(/^0x/, '')
+    if (!/^([0-9a-fA-F]{2})+$/.test(beaconHash)) {
+        throw new Error('Beacon hash must be a hex string')
+    }
+    numIterationsExp = Number(numIterationsExp)
+    if (!Number.isInteger(numIterationsExp) || numIterationsExp < 10 || numIterationsExp > 63) {
+        throw new Error('Beacon iterations exponent must be an integer between 10 and 63')
+    }
+
+    const index = ceremony.contributions.length + 1
+    const prevZkey = lastZkeyPath(ceremony, projectDir)
+    const nextZkey = ceremonyPaths(circuitName, projectDir).zkeyPath(index)
+
+    log.step(`Applying beacon 0x${beaconHash} (2^${numIterationsExp} iterations)`)
+    const hash = await snarkjs.zKey.beacon(prevZkey, nextZkey, name, beaconHash, numIterationsExp, snarkjsLogger)
+    if (!hash) {
+        throw new Error(`Beacon could not be applied to ${circuitName}`)
+    }
+
+    ceremony.beacon = {
+        index,
+        name,
+        beaconHash,
+        numIterationsExp,
+        contributionHash: Buffer.from(hash).toString('hex'),
+        zkey: path.relative(projectDir, nextZkey),
+        date: new Date().toISOString(),
+    }
+    ceremony.verification = null
+    await saveCeremony(ceremony, projectDir)
+
+    log.success(`Beacon applied: ${ceremony.beacon.zkey}`)
+    return ceremony.beacon
+}
+
+// Verify the whole contribution chain of the last zkey against the r1cs and the ptau,
+// and check it holds the contributions recorded in ceremony.json, in order
+export async function verifyCeremony(circuitName, projectDir) {
+    const ceremony = await loadCeremony(circuitName, projectDir)
+    const zkeyPath = lastZkeyPath(ceremony, projectDir)
+
+    log.step(`Verifying the contribution chain of ${path.relative(projectDir, zkeyPath)}`)
+    let valid = await snarkjs.zKey.verifyFromR1cs(
+        path.join(projectDir, ceremony.r1cs),
+        path.join(projectDir, ceremony.ptau),
+        zkeyPath,
+        snarkjsLogger
+    )
+
+    const expected = [...ceremony.contributions, ...(ceremony.beacon ? [ceremony.beacon] : [])]
+    const { csHash, contributions } = await readZkeyContributions(zkeyPath)
+    if (csHash !== ceremony.circuitHash) {
+        log.error('Circuit hash of the zkey does not match the ceremony')
+        valid = false
+    }
+    if (contributions.length !== expected.length
+        || contributions.some((c, i) => c.name !== expected[i].name)
+        || contributions.some((c, i) => (c.type === 'beacon') !== (expected[i] === ceremony.beacon))) {
+        log.error('Contributions of the zkey do not match ceremony.json')
+        valid = false
+    }
+
+    ceremony.verification = { valid, zkey: path.relative(projectDir, zkeyPath), date: new Date().toISOString() }
+    await saveCeremony(ceremony, projectDir)
+
+    if (valid) {
+        log.success(`Contribution chain is valid (${expected.length} contribution(s))`)
+    } else {
+        log.error(`Contribution chain is NOT valid for ${circuitName}`)
+    }
+    return valid
+}
+
+// Write the public record of the ceremony, entropy is never part of it
+export async function exportTranscript(circuitName, projectDir, outPath) {
+    const ceremony = await loadCeremony(circuitName, projectDir)
+    const zkeyPath = lastZkeyPath(ceremony, projectDir)
+    outPath = outPath || ceremonyPaths(circuitName, projectDir).transcriptPath
+
+    log.step('Exporting ceremony transcript')
+    const transcript = {
+        circuit: ceremony.circuit,
+        protocol: 'groth16',
+        circuitHash: ceremony.circuitHash,
+        r1cs: { file: path.basename(ceremony.r1cs), sha256: await hashFile(path.join(projectDir, ceremony.r1cs)) },
+        ptau: { file: path.basename(ceremony.ptau), sha256: await hashFile(path.join(projectDir, ceremony.ptau)) },
+        createdAt: ceremony.createdAt,
+        contributions: ceremony.contributions.map(({ index, name, contributionHash, date }) => ({ index, name, contributionHash, date })),
+        beacon: ceremony.beacon && {
+            index: ceremony.beacon.index,
+            name: ceremony.beacon.name,
+            beaconHash: ceremony.beacon.beaconHash,
+            numIterationsExp: ceremony.beacon.numIterationsExp,
+            contributionHash: ceremony.beacon.contributionHash,
+            date: ceremony.beacon.date,
+        },
+        zkey: { file: path.basename(zkeyPath), sha256: await hashFile(zkeyPath) },
+        verification: ceremony.verification,
+        finalized: ceremony.finalized,
+    }
+
+    await fs.mkdir(path.dirname(outPath), { recursive: true })
+    await fs.writeFile(outPath, JSON.stringify(transcript, null, 2) + '\n')
+    log.success(`Transcript saved: ${path.relative(projectDir, outPath)}`)
+    return transcript
+}
+
+// Close the ceremony: beacon applied and chain verified, then generateKeys uses its last zkey
+export async function finalizeCeremony(circuitName, projectDir) {
+    const ceremony = await loadCeremony(circuitName, projectDir)
+    if (!ceremony.beacon) {
+        throw new Error(`Apply the beacon before finalizing the ceremony for ${circuitName}`)
+    }
+    if (!(await verifyCeremony(circuitName, projectDir))) {
+        throw new Error(`Ceremony for ${circuitName} does not verify, not finalizing`)
+    }
+
+    const verified = await readCeremony(circuitName, projectDir)
+    verified.finalized = true
+    await saveCeremony(verified, projectDir)
+    await exportTranscript(circuitName, projectDir)
+
+    log.success(`Ceremony finalized for ${circuitName}`)
+    return verified
+}
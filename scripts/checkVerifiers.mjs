@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * this script checks that the committed verifiers in verifiers/ match the current verification keys
+ * usage: node scripts/checkVerifiers.mjs [circuit...] [--json <file>]
+ *   circuit...     names in circuits.json, every circuit with a committed verifier when omitted
+ *   --json <file>  write the report as JSON
+ * for each circuit, verifiers/<Contract>.sol is compared to build/<circuit>/<protocol>_vkey.json:
+ *   - every verification key constant (groth16: alpha, beta, gamma, delta and the IC points)
+ *   - the public signal count of verifyProof, of the vkey and of the compiled circuit
+ *   - the contract name
+ * exits with 1 on any drift, or when a verifier or its vkey is missing
+ * a circuit without a committed verifier is only checked when named
+ */
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { parseArgs } from 'util'
+import { getProtocol, keyPaths, verifierContractName } from './utils/protocol.mjs'
+import { readR1csHeader } from './utils/getCircuitInfo.mjs'
+import { checkVerifier, formatConstantsDiff } from './utils/verifierConsistency.mjs'
+import { log, colors } from './utils/logger.mjs'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectDir = path.join(__dirname, '..')
+
+async function readIfExists(filePath) {
+    try {
+        return await fs.readFile(filePath, 'utf-8')
+    } catch (error) {
+        if (error.code === 'ENOENT') return null
+        throw error
+    }
+}
+
+// Public signals of the compiled circuit (outputs + public inputs), undefined when not compiled
+async function circuitPublicCount(circuitName, projectDir) {
+    const r1csPath = path.join(projectDir, 'build', circuitName, `${circuitName}.r1cs`)
+    try {
+        const { nOutputs, nPubInputs } = await readR1csHeader(r1csPath)
+        return nOutputs + nPubInputs
+    } catch (error) {
+        if (error.code === 'ENOENT') return undefined
+        throw error
+    }
+}
+
+// Whether verifiers/<Contract>.sol of a circuit is committed
+async function hasCommittedVerifier(circuitName, circuitConfig, projectDir) {
+    const contractName = verifierContractName(circuitName, getProtocol(circuitConfig))
+    return (await readIfExists(path.join(projectDir, 'verifiers', `${contractName}.sol`))) !== null
+}
+
+// Check verifiers/<Contract>.sol of a circuit of circuits.json against its vkey in build/<circuit>/
+//   ok, issues, constants - see checkVerifier, a missing verifier or vkey is an issue too
+export async function checkCircuitVerifier(circuitName, circuitConfig, projectDir) {
+    const protocol = getProtocol(circuitConfig)
+    const contractName = verifierContractName(circuitName, protocol)
+    const verifierFile = `verifiers/${contractName}.sol`
+    const { vkeyPath } = keyPaths(path.join(projectDir, 'build', circuitName), protocol)
+    const vkeyFile = path.relative(projectDir, vkeyPath)
+    const report = { circuitName, protocol, verifier: verifierFile, vkey: vkeyFile }
+
+    const source = await readIfExists(path.join(projectDir, verifierFile))
+    const vkeyJson = await readIfExists(vkeyPath)
+    if (source === null || vkeyJson === null) {
+        const missing = [source === null && verifierFile, vkeyJson === null && vkeyFile].filter(Boolean)
+        return { ...report, ok: false, issues: missing.map((file) => `${file} not found`), constants: [] }
+    }
+
+    const vkey = JSON.parse(vkeyJson)
+    if (vkey.protocol !== protocol) {
+        return { ...report, ok: false, issues: [`${vkeyFile} is a ${vkey.protocol} key, circuits.json says ${protocol}`], constants: [] }
+    }
+
+    const circuitPublic = await circuitPublicCount(circuitName, projectDir)
+    return { ...report, ...checkVerifier(source, vkey, { contractName, circuitPublic }) }
+}
+
+function printReport(report) {
+    if (report.ok) {
+        log.success(`${report.verifier} matches ${report.vkey}`)
+        return
+    }
+    log.error(`${report.verifier} does not match ${report.vkey}`)
+    for (const issue of report.issues) {
+        console.log(`  ${issue}`)
+    }
+    const diff = formatConstantsDiff(report.constants)
+    if (diff.length > 0) {
+        console.log(`  --- ${report.verifier}`)
+        console.log(`  +++ ${report.vkey}`)
+        for (const line of diff) {
+            const color = line.startsWith('-') ? colors.red : colors.green
+            console.log(`  ${color}${line}${colors.reset}`)
+        }
+    }
+}
+
+async function main() {
+    try {
+        const { values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: { json: { type: 'string' } },
+        })
+
+        const circuitsJson = JSON.parse(await fs.readFile(path.join(projectDir, 'circuits.json'), 'utf-8'))
+        for (const name of positionals) {
+            if (!circuitsJson[name]) {
+                throw new Error(`Circuit not found in circuits.json: ${name}`)
+            }
+        }
+        let selected = positionals
+        if (selected.length === 0) {
+            selected = []
+            const uncommitted = []
+            for (const [circuitName, circuitConfig] of Object.entries(circuitsJson)) {
+                if (await hasCommittedVerifier(circuitName, circuitConfig, projectDir)) {
+                    selected.push(circuitName)
+                } else {
+                    uncommitted.push(circuitName)
+                }
+            }
+            if (uncommitted.length > 0) {
+                log.warning(`No committed verifier, not checked: ${uncommitted.join(', ')}`)
+            }
+        }
+
+        const reports = []
+        for (const circuitName of selected) {
+            const report = await checkCircuitVerifier(circuitName, circuitsJson[circuitName], projectDir)
+            printReport(report)
+            reports.push(report)
+        }
+
+        if (values.json) {
+            const jsonPath = path.resolve(values.json)
+            await fs.mkdir(path.dirname(jsonPath), { recursive: true })
+            await fs.writeFile(jsonPath, JSON.stringify({ circuits: reports }, null, 2) + '\n')
+            log.info(`JSON report written: ${jsonPath}`)
+        }
+
+        const stale = reports.filter((report) => !report.ok)
+        if (stale.length > 0) {
+            log.error(`${stale.length} verifier(s) out of date, regenerate them with npm run verifier -- ${stale.map((r) => r.circuitName).join(' ')}`)
+            process.exit(1)
+        }
+        log.success(`All ${reports.length} verifier(s) match their verification keys`)
+    } catch (error) {
+        log.error(error.message)
+        process.exit(1)
+    }
+}
+
+// Only run as a script, checkCircuitVerifier is also imported by the tests
+if (process.argv[1] === __filename) {
+    main()
+}
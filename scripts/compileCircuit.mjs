@@ -1,10 +1,12 @@
 import fs from 'fs/promises'
 import path from 'path'
 import { execCommand } from './utils/helpers.mjs'
+import { compileInputs, isStageFresh, writeStage, describeArtifacts } from './utils/buildCache.mjs'
 import { log } from './utils/logger.mjs'
 
 // Compile circom circuit
-export async function compileCircuit(circuitName, circuitFile, projectDir) {
+// Skipped only when the manifest records a compile of the same sources, config and compiler
+export async function compileCircuit(circuitName, circuitFile, projectDir, circuitConfig = {}) {
     log.step(`Compiling circuit: ${circuitName}`)
 
     const buildDir = path.join(projectDir, 'build', circuitName)
@@ -12,6 +14,7 @@ export async function compileCircuit(circuitName, circuitFile, projectDir) {
 
     const circuitPath = path.join(projectDir, 'circuits', `${circuitFile}.circom`)
     const outputR1cs = path.join(buildDir, `${circuitName}.r1cs`)
+    const outputSym = path.join(buildDir, `${circuitName}.sym`)
     const outputWasm = path.join(buildDir, `${circuitName}_js`, `${circuitName}.wasm`)
 
     // Check if circuit file exists
@@ -21,17 +24,29 @@ export async function compileCircuit(circuitName, circuitFile, projectDir) {
         throw new Error(`Circuit file not found: ${circuitPath}`)
     }
 
-    // Check if already compiled
-    try {
-        await fs.access(outputR1cs)
-        await fs.access(outputWasm)
-        log.success(`Circuit already compiled: ${circuitName}`)
-        return { r1csPath: outputR1cs, wasmPath: outputWasm }
-    } catch {
-        // Compile
-        log.info(`Compiling ${circuitPath}`)
-        execCommand(`circom ${circuitPath} --r1cs --wasm --sym -o ${buildDir}`, projectDir)
-        log.success(`Compiled: ${circuitName}`)
+    // Check if already compiled from the same inputs
+    const inputs = await compileInputs(circuitConfig, circuitPath, projectDir)
+    if (await isStageFresh(circuitName, projectDir, 'compile', inputs.key)) {
+        log.success(`Circuit already compiled: ${circuitName} (${inputs.key.slice(0, 12)})`)
         return { r1csPath: outputR1cs, wasmPath: outputWasm }
     }
+
+    // Drop stale outputs so a failed compile can not leave them behind
+    await fs.rm(outputR1cs, { force: true })
+    await fs.rm(outputSym, { force: true })
+    await fs.rm(path.join(buildDir, `${circuitName}_js`), { recursive: true, force: true })
+
+    // Compile
+    log.info(`Compiling ${circuitPath} (${inputs.key.slice(0, 12)})`)
+    execCommand(`circom ${circuitPath} --r1cs --wasm --sym -o ${buildDir}`, projectDir)
+
+    await writeStage(circuitName, projectDir, 'compile', {
+        key: inputs.key,
+        compiler: inputs.compiler,
+        config: inputs.config,
+        sources: inputs.sources,
+        artifacts: await describeArtifacts({ r1cs: outputR1cs, sym: outputSym, wasm: outputWasm }, projectDir),
+    })
+    log.success(`Compiled: ${circuitName}`)
+    return { r1csPath: outputR1cs, wasmPath: outputWasm }
 }
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * this script writes Solidity test fixtures for the verifiers in verifiers/
+ * usage: node scripts/generateFixtures.mjs [circuit...]
+ *   circuit...  names in circuits.json, every circuit with public signals when omitted
+ * for each circuit, a sample input (built with the witness helpers of the tests) is proved with
+ * the keys of the last `npm run verifier`, and verifiers/fixtures/<circuit>.json gets:
+ *   - valid:   the proof as exportSolidityCallData writes it, and the parsed verifyProof arguments
+ *   - invalid: tampered copies (flipped public signal, wrong proof point, ...) the verifier must reject
+ * the committed verifier must match the keys (see `checkVerifiers.mjs`), fixtures of another key
+ * would be rejected by it
+ * a circuit without public signals is refused: its proofs bind nothing a fixture could tamper with
+ */
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { parseArgs } from 'util'
+import { getProtocol, keyPaths, verifierContractName } from './utils/protocol.mjs'
+import { checkVerifier } from './utils/verifierConsistency.mjs'
+import { exportSolidityCalldata } from '../src/calldata.js'
+import {
+    FIXTURES_VERSION,
+    fixturesPath,
+    fullProve,
+    sampleInput,
+    tamperProof,
+    verifyProof,
+} from './utils/fixtures.mjs'
+import { hashFile } from './utils/helpers.mjs'
+import { log } from './utils/logger.mjs'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectDir = path.join(__dirname, '..')
+
+async function assertExists(filePath, circuitName, projectDir) {
+    try {
+        await fs.access(filePath)
+    } catch {
+        throw new Error(
+            `${path.relative(projectDir, filePath)} not found, run npm run verifier -- ${circuitName} first`
+        )
+    }
+}
+
+// Write verifiers/fixtures/<circuit>.json from the keys and verifier of a circuit of circuits.json
+//   options.input - input to prove, instead of the sample input of the circuit's template
+export async function generateFixtures(circuitName, circuitConfig, projectDir, options = {}) {
+    const protocol = getProtocol(circuitConfig)
+    const buildDir = path.join(projectDir, 'build', circuitName)
+    const wasmPath = path.join(buildDir, `${circuitName}_js`, `${circuitName}.wasm`)
+    const { zkeyPath, vkeyPath } = keyPaths(buildDir, protocol)
+    const contractName = verifierContractName(circuitName, protocol)
+    const verifierPath = path.join(projectDir, 'verifiers', `${contractName}.sol`)
+
+    for (const filePath of [wasmPath, zkeyPath, vkeyPath, verifierPath]) {
+        await assertExists(filePath, circuitName, projectDir)
+    }
+
+    const vkey = JSON.parse(await fs.readFile(vkeyPath, 'utf-8'))
+    if (vkey.nPublic === 0) {
+        throw new Error(`${circuitName} has no public signals, a proof of it binds nothing: no fixtures`)
+    }
+    const consistency = checkVerifier(await fs.readFile(verifierPath, 'utf-8'), vkey, { contractName })
+    if (!consistency.ok) {
+        throw new Error(
+            `verifiers/${contractName}.sol does not match ${path.relative(projectDir, vkeyPath)} ` +
+                `(${consistency.issues.join('; ')}), regenerate it with npm run verifier -- ${circuitName}`
+        )
+    }
+
+    log.info(`Proving ${options.input ? 'the given' : 'a sample'} input of ${circuitName} (${protocol})...`)
+    const input = options.input ?? (await sampleInput(circuitConfig))
+    const { proof, publicSignals } = await fullProve(protocol, input, wasmPath, zkeyPath)
+    if (!(await verifyProof(protocol, vkey, proof, publicSignals))) {
+        throw new Error(`Sample proof of ${circuitName} does not verify`)
+    }
+
+    const invalid = []
+    for (const tampered of tamperProof(protocol, proof, publicSignals)) {
+        if (await verifyProof(protocol, vkey, tampered.proof, tampered.publicSignals)) {
+            throw new Error(`Tampered proof ${tampered.name} of ${circuitName} still verifies`)
+        }
+        invalid.push({
+            name: tampered.name,
+            description: tampered.description,
+            publicSignals: tampered.publicSignals,
+            ...(await exportSolidityCalldata(protocol, tampered.proof, tampered.publicSignals)),
+        })
+    }
+
+    const fixtures = {
+        version: FIXTURES_VERSION,
+        circuit: circuitName,
+        protocol,
+        verifier: {
+            contract: contractName,
+            file: path.relative(projectDir, verifierPath),
+            sha256: await hashFile(verifierPath),
+        },
+        input,
+        valid: { publicSignals, ...(await exportSolidityCalldata(protocol, proof, publicSignals)) },
+        invalid,
+    }
+
+    const outputPath = fixturesPath(circuitName, projectDir)
+    await fs.mkdir(path.dirname(outputPath), { recursive: true })
+    await fs.writeFile(outputPath, JSON.stringify(fixtures, null, 2) + '\n')
+    log.success(`${path.relative(projectDir, outputPath)}: 1 valid, ${invalid.length} invalid fixture(s)`)
+}
+
+// Public signals of the vkey in build/<circuit>/, undefined when it does not exist
+async function vkeyPublicCount(circuitName, circuitConfig, projectDir) {
+    const { vkeyPath } = keyPaths(path.join(projectDir, 'build', circuitName), getProtocol(circuitConfig))
+    try {
+        return JSON.parse(await fs.readFile(vkeyPath, 'utf-8')).nPublic
+    } catch (error) {
+        if (error.code === 'ENOENT') return undefined
+        throw error
+    }
+}
+
+async function main() {
+    try {
+        const { positionals } = parseArgs({ allowPositionals: true, options: {} })
+
+        const circuitsJson = JSON.parse(await fs.readFile(path.join(projectDir, 'circuits.json'), 'utf-8'))
+        for (const name of positionals) {
+            if (!circuitsJson[name]) {
+                throw new Error(`Circuit not found in circuits.json: ${name}`)
+            }
+        }
+        const selected = positionals.length > 0 ? positionals : Object.keys(circuitsJson)
+
+        for (const circuitName of selected) {
+            if (positionals.length === 0 && (await vkeyPublicCount(circuitName, circuitsJson[circuitName], projectDir)) === 0) {
+                log.warning(`${circuitName} has no public signals, skipped`)
+                continue
+            }
+            await generateFixtures(circuitName, circuitsJson[circuitName], projectDir)
+        }
+    } catch (error) {
+        log.error(error.message)
+        process.exit(1)
+    }
+
+    // snarkjs keeps its curve worker threads alive
+    process.exit(0)
+}
+
+// Only run as a script, generateFixtures is also imported by the tests
+if (process.argv[1] === __filename) {
+    main()
+}
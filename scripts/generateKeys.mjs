@@ -1,38 +1,124 @@
 import fs from 'fs/promises'
 import path from 'path'
 import * as snarkjs from 'snarkjs'
+import { readCeremony, lastZkeyPath } from './ceremony.mjs'
+import { hashFile } from './utils/helpers.mjs'
+import { hashCacheInputs, isStageFresh, writeStage, describeArtifacts } from './utils/buildCache.mjs'
+import { keyPaths } from './utils/protocol.mjs'
 import { log } from './utils/logger.mjs'
 
-// Generate proving and verification keys
-export async function generateKeys(circuitName, r1csPath, ptauPath, projectDir) {
+// Generate proving and verification keys of the protocol (groth16, plonk or fflonk)
+//   groth16, ceremony mode - a finalized ceremony exists (see ceremony.mjs): install its last zkey
+//   groth16, dev mode      - no ceremony: newZKey, a proving key with no Phase-2 contributions
+//   plonk, fflonk          - universal setup, the keys only depend on the r1cs and the PTAU
+// Skipped only when the manifest records keys built from the same r1cs, ptau and mode
+export async function generateKeys(circuitName, r1csPath, ptauPath, projectDir, protocol = 'groth16') {
     const buildDir = path.join(projectDir, 'build', circuitName)
-    const zkeyPath = path.join(buildDir, 'groth16_pkey.zkey')
-    const vkeyPath = path.join(buildDir, 'groth16_vkey.json')
-
-    // Check if keys already exist
-    try {
-        await fs.access(zkeyPath)
-        await fs.access(vkeyPath)
-        log.success(`Keys already exist for: ${circuitName}`)
+    const { zkeyPath, vkeyPath } = keyPaths(buildDir, protocol)
+
+    const r1csHash = await hashFile(r1csPath)
+    const ceremony = protocol === 'groth16' ? await readCeremony(circuitName, projectDir) : null
+    if (ceremony && ceremony.finalized) {
+        if (ceremony.r1csHash !== r1csHash) {
+            throw new Error(
+                `Ceremony for ${circuitName} was run on another r1cs, the circuit changed since. ` +
+                `Start a new one: npm run ceremony -- init ${circuitName} --force`
+            )
+        }
+        return installCeremonyKeys(ceremony, zkeyPath, vkeyPath, projectDir)
+    }
+    if (ceremony) {
+        log.warning(`Ceremony for ${circuitName} is not finalized, ignoring it`)
+    }
+
+    const { inputs, key } = setupKeysInputs(protocol, r1csHash, ptauPath)
+
+    // Check if keys already exist for the same inputs
+    if (await isStageFresh(circuitName, projectDir, 'keys', key)) {
+        log.success(`Keys already exist for: ${circuitName} (${key.slice(0, 12)})`)
         return { zkeyPath, vkeyPath }
-    } catch {
-        log.step('Generating proving key (this may take a while)...')
+    }
 
-        // Generate zkey
-        const { zkey: finalZkey } = await snarkjs.zKey.newZKey(
-            r1csPath,
-            ptauPath,
-            zkeyPath
-        )
+    log.step(`Generating ${protocol} proving key (this may take a while)...`)
 
-        log.success('Proving key generated')
+    // Generate zkey
+    await fs.rm(vkeyPath, { force: true })
+    await setup(protocol, r1csPath, ptauPath, zkeyPath)
 
-        // Export verification key
-        log.step('Exporting verification key')
-        const vKey = await snarkjs.zKey.exportVerificationKey(zkeyPath)
-        await fs.writeFile(vkeyPath, JSON.stringify(vKey, null, 2))
-        log.success('Verification key exported')
+    log.success('Proving key generated')
+    if (protocol === 'groth16') {
+        log.warning('No Phase-2 contributions: development key only (npm run ceremony for a real setup)')
+    }
+
+    await exportVerificationKey(zkeyPath, vkeyPath)
+
+    await writeStage(circuitName, projectDir, 'keys', {
+        key,
+        ...inputs,
+        artifacts: await describeArtifacts({ zkey: zkeyPath, vkey: vkeyPath }, projectDir),
+    })
+
+    return { zkeyPath, vkeyPath }
+}
+
+// Cache inputs of the keys stage when the keys come from a setup on the r1cs and the PTAU
+export function setupKeysInputs(protocol, r1csHash, ptauPath) {
+    const inputs = { mode: protocol === 'groth16' ? 'dev' : protocol, r1cs: r1csHash, ptau: path.basename(ptauPath) }
+    return { inputs, key: hashCacheInputs(inputs) }
+}
 
+// Cache inputs of the keys stage when the keys come from a finalized ceremony
+export function ceremonyKeysInputs(ceremony) {
+    const inputs = { mode: 'ceremony', r1cs: ceremony.r1csHash, contribution: ceremony.beacon.contributionHash }
+    return { inputs, key: hashCacheInputs(inputs) }
+}
+
+async function setup(protocol, r1csPath, ptauPath, zkeyPath) {
+    if (protocol === 'plonk') {
+        // plonk.setup reports errors through its logger and returns -1
+        const errors = []
+        const logger = { debug() {}, info() {}, warn() {}, error: (msg) => errors.push(msg) }
+        const result = await snarkjs.plonk.setup(r1csPath, ptauPath, zkeyPath, logger)
+        if (result === -1) {
+            throw new Error(`PLONK setup failed: ${errors.join('; ')}`)
+        }
+    } else if (protocol === 'fflonk') {
+        await snarkjs.fflonk.setup(r1csPath, ptauPath, zkeyPath)
+    } else {
+        await snarkjs.zKey.newZKey(r1csPath, ptauPath, zkeyPath)
+    }
+}
+
+async function installCeremonyKeys(ceremony, zkeyPath, vkeyPath, projectDir) {
+    const ceremonyZkey = lastZkeyPath(ceremony, projectDir)
+    const { inputs, key } = ceremonyKeysInputs(ceremony)
+
+    // Keep the installed keys when they already come from this ceremony
+    if (await isStageFresh(ceremony.circuit, projectDir, 'keys', key)) {
+        log.success(`Ceremony keys already installed for: ${ceremony.circuit}`)
         return { zkeyPath, vkeyPath }
     }
+
+    log.step(`Installing ceremony proving key: ${path.relative(projectDir, ceremonyZkey)}`)
+    await fs.mkdir(path.dirname(zkeyPath), { recursive: true })
+    await fs.rm(vkeyPath, { force: true })
+    await fs.copyFile(ceremonyZkey, zkeyPath)
+    log.success(`Proving key installed (${ceremony.contributions.length} contribution(s) + beacon)`)
+
+    await exportVerificationKey(zkeyPath, vkeyPath)
+
+    await writeStage(ceremony.circuit, projectDir, 'keys', {
+        key,
+        ...inputs,
+        artifacts: await describeArtifacts({ zkey: zkeyPath, vkey: vkeyPath }, projectDir),
+    })
+
+    return { zkeyPath, vkeyPath }
+}
+
+async function exportVerificationKey(zkeyPath, vkeyPath) {
+    log.step('Exporting verification key')
+    const vKey = await snarkjs.zKey.exportVerificationKey(zkeyPath)
+    await fs.writeFile(vkeyPath, JSON.stringify(vKey, null, 2))
+    log.success('Verification key exported')
 }
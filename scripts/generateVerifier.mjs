@@ -4,19 +4,152 @@
  * 1. compile the circuits => using `compileCircuit.mjs`
  * 2. generate the keys => using `generateKeys.mjs`
  * 3. generate the verifier contract => using `generateVerifierContract.mjs`
+ *
+ * usage: node scripts/generateVerifier.mjs [circuit...] [options]
+ *   circuit...                    names in circuits.json, every circuit when omitted
+ *   --params <a,b,...>            params of the selected circuit, instead of circuits.json (one circuit only)
+ *   --params <circuit>=<a,b,...>  params of one of several selected circuits, repeatable
+ *   --dry-run                     print what would compile, which ptau, which artifacts are reused
+ *   --json <file>                 write the results (or the dry-run plan) as JSON
+ *   --dev                         allow a dev ptau and zero-contribution keys
+ *   --jobs <n>                    circuits built at once, each in its own process (default 1)
+ *   --memory <MiB>                memory budget of all builds together (default 3/4 of the RAM)
+ *
+ * every step (compile, info, ptau, keys, verifier) is recorded in build/<circuit>/journal.json,
+ * an interrupted run continues from the last finished step
+ *
+ * a verifier is only exported from a proving key with Phase-2 contributions (see `ceremony.mjs`),
+ * pass `--dev` to export one from a zero-contribution key for local development
+ * circuits.json is never modified, overridden params only apply to this run
  */
 import fs from 'fs/promises'
 import path from 'path'
 import { fileURLToPath } from 'url'
-import { processCircuit } from './processCircuit.mjs'
+import { parseArgs } from 'util'
+import { planCircuit } from './processCircuit.mjs'
+import { runInWorkers, defaultMemoryBudget, DEFAULT_JOBS } from './utils/workerPool.mjs'
 import { log, colors } from './utils/logger.mjs'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 const projectDir = path.join(__dirname, '..')
 
+const USAGE =
+    'Usage: node scripts/generateVerifier.mjs [circuit...] [--params [<circuit>=]<a,b,...>] [--dry-run] [--json <file>] [--dev] ' +
+    '[--jobs <n>] [--memory <MiB>]'
+
+function parsePositiveInteger(value, option) {
+    const number = Number(value)
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`${option} must be a positive integer\n${USAGE}`)
+    }
+    return number
+}
+
+function parseParams(value) {
+    const params = value.split(',').map((param) => Number(param.trim()))
+    if (value.trim() === '' || params.some((param) => !Number.isInteger(param))) {
+        throw new Error(`Invalid params "${value}": expected comma separated integers, e.g. 16,1`)
+    }
+    return params
+}
+
+// Entries of circuits.json to process, with the --params overrides applied
+function selectCircuits(circuitsJson, names, paramsOverrides = []) {
+    const available = Object.keys(circuitsJson)
+    for (const name of names) {
+        if (!circuitsJson[name]) {
+            throw new Error(`Circuit not found in circuits.json: ${name} (available: ${available.join(', ')})`)
+        }
+    }
+    const selected = names.length > 0 ? [...new Set(names)] : available
+
+    const overrides = {}
+    for (const override of paramsOverrides) {
+        const separator = override.indexOf('=')
+        if (separator === -1) {
+            if (selected.length !== 1) {
+                throw new Error(`--params ${override} is ambiguous with ${selected.length} circuits, use --params <circuit>=${override}`)
+            }
+            overrides[selected[0]] = parseParams(override)
+            continue
+        }
+        const name = override.slice(0, separator)
+        if (!selected.includes(name)) {
+            throw new Error(`--params for ${name}, which is not selected`)
+        }
+        overrides[name] = parseParams(override.slice(separator + 1))
+    }
+
+    return selected.map((name) => {
+        const config = name in overrides ? { ...circuitsJson[name], params: overrides[name] } : circuitsJson[name]
+        return [name, config]
+    })
+}
+
+function printPlan(plan) {
+    const reuse = (stage) => (stage.reuse ? `${colors.green}reuse${colors.reset}` : `${colors.yellow}rebuild${colors.reset}`)
+
+    console.log(`\n${colors.cyan}${plan.circuitName}${colors.reset} (${plan.protocol}, params [${(plan.config.params ?? []).join(', ')}])`)
+    console.log(`  compile:  ${reuse(plan.compile)} (${plan.compile.key.slice(0, 12)})`)
+    if (plan.ptau) {
+        const from = plan.ptau.url ?? plan.ptau.file
+        console.log(`  ptau:     power ${plan.ptau.power}, ${plan.ptau.source}${from ? `: ${from}` : ''}`)
+    } else {
+        console.log('  ptau:     known after compiling')
+    }
+    if (plan.keys) {
+        console.log(`  keys:     ${reuse(plan.keys)} (${plan.keys.mode})`)
+    } else {
+        console.log(`  keys:     ${plan.compile.reuse ? 'unavailable' : 'known after compiling'}`)
+    }
+    console.log(`  verifier: ${plan.verifier.file}`)
+    console.log(`  wrapper:  ${plan.wrapper.file}`)
+    const interrupted = Object.keys(plan.journal).filter((step) => plan.journal[step] === 'running')
+    if (interrupted.length > 0) {
+        console.log(`  journal:  last run interrupted during ${interrupted.join(', ')}`)
+    }
+    for (const error of plan.errors) {
+        log.error(error)
+    }
+}
+
+async function writeJson(jsonPath, report) {
+    await fs.mkdir(path.dirname(jsonPath), { recursive: true })
+    await fs.writeFile(jsonPath, JSON.stringify(report, null, 2) + '\n')
+    log.info(`JSON report written: ${jsonPath}`)
+}
+
 // Main function
 async function main() {
+    let args
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                params: { type: 'string', multiple: true },
+                'dry-run': { type: 'boolean' },
+                json: { type: 'string' },
+                dev: { type: 'boolean' },
+                jobs: { type: 'string' },
+                memory: { type: 'string' },
+            },
+        })
+    } catch (error) {
+        log.error(`${error.message}\n${USAGE}`)
+        process.exit(1)
+    }
+    const { params = [], 'dry-run': dryRun = false, json, dev = false } = args.values
+    const jsonPath = json && path.resolve(json)
+    let jobs, memoryBudget
+    try {
+        jobs = args.values.jobs === undefined ? DEFAULT_JOBS : parsePositiveInteger(args.values.jobs, '--jobs')
+        memoryBudget = args.values.memory === undefined ? defaultMemoryBudget() : parsePositiveInteger(args.values.memory, '--memory')
+    } catch (error) {
+        log.error(error.message)
+        process.exit(1)
+    }
+
     console.log(`${colors.blue}${'='.repeat(60)}`)
     console.log('  Circom Verifier Generator')
     console.log('=' + '='.repeat(59) + colors.reset + '\n')
@@ -24,26 +157,39 @@ async function main() {
     const startTime = Date.now()
 
     try {
-        // Read circuits.json
-        // now we have 2 circuits to compile:
-        // 1. batch_main: the main circuit for batchForge
-        // 2. prove_score_inclusion: the circuit for proving the inclusion of a score in the tree
+        // Read circuits.json and keep the circuits named on the command line, all of them by default
         const circuitsJsonPath = path.join(projectDir, 'circuits.json')
         const circuitsJson = JSON.parse(await fs.readFile(circuitsJsonPath, 'utf-8'))
+        const circuits = selectCircuits(circuitsJson, args.positionals, params)
 
-        log.info(`Found ${Object.keys(circuitsJson).length} circuit(s) in circuits.json`)
+        log.info(`Found ${Object.keys(circuitsJson).length} circuit(s) in circuits.json, ${circuits.length} selected`)
+        if (dev) {
+            log.warning('Dev mode: verifiers may come from zero-contribution keys')
+        }
+
+        if (dryRun) {
+            log.step('Dry run: nothing is compiled, downloaded or written')
+            const plans = []
+            for (const [circuitName, circuitConfig] of circuits) {
+                const plan = await planCircuit(circuitName, circuitConfig, projectDir, { dev })
+                printPlan(plan)
+                plans.push(plan)
+            }
+            const success = plans.every((plan) => plan.errors.length === 0)
+            if (jsonPath) {
+                await writeJson(jsonPath, { dryRun: true, dev, success, circuits: plans })
+            }
+            process.exit(success ? 0 : 1)
+        }
 
         // Create necessary directories
         await fs.mkdir(path.join(projectDir, 'build'), { recursive: true })
         await fs.mkdir(path.join(projectDir, 'ptau'), { recursive: true })
         await fs.mkdir(path.join(projectDir, 'verifiers'), { recursive: true })
 
-        // Process each circuit
-        const results = []
-        for (const [circuitName, circuitConfig] of Object.entries(circuitsJson)) {
-            const result = await processCircuit(circuitName, circuitConfig, projectDir)
-            results.push(result)
-        }
+        // Process the circuits in worker processes
+        log.info(`Building with ${jobs} job(s), memory budget ${memoryBudget} MiB`)
+        const results = await runInWorkers(circuits, projectDir, { jobs, memoryBudget, options: { dev } })
 
         // Summary
         const totalDuration = ((Date.now() - startTime) / 1000).toFixed(2)
@@ -60,7 +206,7 @@ async function main() {
         if (successful.length > 0) {
             console.log('\nGenerated verifier contracts:')
             for (const result of successful) {
-                console.log(`  📄 verifiers/${result.contractName}.sol (${result.duration}s)`)
+                console.log(`  📄 ${[result.verifier, result.wrapper].filter(Boolean).join(', ')} (${result.duration}s, ${result.peakMemoryMiB} MiB)`)
             }
         }
 
@@ -71,12 +217,19 @@ async function main() {
             }
         }
 
+        if (jsonPath) {
+            await writeJson(jsonPath, { dryRun: false, dev, success: failed.length === 0, duration: totalDuration, circuits: results })
+        }
+
         console.log('\n' + colors.green + '🎉 Verifier generation completed!' + colors.reset)
 
         process.exit(failed.length > 0 ? 1 : 0)
     } catch (error) {
         log.error('Fatal error')
-        console.error(error)
+        console.error(error.message)
+        if (jsonPath) {
+            await writeJson(jsonPath, { dryRun, dev, success: false, error: error.message, circuits: [] }).catch(() => {})
+        }
         process.exit(1)
     }
 }
@@ -1,42 +1,33 @@
 import fs from 'fs/promises'
 import path from 'path'
-import { toPascalCase, execCommand } from './utils/helpers.mjs'
+import * as snarkjs from 'snarkjs'
+import { execCommand, toPascalCase } from './utils/helpers.mjs'
+import { templateContractName, verifierContractName, wrapperContractName } from './utils/protocol.mjs'
+import { readPublicSignals, wrapperSource } from './utils/verifierWrapper.mjs'
 import { log } from './utils/logger.mjs'
 
-// Generate Solidity verifier contract
-export async function generateVerifierContract(circuitName, zkeyPath, vkeyPath, projectDir) {
-    log.step('Generating Solidity verifier contract')
+// Read the snarkjs Solidity template of every protocol
+async function loadTemplates(projectDir) {
+    const templatesDir = path.join(projectDir, 'node_modules', 'snarkjs', 'templates')
+    const templates = {}
+    for (const protocol of ['groth16', 'plonk', 'fflonk']) {
+        templates[protocol] = await fs.readFile(path.join(templatesDir, `verifier_${protocol}.sol.ejs`), 'utf-8')
+    }
+    return templates
+}
+
+// Generate Solidity verifier contract, and its wrapper taking the public signals by name
+export async function generateVerifierContract(circuitName, zkeyPath, vkeyPath, projectDir, protocol = 'groth16', circuitConfig) {
+    log.step(`Generating Solidity ${protocol} verifier contract`)
 
     const buildDir = path.join(projectDir, 'build', circuitName)
-    const verifierPath = path.join(buildDir, 'groth16_verifier.sol')
+    const verifierPath = path.join(buildDir, `${protocol}_verifier.sol`)
+    const contractName = verifierContractName(circuitName, protocol)
 
+    let verifierCode
     try {
-        // Read verification key
-        const vKey = JSON.parse(await fs.readFile(vkeyPath, 'utf-8'))
-
         // Generate verifier using the templates
-        const templates = await import('snarkjs').then(m => m.groth16)
-        const verifierCode = await templates.exportSolidityVerifier(vKey, null)
-
-        // Customize contract name
-        const contractName = `${toPascalCase(circuitName)}Verifier`
-        const customizedCode = verifierCode.replace(
-            /contract Groth16Verifier/g,
-            `contract ${contractName}`
-        )
-
-        await fs.writeFile(verifierPath, customizedCode)
-
-        // Copy to verifiers directory
-        const verifiersDir = path.join(projectDir, 'verifiers')
-        await fs.mkdir(verifiersDir, { recursive: true })
-
-        const finalPath = path.join(verifiersDir, `${contractName}.sol`)
-        await fs.copyFile(verifierPath, finalPath)
-
-        log.success(`Verifier contract saved: verifiers/${contractName}.sol`)
-
-        return { verifierPath: finalPath, contractName }
+        verifierCode = await snarkjs.zKey.exportSolidityVerifier(zkeyPath, await loadTemplates(projectDir))
     } catch (error) {
         // Fallback: use snarkjs CLI
         log.warning('Using snarkjs CLI fallback for verifier generation')
@@ -44,27 +35,60 @@ export async function generateVerifierContract(circuitName, zkeyPath, vkeyPath,
 
         execCommand(`npx snarkjs zkey export solidityverifier ${zkeyPath} ${tempVerifierPath}`, projectDir)
 
-        const verifierCode = await fs.readFile(tempVerifierPath, 'utf-8')
-        const contractName = `${toPascalCase(circuitName)}Verifier`
-        const customizedCode = verifierCode.replace(
-            /contract Groth16Verifier/g,
-            `contract ${contractName}`
-        )
+        verifierCode = await fs.readFile(tempVerifierPath, 'utf-8')
 
-        await fs.writeFile(verifierPath, customizedCode)
+        // Clean up temp file
+        await fs.unlink(tempVerifierPath).catch(() => {})
+    }
 
-        // Copy to verifiers directory
-        const verifiersDir = path.join(projectDir, 'verifiers')
-        await fs.mkdir(verifiersDir, { recursive: true })
+    // Customize contract name
+    const customizedCode = verifierCode.replace(
+        new RegExp(`contract ${templateContractName(protocol)}\\b`, 'g'),
+        `contract ${contractName}`
+    )
 
-        const finalPath = path.join(verifiersDir, `${contractName}.sol`)
-        await fs.copyFile(verifierPath, finalPath)
+    await fs.writeFile(verifierPath, customizedCode)
 
-        // Clean up temp file
-        await fs.unlink(tempVerifierPath).catch(() => {})
+    // Copy to verifiers directory
+    const verifiersDir = path.join(projectDir, 'verifiers')
+    await fs.mkdir(verifiersDir, { recursive: true })
 
-        log.success(`Verifier contract saved: verifiers/${contractName}.sol`)
+    const finalPath = path.join(verifiersDir, `${contractName}.sol`)
+    await fs.copyFile(verifierPath, finalPath)
 
-        return { verifierPath: finalPath, contractName }
+    log.success(`Verifier contract saved: verifiers/${contractName}.sol`)
+
+    const { wrapperPath, wrapperName } = await generateWrapperContract(circuitName, vkeyPath, projectDir, protocol, circuitConfig)
+
+    return { verifierPath: finalPath, contractName, wrapperPath, wrapperName }
+}
+
+// Generate the wrapper of the verifier, named after the public signals in build/<circuit>/<circuit>.sym
+// wrapperPath and wrapperName are null when the circuit has no public signals (see wrapperSource)
+async function generateWrapperContract(circuitName, vkeyPath, projectDir, protocol, circuitConfig) {
+    const wrapperName = wrapperContractName(circuitName, protocol)
+    const { nPublic } = JSON.parse(await fs.readFile(vkeyPath, 'utf-8'))
+    const signals = await readPublicSignals(path.join(projectDir, 'build', circuitName, `${circuitName}.sym`), nPublic)
+
+    const source = wrapperSource({
+        circuitConfig,
+        protocol,
+        nPublic,
+        signals,
+        verifierName: verifierContractName(circuitName, protocol),
+        contractName: wrapperName,
+        prefix: toPascalCase(circuitName),
+        warn: (message) => log.warning(message),
+    })
+
+    const wrapperPath = path.join(projectDir, 'verifiers', `${wrapperName}.sol`)
+    if (source === null) {
+        // A wrapper from before the circuit lost its public signals would still be deployable
+        await fs.rm(wrapperPath, { force: true })
+        return { wrapperPath: null, wrapperName: null }
     }
+    await fs.writeFile(wrapperPath, source)
+    log.success(`Wrapper contract saved: verifiers/${wrapperName}.sol`)
+
+    return { wrapperPath, wrapperName }
 }
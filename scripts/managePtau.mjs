@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * this script manages the PTAU files used by the verifier pipeline
+ * usage: node scripts/managePtau.mjs <command> [power]
+ *   list           local PTAU files and whether they match the known blake2b hashes
+ *   fetch <power>  find or download the Hermez PTAU file of a power, verified
+ *   dev <power>    generate a local dev PTAU (not a trusted setup) in ptau/dev/
+ * PTAU_DIR, PTAU_MIRROR and PTAU_OFFLINE are read from the environment, see utils/downloadPtau.mjs
+ */
+import path from 'path'
+import { fileURLToPath } from 'url'
+import {
+    MAX_PTAU_POWER,
+    MIN_PTAU_POWER,
+    ptauSettings,
+    findLocalPtau,
+    verifyPtau,
+    resolvePtau,
+    generateDevPtau,
+} from './utils/downloadPtau.mjs'
+import { log } from './utils/logger.mjs'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectDir = path.join(__dirname, '..')
+
+const USAGE = 'Usage: node scripts/managePtau.mjs <list|fetch|dev> [power]'
+
+function parsePower(value) {
+    const power = Number(value)
+    if (!Number.isInteger(power) || power < MIN_PTAU_POWER) {
+        throw new Error(`Power must be an integer >= ${MIN_PTAU_POWER}\n${USAGE}`)
+    }
+    return power
+}
+
+async function main() {
+    const [command, value] = process.argv.slice(2)
+
+    try {
+        const settings = ptauSettings(projectDir)
+
+        switch (command) {
+            case 'list': {
+                const files = await findLocalPtau(settings)
+                if (files.length === 0) {
+                    log.warning(`No PTAU files in ${settings.ptauDir}`)
+                }
+                for (const { power, ptauPath } of files) {
+                    try {
+                        await verifyPtau(ptauPath, power)
+                        log.success(`${ptauPath} (power ${power})`)
+                    } catch {
+                        log.error(`${ptauPath} (power ${power}) does not match its known hash`)
+                    }
+                }
+                log.info(`Largest Hermez PTAU: power ${MAX_PTAU_POWER}`)
+                break
+            }
+            case 'fetch':
+                await resolvePtau(parsePower(value), projectDir)
+                break
+            case 'dev':
+                await generateDevPtau(parsePower(value), settings.ptauDir)
+                break
+            default:
+                throw new Error(USAGE)
+        }
+    } catch (error) {
+        log.error(error.message)
+        process.exit(1)
+    }
+
+    // snarkjs keeps its curve worker threads alive
+    process.exit(0)
+}
+
+main()
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * this script prints the SHA-256 message layout of HashInputs(nTx, nLevels),
+ * the reference for computing hashGlobalInputs on-chain
+ * usage: node scripts/printHashInputsLayout.mjs [nTx nLevels]
+ * without arguments, the params of batch_main in circuits.json are used
+ */
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { formatHashInputsLayout } from '../src/rollup/hashInputs.js'
+import { log } from './utils/logger.mjs'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectDir = path.join(__dirname, '..')
+
+async function main() {
+    let params = process.argv.slice(2).map(Number)
+
+    if (params.length === 0) {
+        const circuits = JSON.parse(await fs.readFile(path.join(projectDir, 'circuits.json'), 'utf-8'))
+        params = circuits.batch_main.params
+        log.info(`Using batch_main params from circuits.json: nTx=${params[0]}, nLevels=${params[1]}`)
+    }
+    const [nTx, nLevels] = params
+
+    if (!Number.isInteger(nTx) || !Number.isInteger(nLevels) || nTx < 1 || nLevels < 1) {
+        log.error('Usage: node scripts/printHashInputsLayout.mjs [nTx nLevels]')
+        process.exit(1)
+    }
+
+    console.log(formatHashInputsLayout(nTx, nLevels))
+}
+
+main()
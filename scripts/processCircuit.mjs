@@ -1,14 +1,170 @@
+import fs from 'fs/promises'
+import path from 'path'
+import * as snarkjs from 'snarkjs'
 import { compileCircuit } from './compileCircuit.mjs'
 import { getCircuitInfo } from './utils/getCircuitInfo.mjs'
-import { generateKeys } from './generateKeys.mjs'
+import { generateKeys, setupKeysInputs, ceremonyKeysInputs } from './generateKeys.mjs'
 import { generateVerifierContract } from './generateVerifierContract.mjs'
-import { downloadPtau } from './utils/downloadPtau.mjs'
-import { getPtauFile } from './utils/helpers.mjs'
-import { generateMain } from './utils/generateMain.mjs'
+import { readCeremony } from './ceremony.mjs'
+import { requiredPtauPower, resolvePtau, locatePtau, ptauSettings } from './utils/downloadPtau.mjs'
+import { hashFile } from './utils/helpers.mjs'
+import { hashCacheInputs, compileInputs, isStageFresh } from './utils/buildCache.mjs'
+import { generateMain, mainSource, mainPath } from './utils/generateMain.mjs'
+import { getProtocol, verifierContractName, wrapperContractName } from './utils/protocol.mjs'
+import { readZkeyContributions } from './utils/zkeyInfo.mjs'
+import { checkVerifier } from './utils/verifierConsistency.mjs'
+import { runStep, readJournal } from './utils/buildJournal.mjs'
 import { log, colors } from './utils/logger.mjs'
 
+// Same size and modification time as when the step recorded it
+async function isUnchanged({ file, size, mtimeMs }) {
+    try {
+        const stat = await fs.stat(file)
+        return stat.size === size && stat.mtimeMs === mtimeMs
+    } catch {
+        return false
+    }
+}
+
+async function describeFile(file) {
+    const { size, mtimeMs } = await fs.stat(file)
+    return { file, size, mtimeMs }
+}
+
+// Compile a circuit and fetch its PTAU: everything the keys are generated from
+// Each step is recorded in the manifest (see utils/buildJournal.mjs) and resumed by the next run
+//   options.dev - allow a locally generated dev PTAU when no verified one is available
+export async function prepareCircuit(circuitName, circuitConfig, projectDir, options = {}) {
+    const protocol = getProtocol(circuitConfig)
+
+    // 0-1. Generate the main wrapper and compile it (using the main wrapper in main/ folder)
+    const { r1csPath } = await runStep(circuitName, projectDir, 'compile', null, async () => {
+        await generateMain(circuitName, circuitConfig, projectDir)
+        return compileCircuit(circuitName, `main/${circuitName}`, projectDir, circuitConfig)
+    })
+
+    // 2. Get circuit info, and the PTAU power the protocol needs
+    const infoKey = hashCacheInputs({ r1cs: await hashFile(r1csPath), protocol })
+    const info = await runStep(circuitName, projectDir, 'info', infoKey, async () => {
+        const info = await getCircuitInfo(r1csPath)
+        return {
+            nConstraints: info.nConstraints,
+            nVars: info.nVars,
+            nOutputs: info.nOutputs,
+            nPubInputs: info.nPubInputs,
+            nPrvInputs: info.nPrvInputs,
+            power: requiredPtauPower(info, protocol),
+        }
+    })
+
+    // 3. Find (or download) a verified PTAU with enough powers for the protocol
+    // A resumed run trusts the file it verified, as long as it was not touched since
+    const ptauKey = hashCacheInputs({ power: info.power, dev: Boolean(options.dev), settings: ptauSettings(projectDir) })
+    const ptau = await runStep(
+        circuitName,
+        projectDir,
+        'ptau',
+        ptauKey,
+        async () => describeFile(await resolvePtau(info.power, projectDir, { dev: options.dev })),
+        isUnchanged
+    )
+
+    return { r1csPath, ptauPath: ptau.file, info }
+}
+
+// What processCircuit would do, without writing anything
+//   compile  - reused or rebuilt, from the cache key of the main wrapper, its includes and the config
+//   ptau     - power and where resolvePtau takes the file from (known once the r1cs is up to date)
+//   keys     - reused or regenerated, and from a ceremony or a setup
+//   journal  - status of the steps of the last run (done or running, when interrupted)
+//   errors   - why processCircuit would fail
+export async function planCircuit(circuitName, circuitConfig, projectDir, options = {}) {
+    const protocol = getProtocol(circuitConfig)
+    const contractName = verifierContractName(circuitName, protocol)
+    const wrapperName = wrapperContractName(circuitName, protocol)
+    const plan = {
+        circuitName,
+        protocol,
+        config: circuitConfig,
+        compile: null,
+        ptau: null,
+        keys: null,
+        verifier: { contractName, file: `verifiers/${contractName}.sol` },
+        wrapper: { contractName: wrapperName, file: `verifiers/${wrapperName}.sol` },
+        journal: {},
+        errors: [],
+    }
+
+    const { steps } = await readJournal(circuitName, projectDir)
+    for (const [step, entry] of Object.entries(steps)) {
+        plan.journal[step] = entry.status
+    }
+
+    const compile = await compileInputs(circuitConfig, mainPath(circuitName, projectDir), projectDir, mainSource(circuitConfig))
+    plan.compile = { reuse: await isStageFresh(circuitName, projectDir, 'compile', compile.key), key: compile.key }
+    if (!plan.compile.reuse) {
+        // The PTAU power and the keys depend on the r1cs this compile produces
+        return plan
+    }
+
+    const r1csPath = path.join(projectDir, 'build', circuitName, `${circuitName}.r1cs`)
+    const power = requiredPtauPower(await snarkjs.r1cs.info(r1csPath), protocol)
+    const location = await locatePtau(power, projectDir, { dev: options.dev })
+    plan.ptau = {
+        power,
+        source: location.source,
+        file: location.ptauPath ? path.relative(projectDir, location.ptauPath) : null,
+        ...(location.url && { url: location.url }),
+    }
+    if (location.source === 'missing') {
+        plan.errors.push(`No PTAU file with power >= ${power} available`)
+    }
+
+    const r1csHash = await hashFile(r1csPath)
+    const ceremony = protocol === 'groth16' ? await readCeremony(circuitName, projectDir) : null
+    let keys = null
+    if (ceremony && ceremony.finalized) {
+        if (ceremony.r1csHash !== r1csHash) {
+            plan.errors.push(`Ceremony for ${circuitName} was run on another r1cs`)
+        } else {
+            keys = ceremonyKeysInputs(ceremony)
+        }
+    } else if (location.ptauPath) {
+        keys = setupKeysInputs(protocol, r1csHash, location.ptauPath)
+    }
+    plan.keys = keys
+        ? { mode: keys.inputs.mode, reuse: await isStageFresh(circuitName, projectDir, 'keys', keys.key), key: keys.key }
+        : null
+
+    if (protocol === 'groth16' && keys?.inputs.mode === 'dev' && !options.dev) {
+        plan.errors.push('Proving key would have no Phase-2 contributions, run the ceremony or pass --dev')
+    }
+    return plan
+}
+
+// Refuse to export a verifier from a Groth16 zkey with no Phase-2 contributions, unless dev
+// PLONK and FFLONK keys come from the universal PTAU alone and have no Phase-2
+export async function checkContributions(circuitName, zkeyPath, protocol, dev) {
+    if (protocol !== 'groth16') {
+        return
+    }
+    const { contributions } = await readZkeyContributions(zkeyPath)
+    if (contributions.length > 0) {
+        log.info(`Proving key has ${contributions.length} Phase-2 contribution(s)`)
+        return
+    }
+    if (!dev) {
+        throw new Error(
+            `Proving key of ${circuitName} has no Phase-2 contributions. ` +
+            `Run the ceremony (npm run ceremony -- init ${circuitName}) or pass --dev for a development verifier`
+        )
+    }
+    log.warning(`Dev mode: exporting the verifier of ${circuitName} from a zero-contribution key, do not deploy it`)
+}
+
 // Process a single circuit
-export async function processCircuit(circuitName, circuitConfig, projectDir) {
+//   options.dev - allow a dev PTAU and a verifier from a proving key with no Phase-2 contributions
+export async function processCircuit(circuitName, circuitConfig, projectDir, options = {}) {
     console.log('\n' + '='.repeat(60))
     console.log(`${colors.cyan}Processing circuit: ${circuitName}${colors.reset}`)
     console.log('='.repeat(60) + '\n')
@@ -16,29 +172,71 @@ export async function processCircuit(circuitName, circuitConfig, projectDir) {
     const startTime = Date.now()
 
     try {
-        // 0. Generate main wrapper file
-        await generateMain(circuitName, circuitConfig, projectDir)
-        
-        // 1. Compile circuit (using the main wrapper in main/ folder)
-        const { r1csPath } = await compileCircuit(circuitName, `main/${circuitName}`, projectDir)
+        const protocol = getProtocol(circuitConfig)
+        log.info(`Protocol: ${protocol}`)
 
-        // 2. Get circuit info
-        const info = await getCircuitInfo(r1csPath)
+        // 0-3. Main wrapper, compilation, circuit info and PTAU
+        const { r1csPath, ptauPath, info } = await prepareCircuit(circuitName, circuitConfig, projectDir, options)
 
-        // 3. Download PTAU if needed
-        const ptauFile = getPtauFile(info.nConstraints)
-        const ptauPath = await downloadPtau(ptauFile, projectDir)
+        // 4. Generate keys (cached on the r1cs and the PTAU, see generateKeys.mjs)
+        const { zkeyPath, vkeyPath } = await runStep(circuitName, projectDir, 'keys', null, () =>
+            generateKeys(circuitName, r1csPath, ptauPath, projectDir, protocol)
+        )
 
-        // 4. Generate keys
-        const { zkeyPath, vkeyPath } = await generateKeys(circuitName, r1csPath, ptauPath, projectDir)
+        // 5. Generate verifier contract, unless this run already exported it from the same vkey
+        const contractName = verifierContractName(circuitName, protocol)
+        const verifierKey = hashCacheInputs({
+            vkey: await hashFile(vkeyPath),
+            contractName,
+            template: circuitConfig.template,
+            params: circuitConfig.params ?? [],
+            dev: Boolean(options.dev),
+        })
+        const { verifier, wrapper } = await runStep(
+            circuitName,
+            projectDir,
+            'verifier',
+            verifierKey,
+            async () => {
+                await checkContributions(circuitName, zkeyPath, protocol, options.dev)
+                const { verifierPath, wrapperPath } = await generateVerifierContract(
+                    circuitName,
+                    zkeyPath,
+                    vkeyPath,
+                    projectDir,
+                    protocol,
+                    circuitConfig
+                )
 
-        // 5. Generate verifier contract
-        const { contractName } = await generateVerifierContract(circuitName, zkeyPath, vkeyPath, projectDir)
+                // 6. Check the contract against the vkey and the circuit it was exported for
+                const check = checkVerifier(await fs.readFile(verifierPath, 'utf-8'), JSON.parse(await fs.readFile(vkeyPath, 'utf-8')), {
+                    contractName,
+                    circuitPublic: info.nOutputs + info.nPubInputs,
+                })
+                if (!check.ok) {
+                    throw new Error(`Generated verifier does not match ${path.relative(projectDir, vkeyPath)}: ${check.issues.join('; ')}`)
+                }
+                return {
+                    verifier: await describeFile(verifierPath),
+                    wrapper: wrapperPath ? await describeFile(wrapperPath) : null,
+                }
+            },
+            async ({ verifier, wrapper }) => (await isUnchanged(verifier)) && (wrapper === null || (await isUnchanged(wrapper)))
+        )
 
         const duration = ((Date.now() - startTime) / 1000).toFixed(2)
         log.success(`Successfully processed ${circuitName} in ${duration}s`)
 
-        return { success: true, circuitName, contractName, duration }
+        return {
+            success: true,
+            circuitName,
+            protocol,
+            config: circuitConfig,
+            contractName,
+            verifier: path.relative(projectDir, verifier.file),
+            wrapper: wrapper ? path.relative(projectDir, wrapper.file) : null,
+            duration,
+        }
     } catch (error) {
         log.error(`Failed to process ${circuitName}`)
         console.error(error.message)
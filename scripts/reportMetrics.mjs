@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * this script reports the size of every circuit in circuits.json and guards it against metrics/baseline.json
+ * usage: node scripts/reportMetrics.mjs [circuit...] [options]
+ *   circuit...         names in circuits.json, every circuit when omitted
+ *   --update           write the current metrics as the new baseline
+ *   --tolerance <x>    allowed constraint growth for this run, 0.05 = 5% (default: the baseline's)
+ *   --depth <n>        component levels in the breakdown (default 3)
+ *   --json <file>      write the report as JSON
+ *   --skip-missing     only report the circuits already compiled in build/, skip the others
+ * circuits are compiled when needed (cached, see utils/buildCache.mjs), the zkey size is read from
+ * the last `npm run verifier`
+ * exits with 1 when a circuit has more constraints than its baseline allows, or has no baseline,
+ * and when --skip-missing leaves no circuit to report
+ */
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { parseArgs } from 'util'
+import { compileCircuit } from './compileCircuit.mjs'
+import { generateMain } from './utils/generateMain.mjs'
+import { getProtocol } from './utils/protocol.mjs'
+import {
+    DEFAULT_COMPONENT_DEPTH,
+    collectMetrics,
+    compareMetrics,
+    isBuilt,
+    readBaseline,
+    writeBaseline,
+} from './utils/circuitMetrics.mjs'
+import { log, colors } from './utils/logger.mjs'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectDir = path.join(__dirname, '..')
+
+const USAGE = 'Usage: node scripts/reportMetrics.mjs [circuit...] [--update] [--tolerance <x>] [--depth <n>] [--json <file>] [--skip-missing]'
+
+function formatSize(bytes) {
+    return bytes === null ? 'n/a' : `${(bytes / 1024 / 1024).toFixed(2)} MiB`
+}
+
+function formatDelta(delta, base) {
+    if (delta === null) return ''
+    const percent = base > 0 ? ` (${delta >= 0 ? '+' : ''}${((delta / base) * 100).toFixed(1)}%)` : ''
+    return `${delta >= 0 ? '+' : ''}${delta}${percent}`
+}
+
+function printReport({ circuitName, config, metrics, baseline, comparison }) {
+    if (comparison.status === 'skipped') {
+        console.log(`\n${colors.cyan}${circuitName}${colors.reset}`)
+        log.warning(`${circuitName} is not compiled in build/, skipped`)
+        return
+    }
+    console.log(`\n${colors.cyan}${circuitName}${colors.reset} (${metrics.protocol})`)
+    console.log(`  constraints:    ${metrics.constraints} ${formatDelta(comparison.delta, baseline?.constraints)}`)
+    console.log(`  wires:          ${metrics.wires}`)
+    console.log(`  public inputs:  ${metrics.publicInputs} (+ ${metrics.outputs} output(s))`)
+    console.log(`  private inputs: ${metrics.privateInputs}`)
+    console.log(`  zkey size:      ${formatSize(metrics.zkeySize)}`)
+
+    const top = Object.entries(metrics.components)
+        .filter(([component]) => component.split('.').length === 2)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 5)
+    for (const [component, count] of top) {
+        console.log(`    ${component}: ${count}`)
+    }
+
+    if (baseline && JSON.stringify(baseline.config) !== JSON.stringify(config)) {
+        log.warning(`circuits.json entry of ${circuitName} changed since the baseline`)
+    }
+    if (comparison.status === 'new') {
+        log.warning(`No baseline for ${circuitName}, run with --update to record one`)
+    } else if (comparison.status === 'regression') {
+        log.error(`${circuitName}: ${metrics.constraints} constraints, baseline allows ${comparison.limit}`)
+        for (const { component, baseline: before, current } of comparison.grown.slice(0, 5)) {
+            console.log(`    ${component}: ${before} -> ${current}`)
+        }
+    }
+}
+
+// Metrics of the selected circuits of circuits.json, compared with their baseline entries
+//   options.skipMissing - report the builds of build/ as they are, a circuit without one is skipped
+//                         (status skipped, metrics null) instead of compiled
+export async function metricsReports(circuitsJson, circuitNames, projectDir, { baseline, tolerance, depth, skipMissing = false }) {
+    const reports = []
+    for (const circuitName of circuitNames) {
+        const circuitConfig = circuitsJson[circuitName]
+        const entry = baseline.circuits[circuitName] ?? null
+        if (skipMissing) {
+            if (!(await isBuilt(circuitName, projectDir))) {
+                reports.push({ circuitName, config: circuitConfig, metrics: null, baseline: entry, comparison: { status: 'skipped' } })
+                continue
+            }
+        } else {
+            await generateMain(circuitName, circuitConfig, projectDir)
+            await compileCircuit(circuitName, `main/${circuitName}`, projectDir, circuitConfig)
+        }
+
+        const metrics = await collectMetrics(circuitName, projectDir, getProtocol(circuitConfig), { depth })
+        reports.push({
+            circuitName,
+            config: circuitConfig,
+            metrics,
+            baseline: entry,
+            comparison: compareMetrics(entry, metrics, tolerance),
+        })
+    }
+    return reports
+}
+
+async function main() {
+    try {
+        const { values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                update: { type: 'boolean' },
+                tolerance: { type: 'string' },
+                depth: { type: 'string' },
+                json: { type: 'string' },
+                'skip-missing': { type: 'boolean' },
+            },
+        })
+        const depth = values.depth === undefined ? DEFAULT_COMPONENT_DEPTH : Number(values.depth)
+        if (!Number.isInteger(depth) || depth < 1) {
+            throw new Error(`--depth must be a positive integer\n${USAGE}`)
+        }
+
+        const circuitsJson = JSON.parse(await fs.readFile(path.join(projectDir, 'circuits.json'), 'utf-8'))
+        for (const name of positionals) {
+            if (!circuitsJson[name]) {
+                throw new Error(`Circuit not found in circuits.json: ${name}`)
+            }
+        }
+        const selected = positionals.length > 0 ? positionals : Object.keys(circuitsJson)
+
+        const baseline = await readBaseline(projectDir)
+        const tolerance = values.tolerance === undefined ? baseline.tolerance : Number(values.tolerance)
+        if (!(tolerance >= 0)) {
+            throw new Error(`--tolerance must be a number >= 0\n${USAGE}`)
+        }
+
+        const reports = await metricsReports(circuitsJson, selected, projectDir, {
+            baseline,
+            tolerance,
+            depth,
+            skipMissing: values['skip-missing'] ?? false,
+        })
+        const measured = reports.filter(({ metrics }) => metrics !== null)
+        const skipped = reports.filter(({ metrics }) => metrics === null)
+
+        console.log('\n' + '='.repeat(60))
+        console.log(`${colors.cyan}Circuit metrics${colors.reset} (tolerance ${(tolerance * 100).toFixed(1)}%)`)
+        console.log('='.repeat(60))
+        for (const report of reports) {
+            printReport(report)
+        }
+        console.log()
+
+        if (values.json) {
+            const jsonPath = path.resolve(values.json)
+            await fs.mkdir(path.dirname(jsonPath), { recursive: true })
+            await fs.writeFile(jsonPath, JSON.stringify({ tolerance, circuits: reports }, null, 2) + '\n')
+            log.info(`JSON report written: ${jsonPath}`)
+        }
+
+        if (skipped.length > 0) {
+            log.warning(`Skipped ${skipped.length} circuit(s) without a build: ${skipped.map(({ circuitName }) => circuitName).join(', ')}`)
+        }
+        if (measured.length === 0) {
+            throw new Error('No compiled circuit to report, compile them first or drop --skip-missing')
+        }
+
+        if (values.update) {
+            // The baseline of a skipped circuit is kept as it is
+            for (const { circuitName, config, metrics } of measured) {
+                baseline.circuits[circuitName] = { config, ...metrics }
+            }
+            await writeBaseline(projectDir, baseline)
+            log.success(`Baseline updated: metrics/baseline.json (${measured.length} circuit(s))`)
+        } else {
+            const failed = measured.filter(({ comparison }) => comparison.status !== 'ok')
+            if (failed.length > 0) {
+                log.error(`Constraint guard failed: ${failed.map(({ circuitName }) => circuitName).join(', ')}`)
+                process.exit(1)
+            }
+            log.success(`All ${skipped.length > 0 ? 'reported ' : ''}circuits within their constraint baseline`)
+        }
+    } catch (error) {
+        log.error(error.message)
+        process.exit(1)
+    }
+
+    // snarkjs keeps its curve worker threads alive
+    process.exit(0)
+}
+
+// Only run as a script, metricsReports is also imported by the tests
+if (process.argv[1] === __filename) {
+    main()
+}
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * this script runs a local Phase-2 trusted setup ceremony for a circuit of circuits.json
+ * usage: node scripts/runCeremony.mjs <command> <circuit> [options]
+ *   init <circuit> [--force]                               compile, fetch the ptau, create the initial zkey
+ *   contribute <circuit> --name <name> [--entropy <text>]  add the next contribution (random entropy by default)
+ *   beacon <circuit> --hash <hex> [--iterations <n>]       apply the random beacon (2^n iterations, default 10)
+ *   verify <circuit>                                       verify the contribution chain
+ *   finalize <circuit>                                     verify, close the ceremony and export the transcript
+ *   transcript <circuit> [--out <file>]                    export the transcript again
+ * once finalized, `npm run verifier` builds the verifier from the ceremony's proving key
+ */
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import {
+    initCeremony,
+    contribute,
+    applyBeacon,
+    verifyCeremony,
+    finalizeCeremony,
+    exportTranscript,
+} from './ceremony.mjs'
+import { prepareCircuit } from './processCircuit.mjs'
+import { getProtocol } from './utils/protocol.mjs'
+import { log } from './utils/logger.mjs'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectDir = path.join(__dirname, '..')
+
+const USAGE = 'Usage: node scripts/runCeremony.mjs <init|contribute|beacon|verify|finalize|transcript> <circuit> [options]'
+
+// --key value pairs, a flag without value is true
+function parseOptions(args) {
+    const options = {}
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) {
+            throw new Error(`Unexpected argument: ${args[i]}`)
+        }
+        const key = args[i].slice(2)
+        if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+            options[key] = args[++i]
+        } else {
+            options[key] = true
+        }
+    }
+    return options
+}
+
+async function main() {
+    const [command, circuitName, ...args] = process.argv.slice(2)
+
+    try {
+        if (!command || !circuitName) {
+            throw new Error(USAGE)
+        }
+        const options = parseOptions(args)
+
+        const circuits = JSON.parse(await fs.readFile(path.join(projectDir, 'circuits.json'), 'utf-8'))
+        if (!circuits[circuitName]) {
+            throw new Error(`Circuit not found in circuits.json: ${circuitName}`)
+        }
+        const protocol = getProtocol(circuits[circuitName])
+        if (protocol !== 'groth16') {
+            throw new Error(`${circuitName} uses ${protocol}, a universal setup: Phase-2 ceremonies only apply to groth16`)
+        }
+
+        switch (command) {
+            case 'init': {
+                const { r1csPath, ptauPath } = await prepareCircuit(circuitName, circuits[circuitName], projectDir)
+                await initCeremony(circuitName, r1csPath, ptauPath, projectDir, { force: options.force === true })
+                break
+            }
+            case 'contribute':
+                await contribute(circuitName, projectDir, { name: options.name, entropy: options.entropy })
+                break
+            case 'beacon':
+                await applyBeacon(circuitName, projectDir, {
+                    beaconHash: options.hash,
+                    numIterationsExp: options.iterations ?? 10,
+                    name: options.name,
+                })
+                break
+            case 'verify':
+                if (!(await verifyCeremony(circuitName, projectDir))) {
+                    process.exit(1)
+                }
+                break
+            case 'finalize':
+                await finalizeCeremony(circuitName, projectDir)
+                break
+            case 'transcript':
+                await exportTranscript(circuitName, projectDir, options.out && path.resolve(options.out))
+                break
+            default:
+                throw new Error(`Unknown command: ${command}\n${USAGE}`)
+        }
+    } catch (error) {
+        log.error(error.message)
+        process.exit(1)
+    }
+
+    // snarkjs keeps its curve worker threads alive
+    process.exit(0)
+}
+
+main()
@@ -0,0 +1,139 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { createHash } from 'crypto'
+import { execCommand, hashFile } from './helpers.mjs'
+
+/**
+ * Content-addressed cache of the verifier pipeline
+ *
+ * Every stage is keyed on the hash of its inputs and recorded in build/<circuit>/manifest.json:
+ *   compile  - main wrapper + every included .circom file, the circuit config, the compiler version
+ *   info     - r1cs hash and protocol
+ *   ptau     - PTAU power, dev mode and PTAU settings
+ *   keys     - r1cs hash, ptau file and key mode (dev or ceremony)
+ *   verifier - vkey hash, contract name, template, params and dev mode
+ * A stage is skipped only when its recorded key equals the current one and its artifacts exist
+ * The manifest is the only record of what is fresh, the journal (buildJournal.mjs) only tells how far a run got
+ */
+
+const MANIFEST_VERSION = 1
+
+function hashString(str) {
+    return createHash('sha256').update(str).digest('hex')
+}
+
+// Stable JSON (sorted object keys) so equal inputs always hash the same
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`
+    }
+    return JSON.stringify(value)
+}
+
+export function hashCacheInputs(inputs) {
+    return hashString(canonicalJson(inputs))
+}
+
+function stripComments(source) {
+    return source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '')
+}
+
+// Entry file and every file it includes, transitively, relative to the including file
+// entrySource stands in for the entry file when it is not written yet (dry runs)
+export async function collectSources(entryPath, projectDir, entrySource) {
+    const sources = {}
+    const entry = path.resolve(entryPath)
+    const pending = [entry]
+
+    while (pending.length > 0) {
+        const filePath = pending.pop()
+        const relPath = path.relative(projectDir, filePath)
+        if (relPath in sources) continue
+
+        let content
+        try {
+            content = filePath === entry && entrySource !== undefined ? entrySource : await fs.readFile(filePath, 'utf-8')
+        } catch {
+            throw new Error(`Included file not found: ${relPath}`)
+        }
+        sources[relPath] = hashString(content)
+
+        for (const [, include] of stripComments(content).matchAll(/include\s+"([^"]+)"\s*;/g)) {
+            pending.push(path.resolve(path.dirname(filePath), include))
+        }
+    }
+
+    return Object.fromEntries(Object.entries(sources).sort(([a], [b]) => a.localeCompare(b)))
+}
+
+let compilerVersion
+export function getCompilerVersion(projectDir) {
+    if (compilerVersion === undefined) {
+        compilerVersion = execCommand('circom --version', projectDir).trim()
+    }
+    return compilerVersion
+}
+
+// Cache key of the compile stage, from the main wrapper written by generateMain
+// The protocol does not change the r1cs, only the keys built from it
+export async function compileInputs(circuitConfig, mainPath, projectDir, mainSource) {
+    const { protocol, ...config } = circuitConfig
+    const inputs = {
+        compiler: getCompilerVersion(projectDir),
+        config,
+        sources: await collectSources(mainPath, projectDir, mainSource),
+    }
+    return { key: hashCacheInputs(inputs), ...inputs }
+}
+
+export function manifestPath(circuitName, projectDir) {
+    return path.join(projectDir, 'build', circuitName, 'manifest.json')
+}
+
+export async function readManifest(circuitName, projectDir) {
+    try {
+        const manifest = JSON.parse(await fs.readFile(manifestPath(circuitName, projectDir), 'utf-8'))
+        if (manifest.version === MANIFEST_VERSION) return manifest
+    } catch (error) {
+        if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error
+    }
+    return { version: MANIFEST_VERSION, circuit: circuitName }
+}
+
+// Record one stage of the build, through a temporary file so a killed run never leaves half a manifest
+export async function writeStage(circuitName, projectDir, stage, entry) {
+    const manifest = await readManifest(circuitName, projectDir)
+    manifest[stage] = { ...entry, builtAt: new Date().toISOString() }
+    const filePath = manifestPath(circuitName, projectDir)
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.writeFile(`${filePath}.tmp`, JSON.stringify(manifest, null, 2) + '\n')
+    await fs.rename(`${filePath}.tmp`, filePath)
+    return manifest
+}
+
+// True when the stage was built from the same inputs and all its artifacts are still there
+export async function isStageFresh(circuitName, projectDir, stage, key) {
+    const manifest = await readManifest(circuitName, projectDir)
+    const entry = manifest[stage]
+    if (!entry || entry.key !== key) return false
+    try {
+        for (const artifact of Object.values(entry.artifacts || {})) {
+            await fs.access(path.join(projectDir, artifact.file))
+        }
+        return true
+    } catch {
+        return false
+    }
+}
+
+// { name: { file, sha256 } } for the manifest, paths relative to projectDir
+export async function describeArtifacts(artifacts, projectDir) {
+    const described = {}
+    for (const [name, filePath] of Object.entries(artifacts)) {
+        described[name] = { file: path.relative(projectDir, filePath), sha256: await hashFile(filePath) }
+    }
+    return described
+}
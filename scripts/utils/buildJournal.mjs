@@ -0,0 +1,72 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { isStageFresh, readManifest, writeStage } from './buildCache.mjs'
+import { log } from './logger.mjs'
+
+/**
+ * Step journal of the verifier pipeline: how far the last run got, and its peak memory
+ *
+ * build/<circuit>/journal.json records the status of every step (compile, info, ptau, keys, verifier):
+ *   running - started, not finished: the run was interrupted
+ *   done    - finished
+ * Whether a step is skipped is decided by the build manifest alone (buildCache.mjs), so an interrupted
+ * run resumes after the last step it recorded there
+ * The compile and keys steps check their own stage of the manifest
+ */
+
+export const STEPS = ['compile', 'info', 'ptau', 'keys', 'verifier']
+
+const JOURNAL_VERSION = 1
+
+export function journalPath(circuitName, projectDir) {
+    return path.join(projectDir, 'build', circuitName, 'journal.json')
+}
+
+export async function readJournal(circuitName, projectDir) {
+    try {
+        const journal = JSON.parse(await fs.readFile(journalPath(circuitName, projectDir), 'utf-8'))
+        if (journal.version === JOURNAL_VERSION) return journal
+    } catch (error) {
+        if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) throw error
+    }
+    return { version: JOURNAL_VERSION, circuit: circuitName, steps: {} }
+}
+
+// Update the journal through a temporary file, a killed run never leaves half a journal
+export async function updateJournal(circuitName, projectDir, update) {
+    const journal = await readJournal(circuitName, projectDir)
+    update(journal)
+    journal.updatedAt = new Date().toISOString()
+
+    const filePath = journalPath(circuitName, projectDir)
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.writeFile(`${filePath}.tmp`, JSON.stringify(journal, null, 2) + '\n')
+    await fs.rename(`${filePath}.tmp`, filePath)
+    return journal
+}
+
+// Run one step, or return the result its manifest stage recorded for the same key
+//   key     - hash of the step inputs, null for a step that checks its own stage (compile, keys)
+//   isValid - optional check of a recorded result (e.g. its file still exists)
+export async function runStep(circuitName, projectDir, step, key, fn, isValid = async () => true) {
+    if (key !== null && (await isStageFresh(circuitName, projectDir, step, key))) {
+        const { result } = (await readManifest(circuitName, projectDir))[step]
+        if (await isValid(result)) {
+            log.success(`Resuming ${circuitName}: ${step} already done`)
+            return result
+        }
+    }
+
+    const startedAt = new Date().toISOString()
+    await updateJournal(circuitName, projectDir, (journal) => {
+        journal.steps[step] = { status: 'running', startedAt }
+    })
+    const result = await fn()
+    if (key !== null) {
+        await writeStage(circuitName, projectDir, step, { key, result })
+    }
+    await updateJournal(circuitName, projectDir, (journal) => {
+        journal.steps[step] = { status: 'done', startedAt, finishedAt: new Date().toISOString() }
+    })
+    return result
+}
@@ -0,0 +1,153 @@
+import fs from 'fs/promises'
+import { createReadStream } from 'fs'
+import path from 'path'
+import readline from 'readline'
+import * as snarkjs from 'snarkjs'
+import { readManifest } from './buildCache.mjs'
+import { keyPaths } from './protocol.mjs'
+
+/**
+ * Circuit metrics and the committed baseline they are checked against
+ *
+ * metrics/baseline.json:
+ *   tolerance - allowed constraint growth over the baseline, 0.05 = 5%
+ *   circuits  - per circuit: constraints, wires, inputs, zkey size and the component breakdown
+ */
+
+const BASELINE_VERSION = 1
+export const DEFAULT_TOLERANCE = 0.05
+export const DEFAULT_COMPONENT_DEPTH = 3
+
+export function baselinePath(projectDir) {
+    return path.join(projectDir, 'metrics', 'baseline.json')
+}
+
+// Component path of a signal name, array indices dropped: main.hashers[2].out -> main.hashers
+function componentOf(signalName) {
+    return signalName.replace(/\[[^\]]*\]/g, '').split('.').slice(0, -1).join('.')
+}
+
+// Component of every wire from the .sym file (label,wire,component,name)
+// A wire shared by several components (connected signals) belongs to the deepest one
+async function readWireComponents(symPath) {
+    const components = []
+    const lines = readline.createInterface({ input: createReadStream(symPath), crlfDelay: Infinity })
+    for await (const line of lines) {
+        const [, wire, , name] = line.split(',')
+        const index = Number(wire)
+        if (!name || index < 0) continue
+
+        const component = componentOf(name)
+        const current = components[index]
+        if (current === undefined || component.split('.').length > current.split('.').length) {
+            components[index] = component
+        }
+    }
+    return components
+}
+
+// Constraints per component, including those of its subcomponents, down to `depth` levels
+// A constraint is counted for the component of its newest wire: the signal the template created it for
+export function componentBreakdown(constraints, wireComponents, depth = DEFAULT_COMPONENT_DEPTH) {
+    const counts = {}
+    for (const constraint of constraints) {
+        let newest = 0
+        for (const lc of constraint) {
+            for (const wire of Object.keys(lc)) {
+                newest = Math.max(newest, Number(wire))
+            }
+        }
+        const segments = (wireComponents[newest] || 'main').split('.')
+        for (let d = 1; d <= Math.min(depth, segments.length); d++) {
+            const component = segments.slice(0, d).join('.')
+            counts[component] = (counts[component] || 0) + 1
+        }
+    }
+    return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)))
+}
+
+// Size of the proving key, when the manifest records it was built from the current r1cs
+async function zkeySize(circuitName, projectDir, protocol) {
+    const { compile, keys } = await readManifest(circuitName, projectDir)
+    const zkeyPath = keyPaths(path.join(projectDir, 'build', circuitName), protocol).zkeyPath
+    if (!compile || !keys || keys.r1cs !== compile.artifacts.r1cs.sha256) {
+        return null
+    }
+    try {
+        return (await fs.stat(zkeyPath)).size
+    } catch (error) {
+        if (error.code === 'ENOENT') return null
+        throw error
+    }
+}
+
+// True when build/<circuit>/ holds the r1cs and sym files collectMetrics reads, whoever compiled them
+export async function isBuilt(circuitName, projectDir) {
+    const buildDir = path.join(projectDir, 'build', circuitName)
+    try {
+        await fs.access(path.join(buildDir, `${circuitName}.r1cs`))
+        await fs.access(path.join(buildDir, `${circuitName}.sym`))
+        return true
+    } catch {
+        return false
+    }
+}
+
+// Metrics of a compiled circuit in build/<circuit>/, zkeySize is null until its keys are generated
+export async function collectMetrics(circuitName, projectDir, protocol = 'groth16', options = {}) {
+    const buildDir = path.join(projectDir, 'build', circuitName)
+    const info = await snarkjs.r1cs.info(path.join(buildDir, `${circuitName}.r1cs`))
+    const wireComponents = await readWireComponents(path.join(buildDir, `${circuitName}.sym`))
+
+    return {
+        protocol,
+        constraints: info.nConstraints,
+        wires: info.nVars,
+        labels: info.nLabels,
+        outputs: info.nOutputs,
+        publicInputs: info.nPubInputs,
+        privateInputs: info.nPrvInputs,
+        zkeySize: await zkeySize(circuitName, projectDir, protocol),
+        components: componentBreakdown(info.constraints, wireComponents, options.depth),
+    }
+}
+
+export async function readBaseline(projectDir) {
+    try {
+        const baseline = JSON.parse(await fs.readFile(baselinePath(projectDir), 'utf-8'))
+        if (baseline.version !== BASELINE_VERSION) {
+            throw new Error(`Unsupported metrics baseline version ${baseline.version}, expected ${BASELINE_VERSION}`)
+        }
+        return baseline
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+        return { version: BASELINE_VERSION, tolerance: DEFAULT_TOLERANCE, circuits: {} }
+    }
+}
+
+export async function writeBaseline(projectDir, baseline) {
+    await fs.mkdir(path.dirname(baselinePath(projectDir)), { recursive: true })
+    await fs.writeFile(baselinePath(projectDir), JSON.stringify(baseline, null, 2) + '\n')
+}
+
+// Compare a circuit's metrics with its baseline entry
+//   status: new (no baseline), regression (constraints above baseline * (1 + tolerance)), ok
+//   grown:  components that gained constraints, largest growth first
+export function compareMetrics(baseline, current, tolerance = DEFAULT_TOLERANCE) {
+    if (!baseline) {
+        return { status: 'new', limit: null, delta: null, grown: [] }
+    }
+
+    const limit = Math.floor(baseline.constraints * (1 + tolerance))
+    const grown = Object.entries(current.components)
+        .map(([component, count]) => ({ component, baseline: baseline.components?.[component] ?? 0, current: count }))
+        .filter(({ baseline, current }) => current > baseline)
+        .sort((a, b) => (b.current - b.baseline) - (a.current - a.baseline))
+
+    return {
+        status: current.constraints > limit ? 'regression' : 'ok',
+        limit,
+        delta: current.constraints - baseline.constraints,
+        grown,
+    }
+}
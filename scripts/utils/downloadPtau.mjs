@@ -1,28 +1,264 @@
 import fs from 'fs/promises'
 import path from 'path'
-import { execCommand } from './helpers.mjs'
+import { randomBytes } from 'crypto'
+import * as snarkjs from 'snarkjs'
+import { buildBn128 } from 'ffjavascript'
+import { execCommand, hashFile, withFileLock } from './helpers.mjs'
+import { plonkConstraintCount } from './protocol.mjs'
 import { log } from './logger.mjs'
 
-// Download PTAU file if not exists
-export async function downloadPtau(ptauFile, projectDir) {
-    const ptauDir = path.join(projectDir, 'ptau')
-    const ptauPath = path.join(ptauDir, ptauFile)
+/**
+ * PTAU manager
+ *
+ * Files of the Hermez powers-of-tau ceremony are looked up, in order:
+ *   1. in the local PTAU directory (PTAU_DIR, default ptau/) and a local PTAU_MIRROR directory,
+ *      the smallest file with enough powers is used
+ *   2. on the PTAU_MIRROR URL (default Hermez/zkEVM bucket), unless PTAU_OFFLINE=1
+ * and checked against their published blake2b hash before use.
+ * In dev mode only, a local powers-of-tau is generated with snarkjs as a last resort.
+ */
 
-    // Check if ptau file exists
+export const PTAU_MIRROR_URL = 'https://storage.googleapis.com/zkevm/ptau'
+export const MIN_PTAU_POWER = 8
+export const MAX_PTAU_POWER = 28
+
+// Largest power generated locally for dev: preparePhase2 gets slow beyond it
+export const MAX_DEV_PTAU_POWER = 16
+
+// blake2b-512 of powersOfTau28_hez_final_<power>.ptau, as published in the snarkjs README
+export const PTAU_BLAKE2B = {
+    8: 'd6a8fb3a04feb600096c3b791f936a578c4e664d262e4aa24beed1b7a9a96aa5eb72864d628db247e9293384b74b36ffb52ca8d148d6e1b8b51e279fdf57b583',
+    9: '94f108a80e81b5d932d8e8c9e8fd7f46cf32457e31462deeeef37af1b71c2c1b3c71fb0d9b59c654ec266b042735f50311f9fd1d4cadce47ab234ad163157cb5',
+    10: '6cfeb8cda92453099d20120bdd0e8a5c4e7706c2da9a8f09ccc157ed2464d921fd0437fb70db42104769efd7d6f3c1f964bcf448c455eab6f6c7d863e88a5849',
+    11: '47c282116b892e5ac92ca238578006e31a47e7c7e70f0baa8b687f0a5203e28ea07bbbec765a98dcd654bad618475d4661bfaec3bd9ad2ed12e7abc251d94d33',
+    12: 'ded2694169b7b08e898f736d5de95af87c3f1a64594013351b1a796dbee393bd825f88f9468c84505ddd11eb0b1465ac9b43b9064aa8ec97f2b73e04758b8a4a',
+    13: '58efc8bf2834d04768a3d7ffcd8e1e23d461561729beaac4e3e7a47829a1c9066d5320241e124a1a8e8aa6c75be0ba66f65bc8239a0542ed38e11276f6fdb4d9',
+    14: 'eeefbcf7c3803b523c94112023c7ff89558f9b8e0cf5d6cdcba3ade60f168af4a181c9c21774b94fbae6c90411995f7d854d02ebd93fb66043dbb06f17a831c1',
+    15: '982372c867d229c236091f767e703253249a9b432c1710b4f326306bfa2428a17b06240359606cfe4d580b10a5a1f63fbed499527069c18ae17060472969ae6e',
+    16: '6a6277a2f74e1073601b4f9fed6e1e55226917efb0f0db8a07d98ab01df1ccf43eb0e8c3159432acd4960e2f29fe84a4198501fa54c8dad9e43297453efec125',
+    17: '6247a3433948b35fbfae414fa5a9355bfb45f56efa7ab4929e669264a0258976741dfbe3288bfb49828e5df02c2e633df38d2245e30162ae7e3bcca5b8b49345',
+    18: '7e6a9c2e5f05179ddfc923f38f917c9e6831d16922a902b0b4758b8e79c2ab8a81bb5f29952e16ee6c5067ed044d7857b5de120a90704c1d3b637fd94b95b13e',
+    19: 'bca9d8b04242f175189872c42ceaa21e2951e0f0f272a0cc54fc37193ff6648600eaf1c555c70cdedfaf9fb74927de7aa1d33dc1e2a7f1a50619484989da0887',
+    20: '89a66eb5590a1c94e3f1ee0e72acf49b1669e050bb5f93c73b066b564dca4e0c7556a52b323178269d64af325d8fdddb33da3a27c34409b821de82aa2bf1a27b',
+    21: '9aef0573cef4ded9c4a75f148709056bf989f80dad96876aadeb6f1c6d062391f07a394a9e756d16f7eb233198d5b69407cca44594c763ab4a5b67ae73254678',
+    22: '0d64f63dba1a6f11139df765cb690da69d9b2f469a1ddd0de5e4aa628abb28f787f04c6a5fb84a235ec5ea7f41d0548746653ecab0559add658a83502d1cb21b',
+    23: '3063a0bd81d68711197c8820a92466d51aeac93e915f5136d74f63c394ee6d88c5e8016231ea6580bec02e25d491f319d92e77f5c7f46a9caa8f3b53c0ea544f',
+    24: 'fa404d140d5819d39984833ca5ec3632cd4995f81e82db402371a4de7c2eae8687c62bc632a95b0c6aadba3fb02680a94e09174b7233ccd26d78baca2647c733',
+    25: '0377d860cdb09a8a31ea1b0b8c04335614c8206357181573bf294c25d5ca7dff72387224fbd868897e6769f7805b3dab02854aec6d69d7492883b5e4e5f35eeb',
+    26: '418dee4a74b9592198bd8fd02ad1aea76f9cf3085f206dfd7d594c9e264ae919611b1459a1cc920c2f143417744ba9edd7b8d51e44be9452344a225ff7eead19',
+    27: '10ffd99837c512ef99752436a54b9810d1ac8878d368fb4b806267bdd664b4abf276c9cd3c4b9039a1fa4315a0c326c0e8e9e8fe0eb588ffd4f9021bf7eae1a1',
+    28: '55c77ce8562366c91e7cda394cf7b7c15a06c12d8c905e8b36ba9cf5e13eb37d1a429c589e8eaba4c591bc4b88a0e2828745a53e170eac300236f5c1a326f41a',
+}
+
+// Power of the PTAU the snarkjs setup of the protocol needs for a circuit
+//   groth16 (newZKey): 2^power > nConstraints + nPubInputs + nOutputs
+//   plonk (setup):     2^power >= domain of the PLONK gates
+//   fflonk (setup):    the PTAU holds 9 * domain + 18 G1 points, 2^(power+1) - 1 of them
+export function requiredPtauPower(info, protocol = 'groth16') {
+    let power
+    if (protocol === 'groth16') {
+        power = Math.floor(Math.log2(info.nConstraints + info.nPubInputs + info.nOutputs)) + 1
+    } else {
+        const gates = plonkConstraintCount(info)
+        if (protocol === 'plonk') {
+            power = Math.max(3, Math.floor(Math.log2(gates - 1)) + 1)
+        } else {
+            const domain = 2 ** Math.max(3, Math.floor(Math.log2(gates + 1)) + 1)
+            power = Math.ceil(Math.log2(9 * domain + 19)) - 1
+        }
+    }
+    return Math.max(MIN_PTAU_POWER, power)
+}
+
+// Hermez file name, the full 2^28 file has no suffix
+export function ptauFileName(power) {
+    if (power === MAX_PTAU_POWER) return 'powersOfTau28_hez_final.ptau'
+    return `powersOfTau28_hez_final_${String(power).padStart(2, '0')}.ptau`
+}
+
+export function devPtauFileName(power) {
+    return `powersOfTau_dev_${String(power).padStart(2, '0')}.ptau`
+}
+
+export function ptauSettings(projectDir, env = process.env) {
+    const mirror = env.PTAU_MIRROR || PTAU_MIRROR_URL
+    const isUrl = /^https?:\/\//.test(mirror)
+    return {
+        ptauDir: path.resolve(projectDir, env.PTAU_DIR || 'ptau'),
+        mirrorUrl: isUrl ? mirror.replace(/\/$/, '') : null,
+        mirrorDir: isUrl ? null : path.resolve(projectDir, mirror),
+        offline: env.PTAU_OFFLINE === '1' || env.PTAU_OFFLINE === 'true',
+    }
+}
+
+async function exists(filePath) {
     try {
-        await fs.access(ptauPath)
-        log.success(`PTAU file already exists: ${ptauFile}`)
-        return ptauPath
+        await fs.access(filePath)
+        return true
     } catch {
-        log.info(`Downloading PTAU file: ${ptauFile}`)
-        await fs.mkdir(ptauDir, { recursive: true })
+        return false
+    }
+}
+
+// Throw unless the file matches the published hash of its power
+export async function verifyPtau(ptauPath, power) {
+    const expected = PTAU_BLAKE2B[power]
+    const actual = await hashFile(ptauPath, 'blake2b512')
+    if (actual !== expected) {
+        throw new Error(
+            `PTAU file ${ptauPath} does not match the known blake2b hash of power ${power}\n` +
+            `  expected: ${expected}\n  actual:   ${actual}`
+        )
+    }
+}
+
+// Known PTAU files present in the local directories: [{ power, ptauPath }]
+export async function findLocalPtau(settings) {
+    const found = []
+    for (const dir of [settings.ptauDir, settings.mirrorDir].filter(Boolean)) {
+        for (let power = MIN_PTAU_POWER; power <= MAX_PTAU_POWER; power++) {
+            const ptauPath = path.join(dir, ptauFileName(power))
+            if (await exists(ptauPath)) {
+                found.push({ power, ptauPath })
+            }
+        }
+    }
+    return found.sort((a, b) => a.power - b.power)
+}
+
+// Smallest dev PTAU in PTAU_DIR/dev with at least `power` powers: { power, ptauPath } or null
+async function findDevPtau(settings, power) {
+    for (let devPower = power; devPower <= MAX_DEV_PTAU_POWER; devPower++) {
+        const ptauPath = path.join(settings.ptauDir, 'dev', devPtauFileName(devPower))
+        if (await exists(ptauPath)) {
+            return { power: devPower, ptauPath }
+        }
+    }
+    return null
+}
 
-        const power = ptauFile.match(/final_(\d+)\.ptau/)[1]
-        const url = `https://hermez.s3-eu-west-1.amazonaws.com/${ptauFile}`
+async function fetchPtau(power, settings) {
+    const ptauFile = ptauFileName(power)
+    const ptauPath = path.join(settings.ptauDir, ptauFile)
+    const partPath = `${ptauPath}.part`
+    const url = `${settings.mirrorUrl}/${ptauFile}`
 
-        log.step(`Downloading from ${url}`)
-        execCommand(`curl -o ${ptauPath} ${url}`, projectDir)
-        log.success(`Downloaded: ${ptauFile}`)
+    await fs.mkdir(settings.ptauDir, { recursive: true })
+    log.step(`Downloading from ${url}`)
+    try {
+        execCommand(`curl -fL -o ${partPath} ${url}`, settings.ptauDir)
+        await verifyPtau(partPath, power)
+    } catch (error) {
+        await fs.rm(partPath, { force: true })
+        throw error
+    }
+    await fs.rename(partPath, ptauPath)
+    log.success(`Downloaded: ${ptauFile}`)
+    return ptauPath
+}
+
+// Local powers-of-tau for development: one random contribution, NOT a trusted setup
+export async function generateDevPtau(power, ptauDir) {
+    if (power > MAX_DEV_PTAU_POWER) {
+        throw new Error(`Dev PTAU generation is limited to power ${MAX_DEV_PTAU_POWER}, power ${power} needed`)
+    }
+    const ptauPath = path.join(ptauDir, 'dev', devPtauFileName(power))
+    if (await exists(ptauPath)) {
+        log.warning(`Using dev PTAU: ${ptauPath}`)
         return ptauPath
     }
+
+    log.step(`Generating dev PTAU of power ${power} (this may take a while)...`)
+    await fs.mkdir(path.dirname(ptauPath), { recursive: true })
+    const phase1 = [`${ptauPath}.0000`, `${ptauPath}.0001`]
+    const curve = await buildBn128()
+    try {
+        await snarkjs.powersOfTau.newAccumulator(curve, power, phase1[0])
+        await snarkjs.powersOfTau.contribute(phase1[0], phase1[1], 'dev', randomBytes(64).toString('hex'))
+        await snarkjs.powersOfTau.preparePhase2(phase1[1], `${ptauPath}.part`)
+        await fs.rename(`${ptauPath}.part`, ptauPath)
+    } finally {
+        await curve.terminate()
+        for (const file of [...phase1, `${ptauPath}.part`]) {
+            await fs.rm(file, { force: true })
+        }
+    }
+    log.warning(`Generated dev PTAU (not a trusted setup): ${ptauPath}`)
+    return ptauPath
+}
+
+// Where resolvePtau takes the PTAU of a power from, without verifying, downloading or generating it
+//   local    - smallest known file with enough powers in PTAU_DIR or a PTAU_MIRROR directory
+//   dev      - options.dev only: a dev file of PTAU_DIR/dev with enough powers, before any download,
+//              or generated there when there is nothing to download
+//   download - fetched from the PTAU_MIRROR URL into PTAU_DIR
+//   missing  - none of the above
+export async function locatePtau(power, projectDir, options = {}) {
+    const settings = ptauSettings(projectDir, options.env)
+    if (power > MAX_PTAU_POWER) {
+        return { source: 'missing', power }
+    }
+
+    const local = (await findLocalPtau(settings)).filter((file) => file.power >= power)
+    if (local.length > 0) {
+        return { source: 'local', ...local[0] }
+    }
+    const dev = options.dev ? await findDevPtau(settings, power) : null
+    if (dev) {
+        return { source: 'dev', ...dev }
+    }
+    if (!settings.offline && settings.mirrorUrl) {
+        const ptauFile = ptauFileName(power)
+        return { source: 'download', power, ptauPath: path.join(settings.ptauDir, ptauFile), url: `${settings.mirrorUrl}/${ptauFile}` }
+    }
+    if (options.dev) {
+        return { source: 'dev', power, ptauPath: path.join(settings.ptauDir, 'dev', devPtauFileName(power)) }
+    }
+    return { source: 'missing', power }
+}
+
+async function useLocalPtau(location, power) {
+    await verifyPtau(location.ptauPath, location.power)
+    log.success(`PTAU file verified: ${location.ptauPath}${location.power > power ? ` (power ${location.power} >= ${power})` : ''}`)
+    return location.ptauPath
+}
+
+// Resolve a verified PTAU file with at least `power` powers
+//   options.dev - use a dev PTAU of PTAU_DIR/dev when no local Hermez file is large enough, generate one when none can be downloaded
+export async function resolvePtau(power, projectDir, options = {}) {
+    if (power > MAX_PTAU_POWER) {
+        throw new Error(
+            `Circuit needs 2^${power} powers of tau, the largest PTAU file is 2^${MAX_PTAU_POWER} ` +
+            `(${ptauFileName(MAX_PTAU_POWER)})`
+        )
+    }
+    const settings = ptauSettings(projectDir, options.env)
+    let location = await locatePtau(power, projectDir, options)
+
+    // Another build may be fetching or generating the same file: wait for it, then look again
+    if (location.source === 'download' || location.source === 'dev') {
+        const lockPath = path.join(settings.ptauDir, `.${path.basename(location.ptauPath)}.lock`)
+        return withFileLock(lockPath, async () => {
+            location = await locatePtau(power, projectDir, options)
+            if (location.source === 'download') {
+                log.info(`Fetching PTAU file: ${ptauFileName(power)}`)
+                return fetchPtau(power, settings)
+            }
+            if (location.source === 'dev') {
+                // Reuses the file when it already exists
+                return generateDevPtau(location.power, settings.ptauDir)
+            }
+            return useLocalPtau(location, power)
+        })
+    }
+    if (location.source === 'local') {
+        return useLocalPtau(location, power)
+    }
+
+    const largest = (await findLocalPtau(settings)).pop()
+    throw new Error(
+        `No PTAU file with power >= ${power} in ${[settings.ptauDir, settings.mirrorDir].filter(Boolean).join(', ')}` +
+        (largest ? ` (largest: ${path.basename(largest.ptauPath)})` : '') +
+        ` and downloads are disabled. Copy ${ptauFileName(power)} there, or pass --dev for a local dev PTAU`
+    )
 }
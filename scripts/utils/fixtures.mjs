@@ -0,0 +1,140 @@
+import path from 'path'
+import * as snarkjs from 'snarkjs'
+import { RollupState } from '../../src/rollup/rollupState.js'
+import { ScoreTree } from '../../src/v2/scoreTree.js'
+
+/**
+ * Proof fixtures for the Solidity verifiers, written to verifiers/fixtures/<circuit>.json
+ *
+ *   valid   - a proof of a sample input, as exportSolidityCallData writes it (calldata) and parsed (args)
+ *   invalid - the same proof tampered with, every one rejected by the verification key
+ * Sample inputs are built with the JS companions of the circuits in src/, per circuit template
+ */
+
+export const FIXTURES_VERSION = 1
+
+// BN254 base field (proof point coordinates) and scalar field (public signals, evaluations)
+const FQ = 21888242871839275222246405745257275088696311157297823662689037894645226208583n
+const FR = 21888242871839275222246405745257275088548364400416034343698204186575808495617n
+
+export function fixturesPath(circuitName, projectDir) {
+    return path.join(projectDir, 'verifiers', 'fixtures', `${circuitName}.json`)
+}
+
+// Sample input of ProveScoreThreshold(nLevels, nBits): a score of 300 proven above 250
+async function scoreThresholdInput([nLevels, nBits]) {
+    const scoreTree = new ScoreTree(nLevels)
+    await scoreTree.buildUpdate(
+        [
+            [1, 100],
+            [2, 200],
+            [3, 300],
+        ],
+        3
+    )
+    return scoreTree.thresholdInput(3, 250, nBits)
+}
+
+// Sample input of BatchMain(nTx, nLevels): create, deposit, vouch and withdraw, padded with NOP txs
+async function batchMainInput([nTx, nLevels]) {
+    const state = new RollupState(nLevels)
+    const accounts = Math.min(2, 2 ** nLevels - 1)
+    const txs = []
+    for (let idx = 1; idx <= accounts; idx++) {
+        txs.push({ type: 'createAccount', from: idx, amount: 100 })
+    }
+    txs.push({ type: 'deposit', from: 1, amount: 5 })
+    if (accounts > 1) {
+        txs.push({ type: 'vouch', from: 1, to: 2 })
+    }
+    txs.push({ type: 'withdraw', from: 1, amount: 3 })
+
+    const { input } = await state.buildBatch(txs.slice(0, nTx), nTx, [[1, 500]])
+    return input
+}
+
+const SAMPLE_INPUTS = {
+    ProveScoreThreshold: scoreThresholdInput,
+    BatchMain: batchMainInput,
+}
+
+// Sample input of a circuits.json entry, from the builder of its template
+export async function sampleInput(circuitConfig) {
+    const build = SAMPLE_INPUTS[circuitConfig.template]
+    if (!build) {
+        throw new Error(
+            `No sample input for template ${circuitConfig.template}, add one to SAMPLE_INPUTS in scripts/utils/fixtures.mjs`
+        )
+    }
+    return build(circuitConfig.params ?? [])
+}
+
+// Proof points and evaluations the tampered fixtures modify, per protocol (paths in the snarkjs proof object)
+const PROOF_FIELDS = {
+    groth16: { points: ['pi_a', 'pi_c'], evaluation: null },
+    plonk: { points: ['A', 'Wxi'], evaluation: 'eval_a' },
+    fflonk: { points: ['polynomials.C1', 'polynomials.W1'], evaluation: 'evaluations.a' },
+}
+
+function getField(proof, fieldPath) {
+    return fieldPath.split('.').reduce((object, key) => object[key], proof)
+}
+
+function withField(proof, fieldPath, value) {
+    const copy = structuredClone(proof)
+    const keys = fieldPath.split('.')
+    const parent = keys.slice(0, -1).reduce((object, key) => object[key], copy)
+    parent[keys[keys.length - 1]] = value
+    return copy
+}
+
+// Tampered variants of a proof: each stays well formed (points on the curve, values in the field),
+// so the verifier reaches its checks and returns false instead of reverting
+export function tamperProof(protocol, proof, publicSignals) {
+    const { points, evaluation } = PROOF_FIELDS[protocol]
+    const [first, second] = points
+    const tampered = []
+
+    if (publicSignals.length > 0) {
+        const flipped = [...publicSignals]
+        flipped[0] = ((BigInt(flipped[0]) + 1n) % FR).toString()
+        tampered.push({
+            name: 'public_signal_flipped',
+            description: 'public signal 0 incremented by one',
+            proof,
+            publicSignals: flipped,
+        })
+    }
+
+    const [x, y, z] = getField(proof, first)
+    tampered.push({
+        name: 'proof_point_negated',
+        description: `${first} replaced by its negation`,
+        proof: withField(proof, first, [x, ((FQ - BigInt(y)) % FQ).toString(), z]),
+        publicSignals,
+    })
+    tampered.push({
+        name: 'proof_point_swapped',
+        description: `${second} replaced by ${first}`,
+        proof: withField(proof, second, getField(proof, first)),
+        publicSignals,
+    })
+
+    if (evaluation) {
+        tampered.push({
+            name: 'proof_evaluation_changed',
+            description: `${evaluation} incremented by one`,
+            proof: withField(proof, evaluation, ((BigInt(getField(proof, evaluation)) + 1n) % FR).toString()),
+            publicSignals,
+        })
+    }
+    return tampered
+}
+
+export async function fullProve(protocol, input, wasmPath, zkeyPath) {
+    return snarkjs[protocol].fullProve(input, wasmPath, zkeyPath)
+}
+
+export async function verifyProof(protocol, vkey, proof, publicSignals) {
+    return snarkjs[protocol].verify(vkey, publicSignals, proof)
+}
@@ -2,6 +2,25 @@ import fs from 'fs/promises'
 import path from 'path'
 import { log } from './logger.mjs'
 
+// Source of the main wrapper of a circuits.json entry
+// inputs listed in "pubs" (as in circomkit) become public signals, after the outputs
+export function mainSource(circuitConfig) {
+    const { file, template, params, pubs } = circuitConfig
+    const paramsStr = params ? params.join(', ') : ''
+    const publicStr = pubs?.length ? ` {public [${pubs.join(', ')}]}` : ''
+    return `pragma circom 2.0.0;
+
+include "../${file}.circom";
+
+component main${publicStr} = ${template}(${paramsStr});
+`
+}
+
+// circuits/main/<circuit>.circom
+export function mainPath(circuitName, projectDir) {
+    return path.join(projectDir, 'circuits', 'main', `${circuitName}.circom`)
+}
+
 /**
  * Generate a main wrapper file for a circuit
  * @param {string} circuitName - Name of the circuit
@@ -9,26 +28,15 @@ import { log } from './logger.mjs'
  * @param {string} projectDir - Project root directory
  */
 export async function generateMain(circuitName, circuitConfig, projectDir) {
-    const { file, template, params } = circuitConfig
-
     // Generate the main wrapper content
-    const paramsStr = params ? params.join(', ') : ''
-    const content = `pragma circom 2.0.0;
-
-include "../${file}.circom";
-
-component main = ${template}(${paramsStr});
-`
+    const content = mainSource(circuitConfig)
 
     // Write the file
-    const mainDir = path.join(projectDir, 'circuits', 'main')
-    await fs.mkdir(mainDir, { recursive: true })
-    
-    const outputPath = path.join(mainDir, `${circuitName}.circom`)
+    const outputPath = mainPath(circuitName, projectDir)
+    await fs.mkdir(path.dirname(outputPath), { recursive: true })
     await fs.writeFile(outputPath, content, 'utf-8')
     
     log.success(`Generated main wrapper: ${outputPath}`)
     
     return outputPath
 }
-
@@ -1,3 +1,4 @@
+import fs from 'fs/promises'
 import * as snarkjs from 'snarkjs'
 import { log } from './logger.mjs'
 
@@ -15,3 +16,54 @@ export async function getCircuitInfo(r1csPath) {
 
     return info
 }
+
+// r1cs section holding the circuit sizes
+const R1CS_HEADER_SECTION = 1
+
+// Sizes of a circuit from the r1cs header alone, without loading its constraints
+// Layout from iden3 r1csfile: "r1cs" | version (u32) | nSections (u32) | sections: type (u32) | size (u64) | data
+//   header data: n8 (u32) | prime (n8 bytes) | nVars | nOutputs | nPubInputs | nPrvInputs (u32) | nLabels (u64) | nConstraints (u32)
+export async function readR1csHeader(r1csPath) {
+    const file = await fs.open(r1csPath, 'r')
+
+    try {
+        const read = async (position, length) => {
+            const buffer = Buffer.alloc(length)
+            const { bytesRead } = await file.read(buffer, 0, length, position)
+            if (bytesRead !== length) {
+                throw new Error(`Unexpected end of file: ${r1csPath}`)
+            }
+            return buffer
+        }
+
+        const header = await read(0, 12)
+        if (header.toString('ascii', 0, 4) !== 'r1cs') {
+            throw new Error(`Not an r1cs file: ${r1csPath}`)
+        }
+        const nSections = header.readUInt32LE(8)
+
+        let position = 12
+        for (let i = 0; i < nSections; i++) {
+            const sectionHeader = await read(position, 12)
+            const type = sectionHeader.readUInt32LE(0)
+            const size = Number(sectionHeader.readBigUInt64LE(4))
+            if (type === R1CS_HEADER_SECTION) {
+                const data = await read(position + 12, size)
+                const n8 = data.readUInt32LE(0)
+                const fields = 4 + n8
+                return {
+                    nVars: data.readUInt32LE(fields),
+                    nOutputs: data.readUInt32LE(fields + 4),
+                    nPubInputs: data.readUInt32LE(fields + 8),
+                    nPrvInputs: data.readUInt32LE(fields + 12),
+                    nLabels: Number(data.readBigUInt64LE(fields + 16)),
+                    nConstraints: data.readUInt32LE(fields + 24),
+                }
+            }
+            position += 12 + size
+        }
+        throw new Error(`No header section in r1cs: ${r1csPath}`)
+    } finally {
+        await file.close()
+    }
+}
@@ -1,4 +1,8 @@
 import { execSync } from 'child_process'
+import { createHash } from 'crypto'
+import { createReadStream } from 'fs'
+import fs from 'fs/promises'
+import path from 'path'
 
 // Convert snake_case to PascalCase
 export function toPascalCase(str) {
@@ -21,9 +25,46 @@ export function execCommand(cmd, cwd) {
     }
 }
 
-// Get PTAU file for a given constraint count
-export function getPtauFile(constraintCount) {
-    // Calculate the power of 2 needed
-    const power = Math.ceil(Math.log2(constraintCount))
-    return `powersOfTau28_hez_final_${power}.ptau`
+// Hash a file without loading it in memory (ptau and zkey files can be GBs)
+export async function hashFile(filePath, algorithm = 'sha256') {
+    const hash = createHash(algorithm)
+    for await (const chunk of createReadStream(filePath)) {
+        hash.update(chunk)
+    }
+    return hash.digest('hex')
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0)
+        return true
+    } catch (error) {
+        return error.code === 'EPERM'
+    }
+}
+
+// Run fn while holding a lock file, so parallel builds never write the same file at once
+// A lock left behind by a process that no longer runs is taken over
+export async function withFileLock(lockPath, fn, { pollMs = 1000 } = {}) {
+    await fs.mkdir(path.dirname(lockPath), { recursive: true })
+    for (;;) {
+        try {
+            await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' })
+            break
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error
+            const owner = Number(await fs.readFile(lockPath, 'utf-8').catch(() => ''))
+            if (owner && !isProcessAlive(owner)) {
+                await fs.rm(lockPath, { force: true })
+                continue
+            }
+            await new Promise((resolve) => setTimeout(resolve, pollMs))
+        }
+    }
+
+    try {
+        return await fn()
+    } finally {
+        await fs.rm(lockPath, { force: true })
+    }
 }
@@ -0,0 +1,68 @@
+import path from 'path'
+import { toPascalCase } from './helpers.mjs'
+
+// Proving systems a circuits.json entry can select with "protocol"
+export const PROTOCOLS = ['groth16', 'plonk', 'fflonk']
+export const DEFAULT_PROTOCOL = 'groth16'
+
+// Contract names of the snarkjs Solidity templates
+const TEMPLATE_CONTRACTS = {
+    groth16: 'Groth16Verifier',
+    plonk: 'PlonkVerifier',
+    fflonk: 'FflonkVerifier',
+}
+
+// Protocol of a circuits.json entry, groth16 when not set
+export function getProtocol(circuitConfig) {
+    const protocol = circuitConfig.protocol ?? DEFAULT_PROTOCOL
+    if (!PROTOCOLS.includes(protocol)) {
+        throw new Error(`Unknown protocol "${protocol}", expected one of: ${PROTOCOLS.join(', ')}`)
+    }
+    return protocol
+}
+
+// build/<circuit>/<protocol>_pkey.zkey and <protocol>_vkey.json
+export function keyPaths(buildDir, protocol) {
+    return {
+        zkeyPath: path.join(buildDir, `${protocol}_pkey.zkey`),
+        vkeyPath: path.join(buildDir, `${protocol}_vkey.json`),
+    }
+}
+
+export function templateContractName(protocol) {
+    return TEMPLATE_CONTRACTS[protocol]
+}
+
+// Groth16 keeps the historical <Name>Verifier, the others are suffixed: <Name>PlonkVerifier
+export function verifierContractName(circuitName, protocol) {
+    const suffix = protocol === DEFAULT_PROTOCOL ? '' : toPascalCase(protocol)
+    return `${toPascalCase(circuitName)}${suffix}Verifier`
+}
+
+// Wrapper with the public signals by name, see utils/verifierWrapper.mjs: <Name>VerifierWrapper
+export function wrapperContractName(circuitName, protocol) {
+    return `${verifierContractName(circuitName, protocol)}Wrapper`
+}
+
+// Upper bound of the PLONK gates snarkjs derives from the r1cs (plonk_setup processConstraints):
+// one per public signal, one per constraint, plus one per linear combination term beyond
+// what a gate holds (3 for a sum, 1 per operand for a product)
+export function plonkConstraintCount(info) {
+    const terms = (lc) => Object.keys(lc).filter((signal) => signal !== '0').length
+    const isZero = (lc) => Object.keys(lc).length === 0
+
+    let count = info.nOutputs + info.nPubInputs
+    for (const [a, b, c] of info.constraints) {
+        const [nA, nB, nC] = [terms(a), terms(b), terms(c)]
+        if (isZero(a) || isZero(b)) {
+            count += 1 + Math.max(0, nC - 3)
+        } else if (nA === 0) {
+            count += 1 + Math.max(0, nB + nC - 3)
+        } else if (nB === 0) {
+            count += 1 + Math.max(0, nA + nC - 3)
+        } else {
+            count += 1 + Math.max(0, nA - 1) + Math.max(0, nB - 1) + Math.max(0, nC - 1)
+        }
+    }
+    return count
+}
@@ -0,0 +1,154 @@
+/**
+ * Consistency of a generated Solidity verifier with its verification key
+ *
+ * The constants the snarkjs templates bake into the contract are read back from the source and
+ * compared to the values the same templates take from the vkey, so a verifier left behind by an
+ * older key, or damaged by the contract renaming, is caught before it is deployed
+ */
+
+// BN254 scalar field, the FFLONK roots of unity are powers in it
+const FR = 21888242871839275222246405745257275088548364400416034343698204186575808495617n
+
+// NAME -> value of every `uint<N> constant NAME = <decimal>;` in the source
+export function parseVerifierConstants(source) {
+    const constants = {}
+    for (const [, name, value] of source.matchAll(/\buint\d*\s+constant\s+(\w+)\s*=\s*(\d+)\s*;/g)) {
+        constants[name] = value
+    }
+    return constants
+}
+
+// Length N of the public signals array of verifyProof(..., uint[N] _pubSignals), null when absent
+export function parseVerifierPublicCount(source) {
+    const signature = source.match(/function\s+verifyProof\s*\(([^)]*)\)/)
+    if (!signature) return null
+    const arrays = [...signature[1].matchAll(/uint(?:256)?\[(\d+)\]\s+calldata\s+\w+/g)]
+    return arrays.length > 0 ? Number(arrays[arrays.length - 1][1]) : null
+}
+
+export function parseContractName(source) {
+    return source.match(/\bcontract\s+(\w+)/)?.[1] ?? null
+}
+
+// A G1 point at infinity is written (0, 0) by the PLONK template
+function g1(prefix, point) {
+    return { [`${prefix}x`]: point[0], [`${prefix}y`]: point[0] === '0' ? '0' : point[1] }
+}
+
+// G2 coordinates, in the order of the template: the groth16 template swaps the Fq2 limbs
+function g2(prefix, point, swapped) {
+    const [x, y] = point
+    return swapped
+        ? { [`${prefix}x1`]: x[1], [`${prefix}x2`]: x[0], [`${prefix}y1`]: y[1], [`${prefix}y2`]: y[0] }
+        : { [`${prefix}x1`]: x[0], [`${prefix}x2`]: x[1], [`${prefix}y1`]: y[0], [`${prefix}y2`]: y[1] }
+}
+
+function frPowers(base, count) {
+    const powers = []
+    let acc = 1n
+    for (let i = 0; i < count; i++) {
+        acc = (acc * BigInt(base)) % FR
+        powers.push(acc.toString())
+    }
+    return powers
+}
+
+// Constants the snarkjs template of vkey.protocol writes into the contract
+export function expectedVerifierConstants(vkey) {
+    if (vkey.protocol === 'groth16') {
+        const ic = vkey.IC.map((point, i) => ({ [`IC${i}x`]: point[0], [`IC${i}y`]: point[1] }))
+        return Object.assign(
+            { alphax: vkey.vk_alpha_1[0], alphay: vkey.vk_alpha_1[1] },
+            g2('beta', vkey.vk_beta_2, true),
+            g2('gamma', vkey.vk_gamma_2, true),
+            g2('delta', vkey.vk_delta_2, true),
+            ...ic
+        )
+    }
+    if (vkey.protocol === 'plonk') {
+        return Object.assign(
+            {
+                w1: vkey.w,
+                n: String(2 ** vkey.power),
+                nPublic: String(vkey.nPublic),
+                nLagrange: String(Math.max(vkey.nPublic, 1)),
+                k1: vkey.k1,
+                k2: vkey.k2,
+            },
+            ...['Qm', 'Ql', 'Qr', 'Qo', 'Qc', 'S1', 'S2', 'S3'].map((name) => g1(name, vkey[name])),
+            g2('X2', vkey.X_2, false)
+        )
+    }
+    if (vkey.protocol === 'fflonk') {
+        const [w3, w3_2] = frPowers(vkey.w3, 2)
+        const [w4, w4_2, w4_3] = frPowers(vkey.w4, 3)
+        const w8 = Object.fromEntries(frPowers(vkey.w8, 7).map((value, i) => [`w8_${i + 1}`, value]))
+        return Object.assign(
+            { n: String(2 ** vkey.power), k1: vkey.k1, k2: vkey.k2, w1: vkey.w, wr: vkey.wr, w3, w3_2, w4, w4_2, w4_3 },
+            w8,
+            { C0x: vkey.C0[0], C0y: vkey.C0[1] },
+            g2('X2', vkey.X_2, false)
+        )
+    }
+    throw new Error(`Unknown verification key protocol: ${vkey.protocol}`)
+}
+
+// Public signals a verifier of the vkey takes: the FFLONK template pads an empty list to one
+function expectedPublicCount(vkey) {
+    return vkey.protocol === 'fflonk' ? Math.max(vkey.nPublic, 1) : vkey.nPublic
+}
+
+// Compare a verifier source with a vkey (and the circuit's public signal count, when known)
+//   constants - [{ name, verifier, vkey }] for every constant that differs or is missing on one side
+//   issues    - readable description of every mismatch, empty when consistent
+export function checkVerifier(source, vkey, { contractName, circuitPublic } = {}) {
+    const actual = parseVerifierConstants(source)
+    const expected = expectedVerifierConstants(vkey)
+
+    const constants = []
+    for (const [name, value] of Object.entries(expected)) {
+        if (actual[name] !== value) {
+            constants.push({ name, verifier: actual[name] ?? null, vkey: value })
+        }
+    }
+    // Extra IC points: the verifier takes more public signals than the vkey
+    for (const name of Object.keys(actual)) {
+        if (/^IC\d+[xy]$/.test(name) && !(name in expected)) {
+            constants.push({ name, verifier: actual[name], vkey: null })
+        }
+    }
+
+    const issues = []
+    if (constants.length > 0) {
+        issues.push(`${constants.length} verification key constant(s) differ: ${constants.map(({ name }) => name).join(', ')}`)
+    }
+
+    const publicCounts = {
+        verifier: parseVerifierPublicCount(source),
+        vkey: expectedPublicCount(vkey),
+        circuit: circuitPublic ?? null,
+    }
+    if (publicCounts.verifier !== publicCounts.vkey) {
+        issues.push(`verifyProof takes ${publicCounts.verifier} public signal(s), the vkey ${publicCounts.vkey}`)
+    }
+    if (circuitPublic !== undefined && vkey.nPublic !== circuitPublic) {
+        issues.push(`vkey has ${vkey.nPublic} public signal(s), the circuit ${circuitPublic}`)
+    }
+
+    const name = parseContractName(source)
+    if (contractName && name !== contractName) {
+        issues.push(`contract is named ${name}, expected ${contractName}`)
+    }
+
+    return { ok: issues.length === 0, issues, constants, publicCounts }
+}
+
+// Unified-diff style lines of the differing constants: - verifier, + vkey
+export function formatConstantsDiff(constants) {
+    const lines = []
+    for (const { name, verifier, vkey } of constants) {
+        if (verifier !== null) lines.push(`- ${name} = ${verifier}`)
+        if (vkey !== null) lines.push(`+ ${name} = ${vkey}`)
+    }
+    return lines
+}
@@ -0,0 +1,316 @@
+import { createReadStream } from 'fs'
+import readline from 'readline'
+import { ROOT_NAMES, SNARK_SCALAR_FIELD } from '../../src/rollup/hashInputs.js'
+import { txDataBitsLength } from '../../src/rollup/tx.js'
+
+/**
+ * Wrapper contract of a generated verifier: verifyProof with the public signals of the circuit by name
+ *
+ *   verify(<public signals by name>, Proof) - checks every input is in the field, then calls the verifier
+ * Templates with a Solidity helper get more entry points, e.g. BatchMain: verifyBatch(roots, txData, Proof)
+ * recomputes hashGlobalInputs on-chain instead of trusting the caller's, and
+ * ProveScoresInclusionBatch: verifyScores(root, idx, score, Proof) recomputes its commitment
+ */
+
+// Public signal of main: main.<name> with optional array indices
+const MAIN_SIGNAL = /^main\.([A-Za-z_$][\w$]*)((?:\[\d+\])*)$/
+
+// Names a public signal cannot take as a Solidity parameter of verify()
+const RESERVED_NAMES = new Set([
+    'proof', 'verifier', 'pubSignals', 'checkField', 'verify', 'i', 'success', 'result',
+    'address', 'bool', 'bytes', 'calldata', 'constant', 'contract', 'delete', 'emit', 'error', 'event',
+    'external', 'from', 'function', 'immutable', 'internal', 'library', 'mapping', 'memory', 'new', 'private',
+    'public', 'pure', 'return', 'returns', 'storage', 'string', 'struct', 'super', 'this', 'type', 'uint',
+    'uint256', 'view',
+])
+
+// Public signals of a circuit from its .sym file (label,wire,component,name): wires 1..nPublic,
+// the outputs first, then the public inputs
+// returns [{ name, offset, length }], an array signal (any dimension) is flattened in wire order
+export async function readPublicSignals(symPath, nPublic) {
+    const names = []
+    const lines = readline.createInterface({ input: createReadStream(symPath), crlfDelay: Infinity })
+    for await (const line of lines) {
+        const [, wire, , label] = line.split(',')
+        const index = Number(wire)
+        const match = label?.match(MAIN_SIGNAL)
+        if (index >= 1 && index <= nPublic && match && names[index - 1] === undefined) {
+            names[index - 1] = match[1]
+        }
+    }
+
+    const signals = []
+    for (let i = 0; i < nPublic; i++) {
+        const name = names[i] ?? `publicSignal${i}`
+        const last = signals[signals.length - 1]
+        if (last && last.name === name) {
+            last.length++
+        } else {
+            signals.push({ name, offset: i, length: 1 })
+        }
+    }
+    for (const signal of signals) {
+        if (RESERVED_NAMES.has(signal.name)) signal.name = `${signal.name}_`
+    }
+    return signals
+}
+
+// verifyProof of each snarkjs template: its proof parameters, and how many public signals it takes
+const PROTOCOL_ABI = {
+    groth16: {
+        proofStruct: ['uint256[2] a;', 'uint256[2][2] b;', 'uint256[2] c;'],
+        proofTypes: 'uint256[2],uint256[2][2],uint256[2]',
+        proofArgs: 'proof.a, proof.b, proof.c',
+        publicCount: (nPublic) => nPublic,
+    },
+    plonk: {
+        proofStruct: ['uint256[24] proof;'],
+        proofTypes: 'uint256[24]',
+        proofArgs: 'proof.proof',
+        publicCount: (nPublic) => nPublic,
+    },
+    // The FFLONK template pads an empty list of public signals to one zero signal
+    fflonk: {
+        proofStruct: ['bytes32[24] proof;'],
+        proofTypes: 'bytes32[24]',
+        proofArgs: 'proof.proof',
+        publicCount: (nPublic) => Math.max(nPublic, 1),
+    },
+}
+
+function solidityType(signal) {
+    return signal.length === 1 ? 'uint256' : `uint256[${signal.length}] calldata`
+}
+
+// Largest tx the helper ORs into the message as one word: 256 bits, minus up to 7 bits of misalignment
+const MAX_HELPER_TX_BITS = 249
+
+// Solidity helper of BatchMain(nTx, nLevels): the library recomputing hashGlobalInputs like HashInputs,
+// and verifyBatch for the wrapper. Null when the message cannot be hashed by the sha256 precompile
+function batchMainHelper({ prefix, params: [nTx, nLevels], signals, warn }) {
+    const txBits = txDataBitsLength(nLevels)
+    const totalBits = 256 * ROOT_NAMES.length + nTx * txBits
+    if (totalBits % 8 !== 0) {
+        warn(`HashInputs(${nTx}, ${nLevels}) hashes ${totalBits} bits, not whole bytes: no hashGlobalInputs helper`)
+        return null
+    }
+    if (txBits > MAX_HELPER_TX_BITS) {
+        warn(`A tx of BatchMain(${nTx}, ${nLevels}) takes ${txBits} bits, over ${MAX_HELPER_TX_BITS}: no hashGlobalInputs helper`)
+        return null
+    }
+    if (signals.length !== 1 || signals[0].name !== 'hashGlobalInputs') {
+        warn(`BatchMain(${nTx}, ${nLevels}) does not expose hashGlobalInputs alone: no hashGlobalInputs helper`)
+        return null
+    }
+
+    const library = `${prefix}HashGlobalInputs`
+    const masks = [
+        [1, '5555'],
+        [2, '3333'],
+        [4, '0f0f'],
+        [8, '00ff'],
+        [16, '0000ffff'],
+        [32, '00000000ffffffff'],
+        [64, '0000000000000000ffffffffffffffff'],
+        [128, '00000000000000000000000000000000ffffffffffffffffffffffffffffffff'],
+    ]
+    const reverseSteps = masks.map(([shift, pattern]) => {
+        const mask = `0x${pattern.repeat(64 / pattern.length)}`
+        return `        v = ((v >> ${shift}) & ${mask}) | ((v & ${mask}) << ${shift});`
+    })
+
+    const source = `
+/// @notice hashGlobalInputs of HashInputs(${nTx}, ${nLevels}), the public output of BatchMain(${nTx}, ${nLevels})
+/// @dev sha256 over the ${ROOT_NAMES.length} roots (256 bits each, most significant bit first) and the txData of
+/// every tx (${txBits} bits each, least significant bit first), reduced to the scalar field
+library ${library} {
+    uint256 internal constant SNARK_SCALAR_FIELD = ${SNARK_SCALAR_FIELD};
+    uint256 internal constant N_TX = ${nTx};
+    uint256 internal constant N_LEVELS = ${nLevels};
+    // txnType (8) | fromIdx (N_LEVELS) | toIdx (N_LEVELS) | amount (128)
+    uint256 internal constant TX_BITS = ${txBits};
+    uint256 internal constant MESSAGE_BYTES = ${totalBits / 8};
+
+    struct Roots {
+${ROOT_NAMES.map((name) => `        uint256 ${name};`).join('\n')}
+    }
+
+    error TxDataTooLarge(uint256 index, uint256 txData);
+
+    function hashGlobalInputs(Roots memory roots, uint256[N_TX] memory txData) internal pure returns (uint256) {
+        // 32 spare bytes: every tx is ORed in as a whole word
+        bytes memory message = new bytes(MESSAGE_BYTES + 32);
+${ROOT_NAMES.map((name, i) => `        orWord(message, ${i * 256}, roots.${name});`).join('\n')}
+
+        uint256 bitOffset = ${ROOT_NAMES.length * 256};
+        for (uint256 i = 0; i < N_TX; i++) {
+            if (txData[i] >> TX_BITS != 0) revert TxDataTooLarge(i, txData[i]);
+            // Bit 0 of txData is the first bit hashed
+            orWord(message, bitOffset, reverseBits(txData[i]));
+            bitOffset += TX_BITS;
+        }
+
+        assembly {
+            mstore(message, MESSAGE_BYTES)
+        }
+        return uint256(sha256(message)) % SNARK_SCALAR_FIELD;
+    }
+
+    // OR a word into the message, its most significant bit at bitOffset
+    function orWord(bytes memory message, uint256 bitOffset, uint256 word) private pure {
+        assembly {
+            let p := add(add(message, 32), shr(3, bitOffset))
+            mstore(p, or(mload(p), shr(and(bitOffset, 7), word)))
+        }
+    }
+
+    function reverseBits(uint256 v) private pure returns (uint256) {
+${reverseSteps.join('\n')}
+        return v;
+    }
+}
+`
+
+    const entryPoint = `
+    /// @notice Verify a batch from its roots and txs, hashGlobalInputs is recomputed from them
+    function verifyBatch(
+        ${library}.Roots calldata roots,
+        uint256[${nTx}] calldata txData,
+        Proof calldata proof
+    ) external view returns (bool) {
+        return verify(${library}.hashGlobalInputs(roots, txData), proof);
+    }
+`
+    return { source, entryPoint }
+}
+
+// Solidity helper of ProveScoresInclusionBatch(nProofs, nLevels): the library recomputing its commitment
+// like inclusionBatchCommitment (src/smt/smtTree.js), and verifyScores for the wrapper
+function scoresInclusionBatchHelper({ prefix, params: [nProofs, nLevels], signals, warn }) {
+    if (signals.length !== 1 || signals[0].name !== 'commitment') {
+        warn(`ProveScoresInclusionBatch(${nProofs}, ${nLevels}) does not expose commitment alone: no commitment helper`)
+        return null
+    }
+
+    const library = `${prefix}Commitment`
+    const source = `
+/// @notice commitment output of ProveScoresInclusionBatch(${nProofs}, ${nLevels})
+/// @dev sha256 over root, then idx and score of every slot (256 bits each, most significant bit first),
+/// reduced to the scalar field. Unused slots are NOPs: idx = 0 and score = 0
+library ${library} {
+    uint256 internal constant SNARK_SCALAR_FIELD = ${SNARK_SCALAR_FIELD};
+    uint256 internal constant N_PROOFS = ${nProofs};
+
+    function commitment(uint256 root, uint256[N_PROOFS] memory idx, uint256[N_PROOFS] memory score)
+        internal
+        pure
+        returns (uint256)
+    {
+        uint256[] memory words = new uint256[](1 + 2 * N_PROOFS);
+        words[0] = root;
+        for (uint256 i = 0; i < N_PROOFS; i++) {
+            words[1 + 2 * i] = idx[i];
+            words[2 + 2 * i] = score[i];
+        }
+        // Packed uint256[] elements are 32 bytes each, without a length prefix
+        return uint256(sha256(abi.encodePacked(words))) % SNARK_SCALAR_FIELD;
+    }
+}
+`
+
+    const entryPoint = `
+    /// @notice Verify the scores of up to ${nProofs} indexes in the ScoreTree of root, the commitment is recomputed from them
+    /// @dev The caller must still check root is a ScoreTree root it trusts
+    function verifyScores(
+        uint256 root,
+        uint256[${nProofs}] calldata idx,
+        uint256[${nProofs}] calldata score,
+        Proof calldata proof
+    ) external view returns (bool) {
+        return verify(${library}.commitment(root, idx, score), proof);
+    }
+`
+    return { source, entryPoint }
+}
+
+// Solidity helpers per circuit template
+const TEMPLATE_HELPERS = {
+    BatchMain: batchMainHelper,
+    ProveScoresInclusionBatch: scoresInclusionBatchHelper,
+}
+
+// Source of the wrapper contract of a verifier
+//   signals - readPublicSignals of the circuit
+//   prefix  - name prefix of the template helpers, e.g. BatchMain for BatchMainHashGlobalInputs
+//   warn    - called with the reason a template helper or the wrapper is left out
+// returns null for a circuit without public signals: verify() would accept a proof of any witness
+export function wrapperSource({ circuitConfig, protocol, nPublic, signals, verifierName, contractName, prefix, warn = () => {} }) {
+    const abi = PROTOCOL_ABI[protocol]
+    const publicCount = abi.publicCount(nPublic)
+    const params = circuitConfig.params ?? []
+    const circuit = `${circuitConfig.template}(${params.join(', ')})`
+    if (nPublic === 0) {
+        warn(`${circuit} has no public signals, a proof binds nothing the caller knows: no wrapper`)
+        return null
+    }
+    const helper = TEMPLATE_HELPERS[circuitConfig.template]?.({ prefix, params, signals, warn }) ?? null
+
+    const parameters = signals.map((signal) => `${solidityType(signal)} ${signal.name}`)
+    const docs = signals.map(
+        (signal) => `    /// @param ${signal.name} public signal${signal.length === 1 ? ` ${signal.offset}` : `s ${signal.offset}..${signal.offset + signal.length - 1}`}`
+    )
+    const body = publicCount > 0 ? [`        uint256[${publicCount}] memory pubSignals;`] : []
+    for (const signal of signals) {
+        if (signal.length === 1) {
+            body.push(`        checkField(${signal.name}, "${signal.name}");`)
+            body.push(`        pubSignals[${signal.offset}] = ${signal.name};`)
+        } else {
+            body.push(`        for (uint256 i = 0; i < ${signal.length}; i++) {`)
+            body.push(`            checkField(${signal.name}[i], "${signal.name}");`)
+            body.push(`            pubSignals[${signal.offset > 0 ? `${signal.offset} + i` : 'i'}] = ${signal.name}[i];`)
+            body.push('        }')
+        }
+    }
+
+    // solc rejects a uint256[0] variable: without public signals the call leaves the array out,
+    // it is encoded as no bytes anyway
+    const selectorTypes = `${abi.proofTypes},uint256[${publicCount}]`
+    const callArgs = publicCount > 0 ? `${abi.proofArgs}, pubSignals` : abi.proofArgs
+    if (body.length > 0) body.push('')
+    body.push(
+        `        (bool success, bytes memory result) = verifier.staticcall(abi.encodeWithSelector(VERIFY_PROOF, ${callArgs}));`,
+        '        return success && result.length == 32 && abi.decode(result, (bool));'
+    )
+
+    return `// SPDX-License-Identifier: GPL-3.0
+// Generated by scripts/generateVerifierContract.mjs for ${circuit} (${protocol}), do not edit
+pragma solidity ^0.8.4;
+${helper ? helper.source : ''}
+/// @notice ${verifierName} with the public signals of ${circuit} by name
+contract ${contractName} {
+    uint256 internal constant SNARK_SCALAR_FIELD = ${SNARK_SCALAR_FIELD};
+    bytes4 internal constant VERIFY_PROOF = bytes4(keccak256("verifyProof(${selectorTypes})"));
+
+    struct Proof {
+${abi.proofStruct.map((field) => `        ${field}`).join('\n')}
+    }
+
+    error NotInField(string input, uint256 value);
+
+    /// @notice Deployed ${verifierName}
+    address public immutable verifier;
+
+    constructor(address _verifier) {
+        verifier = _verifier;
+    }
+
+${[...docs, `    function verify(${[...parameters, 'Proof calldata proof'].join(', ')}) public view returns (bool) {`].join('\n')}
+${body.join('\n')}
+    }
+${helper ? helper.entryPoint : ''}
+    function checkField(uint256 value, string memory input) private pure {
+        if (value >= SNARK_SCALAR_FIELD) revert NotInField(input, value);
+    }
+}
+`
+}
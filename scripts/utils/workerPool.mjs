@@ -0,0 +1,88 @@
+import { fork } from 'child_process'
+import os from 'os'
+import path from 'path'
+import readline from 'readline'
+import { fileURLToPath } from 'url'
+import { readJournal } from './buildJournal.mjs'
+import { log } from './logger.mjs'
+
+const WORKER_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'buildWorker.mjs')
+
+export const DEFAULT_JOBS = 1
+
+// Three quarters of the machine's memory, in MiB
+export function defaultMemoryBudget() {
+    return Math.floor((os.totalmem() / 1024 / 1024) * 0.75)
+}
+
+// Memory a circuit is expected to need: the peak of its last build, from its journal
+async function memoryEstimate(circuitName, projectDir, fallback) {
+    const { peakMemoryMiB } = await readJournal(circuitName, projectDir)
+    return peakMemoryMiB ?? fallback
+}
+
+// Build one circuit in a worker process, prefixing its output with the circuit name when asked
+// The estimate only schedules the worker: its heap is not capped, a build that outgrows it still finishes
+function runWorker(job, projectDir, options, { prefix }) {
+    return new Promise((resolve) => {
+        const child = fork(WORKER_PATH, [], { silent: prefix })
+        if (prefix) {
+            for (const stream of [child.stdout, child.stderr]) {
+                readline.createInterface({ input: stream }).on('line', (line) => console.log(`[${job.circuitName}] ${line}`))
+            }
+        }
+
+        let result = null
+        child.on('message', (message) => {
+            result = message.result
+        })
+        child.on('exit', (code, signal) => {
+            resolve(result ?? { success: false, circuitName: job.circuitName, error: `Worker exited with ${signal ?? `code ${code}`}` })
+        })
+        child.send({ circuitName: job.circuitName, circuitConfig: job.circuitConfig, projectDir, options })
+    })
+}
+
+// Build circuits in worker processes: at most `jobs` at once, within `memoryBudget` MiB
+// A circuit starts only when its memory estimate fits next to the running ones, largest first
+// A circuit that alone exceeds the budget runs by itself
+// A circuit without a previous build is expected to need memoryBudget / jobs
+// Results come back in the order of `circuits`
+export async function runInWorkers(circuits, projectDir, { jobs = DEFAULT_JOBS, memoryBudget = defaultMemoryBudget(), options = {} } = {}) {
+    const fallback = Math.floor(memoryBudget / jobs)
+    const pending = []
+    for (const [circuitName, circuitConfig] of circuits) {
+        pending.push({ circuitName, circuitConfig, estimate: await memoryEstimate(circuitName, projectDir, fallback) })
+    }
+    pending.sort((a, b) => b.estimate - a.estimate)
+
+    const results = {}
+    const running = new Map()
+    let reserved = 0
+
+    while (pending.length > 0 || running.size > 0) {
+        while (running.size < jobs) {
+            const index = pending.findIndex(({ estimate }) => running.size === 0 || reserved + estimate <= memoryBudget)
+            if (index === -1) break
+
+            const [job] = pending.splice(index, 1)
+            if (job.estimate > memoryBudget) {
+                log.warning(`${job.circuitName} needed ${job.estimate} MiB last time, over the ${memoryBudget} MiB budget: running it alone`)
+            }
+            log.step(`Starting ${job.circuitName} (~${job.estimate} MiB, ${running.size + 1}/${jobs} job(s))`)
+
+            reserved += job.estimate
+            running.set(
+                job.circuitName,
+                runWorker(job, projectDir, options, { prefix: jobs > 1 }).then((result) => {
+                    reserved -= job.estimate
+                    running.delete(job.circuitName)
+                    results[job.circuitName] = result
+                })
+            )
+        }
+        await Promise.race(running.values())
+    }
+
+    return circuits.map(([circuitName]) => results[circuitName])
+}
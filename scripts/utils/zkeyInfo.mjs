@@ -0,0 +1,85 @@
+import fs from 'fs/promises'
+
+// zkey section holding the Phase-2 (MPC) parameters
+const MPC_PARAMS_SECTION = 10
+
+// Size of one contribution before its type: deltaAfter, g1_s, g1_sx (G1), g2_spx (G2), transcript
+const BN128_CONTRIBUTION_POINTS_SIZE = 3 * 64 + 128 + 64
+
+// Read the Phase-2 contributions of a zkey without loading the whole file
+// Layout from snarkjs zkey_utils.readMPCParams:
+//   csHash (64 bytes) | nContributions (u32) | contribution[nContributions]
+export async function readZkeyContributions(zkeyPath) {
+    const file = await fs.open(zkeyPath, 'r')
+
+    try {
+        const read = async (position, length) => {
+            const buffer = Buffer.alloc(length)
+            const { bytesRead } = await file.read(buffer, 0, length, position)
+            if (bytesRead !== length) {
+                throw new Error(`Unexpected end of file: ${zkeyPath}`)
+            }
+            return buffer
+        }
+
+        // Header: "zkey" | version (u32) | nSections (u32)
+        const header = await read(0, 12)
+        if (header.toString('ascii', 0, 4) !== 'zkey') {
+            throw new Error(`Not a zkey file: ${zkeyPath}`)
+        }
+        const nSections = header.readUInt32LE(8)
+
+        // Sections: type (u32) | size (u64) | data
+        let position = 12
+        let mpcParams = null
+        for (let i = 0; i < nSections; i++) {
+            const sectionHeader = await read(position, 12)
+            const type = sectionHeader.readUInt32LE(0)
+            const size = Number(sectionHeader.readBigUInt64LE(4))
+            if (type === MPC_PARAMS_SECTION) {
+                mpcParams = await read(position + 12, size)
+                break
+            }
+            position += 12 + size
+        }
+        if (!mpcParams) {
+            throw new Error(`No Phase-2 section in zkey: ${zkeyPath}`)
+        }
+
+        const csHash = mpcParams.subarray(0, 64).toString('hex')
+        const nContributions = mpcParams.readUInt32LE(64)
+
+        const contributions = []
+        let offset = 68
+        for (let i = 0; i < nContributions; i++) {
+            offset += BN128_CONTRIBUTION_POINTS_SIZE
+            const contribution = { type: mpcParams.readUInt32LE(offset) === 1 ? 'beacon' : 'contribution' }
+            const paramsEnd = offset + 8 + mpcParams.readUInt32LE(offset + 4)
+            offset += 8
+
+            // Params: 1 = name, 2 = numIterationsExp, 3 = beacon hash
+            while (offset < paramsEnd) {
+                const param = mpcParams[offset]
+                if (param === 1) {
+                    const length = mpcParams[offset + 1]
+                    contribution.name = mpcParams.toString('utf8', offset + 2, offset + 2 + length)
+                    offset += 2 + length
+                } else if (param === 2) {
+                    contribution.numIterationsExp = mpcParams[offset + 1]
+                    offset += 2
+                } else if (param === 3) {
+                    const length = mpcParams[offset + 1]
+                    contribution.beaconHash = mpcParams.toString('hex', offset + 2, offset + 2 + length)
+                    offset += 2 + length
+                } else {
+                    throw new Error(`Unknown contribution parameter ${param} in zkey: ${zkeyPath}`)
+                }
+            }
+            contributions.push(contribution)
+        }
+
+        return { csHash, contributions }
+    } finally {
+        await file.close()
+    }
+}
@@ -0,0 +1,26 @@
+import * as snarkjs from "snarkjs";
+
+/**
+ * exportSolidityCallData of a proof, and the verifyProof arguments parsed from it
+ * returns { calldata, args }, args being:
+ * - groth16: { a, b, c, input }
+ * - plonk, fflonk: { proof, input }
+ */
+async function exportSolidityCalldata(protocol, proof, publicSignals) {
+    if (protocol === "groth16") {
+        const calldata = await snarkjs.groth16.exportSolidityCallData(proof, publicSignals);
+        const [a, b, c, input] = JSON.parse(`[${calldata}]`);
+        return { calldata, args: { a, b, c, input } };
+    }
+
+    const calldata =
+        protocol === "plonk"
+            ? await snarkjs.plonk.exportSolidityCallData(proof, publicSignals)
+            : await snarkjs.fflonk.exportSolidityCallData(publicSignals, proof);
+    // snarkjs writes the PLONK arrays with no comma between them, and the FFLONK values unquoted
+    const json = calldata.replace(/\]\s*,?\s*\[/, "],[").replace(/(?<!")(0x[0-9a-fA-F]+)/g, '"$1"');
+    const [proofArray, input] = JSON.parse(`[${json}]`);
+    return { calldata, args: { proof: proofArray, input } };
+}
+
+export { exportSolidityCalldata };
@@ -1,28 +1,82 @@
-// TODO: remove the original code and replace it with the new circuits.
-// import { Circomkit } from "circomkit";
+export {
+    prove,
+    verify,
+    loadCircuits,
+    getArtifacts,
+    toSolidityCalldata,
+    CircuitNotFoundError,
+    ArtifactNotFoundError,
+} from "./prover.js";
+export type {
+    CircuitSignal,
+    CircuitInput,
+    CircuitConfig,
+    CircuitArtifacts,
+    SolidityCalldata,
+    UniversalSolidityCalldata,
+    ProveResult,
+    Protocol,
+    SdkOptions,
+    Groth16Proof,
+    PlonkProof,
+    FflonkProof,
+    PublicSignals,
+} from "./prover.js";
 
-// async function main() {
-//     // create circomkit
-//     const circomkit = new Circomkit({
-//         protocol: "groth16",
-//     });
+export { NodeHasher, NodeHasherError } from "./v2/nodeHasher.js";
+export {
+    GraphTree,
+    graphBatchCommitment,
+    GraphTreeError,
+    SelfLoopError,
+    VertexOutOfRangeError,
+    UnknownVertexError,
+    VertexExistsError,
+    MaxDegreeExceededError,
+    EdgeExistsError,
+    EdgeNotFoundError,
+    BatchTooLargeError,
+} from "./v2/graphTree.js";
+export {
+    ScoreTree,
+    ScoreTreeError,
+    UnknownIndexError,
+    ScoredIndexError,
+    ScoreThresholdError,
+    TreeDepthExceededError,
+} from "./v2/scoreTree.js";
+export { Identity, IdentityError, scopeExternalNullifier } from "./v2/identity.js";
+export { proveScoreThreshold, SCORE_THRESHOLD_CIRCUIT } from "./scoreProofs.js";
+export type { ScoreThresholdOptions } from "./scoreProofs.js";
 
-//     const proof = await circomkit.prove("singleTx", "test");
+export { RollupState, RollupStateError, NOP_TX } from "./rollup/rollupState.js";
+export {
+    TxCodecError,
+    TX_TYPES,
+    TX_TYPE_NAMES,
+    txDataBitsLength,
+    encodeTx,
+    decodeTx,
+    bitsTxData,
+} from "./rollup/tx.js";
+export {
+    HashInputsError,
+    hashInputsLayout,
+    formatHashInputsLayout,
+    hashInputsBits,
+    hashInputsBytes,
+    hashGlobalInputs,
+} from "./rollup/hashInputs.js";
+export * as float40 from "./rollup/float40.js";
 
-//     console.log("Proof generated:", proof);
-
-//     const ok = await circomkit.verify("singleTx","test");
-
-//     if (ok) {
-//         console.log("Proof is valid", "success");
-//     } else {
-//         console.log("Proof is invalid", "error");
-//     }
-// }
-
-// main()
-//   .then(() => process.exit(0))
-//   .catch((e) => {
-//     console.error(e);
-//     process.exit(1);
-//   });
\ No newline at end of file
+export {
+    SmtTree,
+    inclusionBatchCommitment,
+    SmtError,
+    KeyNotFoundError,
+    KeyExistsError,
+    OutOfFieldError,
+    DepthOverflowError,
+    InclusionBatchError,
+} from "./smt/smtTree.js";
+export { MemoryKVStore, FileKVStore } from "./smt/kvStore.js";
@@ -0,0 +1,165 @@
+import fs from "fs/promises";
+import path from "path";
+import * as snarkjs from "snarkjs";
+import type { Groth16Proof, PlonkProof, FflonkProof, PublicSignals } from "snarkjs";
+import { exportSolidityCalldata } from "./calldata.js";
+
+export type { Groth16Proof, PlonkProof, FflonkProof, PublicSignals };
+
+/** Proving system of a circuit, the "protocol" field of circuits.json (groth16 by default) */
+export type Protocol = "groth16" | "plonk" | "fflonk";
+
+/** Signal value accepted by the witness calculator */
+export type CircuitSignal = bigint | number | string | CircuitSignal[];
+
+/** Input of a circuit, keyed by signal name */
+export type CircuitInput = Record<string, CircuitSignal>;
+
+/** One entry of circuits.json */
+export interface CircuitConfig {
+    file: string;
+    template: string;
+    params?: number[];
+    /** Inputs of the template made public, in addition to its outputs (circomkit's key) */
+    pubs?: string[];
+    protocol?: Protocol;
+}
+
+/** Build artifacts written by scripts/processCircuit.mjs to build/<name>/ */
+export interface CircuitArtifacts {
+    protocol: Protocol;
+    wasmPath: string;
+    zkeyPath: string;
+    vkeyPath: string;
+}
+
+/** verifyProof(uint[2], uint[2][2], uint[2], uint[N]) arguments */
+export interface SolidityCalldata {
+    a: [string, string];
+    b: [[string, string], [string, string]];
+    c: [string, string];
+    input: string[];
+}
+
+/** verifyProof(uint256[24] or bytes32[24], uint256[N]) arguments of the PLONK and FFLONK verifiers */
+export interface UniversalSolidityCalldata {
+    proof: string[];
+    input: string[];
+}
+
+export type ProveResult =
+    | { protocol: "groth16"; proof: Groth16Proof; publicSignals: PublicSignals; calldata: SolidityCalldata }
+    | { protocol: "plonk"; proof: PlonkProof; publicSignals: PublicSignals; calldata: UniversalSolidityCalldata }
+    | { protocol: "fflonk"; proof: FflonkProof; publicSignals: PublicSignals; calldata: UniversalSolidityCalldata };
+
+export interface SdkOptions {
+    /** Directory holding circuits.json and build/ (defaults to the current directory) */
+    projectDir?: string;
+}
+
+/** circuitName is not an entry of circuits.json */
+export class CircuitNotFoundError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/** build/<name>/ is missing a file; run `npm run verifier` first */
+export class ArtifactNotFoundError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+function projectDirOf(options: SdkOptions): string {
+    return options.projectDir ?? process.cwd();
+}
+
+// Read circuits.json
+export async function loadCircuits(options: SdkOptions = {}): Promise<Record<string, CircuitConfig>> {
+    const circuitsJsonPath = path.join(projectDirOf(options), "circuits.json");
+    return JSON.parse(await fs.readFile(circuitsJsonPath, "utf-8"));
+}
+
+// Locate wasm, proving key and verification key of a circuit
+export async function getArtifacts(circuitName: string, options: SdkOptions = {}): Promise<CircuitArtifacts> {
+    const circuits = await loadCircuits(options);
+    if (!(circuitName in circuits)) {
+        throw new CircuitNotFoundError(
+            `Circuit ${circuitName} not found in circuits.json (available: ${Object.keys(circuits).join(", ")})`,
+        );
+    }
+
+    const protocol = circuits[circuitName].protocol ?? "groth16";
+    const buildDir = path.join(projectDirOf(options), "build", circuitName);
+    const artifacts = {
+        wasmPath: path.join(buildDir, `${circuitName}_js`, `${circuitName}.wasm`),
+        zkeyPath: path.join(buildDir, `${protocol}_pkey.zkey`),
+        vkeyPath: path.join(buildDir, `${protocol}_vkey.json`),
+    };
+
+    for (const artifactPath of Object.values(artifacts)) {
+        try {
+            await fs.access(artifactPath);
+        } catch {
+            throw new ArtifactNotFoundError(
+                `Missing build artifact ${artifactPath} for ${circuitName}, run \`npm run verifier\` first`,
+            );
+        }
+    }
+
+    return { protocol, ...artifacts };
+}
+
+// Convert a proof to the arguments of the generated Solidity verifier
+export async function toSolidityCalldata(proof: Groth16Proof, publicSignals: PublicSignals): Promise<SolidityCalldata>;
+export async function toSolidityCalldata(
+    proof: PlonkProof | FflonkProof,
+    publicSignals: PublicSignals,
+    protocol: "plonk" | "fflonk",
+): Promise<UniversalSolidityCalldata>;
+export async function toSolidityCalldata(
+    proof: Groth16Proof | PlonkProof | FflonkProof,
+    publicSignals: PublicSignals,
+    protocol: Protocol = "groth16",
+): Promise<SolidityCalldata | UniversalSolidityCalldata> {
+    const { args } = await exportSolidityCalldata(protocol, proof, publicSignals);
+    return args as SolidityCalldata | UniversalSolidityCalldata;
+}
+
+// Generate a proof for circuitName with the protocol of its circuits.json entry
+export async function prove(circuitName: string, input: CircuitInput, options: SdkOptions = {}): Promise<ProveResult> {
+    const { protocol, wasmPath, zkeyPath } = await getArtifacts(circuitName, options);
+
+    if (protocol === "plonk") {
+        const { proof, publicSignals } = await snarkjs.plonk.fullProve(input, wasmPath, zkeyPath);
+        return { protocol, proof, publicSignals, calldata: await toSolidityCalldata(proof, publicSignals, protocol) };
+    }
+    if (protocol === "fflonk") {
+        const { proof, publicSignals } = await snarkjs.fflonk.fullProve(input, wasmPath, zkeyPath);
+        return { protocol, proof, publicSignals, calldata: await toSolidityCalldata(proof, publicSignals, protocol) };
+    }
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve(input, wasmPath, zkeyPath);
+    return { protocol, proof, publicSignals, calldata: await toSolidityCalldata(proof, publicSignals) };
+}
+
+// Verify a proof of circuitName against its verification key
+export async function verify(
+    circuitName: string,
+    proof: Groth16Proof | PlonkProof | FflonkProof,
+    publicSignals: PublicSignals,
+    options: SdkOptions = {},
+): Promise<boolean> {
+    const { protocol, vkeyPath } = await getArtifacts(circuitName, options);
+    const vKey = JSON.parse(await fs.readFile(vkeyPath, "utf-8"));
+
+    if (protocol === "plonk") {
+        return snarkjs.plonk.verify(vKey, publicSignals, proof as PlonkProof);
+    }
+    if (protocol === "fflonk") {
+        return snarkjs.fflonk.verify(vKey, publicSignals, proof as FflonkProof);
+    }
+    return snarkjs.groth16.verify(vKey, publicSignals, proof as Groth16Proof);
+}
@@ -0,0 +1,117 @@
+/**
+ * float40 amounts, the JS counterpart of DecodeFloat in syb_rollup/lib/decode-float.circom
+ * [  exponent  |  mantissa  ]
+ * [   5 bits   |   35 bits  ]
+ * value = mantissa * 10^exponent
+ *
+ * several float40 decode to the same value (m=10,e=0 and m=1,e=1);
+ * encode always returns the one with the smallest exponent
+ */
+
+/**
+ * Thrown when a value or a float40 is outside the float40 range
+ */
+class Float40Error extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+const MANTISSA_BITS = 35;
+const EXPONENT_BITS = 5;
+const MAX_MANTISSA = (1n << BigInt(MANTISSA_BITS)) - 1n;
+const MAX_EXPONENT = (1n << BigInt(EXPONENT_BITS)) - 1n;
+const MAX_FLOAT40 = (1n << BigInt(MANTISSA_BITS + EXPONENT_BITS)) - 1n;
+const MAX_VALUE = MAX_MANTISSA * 10n ** MAX_EXPONENT;
+
+/**
+ * value of a float40, i.e. the out signal of DecodeFloat
+ * returns a BigInt
+ */
+function decode(float40) {
+    const f = BigInt(float40);
+    if (f < 0n || f > MAX_FLOAT40) {
+        throw new Float40Error(`${float40} is not a float40 (expected 0 <= f < 2^40)`);
+    }
+    const mantissa = f & MAX_MANTISSA;
+    const exponent = f >> BigInt(MANTISSA_BITS);
+    return mantissa * 10n ** exponent;
+}
+
+/**
+ * float40 of a value
+ * parameters:
+ * - value: non-negative integer up to MAX_VALUE
+ * - round: round down to the nearest float40 instead of throwing when value is not exact
+ * returns:
+ * - float40: the encoded value as a BigInt
+ * - error: value - decode(float40), always 0n when round is false
+ */
+function encode(value, { round = false } = {}) {
+    const v = BigInt(value);
+    if (v < 0n) {
+        throw new Float40Error(`Cannot encode negative value ${value}`);
+    }
+    if (v > MAX_VALUE) {
+        throw new Float40Error(`${value} is larger than the largest float40 ${MAX_VALUE}`);
+    }
+
+    let mantissa = v;
+    let exponent = 0n;
+    while (mantissa > MAX_MANTISSA) {
+        if (mantissa % 10n !== 0n && !round) {
+            throw new Float40Error(`${value} cannot be represented exactly as a float40`);
+        }
+        mantissa /= 10n;
+        exponent++;
+    }
+
+    const float40 = (exponent << BigInt(MANTISSA_BITS)) + mantissa;
+    return { float40, error: v - decode(float40) };
+}
+
+function isExactlyRepresentable(value) {
+    const v = BigInt(value);
+    if (v < 0n || v > MAX_VALUE) {
+        return false;
+    }
+    return encode(v, { round: true }).error === 0n;
+}
+
+// float40 of a value that must be exact, throws Float40Error otherwise
+function fix2Float(value) {
+    return encode(value).float40;
+}
+
+// float40 of the largest representable value <= value
+function floorFix2Float(value) {
+    return encode(value, { round: true }).float40;
+}
+
+// value of a float40
+function float2Fix(float40) {
+    return decode(float40);
+}
+
+// the largest representable value <= value
+function roundFix(value) {
+    return decode(floorFix2Float(value));
+}
+
+export {
+    Float40Error,
+    MANTISSA_BITS,
+    EXPONENT_BITS,
+    MAX_MANTISSA,
+    MAX_EXPONENT,
+    MAX_FLOAT40,
+    MAX_VALUE,
+    decode,
+    encode,
+    isExactlyRepresentable,
+    fix2Float,
+    floorFix2Float,
+    float2Fix,
+    roundFix,
+};
@@ -0,0 +1,143 @@
+import { bitsTxData, txDataBitsLength } from "./tx.js";
+import { sha256Bits } from "./sha256.js";
+
+/**
+ * Thrown when roots or txs cannot be laid out the way HashInputs reads them
+ */
+class HashInputsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+// Order of the roots in the SHA-256 message of HashInputs
+const ROOT_NAMES = [
+    "oldAccountRoot",
+    "oldVouchRoot",
+    "oldScoreRoot",
+    "newAccountRoot",
+    "newVouchRoot",
+    "newScoreRoot",
+];
+
+const BITS_ROOT = 256;
+
+// Bits2Num(256) of the digest wraps around the BN254 scalar field
+const SNARK_SCALAR_FIELD = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+/**
+ * fields of the HashInputs(nTx, nLevels) SHA-256 message, in order
+ * returns an array of { name, bitOffset, bits, order }:
+ * - roots are written most significant bit first
+ * - tx fields are written least significant bit first (DecodeTx's bitsTxData order)
+ */
+function hashInputsLayout(nTx, nLevels) {
+    const layout = [];
+    let bitOffset = 0;
+    const push = (name, bits, order) => {
+        layout.push({ name, bitOffset, bits, order });
+        bitOffset += bits;
+    };
+
+    for (const name of ROOT_NAMES) {
+        push(name, BITS_ROOT, "msb first");
+    }
+    for (let i = 0; i < nTx; i++) {
+        push(`txs[${i}].txnType`, 8, "lsb first");
+        push(`txs[${i}].fromIdx`, nLevels, "lsb first");
+        push(`txs[${i}].toIdx`, nLevels, "lsb first");
+        push(`txs[${i}].amount`, 128, "lsb first");
+    }
+    return layout;
+}
+
+/**
+ * printable table of hashInputsLayout(nTx, nLevels), the reference for an on-chain hashGlobalInputs
+ * a tx takes the bit reversal of its txData: the first bit hashed is bit 0 of txnType
+ */
+function formatHashInputsLayout(nTx, nLevels) {
+    const layout = hashInputsLayout(nTx, nLevels);
+    const totalBits = BITS_ROOT * ROOT_NAMES.length + nTx * txDataBitsLength(nLevels);
+    const byteOffset = (bit) => (bit % 8 === 0 ? `${bit / 8}` : `${Math.floor(bit / 8)}+${bit % 8}b`);
+
+    const lines = [
+        `HashInputs(${nTx}, ${nLevels}): sha256 over ${totalBits} bits` +
+            (totalBits % 8 === 0 ? ` (${totalBits / 8} bytes)` : " (not byte aligned)"),
+        `${"byte".padEnd(10)}${"bits".padEnd(6)}${"field".padEnd(24)}order`,
+    ];
+    for (const { name, bitOffset, bits, order } of layout) {
+        lines.push(`${byteOffset(bitOffset).padEnd(10)}${String(bits).padEnd(6)}${name.padEnd(24)}${order}`);
+    }
+    lines.push("hashGlobalInputs = uint256(sha256(message)) mod SNARK_SCALAR_FIELD");
+    return lines.join("\n");
+}
+
+/**
+ * SHA-256 message of HashInputs(nTx, nLevels) as an array of bits
+ * parameters:
+ * - roots: { oldAccountRoot, oldVouchRoot, oldScoreRoot, newAccountRoot, newVouchRoot, newScoreRoot }
+ * - txs: the nTx decoded txs of the batch, NOP txs included ({ type, from, to, amount })
+ * txs are encoded with encodeTx, so a tx DecodeTx would reject throws TxCodecError
+ */
+function hashInputsBits(roots, txs, nLevels) {
+    const bits = [];
+
+    for (const name of ROOT_NAMES) {
+        if (roots[name] === undefined) {
+            throw new HashInputsError(`Missing root ${name}`);
+        }
+        const root = BigInt(roots[name]);
+        if (root < 0n || root >= 1n << BigInt(BITS_ROOT)) {
+            throw new HashInputsError(`Root ${name}=${root} does not fit in ${BITS_ROOT} bits`);
+        }
+        for (let i = BITS_ROOT - 1; i >= 0; i--) {
+            bits.push(Number((root >> BigInt(i)) & 1n));
+        }
+    }
+
+    for (const tx of txs) {
+        bits.push(...bitsTxData(tx, nLevels));
+    }
+
+    return bits;
+}
+
+/**
+ * SHA-256 message of HashInputs(nTx, nLevels) packed into bytes (first bit = most significant bit of byte 0)
+ * this is what an on-chain sha256(abi.encodePacked(...)) must hash
+ * throws HashInputsError when the message is not a whole number of bytes
+ */
+function hashInputsBytes(roots, txs, nLevels) {
+    const bits = hashInputsBits(roots, txs, nLevels);
+    if (bits.length % 8 !== 0) {
+        throw new HashInputsError(
+            `HashInputs(${txs.length}, ${nLevels}) hashes ${bits.length} bits, which is not a whole number of bytes`
+        );
+    }
+    const bytes = Buffer.alloc(bits.length / 8);
+    bits.forEach((bit, i) => {
+        bytes[i >> 3] |= bit << (7 - (i & 7));
+    });
+    return bytes;
+}
+
+/**
+ * hashInputsOut of HashInputs(nTx, nLevels), i.e. the public hashGlobalInputs of BatchMain
+ * returns a BigInt
+ */
+function hashGlobalInputs(roots, txs, nLevels) {
+    const digest = sha256Bits(hashInputsBits(roots, txs, nLevels));
+    return BigInt(`0x${digest.toString("hex")}`) % SNARK_SCALAR_FIELD;
+}
+
+export {
+    HashInputsError,
+    ROOT_NAMES,
+    SNARK_SCALAR_FIELD,
+    hashInputsLayout,
+    formatHashInputsLayout,
+    hashInputsBits,
+    hashInputsBytes,
+    hashGlobalInputs,
+};
@@ -0,0 +1,337 @@
+import { buildPoseidon, newMemEmptyTrie } from "circomlibjs";
+import { encodeTx, decodeTx } from "./tx.js";
+import { hashGlobalInputs } from "./hashInputs.js";
+
+/**
+ * Thrown when a tx cannot be applied to the rollup state
+ */
+class RollupStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+const NOP_TX = { type: "nop", from: 0, to: 0, amount: 0 };
+
+/**
+ * RollupState class
+ * off-chain model of the trees read by BatchMain(nTx, nLevels):
+ * - account tree: key = idx, value = HashState(balance) = Poseidon([balance]) (nLevels + 1 levels)
+ * - vouch tree: key = fromIdx | toIdx << nLevels, value = 1 (2*nLevels + 1 levels)
+ * - score tree: key = idx, value = score (read by ProveScoreInclusion)
+ * txs are applied the same way BalanceUpdater and the SMTProcessors of BatchTx do
+ */
+class RollupState {
+    constructor(nLevels) {
+        this.nLevels = nLevels;
+        this.balances = new Map();
+        this.lastIdx = 0n;
+        this.journal = null;
+        this.initialized = false;
+    }
+
+    async init() {
+        if (!this.initialized) {
+            this.poseidon = await buildPoseidon();
+            this.accountTree = await newMemEmptyTrie();
+            this.vouchTree = await newMemEmptyTrie();
+            this.scoreTree = await newMemEmptyTrie();
+            this.F = this.accountTree.F;
+            this.initialized = true;
+        }
+    }
+
+    hashState(balance) {
+        return this.poseidon.F.toObject(this.poseidon([balance]));
+    }
+
+    vouchKey(fromIdx, toIdx) {
+        return BigInt(fromIdx) + (BigInt(toIdx) << BigInt(this.nLevels));
+    }
+
+    getBalance(idx) {
+        const balance = this.balances.get(BigInt(idx));
+        if (balance === undefined) {
+            throw new RollupStateError(`Account ${idx} does not exist`);
+        }
+        return balance;
+    }
+
+    async hasVouch(fromIdx, toIdx) {
+        await this.init();
+        const res = await this.vouchTree.find(this.F.e(this.vouchKey(fromIdx, toIdx)));
+        return res.found;
+    }
+
+    async getRoots() {
+        await this.init();
+        const F = this.F;
+        return {
+            accountRoot: F.toObject(this.accountTree.root),
+            vouchRoot: F.toObject(this.vouchTree.root),
+            scoreRoot: F.toObject(this.scoreTree.root),
+        };
+    }
+
+    // insert or update the score of an account
+    async setScore(idx, score) {
+        await this.init();
+        const res = await this.scoreTree.find(this.F.e(idx));
+        await this.writeTree(this.scoreTree, res.found ? "update" : "insert", BigInt(idx), BigInt(score));
+    }
+
+    /**
+     * tree.insert, tree.update or tree.delete, journaling its inverse while a batch is built
+     * the trees do not depend on the order of their writes, so undoing them in reverse restores the roots
+     */
+    async writeTree(tree, op, key, value) {
+        const res = await tree[op](key, value);
+        if (this.journal) {
+            const undo = {
+                insert: () => tree.delete(key),
+                update: () => tree.update(key, tree.F.toObject(res.oldValue)),
+                delete: () => tree.insert(key, tree.F.toObject(res.delValue)),
+            };
+            this.journal.push(undo[op]);
+        }
+        return res;
+    }
+
+    checkIdx(idx) {
+        const max = 1n << BigInt(this.nLevels);
+        if (BigInt(idx) <= 0n || BigInt(idx) >= max) {
+            throw new RollupStateError(`Account index ${idx} out of range: expected 0 < idx < ${max}`);
+        }
+    }
+
+    // SMTProcessor inputs from a circomlibjs insert/update/delete result
+    processorInputs(tree, res, nLevelsProcessor) {
+        const F = tree.F;
+        const siblings = res.siblings.map((s) => F.toObject(s).toString());
+        if (siblings.length > nLevelsProcessor - 1) {
+            throw new RollupStateError(`Merkle path of ${siblings.length} levels does not fit ${nLevelsProcessor} levels`);
+        }
+        while (siblings.length < nLevelsProcessor) {
+            siblings.push("0");
+        }
+        return {
+            siblings,
+            isOld0: res.isOld0 ? "1" : "0",
+            oldKey: res.isOld0 ? "0" : F.toObject(res.oldKey).toString(),
+            oldValue: res.isOld0 ? "0" : F.toObject(res.oldValue).toString(),
+        };
+    }
+
+    // inputs of a processor whose fnc is NOP for this tx
+    nopProcessorInputs(nLevelsProcessor) {
+        return {
+            siblings: Array(nLevelsProcessor).fill("0"),
+            isOld0: "0",
+            oldKey: "0",
+            oldValue: "0",
+        };
+    }
+
+    /**
+     * apply one tx and return its BatchTx witness slot
+     * tx: { type, from, to, amount } with type one of the keys of TX_TYPES or its txnType
+     * throws TxCodecError for txs DecodeTx would reject, RollupStateError for txs the state cannot apply
+     */
+    async processTx(tx) {
+        await this.init();
+
+        // Encoded before any tree is touched, so a malformed tx leaves the state unchanged
+        const txData = encodeTx(tx, this.nLevels);
+        const { type, from, to, amount } = decodeTx(txData, this.nLevels);
+        const accountLevels = this.nLevels + 1;
+        const vouchLevels = 2 * this.nLevels + 1;
+
+        let balance1 = 0n;
+        let balance2 = 0n;
+        let p1 = this.nopProcessorInputs(accountLevels);
+        let p2 = this.nopProcessorInputs(accountLevels);
+        let p3 = this.nopProcessorInputs(vouchLevels);
+
+        switch (type) {
+        case "nop":
+            break;
+
+        case "createAccount": {
+            this.checkIdx(from);
+            if (this.balances.has(from)) {
+                throw new RollupStateError(`Account ${from} already exists`);
+            }
+            // processor1: INSERT
+            const res = await this.writeTree(this.accountTree, "insert", from, this.hashState(amount));
+            p1 = this.processorInputs(this.accountTree, res, accountLevels);
+            this.balances.set(from, amount);
+            if (from > this.lastIdx) {
+                this.lastIdx = from;
+            }
+            break;
+        }
+
+        case "deposit":
+        case "withdraw": {
+            balance1 = this.getBalance(from);
+            const newBalance = type === "deposit" ? balance1 + amount : balance1 - amount;
+            if (newBalance < 0n) {
+                throw new RollupStateError(`Account ${from} has balance ${balance1}, cannot withdraw ${amount}`);
+            }
+            // processor1: UPDATE
+            const res = await this.writeTree(this.accountTree, "update", from, this.hashState(newBalance));
+            p1 = this.processorInputs(this.accountTree, res, accountLevels);
+            this.balances.set(from, newBalance);
+            break;
+        }
+
+        case "vouch": {
+            this.getBalance(from);
+            this.getBalance(to);
+            if (from === to) {
+                throw new RollupStateError(`Account ${from} cannot vouch for itself`);
+            }
+            if (await this.hasVouch(from, to)) {
+                throw new RollupStateError(`Vouch ${from} -> ${to} already exists`);
+            }
+            // processor3: INSERT (fromIdx|toIdx, 1)
+            const res = await this.writeTree(this.vouchTree, "insert", this.vouchKey(from, to), 1n);
+            p3 = this.processorInputs(this.vouchTree, res, vouchLevels);
+            break;
+        }
+
+        case "unvouch": {
+            if (!(await this.hasVouch(from, to))) {
+                throw new RollupStateError(`Vouch ${from} -> ${to} does not exist`);
+            }
+            // processor3: DELETE (fromIdx|toIdx)
+            const res = await this.writeTree(this.vouchTree, "delete", this.vouchKey(from, to));
+            p3 = this.processorInputs(this.vouchTree, res, vouchLevels);
+            break;
+        }
+
+        case "explode": {
+            balance1 = this.getBalance(from);
+            balance2 = this.getBalance(to);
+            if (from === to) {
+                throw new RollupStateError(`Account ${from} cannot explode itself`);
+            }
+            if (balance2 < amount) {
+                throw new RollupStateError(`Account ${to} has balance ${balance2}, cannot explode ${amount}`);
+            }
+            if (!(await this.hasVouch(to, from))) {
+                throw new RollupStateError(`Vouch ${to} -> ${from} does not exist`);
+            }
+            // processor1: UPDATE sender, processor2: UPDATE receiver
+            const res1 = await this.writeTree(this.accountTree, "update", from, this.hashState(balance1 + amount));
+            p1 = this.processorInputs(this.accountTree, res1, accountLevels);
+            const res2 = await this.writeTree(this.accountTree, "update", to, this.hashState(balance2 - amount));
+            p2 = this.processorInputs(this.accountTree, res2, accountLevels);
+            this.balances.set(from, balance1 + amount);
+            this.balances.set(to, balance2 - amount);
+
+            // processor3: DELETE (toIdx|fromIdx)
+            const res3 = await this.writeTree(this.vouchTree, "delete", this.vouchKey(to, from));
+            p3 = this.processorInputs(this.vouchTree, res3, vouchLevels);
+            break;
+        }
+        }
+
+        return {
+            txData: txData.toString(),
+            balance1: balance1.toString(),
+            ethAddr1: "0",
+            siblings1: p1.siblings,
+            isOld0_1: p1.isOld0,
+            oldKey1: p1.oldKey,
+            oldValue1: p1.oldValue,
+            balance2: balance2.toString(),
+            ethAddr2: "0",
+            siblings2: p2.siblings,
+            isOld0_2: p2.isOld0,
+            oldKey2: p2.oldKey,
+            oldValue2: p2.oldValue,
+            siblings3: p3.siblings,
+            isOld0_3: p3.isOld0,
+            oldKey3: p3.oldKey,
+            oldValue3: p3.oldValue,
+        };
+    }
+
+    /**
+     * apply txs (and optional score updates) as one batch
+     * txs are applied in order; if one is rejected, the whole batch is rolled back before the error is rethrown
+     * parameters:
+     * - txs: up to nTx txs, the rest of the batch is padded with NOP txs
+     * - nTx: batch size of BatchMain(nTx, nLevels)
+     * - scores: [idx, score] pairs applied to the score tree after the txs
+     * returns:
+     * - input: signals for BatchMain(nTx, nLevels)
+     * - oldRoots / newRoots: account, vouch and score roots before and after the batch
+     * - hashGlobalInputs: expected value of the circuit's public output
+     */
+    async buildBatch(txs, nTx, scores = []) {
+        await this.init();
+        if (!(nTx >= 1)) {
+            throw new RollupStateError(`BatchMain takes at least 1 tx per batch, got nTx = ${nTx}`);
+        }
+        if (txs.length > nTx) {
+            throw new RollupStateError(`Batch has ${txs.length} txs, BatchMain takes at most ${nTx}`);
+        }
+
+        const oldLastIdx = this.lastIdx;
+        const oldBalances = new Map(this.balances);
+        const oldRoots = await this.getRoots();
+
+        const batchTxs = [...txs];
+        while (batchTxs.length < nTx) {
+            batchTxs.push(NOP_TX);
+        }
+        const slots = [];
+        this.journal = [];
+        try {
+            for (const tx of batchTxs) {
+                slots.push(await this.processTx(tx));
+            }
+            for (const [idx, score] of scores) {
+                await this.setScore(idx, score);
+            }
+        } catch (error) {
+            for (const undo of this.journal.reverse()) {
+                await undo();
+            }
+            this.balances = oldBalances;
+            this.lastIdx = oldLastIdx;
+            throw error;
+        } finally {
+            this.journal = null;
+        }
+
+        const newRoots = await this.getRoots();
+
+        const input = {
+            oldLastIdx: oldLastIdx.toString(),
+            oldAccountRoot: oldRoots.accountRoot.toString(),
+            oldVouchRoot: oldRoots.vouchRoot.toString(),
+            oldScoreRoot: oldRoots.scoreRoot.toString(),
+            newScoreRoot: newRoots.scoreRoot.toString(),
+        };
+        for (const key of Object.keys(slots[0])) {
+            input[key] = slots.map((slot) => slot[key]);
+        }
+
+        const hash = hashGlobalInputs({
+            oldAccountRoot: oldRoots.accountRoot,
+            oldVouchRoot: oldRoots.vouchRoot,
+            oldScoreRoot: oldRoots.scoreRoot,
+            newAccountRoot: newRoots.accountRoot,
+            newVouchRoot: newRoots.vouchRoot,
+            newScoreRoot: newRoots.scoreRoot,
+        }, batchTxs, this.nLevels);
+
+        return { input, oldRoots, newRoots, hashGlobalInputs: hash };
+    }
+}
+
+export { RollupState, RollupStateError, NOP_TX };
@@ -0,0 +1,89 @@
+/**
+ * SHA-256 over a bit string, as computed by circomlib's Sha256(nBits)
+ * node's crypto only hashes whole bytes, but HashInputs hashes
+ * 6*256 + nTx*(8 + 2*nLevels + 128) bits, which is not always a multiple of 8
+ */
+
+const K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+const H0 = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+// message bits, padded with 1, zeros and the 64-bit big-endian bit length to a multiple of 512
+function padBits(bits) {
+    const padded = bits.map((b) => (b ? 1 : 0));
+    padded.push(1);
+    while (padded.length % 512 !== 448) {
+        padded.push(0);
+    }
+    const length = BigInt(bits.length);
+    for (let i = 63; i >= 0; i--) {
+        padded.push(Number((length >> BigInt(i)) & 1n));
+    }
+    return padded;
+}
+
+function compress(h, w) {
+    for (let t = 16; t < 64; t++) {
+        const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+        const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+        w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let t = 0; t < 64; t++) {
+        const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+        const ch = (e & f) ^ (~e & g);
+        const temp1 = (hh + S1 + ch + K[t] + w[t]) | 0;
+        const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const temp2 = (S0 + maj) | 0;
+        hh = g;
+        g = f;
+        f = e;
+        e = (d + temp1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (temp1 + temp2) | 0;
+    }
+
+    return [a, b, c, d, e, f, g, hh].map((x, i) => (h[i] + x) | 0);
+}
+
+/**
+ * SHA-256 digest of a message given as an array of bits (first bit = first bit hashed)
+ * returns the 32-byte digest as a Buffer
+ */
+function sha256Bits(bits) {
+    const padded = padBits(bits);
+    let h = [...H0];
+
+    for (let block = 0; block < padded.length; block += 512) {
+        const w = new Array(64).fill(0);
+        for (let t = 0; t < 16; t++) {
+            let word = 0;
+            for (let j = 0; j < 32; j++) {
+                word = (word << 1) | padded[block + 32 * t + j];
+            }
+            w[t] = word;
+        }
+        h = compress(h, w);
+    }
+
+    const digest = Buffer.alloc(32);
+    h.forEach((x, i) => digest.writeUInt32BE(x >>> 0, 4 * i));
+    return digest;
+}
+
+export { sha256Bits };
@@ -0,0 +1,131 @@
+/**
+ * Thrown when a tx or txData would be rejected by DecodeTx / BatchTxStates
+ */
+class TxCodecError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Transaction types handled by BatchTxStates (txnType values 0-6)
+ */
+const TX_TYPES = {
+    nop: 0,
+    createAccount: 1,
+    deposit: 2,
+    withdraw: 3,
+    vouch: 4,
+    unvouch: 5,
+    explode: 6,
+};
+
+const TX_TYPE_NAMES = Object.fromEntries(Object.entries(TX_TYPES).map(([name, txnType]) => [txnType, name]));
+
+const BITS_TXN_TYPE = 8;
+const BITS_AMOUNT = 128;
+
+// txData is decomposed by Num2Bits, so it must stay below the 254-bit field
+const MAX_TX_DATA_BITS = 253;
+
+// txnType[8] | fromIdx[nLevels] | toIdx[nLevels] | amount[128]
+function txDataBitsLength(nLevels) {
+    return BITS_TXN_TYPE + 2 * nLevels + BITS_AMOUNT;
+}
+
+function checkNLevels(nLevels) {
+    if (!Number.isInteger(nLevels) || nLevels < 1) {
+        throw new TxCodecError(`nLevels must be a positive integer, got ${nLevels}`);
+    }
+    if (txDataBitsLength(nLevels) > MAX_TX_DATA_BITS) {
+        throw new TxCodecError(`nLevels=${nLevels} makes txData wider than ${MAX_TX_DATA_BITS} bits`);
+    }
+}
+
+function checkField(name, value, bits) {
+    if (value < 0n || value >= 1n << BigInt(bits)) {
+        throw new TxCodecError(`${name}=${value} does not fit in ${bits} bits`);
+    }
+}
+
+// txnType of a tx given by name ("vouch") or by number (4)
+function txnTypeOf(type) {
+    if (typeof type === "string") {
+        if (!(type in TX_TYPES)) {
+            throw new TxCodecError(`Unknown tx type: ${type}`);
+        }
+        return TX_TYPES[type];
+    }
+    const txnType = Number(type);
+    if (!(txnType in TX_TYPE_NAMES)) {
+        throw new TxCodecError(`txnType ${type} is not a valid tx type (0-6)`);
+    }
+    return txnType;
+}
+
+/**
+ * pack a tx into the txData field element read by DecodeTx(nLevels)
+ * txnType[8] | fromIdx[nLevels] | toIdx[nLevels] | amount[128], lowest bits first
+ * parameters:
+ * - tx: { type, from, to, amount }, type being a key of TX_TYPES or its txnType; missing fields are 0
+ * returns txData as a BigInt
+ */
+function encodeTx(tx, nLevels) {
+    checkNLevels(nLevels);
+    const txnType = txnTypeOf(tx.type);
+    const from = BigInt(tx.from ?? 0);
+    const to = BigInt(tx.to ?? 0);
+    const amount = BigInt(tx.amount ?? 0);
+
+    checkField("from", from, nLevels);
+    checkField("to", to, nLevels);
+    checkField("amount", amount, BITS_AMOUNT);
+
+    const n = BigInt(nLevels);
+    return BigInt(txnType)
+        + (from << 8n)
+        + (to << (8n + n))
+        + (amount << (8n + 2n * n));
+}
+
+/**
+ * unpack txData into the fields output by DecodeTx(nLevels)
+ * returns { type, txnType, from, to, amount } with from, to and amount as BigInt
+ */
+function decodeTx(txData, nLevels) {
+    checkNLevels(nLevels);
+    const data = BigInt(txData);
+    checkField("txData", data, txDataBitsLength(nLevels));
+
+    const n = BigInt(nLevels);
+    const mask = (bits) => (1n << bits) - 1n;
+    const txnType = Number(data & mask(8n));
+
+    return {
+        type: TX_TYPE_NAMES[txnTypeOf(txnType)],
+        txnType,
+        from: (data >> 8n) & mask(n),
+        to: (data >> (8n + n)) & mask(n),
+        amount: data >> (8n + 2n * n),
+    };
+}
+
+/**
+ * bitsTxData output of DecodeTx(nLevels): the txData bits of a tx, lowest bit first
+ * returns an array of 0/1 numbers of length txDataBitsLength(nLevels)
+ */
+function bitsTxData(tx, nLevels) {
+    const txData = encodeTx(tx, nLevels);
+    return Array.from({ length: txDataBitsLength(nLevels) }, (_, i) => Number((txData >> BigInt(i)) & 1n));
+}
+
+export {
+    TxCodecError,
+    TX_TYPES,
+    TX_TYPE_NAMES,
+    txDataBitsLength,
+    encodeTx,
+    decodeTx,
+    bitsTxData,
+};
@@ -0,0 +1,33 @@
+import { prove, loadCircuits, CircuitNotFoundError } from "./prover.js";
+import type { ProveResult, SdkOptions } from "./prover.js";
+import { ScoreTree, ScoreTreeError } from "./v2/scoreTree.js";
+
+/** circuits.json entry of ProveScoreThreshold(nLevels, nBits) */
+export const SCORE_THRESHOLD_CIRCUIT = "prove_score_threshold";
+
+export interface ScoreThresholdOptions extends SdkOptions {
+    /** circuits.json entry to prove with (defaults to prove_score_threshold) */
+    circuitName?: string;
+}
+
+// Prove the score of idx in scoreTree is at least threshold, without revealing the score
+// public signals of the proof: [root, idx, threshold]
+export async function proveScoreThreshold(
+    scoreTree: ScoreTree,
+    idx: bigint | number | string,
+    threshold: bigint | number | string,
+    options: ScoreThresholdOptions = {},
+): Promise<ProveResult> {
+    const circuitName = options.circuitName ?? SCORE_THRESHOLD_CIRCUIT;
+    const config = (await loadCircuits(options))[circuitName];
+    if (!config || config.template !== "ProveScoreThreshold") {
+        throw new CircuitNotFoundError(`No ProveScoreThreshold circuit ${circuitName} in circuits.json`);
+    }
+
+    const [nLevels, nBits] = config.params ?? [];
+    if (scoreTree.nLevels !== nLevels) {
+        throw new ScoreTreeError(`ScoreTree has nLevels=${scoreTree.nLevels}, ${circuitName} takes nLevels=${nLevels}`);
+    }
+    const input = await scoreTree.thresholdInput(idx, threshold, nBits);
+    return prove(circuitName, input, options);
+}
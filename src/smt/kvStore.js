@@ -0,0 +1,72 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Key-value stores an SmtTree persists its nodes to
+ * a store maps string keys to string values and implements:
+ * - get(key): the value, or undefined
+ * - batch(ops): apply [{ type: "put", key, value } | { type: "del", key }] at once
+ * the same interface as level (LevelDB), so a level database can be passed as a store
+ */
+
+function applyOps(entries, ops) {
+    for (const op of ops) {
+        if (op.type === "put") {
+            entries.set(op.key, op.value);
+        } else {
+            entries.delete(op.key);
+        }
+    }
+}
+
+/**
+ * In-memory store, the default of SmtTree
+ */
+class MemoryKVStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return this.entries.get(key);
+    }
+
+    async batch(ops) {
+        applyOps(this.entries, ops);
+    }
+}
+
+/**
+ * Store kept in a JSON file, rewritten on every batch
+ * the file is replaced through a temporary file, so a killed process never leaves half a tree
+ * the entries in memory only change once the file is written: a failed batch leaves the store as it was
+ */
+class FileKVStore extends MemoryKVStore {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+    }
+
+    // open the store of filePath, empty when the file does not exist yet
+    static async open(filePath) {
+        const store = new FileKVStore(filePath);
+        try {
+            const entries = JSON.parse(await fs.readFile(filePath, "utf-8"));
+            store.entries = new Map(Object.entries(entries));
+        } catch (error) {
+            if (error.code !== "ENOENT") throw error;
+        }
+        return store;
+    }
+
+    async batch(ops) {
+        const entries = new Map(this.entries);
+        applyOps(entries, ops);
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(`${this.filePath}.tmp`, JSON.stringify(Object.fromEntries(entries)));
+        await fs.rename(`${this.filePath}.tmp`, this.filePath);
+        this.entries = entries;
+    }
+}
+
+export { MemoryKVStore, FileKVStore };
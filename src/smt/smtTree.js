@@ -0,0 +1,398 @@
+import crypto from "crypto";
+import { buildSMT } from "circomlibjs";
+import { Scalar } from "ffjavascript";
+import { MemoryKVStore } from "./kvStore.js";
+import { SNARK_SCALAR_FIELD } from "../rollup/hashInputs.js";
+
+/**
+ * Base class for every SmtTree precondition failure
+ */
+class SmtError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/** key has no leaf in the tree */
+class KeyNotFoundError extends SmtError {}
+
+/** key already has a leaf in the tree */
+class KeyExistsError extends SmtError {}
+
+/** key or value is not an element of the BN254 scalar field */
+class OutOfFieldError extends SmtError {}
+
+/** leaf would sit deeper than the nLevels the circuits can verify */
+class DepthOverflowError extends SmtError {}
+
+/** keys do not fit ProveScoresInclusionBatch: more than nProofs keys, or key 0 (the NOP slot) */
+class InclusionBatchError extends SmtError {}
+
+const ROOT_KEY = "root";
+
+/**
+ * circomlibjs SMT database over a key-value store (see kvStore.js)
+ * the writes of a tree operation are kept until it sets the new root,
+ * then written as one batch: the store always holds a whole tree
+ */
+class StoreDb {
+    constructor(store) {
+        this.store = store;
+        this.F = null;
+        this.pending = new Map();
+    }
+
+    nodeKey(key) {
+        return `node:${this.F.toString(key)}`;
+    }
+
+    async getRoot() {
+        const root = await this.store.get(ROOT_KEY);
+        return root === undefined ? this.F.zero : this.F.e(root);
+    }
+
+    async get(key) {
+        const nodeKey = this.nodeKey(key);
+        if (this.pending.has(nodeKey)) {
+            return this.pending.get(nodeKey) ?? undefined;
+        }
+        const node = await this.store.get(nodeKey);
+        return node === undefined ? undefined : JSON.parse(node).map((v) => this.F.e(v));
+    }
+
+    async multiGet(keys) {
+        return Promise.all(keys.map((key) => this.get(key)));
+    }
+
+    async multiIns(inserts) {
+        for (const [key, node] of inserts) {
+            this.pending.set(this.nodeKey(key), node.map((v) => this.F.e(v)));
+        }
+    }
+
+    async multiDel(dels) {
+        for (const key of dels) {
+            this.pending.set(this.nodeKey(key), null);
+        }
+    }
+
+    // a failed write drops the pending nodes too: the tree keeps its old root
+    async setRoot(root) {
+        try {
+            const ops = [];
+            for (const [key, node] of this.pending) {
+                ops.push(
+                    node === null
+                        ? { type: "del", key }
+                        : { type: "put", key, value: JSON.stringify(node.map((v) => this.F.toString(v))) }
+                );
+            }
+            ops.push({ type: "put", key: ROOT_KEY, value: this.F.toString(root) });
+            await this.store.batch(ops);
+        } finally {
+            this.pending.clear();
+        }
+    }
+}
+
+/**
+ * commitment output of ProveScoresInclusionBatch(nProofs, nLevels)
+ * sha256(root[32 bytes] | idx[32 bytes] | score[32 bytes] | ...), big-endian,
+ * with the entries padded to nProofs with NOP entries [0, 0]
+ * returns the digest reduced to a field element, as a BigInt
+ */
+function inclusionBatchCommitment(root, entries, nProofs) {
+    if (entries.length > nProofs) {
+        throw new InclusionBatchError(`Batch has ${entries.length} keys, ProveScoresInclusionBatch takes at most ${nProofs}`);
+    }
+    const message = Buffer.alloc(32 * (1 + 2 * nProofs));
+    const words = [root, ...entries.flat()];
+    words.forEach((word, i) => {
+        message.write(BigInt(word).toString(16).padStart(64, "0"), 32 * i, "hex");
+    });
+
+    const digest = crypto.createHash("sha256").update(message).digest("hex");
+    return BigInt(`0x${digest}`) % SNARK_SCALAR_FIELD;
+}
+
+/**
+ * SmtTree class
+ * Poseidon sparse Merkle tree of circomlib (SMTVerifier / SMTProcessor), persisted to a key-value store
+ * - inclusionProof / exclusionProof: input of SMTVerifier(nLevels)
+ * - insert / update / delete: input of SMTProcessor(nLevels) for the change
+ * - inclusionBatch: input of ProveScoresInclusionBatch(nProofs, nLevels)
+ * a leaf at depth d has d siblings, and SMTLevIns needs siblings[nLevels - 1] == 0:
+ * leaves deeper than nLevels - 1 throw DepthOverflowError, the tree is left unchanged
+ * operations run one at a time, in the order they are called
+ */
+class SmtTree {
+    constructor(nLevels, store = new MemoryKVStore()) {
+        this.nLevels = nLevels;
+        this.store = store;
+        this.tree = null;
+        this.initialized = false;
+        this.queue = Promise.resolve();
+    }
+
+    async init() {
+        if (!this.initialized) {
+            const db = new StoreDb(this.store);
+            this.tree = await buildSMT(db, null);
+            this.F = this.tree.F;
+            db.F = this.F;
+            this.tree.root = await db.getRoot();
+            this.initialized = true;
+        }
+    }
+
+    // run fn once the operations called before it are done
+    exclusive(fn) {
+        const run = this.queue.then(async () => {
+            await this.init();
+            return fn();
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    fieldElement(name, x) {
+        const value = BigInt(x);
+        if (value < 0n || value >= SNARK_SCALAR_FIELD) {
+            throw new OutOfFieldError(`${name} ${value} is not in the BN254 scalar field`);
+        }
+        return value;
+    }
+
+    toString(x) {
+        return this.F.toObject(x).toString();
+    }
+
+    /**
+     * pad a circomlibjs siblings array to nLevels
+     * throws DepthOverflowError when the leaf is deeper than nLevels - 1
+     */
+    padSiblings(siblings) {
+        if (siblings.length > this.nLevels - 1) {
+            throw new DepthOverflowError(
+                `Leaf at depth ${siblings.length} does not fit nLevels=${this.nLevels} (deepest leaf: ${this.nLevels - 1})`
+            );
+        }
+        const padded = siblings.map((s) => this.toString(s));
+        while (padded.length < this.nLevels) {
+            padded.push("0");
+        }
+        return padded;
+    }
+
+    async getRoot() {
+        return this.exclusive(() => this.F.toObject(this.tree.root));
+    }
+
+    // value of key, undefined when key has no leaf
+    async get(key) {
+        return this.exclusive(async () => {
+            const res = await this.tree.find(this.fieldElement("Key", key));
+            return res.found ? this.F.toObject(res.foundValue) : undefined;
+        });
+    }
+
+    async has(key) {
+        return (await this.get(key)) !== undefined;
+    }
+
+    // inclusionProof, for a caller already holding the tree
+    async proveInclusion(key) {
+        const k = this.fieldElement("Key", key);
+        const res = await this.tree.find(k);
+        if (!res.found) {
+            throw new KeyNotFoundError(`Key ${k} is not in the tree`);
+        }
+        return {
+            enabled: "1",
+            fnc: "0",
+            root: this.toString(this.tree.root),
+            siblings: this.padSiblings(res.siblings),
+            oldKey: "0",
+            oldValue: "0",
+            isOld0: "0",
+            key: k.toString(),
+            value: this.toString(res.foundValue),
+        };
+    }
+
+    // input of SMTVerifier(nLevels) proving key has value in the tree
+    async inclusionProof(key) {
+        return this.exclusive(() => this.proveInclusion(key));
+    }
+
+    /**
+     * prove the values of up to nProofs keys in one ProveScoresInclusionBatch(nProofs, nLevels)
+     * the rest of the batch is padded with NOP slots (idx 0), so key 0 can not be part of a batch
+     * returns:
+     * - input: signals for ProveScoresInclusionBatch(nProofs, nLevels)
+     * - root: root every key is proven against
+     * - entries: [key, value] pairs of the batch, in the order of keys
+     * - commitment: expected value of the circuit's commitment output, see inclusionBatchCommitment
+     */
+    async inclusionBatch(keys, nProofs) {
+        if (keys.length > nProofs) {
+            throw new InclusionBatchError(`Batch has ${keys.length} keys, ProveScoresInclusionBatch takes at most ${nProofs}`);
+        }
+        return this.exclusive(async () => {
+            const slots = [];
+            for (const key of keys) {
+                if (BigInt(key) === 0n) {
+                    throw new InclusionBatchError("Key 0 is the NOP slot of ProveScoresInclusionBatch");
+                }
+                const proof = await this.proveInclusion(key);
+                slots.push({ idx: proof.key, score: proof.value, siblings: proof.siblings });
+            }
+            while (slots.length < nProofs) {
+                slots.push({ idx: "0", score: "0", siblings: Array(this.nLevels).fill("0") });
+            }
+
+            const root = this.F.toObject(this.tree.root);
+            const entries = slots.slice(0, keys.length).map((slot) => [BigInt(slot.idx), BigInt(slot.score)]);
+            const input = { root: root.toString() };
+            for (const name of Object.keys(slots[0])) {
+                input[name] = slots.map((slot) => slot[name]);
+            }
+            return { input, root, entries, commitment: inclusionBatchCommitment(root, entries, nProofs) };
+        });
+    }
+
+    /**
+     * input of SMTVerifier(nLevels) proving key is not in the tree
+     * the path of key ends at an empty leaf (isOld0 = 1) or at the leaf of another key (oldKey, oldValue)
+     */
+    async exclusionProof(key) {
+        return this.exclusive(async () => {
+            const k = this.fieldElement("Key", key);
+            const res = await this.tree.find(k);
+            if (res.found) {
+                throw new KeyExistsError(`Key ${k} is in the tree`);
+            }
+            return {
+                enabled: "1",
+                fnc: "1",
+                root: this.toString(this.tree.root),
+                siblings: this.padSiblings(res.siblings),
+                oldKey: res.isOld0 ? "0" : this.toString(res.notFoundKey),
+                oldValue: res.isOld0 ? "0" : this.toString(res.notFoundValue),
+                isOld0: res.isOld0 ? "1" : "0",
+                key: k.toString(),
+                value: "0",
+            };
+        });
+    }
+
+    // inclusionProof when key is in the tree, exclusionProof otherwise (fnc tells which)
+    async getProof(key) {
+        return (await this.has(key)) ? this.inclusionProof(key) : this.exclusionProof(key);
+    }
+
+    // depth of the leaf key would get: next to the leaf its path ends at, split where the keys differ
+    newLeafDepth(key, res) {
+        if (res.isOld0) {
+            return res.siblings.length;
+        }
+        const keyBits = Scalar.bits(key);
+        const oldBits = Scalar.bits(this.F.toObject(res.notFoundKey));
+        let depth = res.siblings.length;
+        while (Boolean(keyBits[depth]) === Boolean(oldBits[depth])) {
+            depth++;
+        }
+        return depth + 1;
+    }
+
+    // insert a leaf, returns the input of SMTProcessor(nLevels) for the insertion
+    async insert(key, value) {
+        return this.exclusive(async () => {
+            const k = this.fieldElement("Key", key);
+            const v = this.fieldElement("Value", value);
+            const found = await this.tree.find(k);
+            if (found.found) {
+                throw new KeyExistsError(`Key ${k} is already in the tree`);
+            }
+            const depth = this.newLeafDepth(k, found);
+            if (depth > this.nLevels - 1) {
+                throw new DepthOverflowError(
+                    `Key ${k} needs a leaf at depth ${depth}, nLevels=${this.nLevels} holds leaves down to depth ${this.nLevels - 1}`
+                );
+            }
+
+            const res = await this.tree.insert(k, v);
+            return {
+                fnc: ["1", "0"],
+                oldRoot: this.toString(res.oldRoot),
+                siblings: this.padSiblings(res.siblings),
+                oldKey: res.isOld0 ? "0" : this.toString(res.oldKey),
+                oldValue: res.isOld0 ? "0" : this.toString(res.oldValue),
+                isOld0: res.isOld0 ? "1" : "0",
+                newKey: k.toString(),
+                newValue: v.toString(),
+            };
+        });
+    }
+
+    // change the value of a leaf, returns the input of SMTProcessor(nLevels) for the update
+    async update(key, value) {
+        return this.exclusive(async () => {
+            const k = this.fieldElement("Key", key);
+            const v = this.fieldElement("Value", value);
+            const found = await this.tree.find(k);
+            if (!found.found) {
+                throw new KeyNotFoundError(`Key ${k} is not in the tree`);
+            }
+            this.padSiblings(found.siblings);
+
+            const res = await this.tree.update(k, v);
+            return {
+                fnc: ["0", "1"],
+                oldRoot: this.toString(res.oldRoot),
+                siblings: this.padSiblings(res.siblings),
+                oldKey: k.toString(),
+                oldValue: this.toString(res.oldValue),
+                isOld0: "0",
+                newKey: k.toString(),
+                newValue: v.toString(),
+            };
+        });
+    }
+
+    // remove a leaf, returns the input of SMTProcessor(nLevels) for the deletion
+    async delete(key) {
+        return this.exclusive(async () => {
+            const k = this.fieldElement("Key", key);
+            const found = await this.tree.find(k);
+            if (!found.found) {
+                throw new KeyNotFoundError(`Key ${k} is not in the tree`);
+            }
+            this.padSiblings(found.siblings);
+
+            const res = await this.tree.delete(k);
+            return {
+                fnc: ["1", "1"],
+                oldRoot: this.toString(res.oldRoot),
+                siblings: this.padSiblings(res.siblings),
+                oldKey: res.isOld0 ? "0" : this.toString(res.oldKey),
+                oldValue: res.isOld0 ? "0" : this.toString(res.oldValue),
+                isOld0: res.isOld0 ? "1" : "0",
+                newKey: this.toString(res.delKey),
+                newValue: this.toString(res.delValue),
+            };
+        });
+    }
+}
+
+export {
+    SmtTree,
+    inclusionBatchCommitment,
+    SmtError,
+    KeyNotFoundError,
+    KeyExistsError,
+    OutOfFieldError,
+    DepthOverflowError,
+    InclusionBatchError,
+};
@@ -0,0 +1,71 @@
+// Minimal typings for the parts of snarkjs used by the SDK (snarkjs ships none)
+declare module "snarkjs" {
+    export interface Groth16Proof {
+        pi_a: string[];
+        pi_b: string[][];
+        pi_c: string[];
+        protocol: string;
+        curve: string;
+    }
+
+    /** PLONK proof, the commitments and evaluations of the snarkjs prover */
+    export interface PlonkProof {
+        [key: string]: string | string[];
+        protocol: string;
+        curve: string;
+    }
+
+    /** FFLONK proof, polynomial commitments and evaluations */
+    export interface FflonkProof {
+        polynomials: Record<string, string[]>;
+        evaluations: Record<string, string>;
+        protocol: string;
+        curve: string;
+    }
+
+    export type PublicSignals = string[];
+
+    export namespace groth16 {
+        function fullProve(
+            input: Record<string, unknown>,
+            wasmFile: string,
+            zkeyFileName: string,
+        ): Promise<{ proof: Groth16Proof; publicSignals: PublicSignals }>;
+
+        function verify(
+            vkVerifier: object,
+            publicSignals: PublicSignals,
+            proof: Groth16Proof,
+        ): Promise<boolean>;
+
+        function exportSolidityCallData(
+            proof: Groth16Proof,
+            publicSignals: PublicSignals,
+        ): Promise<string>;
+    }
+
+    export namespace plonk {
+        function fullProve(
+            input: Record<string, unknown>,
+            wasmFile: string,
+            zkeyFileName: string,
+        ): Promise<{ proof: PlonkProof; publicSignals: PublicSignals }>;
+
+        function verify(vkVerifier: object, publicSignals: PublicSignals, proof: PlonkProof): Promise<boolean>;
+
+        function exportSolidityCallData(proof: PlonkProof, publicSignals: PublicSignals): Promise<string>;
+    }
+
+    export namespace fflonk {
+        function fullProve(
+            input: Record<string, unknown>,
+            wasmFile: string,
+            zkeyFileName: string,
+        ): Promise<{ proof: FflonkProof; publicSignals: PublicSignals }>;
+
+        function verify(vkVerifier: object, publicSignals: PublicSignals, proof: FflonkProof): Promise<boolean>;
+
+        // publicSignals first, unlike groth16 and plonk
+        function exportSolidityCallData(publicSignals: PublicSignals, proof: FflonkProof): Promise<string>;
+    }
+}
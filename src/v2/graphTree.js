@@ -0,0 +1,360 @@
+import crypto from "crypto";
+import { newMemEmptyTrie } from "circomlibjs";
+import { NodeHasher } from "./nodeHasher.js";
+import { SNARK_SCALAR_FIELD } from "../rollup/hashInputs.js";
+
+/**
+ * Base class for every GraphTree precondition failure.
+ * Each subclass mirrors one of the checks done by GraphTreeUpdate,
+ * so a bad edge is reported before witness generation is attempted.
+ */
+class GraphTreeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/** u == v (the circuit rejects self-loops) */
+class SelfLoopError extends GraphTreeError {}
+
+/** vertex is not in the range 0 < v < 2^nLevels */
+class VertexOutOfRangeError extends GraphTreeError {}
+
+/** vertex has no leaf in the tree yet (GraphTreeUpdate only UPDATEs leaves) */
+class UnknownVertexError extends GraphTreeError {}
+
+/** vertex already has a leaf in the tree */
+class VertexExistsError extends GraphTreeError {}
+
+/** new degree would be greater than maxDeg */
+class MaxDegreeExceededError extends GraphTreeError {}
+
+/** edge {u,v} is already in the graph */
+class EdgeExistsError extends GraphTreeError {}
+
+/** edge {u,v} is not in the graph (GraphTreeDelete can only remove existing edges) */
+class EdgeNotFoundError extends GraphTreeError {}
+
+/** batch has more edges than GraphTreeBatchUpdate has slots */
+class BatchTooLargeError extends GraphTreeError {}
+
+/**
+ * commitment output of GraphTreeBatchUpdate(nEdges, nLevels, maxDeg)
+ * sha256(oldRoot[32 bytes] | newRoot[32 bytes] | u[4 bytes] | v[4 bytes] | ...), big-endian,
+ * with the edge list padded to nEdges with NOP edges [0, 0]
+ * returns the digest reduced to a field element, as a BigInt
+ */
+function graphBatchCommitment(oldRoot, newRoot, edges, nEdges) {
+    if (edges.length > nEdges) {
+        throw new BatchTooLargeError(`Batch has ${edges.length} edges, GraphTreeBatchUpdate takes at most ${nEdges}`);
+    }
+    const message = Buffer.alloc(64 + 8 * nEdges);
+    message.write(BigInt(oldRoot).toString(16).padStart(64, "0"), 0, "hex");
+    message.write(BigInt(newRoot).toString(16).padStart(64, "0"), 32, "hex");
+    edges.forEach(([u, v], i) => {
+        message.writeUInt32BE(Number(u), 64 + 8 * i);
+        message.writeUInt32BE(Number(v), 68 + 8 * i);
+    });
+
+    const digest = crypto.createHash("sha256").update(message).digest("hex");
+    return BigInt(`0x${digest}`) % SNARK_SCALAR_FIELD;
+}
+
+/**
+ * GraphTree class
+ * keeps the adjacency lists and the Poseidon SMT (leaf v = NbrHash_G(v)) in sync
+ * and builds the witnesses for GraphTreeUpdate(nLevels, maxDeg), GraphTreeDelete(nLevels, maxDeg)
+ * and GraphTreeBatchUpdate(nEdges, nLevels, maxDeg)
+ */
+class GraphTree {
+    constructor(nLevels, maxDeg) {
+        this.nLevels = nLevels;
+        this.maxDeg = maxDeg;
+        this.hasher = new NodeHasher(maxDeg);
+        this.padLen = this.hasher.padLen;
+        this.adjacency = new Map();
+        this.tree = null;
+        this.initialized = false;
+    }
+
+    async init() {
+        if (!this.initialized) {
+            await this.hasher.init();
+            this.tree = await newMemEmptyTrie();
+            this.F = this.tree.F;
+            this.initialized = true;
+        }
+    }
+
+    hasVertex(v) {
+        return this.adjacency.has(BigInt(v));
+    }
+
+    getNeighbors(v) {
+        const nbrs = this.adjacency.get(BigInt(v));
+        if (nbrs === undefined) {
+            throw new UnknownVertexError(`Vertex ${v} is not in the GraphTree`);
+        }
+        return [...nbrs];
+    }
+
+    degree(v) {
+        return this.getNeighbors(v).length;
+    }
+
+    hasEdge(u, v) {
+        return this.hasVertex(u) && this.adjacency.get(BigInt(u)).includes(BigInt(v));
+    }
+
+    async getRoot() {
+        await this.init();
+        return this.F.toObject(this.tree.root);
+    }
+
+    checkVertexRange(v) {
+        const vertex = BigInt(v);
+        const n = 1n << BigInt(this.nLevels);
+        if (vertex <= 0n || vertex >= n) {
+            throw new VertexOutOfRangeError(
+                `Vertex ${v} out of range: expected 0 < v < ${n} (nLevels=${this.nLevels})`
+            );
+        }
+    }
+
+    /**
+     * add a vertex with no neighbors (leaf = NbrHash(0, []))
+     * every endpoint must have a leaf before an edge can be added to it
+     */
+    async addVertex(v) {
+        await this.init();
+        this.checkVertexRange(v);
+        if (this.hasVertex(v)) {
+            throw new VertexExistsError(`Vertex ${v} is already in the GraphTree`);
+        }
+
+        await this.tree.insert(BigInt(v), this.hasher.hash(0, []));
+        this.adjacency.set(BigInt(v), []);
+        return this.getRoot();
+    }
+
+    // u != v, both in range and both in the tree
+    checkEndpoints(u, v) {
+        if (BigInt(u) === BigInt(v)) {
+            throw new SelfLoopError(`Self-loop {${u},${v}} is not allowed`);
+        }
+        this.checkVertexRange(u);
+        this.checkVertexRange(v);
+
+        for (const x of [u, v]) {
+            if (!this.hasVertex(x)) {
+                throw new UnknownVertexError(`Vertex ${x} is not in the GraphTree`);
+            }
+        }
+    }
+
+    /**
+     * check the GraphTreeUpdate preconditions for edge {u,v}
+     * throws a GraphTreeError subclass on the first failed check
+     */
+    checkEdge(u, v) {
+        this.checkEndpoints(u, v);
+
+        for (const x of [u, v]) {
+            if (this.degree(x) + 1 > this.maxDeg) {
+                throw new MaxDegreeExceededError(
+                    `Vertex ${x} already has degree ${this.degree(x)} (maxDeg=${this.maxDeg})`
+                );
+            }
+        }
+
+        if (this.hasEdge(u, v) || this.hasEdge(v, u)) {
+            throw new EdgeExistsError(`Edge {${u},${v}} already exists`);
+        }
+    }
+
+    /**
+     * check the GraphTreeDelete preconditions for edge {u,v}
+     * throws a GraphTreeError subclass on the first failed check
+     */
+    checkRemoveEdge(u, v) {
+        this.checkEndpoints(u, v);
+
+        if (!this.hasEdge(u, v) || !this.hasEdge(v, u)) {
+            throw new EdgeNotFoundError(`Edge {${u},${v}} does not exist`);
+        }
+    }
+
+    // Merkle proof for an existing leaf, padded to nLevels + 1 for SMTProcessor
+    async getSiblings(key) {
+        const F = this.F;
+        const res = await this.tree.find(F.e(key));
+        const siblings = res.siblings.map((s) => F.toObject(s).toString());
+        while (siblings.length < this.nLevels + 1) {
+            siblings.push("0");
+        }
+        return siblings;
+    }
+
+    /**
+     * replace the neighbor lists of u and v and return the witness shared by
+     * GraphTreeUpdate and GraphTreeDelete
+     */
+    async updateNeighbors(U, V, newNbrArrU, newNbrArrV) {
+        const oldNbrArrU = this.getNeighbors(U);
+        const oldNbrArrV = this.getNeighbors(V);
+        const oldRoot = await this.getRoot();
+
+        // u is proven against the old tree, v against the tree after u's update
+        const siblingsU = await this.getSiblings(U);
+        await this.tree.update(U, this.hasher.hash(newNbrArrU.length, newNbrArrU));
+        const siblingsV = await this.getSiblings(V);
+        await this.tree.update(V, this.hasher.hash(newNbrArrV.length, newNbrArrV));
+
+        this.adjacency.set(U, newNbrArrU);
+        this.adjacency.set(V, newNbrArrV);
+
+        const toStrings = (arr) => this.hasher.pad(arr).map((x) => x.toString());
+        const input = {
+            u: U.toString(),
+            v: V.toString(),
+            oldDegU: oldNbrArrU.length.toString(),
+            oldDegV: oldNbrArrV.length.toString(),
+            newDegU: newNbrArrU.length.toString(),
+            newDegV: newNbrArrV.length.toString(),
+            oldNbrArrU: toStrings(oldNbrArrU),
+            oldNbrArrV: toStrings(oldNbrArrV),
+            newNbrArrU: toStrings(newNbrArrU),
+            newNbrArrV: toStrings(newNbrArrV),
+            siblingsU,
+            siblingsV,
+            oldRoot: oldRoot.toString(),
+        };
+
+        return { input, newRoot: (await this.getRoot()).toString() };
+    }
+
+    /**
+     * add edge {u,v} and return the GraphTreeUpdate witness
+     * returns:
+     * - input: signals for GraphTreeUpdate(nLevels, maxDeg)
+     * - newRoot: expected value of the circuit's newRoot output
+     */
+    async addEdge(u, v) {
+        await this.init();
+        this.checkEdge(u, v);
+
+        const U = BigInt(u);
+        const V = BigInt(v);
+        const newNbrArrU = [...this.getNeighbors(U), V].sort((a, b) => (a < b ? -1 : 1));
+        const newNbrArrV = [...this.getNeighbors(V), U].sort((a, b) => (a < b ? -1 : 1));
+
+        return this.updateNeighbors(U, V, newNbrArrU, newNbrArrV);
+    }
+
+    /**
+     * remove edge {u,v} and return the GraphTreeDelete witness
+     * returns:
+     * - input: signals for GraphTreeDelete(nLevels, maxDeg)
+     * - newRoot: expected value of the circuit's newRoot output
+     */
+    async removeEdge(u, v) {
+        await this.init();
+        this.checkRemoveEdge(u, v);
+
+        const U = BigInt(u);
+        const V = BigInt(v);
+        const newNbrArrU = this.getNeighbors(U).filter((x) => x !== V);
+        const newNbrArrV = this.getNeighbors(V).filter((x) => x !== U);
+
+        return this.updateNeighbors(U, V, newNbrArrU, newNbrArrV);
+    }
+
+    // GraphTreeBatchUpdate slot that leaves the root unchanged (u = v = 0)
+    nopSlot() {
+        const zeros = (n) => Array(n).fill("0");
+        return {
+            u: "0",
+            v: "0",
+            oldDegU: "0",
+            oldDegV: "0",
+            newDegU: "0",
+            newDegV: "0",
+            oldNbrArrU: zeros(this.padLen),
+            oldNbrArrV: zeros(this.padLen),
+            newNbrArrU: zeros(this.padLen),
+            newNbrArrV: zeros(this.padLen),
+            siblingsU: zeros(this.nLevels + 1),
+            siblingsV: zeros(this.nLevels + 1),
+        };
+    }
+
+    /**
+     * add edges as one batch and return the GraphTreeBatchUpdate witness
+     * each edge is proven against the tree left by the previous one, so a vertex
+     * may appear in several edges; if one edge is rejected, the edges before it
+     * are removed again, so a failed batch leaves the tree unchanged
+     * parameters:
+     * - edges: up to nEdges [u, v] pairs, the rest of the batch is padded with NOP slots
+     * - nEdges: batch size of GraphTreeBatchUpdate(nEdges, nLevels, maxDeg)
+     * returns:
+     * - input: signals for GraphTreeBatchUpdate(nEdges, nLevels, maxDeg)
+     * - oldRoot / newRoot: roots before and after the batch
+     * - commitment: expected value of the circuit's commitment output
+     */
+    async addEdges(edges, nEdges) {
+        await this.init();
+        if (edges.length > nEdges) {
+            throw new BatchTooLargeError(`Batch has ${edges.length} edges, GraphTreeBatchUpdate takes at most ${nEdges}`);
+        }
+
+        const oldRoot = await this.getRoot();
+        const slots = [];
+        const added = [];
+        try {
+            for (const [u, v] of edges) {
+                const { input } = await this.addEdge(u, v);
+                added.push([u, v]);
+                delete input.oldRoot;
+                slots.push(input);
+            }
+        } catch (error) {
+            for (const [u, v] of added.reverse()) {
+                await this.removeEdge(u, v);
+            }
+            throw error;
+        }
+        while (slots.length < nEdges) {
+            slots.push(this.nopSlot());
+        }
+        const newRoot = await this.getRoot();
+
+        const input = {};
+        for (const key of Object.keys(slots[0])) {
+            input[key] = slots.map((slot) => slot[key]);
+        }
+        input.oldRoot = oldRoot.toString();
+        input.newRoot = newRoot.toString();
+
+        return {
+            input,
+            oldRoot,
+            newRoot,
+            commitment: graphBatchCommitment(oldRoot, newRoot, edges, nEdges),
+        };
+    }
+}
+
+export {
+    GraphTree,
+    graphBatchCommitment,
+    GraphTreeError,
+    SelfLoopError,
+    VertexOutOfRangeError,
+    UnknownVertexError,
+    VertexExistsError,
+    MaxDegreeExceededError,
+    EdgeExistsError,
+    EdgeNotFoundError,
+    BatchTooLargeError,
+};
@@ -0,0 +1,79 @@
+import { randomBytes, createHash } from "crypto";
+import { buildPoseidon } from "circomlibjs";
+import { SNARK_SCALAR_FIELD } from "../rollup/hashInputs.js";
+
+/**
+ * Thrown when a secret or an externalNullifier would be rejected by ProveAnonymousScore
+ */
+class IdentityError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+// x as a BigInt of the BN254 scalar field
+function fieldElement(name, x) {
+    const value = BigInt(x);
+    if (value < 0n || value >= SNARK_SCALAR_FIELD) {
+        throw new IdentityError(`${name} ${value} is not in the BN254 scalar field`);
+    }
+    return value;
+}
+
+/**
+ * externalNullifier of an app scope, e.g. "airdrop-2026"
+ * sha256 of the UTF-8 scope, shifted right by 8 bits to fit the field
+ */
+function scopeExternalNullifier(scope) {
+    const digest = createHash("sha256").update(scope, "utf8").digest("hex");
+    return BigInt(`0x${digest}`) >> 8n;
+}
+
+/**
+ * Identity class
+ * secret of an anonymous score holder, as read by ProveAnonymousScore(nLevels, nBits)
+ * - commitment = Poseidon(secret): key of the identity's leaf in the ScoreTree, safe to publish
+ * - nullifier(externalNullifier) = Poseidon(secret, externalNullifier): one per identity and scope,
+ *   nullifiers of different scopes can not be linked to each other or to the commitment
+ */
+class Identity {
+    constructor(secret) {
+        this.secret = fieldElement("Secret", secret);
+        if (this.secret === 0n) {
+            throw new IdentityError("Secret must not be zero");
+        }
+        this.poseidon = null;
+        this.initialized = false;
+    }
+
+    // new identity with a random 248-bit secret
+    static random() {
+        let secret = 0n;
+        while (secret === 0n) {
+            secret = BigInt(`0x${randomBytes(31).toString("hex")}`);
+        }
+        return new Identity(secret);
+    }
+
+    async init() {
+        if (!this.initialized) {
+            this.poseidon = await buildPoseidon();
+            this.F = this.poseidon.F;
+            this.initialized = true;
+        }
+    }
+
+    async commitment() {
+        await this.init();
+        return this.F.toObject(this.poseidon([this.secret]));
+    }
+
+    async nullifier(externalNullifier) {
+        await this.init();
+        const scope = fieldElement("externalNullifier", externalNullifier);
+        return this.F.toObject(this.poseidon([this.secret, scope]));
+    }
+}
+
+export { Identity, IdentityError, scopeExternalNullifier };
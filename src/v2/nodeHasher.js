@@ -0,0 +1,119 @@
+import { buildPoseidon } from "circomlibjs";
+
+/**
+ * Thrown when a neighbor list would be rejected by the NodeHasher circuit
+ */
+class NodeHasherError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * NodeHasher class
+ * reference implementation of NodeHasher(maxDeg) in syb_rollup_v2/node_hasher.circom
+ *
+ * NbrHash_G(v) for NbrData_G(v) = [d, u_0, ..., u_{d-1}]:
+ * - acc = Poseidon_16([d, u_0, ..., u_14])
+ * - acc = Poseidon_16([acc, next 15 neighbors]) for each of the numR - 1 remaining blocks
+ * neighbors are zero padded up to padLen = 15 * numR, numR = ceil(maxDeg / 15)
+ */
+class NodeHasher {
+    constructor(maxDeg) {
+        if (!Number.isInteger(maxDeg) || maxDeg < 1) {
+            throw new NodeHasherError(`maxDeg must be a positive integer, got ${maxDeg}`);
+        }
+        this.maxDeg = maxDeg;
+        this.numR = Math.ceil(maxDeg / 15);
+        this.padLen = 15 * this.numR;
+        this.poseidon = null;
+        this.initialized = false;
+    }
+
+    async init() {
+        if (!this.initialized) {
+            this.poseidon = await buildPoseidon();
+            this.F = this.poseidon.F;
+            this.initialized = true;
+        }
+    }
+
+    /**
+     * check a degree and its (unpadded) neighbor list the way the circuit does:
+     * - d neighbors, d <= padLen
+     * - neighbors strictly ascending
+     */
+    validate(d, neighbors) {
+        if (!Number.isInteger(d) || d < 0) {
+            throw new NodeHasherError(`Degree must be a non-negative integer, got ${d}`);
+        }
+        if (d > this.padLen) {
+            throw new NodeHasherError(`Degree ${d} exceeds padLen ${this.padLen} (maxDeg=${this.maxDeg})`);
+        }
+        if (neighbors.length !== d) {
+            throw new NodeHasherError(`Degree ${d} does not match ${neighbors.length} neighbors`);
+        }
+        for (let i = 0; i + 1 < neighbors.length; i++) {
+            if (BigInt(neighbors[i]) >= BigInt(neighbors[i + 1])) {
+                throw new NodeHasherError(
+                    `Neighbors must be strictly ascending: nbr[${i}]=${neighbors[i]} >= nbr[${i + 1}]=${neighbors[i + 1]}`
+                );
+            }
+        }
+    }
+
+    /**
+     * zero pad a neighbor list to padLen
+     * returns an array of BigInt
+     */
+    pad(neighbors) {
+        if (neighbors.length > this.padLen) {
+            throw new NodeHasherError(`${neighbors.length} neighbors do not fit in padLen ${this.padLen}`);
+        }
+        const padded = neighbors.map((x) => BigInt(x));
+        while (padded.length < this.padLen) {
+            padded.push(0n);
+        }
+        return padded;
+    }
+
+    /**
+     * NbrHash_G(v) of a vertex with degree d and the given (unpadded) neighbors
+     * pass { check: false } to skip validate(), e.g. to hash data the circuit must reject
+     * returns the hash as a BigInt
+     */
+    hash(d, neighbors, { check = true } = {}) {
+        if (!this.initialized) {
+            throw new Error("NodeHasher must be initialized before calling hash");
+        }
+        if (check) {
+            this.validate(d, neighbors);
+        }
+        const padded = this.pad(neighbors);
+
+        // First block: B_0 = [d, nbr[0..14]]
+        let acc = this.poseidon([d, ...padded.slice(0, 15)]);
+
+        // Continuation blocks: B_b = [acc, nbr[15b..15b+14]]
+        for (let round = 1; round < this.numR; round++) {
+            const startIdx = 15 * round;
+            acc = this.poseidon([acc, ...padded.slice(startIdx, startIdx + 15)]);
+        }
+
+        return this.F.toObject(acc);
+    }
+
+    /**
+     * hash many vertices at once
+     * parameters:
+     * - vertices: array of { d, neighbors }
+     * returns:
+     * - array of BigInt hashes in the same order
+     */
+    hashMany(vertices) {
+        return vertices.map(({ d, neighbors }) => this.hash(d, neighbors));
+    }
+}
+
+export { NodeHasher, NodeHasherError };
@@ -0,0 +1,250 @@
+import { SmtTree, DepthOverflowError } from "../smt/smtTree.js";
+
+/**
+ * Base class for every ScoreTree precondition failure
+ */
+class ScoreTreeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/** idx has no score in the tree */
+class UnknownIndexError extends ScoreTreeError {}
+
+/** idx has a score in the tree, so it cannot be proven excluded */
+class ScoredIndexError extends ScoreTreeError {}
+
+/** score of idx or the threshold does not fit ProveScoreThreshold, or the score is below the threshold */
+class ScoreThresholdError extends ScoreTreeError {}
+
+/** Merkle path of a leaf is longer than the nLevels the circuits can verify */
+class TreeDepthExceededError extends ScoreTreeError {}
+
+/**
+ * ScoreTree class
+ * SmtTree with key = idx, value = score, as read by ProveScoreInclusion(nLevels),
+ * ProveScoreExclusion(nLevels) and ProveScoreThreshold(nLevels, nBits),
+ * and builds the witness for ScoreTreeUpdate(nUpdates, nLevels)
+ * ProveAnonymousScore(nLevels, nBits) reads leaves keyed by an identity commitment instead of an idx
+ */
+class ScoreTree {
+    constructor(nLevels) {
+        this.nLevels = nLevels;
+        this.scores = new Map();
+        this.tree = new SmtTree(nLevels);
+    }
+
+    // the SmtTree initializes itself before its first operation
+    async init() {
+        await this.tree.exclusive(() => {});
+    }
+
+    hasScore(idx) {
+        return this.scores.has(BigInt(idx));
+    }
+
+    getScore(idx) {
+        const score = this.scores.get(BigInt(idx));
+        if (score === undefined) {
+            throw new UnknownIndexError(`Index ${idx} has no score in the ScoreTree`);
+        }
+        return score;
+    }
+
+    async getRoot() {
+        return this.tree.getRoot();
+    }
+
+    // run an SmtTree operation, reporting a leaf deeper than nLevels - 1 as TreeDepthExceededError
+    async withDepthCheck(fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (error instanceof DepthOverflowError) {
+                throw new TreeDepthExceededError(error.message);
+            }
+            throw error;
+        }
+    }
+
+    // Merkle proof for an idx that has a score, padded to nLevels
+    async getSiblings(idx) {
+        this.getScore(idx);
+        const { siblings } = await this.withDepthCheck(() => this.tree.inclusionProof(idx));
+        return siblings;
+    }
+
+    // ScoreTreeUpdate slot that leaves the root unchanged
+    nopSlot() {
+        return {
+            fnc: ["0", "0"],
+            idx: "0",
+            newScore: "0",
+            siblings: Array(this.nLevels).fill("0"),
+            isOld0: "0",
+            oldKey: "0",
+            oldValue: "0",
+        };
+    }
+
+    /**
+     * insert or update the score of idx and return its ScoreTreeUpdate slot
+     * the tree is left unchanged when the new leaf does not fit in nLevels
+     */
+    async setScore(idx, score) {
+        const key = BigInt(idx);
+        const value = BigInt(score);
+
+        // UPDATE is proven against the current leaf (idx, old score), INSERT against
+        // the leaf found on the path of idx (or an empty one)
+        const op = this.hasScore(key) ? "update" : "insert";
+        const res = await this.withDepthCheck(() => this.tree[op](key, value));
+        this.scores.set(key, value);
+        return {
+            fnc: res.fnc,
+            idx: res.newKey,
+            newScore: res.newValue,
+            siblings: res.siblings,
+            isOld0: res.isOld0,
+            oldKey: res.oldKey,
+            oldValue: res.oldValue,
+        };
+    }
+
+    /**
+     * apply score updates as one batch
+     * updates are applied in order; if one is rejected, the updates before it are
+     * reverted, so a failed batch leaves the tree unchanged
+     * parameters:
+     * - updates: up to nUpdates [idx, score] pairs, the rest of the batch is padded with NOP slots
+     * - nUpdates: batch size of ScoreTreeUpdate(nUpdates, nLevels)
+     * returns:
+     * - input: signals for ScoreTreeUpdate(nUpdates, nLevels)
+     * - oldRoot / newRoot: roots before and after the batch (newRoot is the circuit's output)
+     */
+    async buildUpdate(updates, nUpdates) {
+        if (updates.length > nUpdates) {
+            throw new ScoreTreeError(`Batch has ${updates.length} updates, ScoreTreeUpdate takes at most ${nUpdates}`);
+        }
+
+        const oldRoot = await this.getRoot();
+        const slots = [];
+        const applied = [];
+        try {
+            for (const [idx, score] of updates) {
+                const key = BigInt(idx);
+                const oldScore = this.scores.get(key);
+                slots.push(await this.setScore(idx, score));
+                applied.push([key, oldScore]);
+            }
+        } catch (error) {
+            // Reverse order: an idx updated twice gets its score from before the batch back
+            for (const [key, oldScore] of applied.reverse()) {
+                if (oldScore === undefined) {
+                    await this.tree.delete(key);
+                    this.scores.delete(key);
+                } else {
+                    await this.tree.update(key, oldScore);
+                    this.scores.set(key, oldScore);
+                }
+            }
+            throw error;
+        }
+        while (slots.length < nUpdates) {
+            slots.push(this.nopSlot());
+        }
+        const newRoot = await this.getRoot();
+
+        const input = { oldRoot: oldRoot.toString() };
+        for (const key of Object.keys(slots[0])) {
+            input[key] = slots.map((slot) => slot[key]);
+        }
+
+        return { input, oldRoot, newRoot };
+    }
+
+    // input of ProveScoreInclusion(nLevels) for the score of idx
+    async inclusionInput(idx) {
+        this.getScore(idx);
+        const proof = await this.withDepthCheck(() => this.tree.inclusionProof(idx));
+        return {
+            idx: proof.key,
+            score: proof.value,
+            root: proof.root,
+            siblings: proof.siblings,
+        };
+    }
+
+    /**
+     * input of ProveScoreThreshold(nLevels, nBits) proving the score of idx is at least threshold
+     * throws ScoreThresholdError when the proof would fail: score or threshold wider than nBits, score below threshold
+     */
+    async thresholdInput(idx, threshold, nBits) {
+        const { score, root, siblings } = await this.inclusionInput(idx);
+        const t = BigInt(threshold);
+        const limit = 1n << BigInt(nBits);
+        if (t < 0n || t >= limit) {
+            throw new ScoreThresholdError(`Threshold ${t} does not fit in ${nBits} bits`);
+        }
+        if (BigInt(score) >= limit) {
+            throw new ScoreThresholdError(`Score of index ${idx} does not fit in ${nBits} bits`);
+        }
+        if (BigInt(score) < t) {
+            throw new ScoreThresholdError(`Score of index ${idx} is below the threshold ${t}`);
+        }
+        return {
+            root,
+            idx: BigInt(idx).toString(),
+            threshold: t.toString(),
+            score,
+            siblings,
+        };
+    }
+
+    /**
+     * input of ProveAnonymousScore(nLevels, nBits) for the leaf keyed by the commitment of identity (see identity.js)
+     * throws ScoreThresholdError like thresholdInput
+     */
+    async anonymousInput(identity, threshold, externalNullifier, nBits) {
+        const commitment = await identity.commitment();
+        const { root, score, siblings } = await this.thresholdInput(commitment, threshold, nBits);
+        return {
+            root,
+            threshold: BigInt(threshold).toString(),
+            externalNullifier: BigInt(externalNullifier).toString(),
+            secret: identity.secret.toString(),
+            score,
+            siblings,
+        };
+    }
+
+    /**
+     * input of ProveScoreExclusion(nLevels) for an idx without a score
+     * the path of idx ends at an empty leaf (isOld0 = 1) or at the leaf of another idx (oldKey, oldValue)
+     */
+    async exclusionInput(idx) {
+        if (this.hasScore(idx)) {
+            throw new ScoredIndexError(`Index ${idx} has a score in the ScoreTree`);
+        }
+        const proof = await this.withDepthCheck(() => this.tree.exclusionProof(idx));
+        return {
+            idx: proof.key,
+            root: proof.root,
+            siblings: proof.siblings,
+            oldKey: proof.oldKey,
+            oldValue: proof.oldValue,
+            isOld0: proof.isOld0,
+        };
+    }
+}
+
+export {
+    ScoreTree,
+    ScoreTreeError,
+    UnknownIndexError,
+    ScoredIndexError,
+    ScoreThresholdError,
+    TreeDepthExceededError,
+};
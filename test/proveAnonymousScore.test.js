@@ -0,0 +1,130 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { describe, it, before, after } from "mocha";
+import { strict as assert } from "assert";
+import { wasm as tester } from "circom_tester";
+import { ScoreTree, ScoreThresholdError, UnknownIndexError } from "../src/v2/scoreTree.js";
+import { Identity, IdentityError, scopeExternalNullifier } from "../src/v2/identity.js";
+import { SNARK_SCALAR_FIELD } from "../src/rollup/hashInputs.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const N_LEVELS = 8;
+const N_BITS = 16;
+
+describe("ProveAnonymousScore circuit test", function () {
+    this.timeout(100000);
+
+    let circuit;
+    let circuitTmpPath;
+    let scoreTree;
+    let alice;
+    let bob;
+    let carol;
+
+    before(async () => {
+        const circuitSrc = `
+            pragma circom 2.0.0;
+            include "../circuits/prove_score_anonymous.circom";
+            component main {public [root, threshold, externalNullifier]} = ProveAnonymousScore(${N_LEVELS}, ${N_BITS});
+        `;
+        circuitTmpPath = path.join(__dirname, "prove-score-anonymous.test.circom");
+        fs.writeFileSync(circuitTmpPath, circuitSrc, "utf8");
+
+        circuit = await tester(circuitTmpPath, {
+            reduceConstraints: false,
+            include: path.join(__dirname, "../circuits")
+        });
+
+        // Fixed secrets keep the leaf depths below nLevels
+        alice = new Identity(1111n);
+        bob = new Identity(2222n);
+        carol = new Identity(3333n);
+        scoreTree = new ScoreTree(N_LEVELS);
+        await scoreTree.buildUpdate([[await alice.commitment(), 300], [await bob.commitment(), 300]], 2);
+    });
+
+    after(() => {
+        if (fs.existsSync(circuitTmpPath)) {
+            fs.unlinkSync(circuitTmpPath);
+        }
+    });
+
+    // Witness of a proof, checked against the nullifier of identity
+    async function prove(identity, threshold, externalNullifier) {
+        const input = await scoreTree.anonymousInput(identity, threshold, externalNullifier, N_BITS);
+        const w = await circuit.calculateWitness(input, true);
+        await circuit.checkConstraints(w);
+        const nullifier = await identity.nullifier(externalNullifier);
+        await circuit.assertOut(w, { nullifier });
+        // Public signals: the nullifier, then root, threshold and externalNullifier
+        return w.slice(1, 5).map((x) => BigInt(x));
+    }
+
+    async function expectFailure(input) {
+        try {
+            await circuit.calculateWitness(input, true);
+            assert.fail("Should have failed");
+        } catch (error) {
+            assert(error.message.includes("Assert Failed"), error.message);
+        }
+    }
+
+    it("should give the same nullifier for the same scope", async () => {
+        const scope = scopeExternalNullifier("airdrop-2026");
+        const first = await prove(alice, 100, scope);
+        const second = await prove(alice, 250, scope);
+
+        assert.equal(first[0], second[0]);
+        assert.equal(first[0], await new Identity(alice.secret).nullifier(scope));
+    });
+
+    it("should not link the proofs of one identity across scopes", async () => {
+        const airdrop = scopeExternalNullifier("airdrop-2026");
+        const vote = scopeExternalNullifier("vote-42");
+        const aliceAirdrop = await prove(alice, 100, airdrop);
+        const aliceVote = await prove(alice, 100, vote);
+        const bobVote = await prove(bob, 100, vote);
+
+        // Different nullifiers per scope, and per identity in a scope
+        assert.notEqual(aliceAirdrop[0], aliceVote[0]);
+        assert.notEqual(aliceVote[0], bobVote[0]);
+
+        // Alice's proofs tell nothing more than Bob's: same root and threshold, no commitment, no secret
+        const hidden = [await alice.commitment(), await bob.commitment(), alice.secret, bob.secret];
+        for (const publicSignals of [aliceAirdrop, aliceVote, bobVote]) {
+            assert.deepEqual(publicSignals.slice(1, 3), [await scoreTree.getRoot(), 100n]);
+            for (const value of hidden) {
+                assert(!publicSignals.includes(value));
+            }
+        }
+    });
+
+    it("should fail for an identity without a leaf or a secret that is not its own", async () => {
+        const scope = scopeExternalNullifier("airdrop-2026");
+        await assert.rejects(scoreTree.anonymousInput(carol, 100, scope, N_BITS), UnknownIndexError);
+
+        // Carol reusing the Merkle proof of Alice
+        const input = await scoreTree.anonymousInput(alice, 100, scope, N_BITS);
+        await expectFailure({ ...input, secret: carol.secret.toString() });
+    });
+
+    it("should fail with a score below the threshold", async () => {
+        const scope = scopeExternalNullifier("airdrop-2026");
+        await assert.rejects(scoreTree.anonymousInput(alice, 301, scope, N_BITS), ScoreThresholdError);
+
+        const input = await scoreTree.anonymousInput(alice, 300, scope, N_BITS);
+        await expectFailure({ ...input, threshold: "301" });
+    });
+
+    it("should reject secrets and externalNullifiers outside the field", async () => {
+        assert.throws(() => new Identity(0), IdentityError);
+        assert.throws(() => new Identity(SNARK_SCALAR_FIELD), IdentityError);
+        await assert.rejects(alice.nullifier(-1), IdentityError);
+
+        const random = Identity.random();
+        assert(random.secret > 0n && random.secret < 1n << 248n);
+        assert(scopeExternalNullifier("vote-42") < SNARK_SCALAR_FIELD);
+    });
+});
@@ -0,0 +1,115 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { describe, it, before, after } from "mocha";
+import { strict as assert } from "assert";
+import { wasm as tester } from "circom_tester";
+import { ScoreTree, ScoredIndexError } from "../src/v2/scoreTree.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const N_LEVELS = 4;
+
+describe("ProveScoreExclusion circuit test", function () {
+    this.timeout(100000);
+
+    let circuit;
+    let circuitTmpPath;
+
+    before(async () => {
+        const circuitSrc = `
+            pragma circom 2.0.0;
+            include "../circuits/prove_score_exclusion.circom";
+            component main = ProveScoreExclusion(${N_LEVELS});
+        `;
+        circuitTmpPath = path.join(__dirname, "prove-score-exclusion.test.circom");
+        fs.writeFileSync(circuitTmpPath, circuitSrc, "utf8");
+
+        circuit = await tester(circuitTmpPath, {
+            reduceConstraints: false,
+            include: path.join(__dirname, "../circuits")
+        });
+    });
+
+    after(() => {
+        if (fs.existsSync(circuitTmpPath)) {
+            fs.unlinkSync(circuitTmpPath);
+        }
+    });
+
+    async function checkExclusion(input) {
+        const w = await circuit.calculateWitness(input, true);
+        await circuit.checkConstraints(w);
+    }
+
+    async function expectFailure(input) {
+        try {
+            await circuit.calculateWitness(input, true);
+            assert.fail("Should have failed");
+        } catch (error) {
+            assert(error.message.includes("Assert Failed"), error.message);
+        }
+    }
+
+    // 1 = ...0001 and 3 = ...0011 split at bit 1, the left half of the root (bit 0 = 0) is empty
+    async function buildTree() {
+        const scoreTree = new ScoreTree(N_LEVELS);
+        await scoreTree.buildUpdate([[1, 100], [3, 300]], 2);
+        return scoreTree;
+    }
+
+    it("should prove exclusion in an empty tree", async () => {
+        const scoreTree = new ScoreTree(N_LEVELS);
+        const input = await scoreTree.exclusionInput(7);
+
+        assert.equal(input.root, "0");
+        assert.equal(input.isOld0, "1");
+        await checkExclusion(input);
+    });
+
+    it("should prove exclusion of an index whose path ends at an empty leaf", async () => {
+        const scoreTree = await buildTree();
+        const input = await scoreTree.exclusionInput(2);
+
+        assert.equal(input.isOld0, "1");
+        await checkExclusion(input);
+    });
+
+    it("should prove exclusion of an index on the collision path of another", async () => {
+        const scoreTree = await buildTree();
+
+        // 5 = ...0101 follows 1 down to its leaf
+        const input = await scoreTree.exclusionInput(5);
+        assert.equal(input.isOld0, "0");
+        assert.equal(input.oldKey, "1");
+        assert.equal(input.oldValue, "100");
+        await checkExclusion(input);
+    });
+
+    it("should not prove exclusion of a scored index", async () => {
+        const scoreTree = await buildTree();
+        await assert.rejects(scoreTree.exclusionInput(3), ScoredIndexError);
+
+        // The leaf of 3 passed as the leaf the path ends at
+        const inclusion = await scoreTree.inclusionInput(3);
+        await expectFailure({
+            idx: "3",
+            root: inclusion.root,
+            siblings: inclusion.siblings,
+            oldKey: "3",
+            oldValue: "300",
+            isOld0: "0",
+        });
+    });
+
+    it("should fail with a wrong root or a non-binary isOld0", async () => {
+        const scoreTree = await buildTree();
+
+        const collision = await scoreTree.exclusionInput(5);
+        await expectFailure({ ...collision, root: "1" });
+        await expectFailure({ ...collision, oldValue: "101" });
+
+        const empty = await scoreTree.exclusionInput(2);
+        await expectFailure({ ...empty, isOld0: "2" });
+    });
+});
@@ -0,0 +1,104 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { describe, it, before, after } from "mocha";
+import { strict as assert } from "assert";
+import { wasm as tester } from "circom_tester";
+import { ScoreTree, ScoreThresholdError, UnknownIndexError } from "../src/v2/scoreTree.js";
+import { readPublicSignals } from "../scripts/utils/verifierWrapper.mjs";
+import { readR1csHeader } from "../scripts/utils/getCircuitInfo.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const N_LEVELS = 4;
+const N_BITS = 16;
+
+describe("ProveScoreThreshold circuit test", function () {
+    this.timeout(100000);
+
+    let circuit;
+    let circuitTmpPath;
+    let scoreTree;
+
+    before(async () => {
+        const circuitSrc = `
+            pragma circom 2.0.0;
+            include "../circuits/prove_score_threshold.circom";
+            component main {public [root, idx, threshold]} = ProveScoreThreshold(${N_LEVELS}, ${N_BITS});
+        `;
+        circuitTmpPath = path.join(__dirname, "prove-score-threshold.test.circom");
+        fs.writeFileSync(circuitTmpPath, circuitSrc, "utf8");
+
+        circuit = await tester(circuitTmpPath, {
+            reduceConstraints: false,
+            include: path.join(__dirname, "../circuits")
+        });
+
+        scoreTree = new ScoreTree(N_LEVELS);
+        await scoreTree.buildUpdate([[1, 100], [2, 0], [3, 300], [6, 2 ** N_BITS - 1]], 4);
+    });
+
+    after(() => {
+        if (fs.existsSync(circuitTmpPath)) {
+            fs.unlinkSync(circuitTmpPath);
+        }
+    });
+
+    async function checkThreshold(input) {
+        const w = await circuit.calculateWitness(input, true);
+        await circuit.checkConstraints(w);
+    }
+
+    async function expectFailure(input) {
+        try {
+            await circuit.calculateWitness(input, true);
+            assert.fail("Should have failed");
+        } catch (error) {
+            assert(error.message.includes("Assert Failed"), error.message);
+        }
+    }
+
+    it("should only make root, idx and threshold public", async () => {
+        const r1cs = await readR1csHeader(path.join(circuit.dir, `${circuit.baseName}.r1cs`));
+        assert.equal(r1cs.nOutputs, 0);
+        assert.equal(r1cs.nPubInputs, 3);
+
+        const signals = await readPublicSignals(path.join(circuit.dir, `${circuit.baseName}.sym`), 3);
+        assert.deepEqual(signals.map((signal) => signal.name), ["root", "idx", "threshold"]);
+    });
+
+    it("should prove a score above and at the threshold", async () => {
+        await checkThreshold(await scoreTree.thresholdInput(1, 50, N_BITS));
+        await checkThreshold(await scoreTree.thresholdInput(1, 100, N_BITS));
+        await checkThreshold(await scoreTree.thresholdInput(2, 0, N_BITS));
+        await checkThreshold(await scoreTree.thresholdInput(6, 2 ** N_BITS - 1, N_BITS));
+    });
+
+    it("should fail with a score below the threshold", async () => {
+        await assert.rejects(scoreTree.thresholdInput(1, 101, N_BITS), ScoreThresholdError);
+
+        const input = await scoreTree.thresholdInput(1, 100, N_BITS);
+        await expectFailure({ ...input, threshold: "101" });
+    });
+
+    it("should fail with a score that is not the one in the tree", async () => {
+        const input = await scoreTree.thresholdInput(1, 100, N_BITS);
+        await expectFailure({ ...input, score: "300" });
+        await expectFailure({ ...input, root: "1" });
+        await assert.rejects(scoreTree.thresholdInput(5, 0, N_BITS), UnknownIndexError);
+    });
+
+    it("should fail with a score or threshold wider than nBits", async () => {
+        await assert.rejects(scoreTree.thresholdInput(1, 2 ** N_BITS, N_BITS), ScoreThresholdError);
+        await assert.rejects(scoreTree.thresholdInput(1, -1, N_BITS), ScoreThresholdError);
+
+        // A negative threshold is a field element past every nBits value
+        const input = await scoreTree.thresholdInput(1, 0, N_BITS);
+        await expectFailure({ ...input, threshold: (-1n).toString() });
+
+        const wide = new ScoreTree(N_LEVELS);
+        await wide.buildUpdate([[1, 2 ** N_BITS]], 1);
+        await assert.rejects(wide.thresholdInput(1, 0, N_BITS), ScoreThresholdError);
+        await expectFailure({ ...(await wide.thresholdInput(1, 0, N_BITS + 1)), threshold: "0" });
+    });
+});
@@ -0,0 +1,113 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { describe, it, before, after } from "mocha";
+import { strict as assert } from "assert";
+import { wasm as tester } from "circom_tester";
+import {
+    SmtTree,
+    inclusionBatchCommitment,
+    InclusionBatchError,
+    KeyNotFoundError,
+} from "../src/smt/smtTree.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const N_PROOFS = 3;
+const N_LEVELS = 4;
+
+describe("ProveScoresInclusionBatch circuit test", function () {
+    this.timeout(300000);
+
+    let circuit;
+    let circuitTmpPath;
+    let tree;
+
+    before(async () => {
+        const circuitSrc = `
+            pragma circom 2.0.0;
+            include "../circuits/prove_scores_inclusion_batch.circom";
+            component main = ProveScoresInclusionBatch(${N_PROOFS}, ${N_LEVELS});
+        `;
+        circuitTmpPath = path.join(__dirname, "prove-scores-inclusion-batch.test.circom");
+        fs.writeFileSync(circuitTmpPath, circuitSrc, "utf8");
+
+        circuit = await tester(circuitTmpPath, {
+            reduceConstraints: false,
+            include: path.join(__dirname, "../circuits")
+        });
+
+        tree = new SmtTree(N_LEVELS);
+        for (const [idx, score] of [[1, 100], [2, 200], [3, 300], [6, 600]]) {
+            await tree.insert(idx, score);
+        }
+    });
+
+    after(() => {
+        if (fs.existsSync(circuitTmpPath)) {
+            fs.unlinkSync(circuitTmpPath);
+        }
+    });
+
+    async function checkBatch(batch) {
+        const w = await circuit.calculateWitness(batch.input, true);
+        await circuit.checkConstraints(w);
+        await circuit.assertOut(w, { commitment: batch.commitment });
+    }
+
+    async function expectFailure(input) {
+        try {
+            await circuit.calculateWitness(input, true);
+            assert.fail("Should have failed");
+        } catch (error) {
+            assert(error.message.includes("Assert Failed"), error.message);
+        }
+    }
+
+    it("should prove a full batch and output its commitment", async () => {
+        const batch = await tree.inclusionBatch([6, 1, 3], N_PROOFS);
+
+        assert.equal(batch.root, await tree.getRoot());
+        assert.deepEqual(batch.entries, [[6n, 600n], [1n, 100n], [3n, 300n]]);
+        await checkBatch(batch);
+    });
+
+    it("should pad a partial batch with NOP slots", async () => {
+        const batch = await tree.inclusionBatch([2], N_PROOFS);
+        assert.deepEqual(batch.input.idx, ["2", "0", "0"]);
+
+        // NOP slots are hashed as zero words: the same commitment as an explicit [0, 0] entry
+        assert.equal(batch.commitment, inclusionBatchCommitment(batch.root, [[2n, 200n], [0n, 0n]], N_PROOFS));
+        await checkBatch(batch);
+
+        const empty = await tree.inclusionBatch([], N_PROOFS);
+        await checkBatch(empty);
+    });
+
+    it("should commit to the root and to every entry", async () => {
+        const batch = await tree.inclusionBatch([1, 2], N_PROOFS);
+        const commitments = new Set([
+            batch.commitment,
+            inclusionBatchCommitment(batch.root + 1n, batch.entries, N_PROOFS),
+            inclusionBatchCommitment(batch.root, [[2n, 200n], [1n, 100n]], N_PROOFS),
+            inclusionBatchCommitment(batch.root, [[1n, 100n]], N_PROOFS),
+        ]);
+        assert.equal(commitments.size, 4);
+    });
+
+    it("should fail with a wrong score, root or NOP slot", async () => {
+        const { input } = await tree.inclusionBatch([1, 2], N_PROOFS);
+
+        await expectFailure({ ...input, score: ["101", "200", "0"] });
+        await expectFailure({ ...input, root: "1" });
+        // A NOP slot with a score
+        await expectFailure({ ...input, score: ["100", "200", "5"] });
+    });
+
+    it("should reject keys that do not fit the batch", async () => {
+        await assert.rejects(tree.inclusionBatch([1, 2, 3, 6], N_PROOFS), InclusionBatchError);
+        await assert.rejects(tree.inclusionBatch([0], N_PROOFS), InclusionBatchError);
+        await assert.rejects(tree.inclusionBatch([1, 5], N_PROOFS), KeyNotFoundError);
+        assert.throws(() => inclusionBatchCommitment(0n, [[1n, 1n], [2n, 2n], [3n, 3n], [4n, 4n]], N_PROOFS), InclusionBatchError);
+    });
+});
@@ -0,0 +1,101 @@
+import fs from "fs";
+import path from "path";
+import { register } from "module";
+import { pathToFileURL } from "url";
+import { describe, it, before, after } from "mocha";
+import { strict as assert } from "assert";
+import { compileCircuit } from "../scripts/compileCircuit.mjs";
+import { generateKeys } from "../scripts/generateKeys.mjs";
+import { writeTinyProject, tinyPtau } from "./utils/tinyProject.js";
+
+// src/prover.ts is loaded through ts-node, the way the SDK is used from TypeScript
+register("ts-node/esm", pathToFileURL("./"));
+const { getArtifacts, prove, verify, ArtifactNotFoundError, CircuitNotFoundError } = await import("../src/prover.ts");
+
+describe("Prover SDK test", function () {
+    this.timeout(300000);
+
+    let project;
+    let options;
+    let groth16;
+
+    // circuits.json of the project, with the multiplier proven with protocol
+    function setProtocol(protocol) {
+        const circuits = { [project.circuitName]: { ...project.circuitConfig, protocol } };
+        fs.writeFileSync(path.join(project.projectDir, "circuits.json"), JSON.stringify(circuits));
+    }
+
+    before(async () => {
+        project = await writeTinyProject();
+        options = { projectDir: project.projectDir };
+
+        // One compile, with the keys of both protocols side by side in build/multiplier/
+        const { circuitName, circuitConfig, projectDir } = project;
+        const { r1csPath, wasmPath } = await compileCircuit(circuitName, `main/${circuitName}`, projectDir, circuitConfig);
+        const ptauPath = await tinyPtau(projectDir);
+        groth16 = { wasmPath, ...(await generateKeys(circuitName, r1csPath, ptauPath, projectDir, "groth16")) };
+        await generateKeys(circuitName, r1csPath, ptauPath, projectDir, "plonk");
+    });
+
+    after(async () => {
+        if (project) {
+            fs.rmSync(project.projectDir, { recursive: true, force: true });
+        }
+        await globalThis.curve_bn128?.terminate();
+    });
+
+    it("should locate the build artifacts of a circuit", async () => {
+        const artifacts = await getArtifacts("multiplier", options);
+
+        assert.deepEqual(artifacts, {
+            protocol: "groth16",
+            wasmPath: groth16.wasmPath,
+            zkeyPath: groth16.zkeyPath,
+            vkeyPath: groth16.vkeyPath,
+        });
+    });
+
+    it("should prove and verify with groth16", async () => {
+        const { protocol, proof, publicSignals, calldata } = await prove("multiplier", { a: 3, b: 4 }, options);
+
+        assert.equal(protocol, "groth16");
+        assert.deepEqual(publicSignals, ["12"]);
+        assert.deepEqual(calldata.input.map(BigInt), [12n]);
+        assert(await verify("multiplier", proof, publicSignals, options));
+        assert(!(await verify("multiplier", proof, ["13"], options)));
+    });
+
+    it("should prove and verify with the protocol of circuits.json", async () => {
+        setProtocol("plonk");
+        try {
+            const { protocol, proof, publicSignals, calldata } = await prove("multiplier", { a: 5, b: 7 }, options);
+
+            assert.equal(protocol, "plonk");
+            assert.deepEqual(publicSignals, ["35"]);
+            assert.equal(calldata.proof.length, 24);
+            assert(await verify("multiplier", proof, publicSignals, options));
+            assert(!(await verify("multiplier", proof, ["36"], options)));
+        } finally {
+            setProtocol("groth16");
+        }
+    });
+
+    it("should reject an unknown circuit and missing artifacts", async () => {
+        await assert.rejects(getArtifacts("divider", options), CircuitNotFoundError);
+
+        const { proof, publicSignals } = await prove("multiplier", { a: 2, b: 2 }, options);
+        fs.renameSync(groth16.zkeyPath, `${groth16.zkeyPath}.bak`);
+        try {
+            await assert.rejects(getArtifacts("multiplier", options), (error) => {
+                assert(error instanceof ArtifactNotFoundError);
+                assert(error.message.includes(path.basename(groth16.zkeyPath)));
+                return true;
+            });
+            await assert.rejects(prove("multiplier", { a: 2, b: 2 }, options), ArtifactNotFoundError);
+            // verify only reads the vkey, but the SDK reports an incomplete build the same way
+            await assert.rejects(verify("multiplier", proof, publicSignals, options), ArtifactNotFoundError);
+        } finally {
+            fs.renameSync(`${groth16.zkeyPath}.bak`, groth16.zkeyPath);
+        }
+    });
+});
@@ -0,0 +1,265 @@
+import fs from "fs";
+import path from "path";
+import { describe, it, before, after } from "mocha";
+import assert from "assert";
+import { wasm as tester } from "circom_tester";
+import { fileURLToPath } from "url";
+import { RollupState, RollupStateError } from "../../src/rollup/rollupState.js";
+import { TxCodecError } from "../../src/rollup/tx.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe("BatchMain circuit test", function () {
+  this.timeout(400000);
+
+  const N_TX = 4;
+  const N_LEVELS = 4; // Accounts 1..15
+  let circuit;
+  let circuitTmpPath;
+
+  before(async () => {
+    const circuitSrc = `
+            pragma circom 2.0.0;
+            include "../../circuits/syb_rollup/batch-main.circom";
+            component main = BatchMain(${N_TX}, ${N_LEVELS});
+        `;
+    circuitTmpPath = path.join(__dirname, "batch-main.test.circom");
+    fs.writeFileSync(circuitTmpPath, circuitSrc, "utf8");
+
+    circuit = await tester(circuitTmpPath, {
+      reduceConstraints: false,
+      include: path.join(__dirname, "../../"),
+    });
+    await circuit.loadConstraints();
+    await circuit.loadSymbols();
+    console.log(`\n✓ BatchMain circuit compiled`);
+    console.log(`  nTx=${N_TX}, nLevels=${N_LEVELS}`);
+    console.log(`  Constraints: ${circuit.constraints.length}\n`);
+  });
+
+  after(() => {
+    if (fs.existsSync(circuitTmpPath)) {
+      fs.unlinkSync(circuitTmpPath);
+    }
+  });
+
+  // Read an intermediate signal of the witness
+  function getSignal(w, name) {
+    return w[circuit.symbols[`main.${name}`].varIdx];
+  }
+
+  // Run a batch through the circuit and check the roots of the last tx
+  async function checkBatch(state, txs, scores) {
+    const { input, newRoots, hashGlobalInputs } = await state.buildBatch(txs, N_TX, scores);
+
+    const w = await circuit.calculateWitness(input, true);
+    await circuit.checkConstraints(w);
+    await circuit.assertOut(w, { hashGlobalInputs });
+
+    assert.equal(getSignal(w, `batchTx[${N_TX - 1}].newAccountRoot`), newRoots.accountRoot);
+    assert.equal(getSignal(w, `batchTx[${N_TX - 1}].newVouchRoot`), newRoots.vouchRoot);
+    return { input, newRoots };
+  }
+
+  /**
+   * TEST CASES
+   *
+   * VALID BATCHES
+   * [X] create accounts, deposit and withdraw
+   * [X] vouch, unvouch and explode across batches
+   * [X] pad a partial batch with NOP txs (empty batch keeps the roots)
+   * [X] carry score tree updates as oldScoreRoot/newScoreRoot
+   *
+   * INVALID BATCHES
+   * [X] fail when oldValue1 does not match the sender leaf
+   * [X] fail when the vouch siblings are tampered
+   * [X] reject txs the state cannot apply (typed RollupStateError)
+   * [X] roll back the valid txs of a rejected batch
+   * [X] reject txs DecodeTx cannot decode (typed TxCodecError) without touching the state
+   */
+
+  it("should process create account, deposit and withdraw txs", async () => {
+    const state = new RollupState(N_LEVELS);
+    await checkBatch(state, [
+      { type: "createAccount", from: 1, amount: 100 },
+      { type: "createAccount", from: 9, amount: 50 },
+      { type: "deposit", from: 1, amount: 5 },
+      { type: "withdraw", from: 9, amount: 7 },
+    ]);
+
+    assert.equal(state.getBalance(1), 105n);
+    assert.equal(state.getBalance(9), 43n);
+    assert.equal(state.lastIdx, 9n);
+  });
+
+  it("should process vouch, unvouch and explode txs across batches", async () => {
+    const state = new RollupState(N_LEVELS);
+    await checkBatch(state, [
+      { type: "createAccount", from: 1, amount: 100 },
+      { type: "createAccount", from: 2, amount: 100 },
+      { type: "createAccount", from: 3, amount: 100 },
+    ]);
+
+    await checkBatch(state, [
+      { type: "vouch", from: 1, to: 2 },
+      { type: "vouch", from: 2, to: 1 },
+      { type: "vouch", from: 3, to: 1 },
+      { type: "unvouch", from: 2, to: 1 },
+    ]);
+    assert(await state.hasVouch(1, 2));
+    assert(!(await state.hasVouch(2, 1)));
+
+    // Explode 2 <- 1: deletes the vouch 1 -> 2 and moves 30 from account 1 to account 2
+    const { input } = await checkBatch(state, [
+      { type: "explode", from: 2, to: 1, amount: 30 },
+      { type: "deposit", from: 3, amount: 1 },
+    ]);
+    assert(!(await state.hasVouch(1, 2)));
+    assert.equal(state.getBalance(1), 70n);
+    assert.equal(state.getBalance(2), 130n);
+    assert.equal(input.oldLastIdx, "3");
+  });
+
+  it("should pad a partial batch with NOP txs", async () => {
+    const state = new RollupState(N_LEVELS);
+    await checkBatch(state, [{ type: "createAccount", from: 5, amount: 10 }]);
+    const rootsBefore = await state.getRoots();
+
+    const { input, newRoots } = await checkBatch(state, []);
+
+    assert.deepEqual(input.txData, ["0", "0", "0", "0"]);
+    assert.deepEqual(newRoots, rootsBefore);
+  });
+
+  it("should carry score tree updates as oldScoreRoot/newScoreRoot", async () => {
+    const state = new RollupState(N_LEVELS);
+    await state.setScore(1, 500);
+    const { scoreRoot } = await state.getRoots();
+
+    const { input, newRoots } = await checkBatch(
+      state,
+      [{ type: "createAccount", from: 1, amount: 10 }],
+      [[1, 700], [2, 300]],
+    );
+
+    assert.equal(input.oldScoreRoot, scoreRoot.toString());
+    assert.equal(input.newScoreRoot, newRoots.scoreRoot.toString());
+    assert.notEqual(input.oldScoreRoot, input.newScoreRoot);
+  });
+
+  it("should fail when oldValue1 does not match the sender leaf", async () => {
+    const state = new RollupState(N_LEVELS);
+    await state.buildBatch([{ type: "createAccount", from: 1, amount: 100 }], N_TX);
+    const { input } = await state.buildBatch([{ type: "withdraw", from: 1, amount: 10 }], N_TX);
+
+    // Claim a leaf value other than the one committed in the account tree
+    input.oldValue1[0] = "1000";
+
+    try {
+      await circuit.calculateWitness(input, true);
+      assert.fail("Should have failed with a wrong sender leaf");
+    } catch (error) {
+      assert(error.message.includes("Assert Failed"));
+    }
+  });
+
+  it("should fail when the vouch siblings are tampered", async () => {
+    const state = new RollupState(N_LEVELS);
+    await state.buildBatch([
+      { type: "createAccount", from: 1, amount: 1 },
+      { type: "createAccount", from: 2, amount: 1 },
+    ], N_TX);
+    await state.buildBatch([{ type: "vouch", from: 1, to: 2 }], N_TX);
+    const { input } = await state.buildBatch([{ type: "vouch", from: 2, to: 1 }], N_TX);
+
+    input.siblings3[0][0] = "12345";
+
+    try {
+      await circuit.calculateWitness(input, true);
+      assert.fail("Should have failed with tampered vouch siblings");
+    } catch (error) {
+      assert(error.message.includes("Assert Failed"));
+    }
+  });
+
+  it("should reject txs the state cannot apply", async () => {
+    const state = new RollupState(N_LEVELS);
+    await state.buildBatch([
+      { type: "createAccount", from: 1, amount: 10 },
+      { type: "createAccount", from: 2, amount: 10 },
+    ], N_TX);
+
+    const reject = (txs) => assert.rejects(state.buildBatch(txs, N_TX), RollupStateError);
+
+    await reject([{ type: "createAccount", from: 1, amount: 1 }]);
+    await reject([{ type: "createAccount", from: 0, amount: 1 }]);
+    await reject([{ type: "deposit", from: 3, amount: 1 }]);
+    await reject([{ type: "withdraw", from: 1, amount: 11 }]);
+    await reject([{ type: "vouch", from: 1, to: 1 }]);
+    await reject([{ type: "unvouch", from: 1, to: 2 }]);
+    await reject([{ type: "explode", from: 2, to: 1, amount: 1 }]);
+    await reject(Array(N_TX + 1).fill({ type: "nop" }));
+    await assert.rejects(state.buildBatch([], 0), RollupStateError);
+  });
+
+  it("should roll back the valid txs of a rejected batch", async () => {
+    const state = new RollupState(N_LEVELS);
+    await state.buildBatch([
+      { type: "createAccount", from: 1, amount: 10 },
+      { type: "createAccount", from: 2, amount: 10 },
+      { type: "vouch", from: 2, to: 1 },
+    ], N_TX, [[1, 500]]);
+    const roots = await state.getRoots();
+
+    // Every tree is written before the last tx is rejected
+    await assert.rejects(state.buildBatch([
+      { type: "createAccount", from: 3, amount: 5 },
+      { type: "deposit", from: 1, amount: 5 },
+      { type: "vouch", from: 1, to: 2 },
+      { type: "withdraw", from: 2, amount: 11 },
+    ], N_TX), RollupStateError);
+    // Vouch DELETEs are rolled back too
+    await assert.rejects(state.buildBatch([
+      { type: "explode", from: 1, to: 2, amount: 4 },
+      { type: "withdraw", from: 2, amount: 7 },
+    ], N_TX), RollupStateError);
+    await assert.rejects(state.buildBatch([
+      { type: "unvouch", from: 2, to: 1 },
+      { type: "unvouch", from: 2, to: 1 },
+    ], N_TX), RollupStateError);
+    // A score pair without a score rolls back the txs and scores before it
+    await assert.rejects(state.buildBatch([{ type: "deposit", from: 2, amount: 5 }], N_TX, [[1, 600], [2]]), TypeError);
+
+    assert.deepEqual(await state.getRoots(), roots);
+    assert.equal(state.getBalance(1), 10n);
+    assert.equal(state.getBalance(2), 10n);
+    assert.throws(() => state.getBalance(3), RollupStateError);
+    assert(!(await state.hasVouch(1, 2)));
+    assert(await state.hasVouch(2, 1));
+    assert.equal(state.lastIdx, 2n);
+
+    // The state still builds valid batches
+    await checkBatch(state, [
+      { type: "vouch", from: 1, to: 2 },
+      { type: "explode", from: 1, to: 2, amount: 4 },
+      { type: "deposit", from: 1, amount: 5 },
+    ], [[1, 600]]);
+  });
+
+  it("should reject txs DecodeTx cannot decode without touching the state", async () => {
+    const state = new RollupState(N_LEVELS);
+    await state.buildBatch([{ type: "createAccount", from: 1, amount: 10 }], N_TX);
+    const roots = await state.getRoots();
+
+    const reject = (txs) => assert.rejects(state.buildBatch(txs, N_TX), TxCodecError);
+
+    await reject([{ type: "transfer", from: 1, to: 2, amount: 1 }]);
+    await reject([{ type: 7, from: 1 }]);
+    await reject([{ type: "createAccount", from: 16, amount: 1 }]);
+    await reject([{ type: "deposit", from: 1, amount: 1n << 128n }]);
+
+    assert.deepEqual(await state.getRoots(), roots);
+    assert.equal(state.getBalance(1), 10n);
+  });
+});
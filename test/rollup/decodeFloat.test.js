@@ -0,0 +1,155 @@
+import fs from "fs";
+import path from "path";
+import { describe, it, before, after } from "mocha";
+import assert from "assert";
+import { wasm as tester } from "circom_tester";
+import { fileURLToPath } from "url";
+import {
+  Float40Error,
+  MANTISSA_BITS,
+  MAX_MANTISSA,
+  MAX_EXPONENT,
+  MAX_FLOAT40,
+  MAX_VALUE,
+  decode,
+  encode,
+  isExactlyRepresentable,
+  fix2Float,
+  floorFix2Float,
+  float2Fix,
+  roundFix,
+} from "../../src/rollup/float40.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const float40Of = (mantissa, exponent) => (BigInt(exponent) << BigInt(MANTISSA_BITS)) + BigInt(mantissa);
+
+describe("DecodeFloat circuit test", function () {
+  this.timeout(100000);
+
+  let circuit;
+  let circuitTmpPath;
+
+  before(async () => {
+    const circuitSrc = `
+            pragma circom 2.0.0;
+            include "../../circuits/syb_rollup/lib/decode-float.circom";
+            component main = DecodeFloat();
+        `;
+    circuitTmpPath = path.join(__dirname, "decode-float.test.circom");
+    fs.writeFileSync(circuitTmpPath, circuitSrc, "utf8");
+
+    circuit = await tester(circuitTmpPath, {
+      reduceConstraints: false,
+      include: path.join(__dirname, "../../"),
+    });
+  });
+
+  after(() => {
+    if (fs.existsSync(circuitTmpPath)) {
+      fs.unlinkSync(circuitTmpPath);
+    }
+  });
+
+  /**
+   * TEST CASES
+   *
+   * CIRCUIT vs JS
+   * [X] zero, max mantissa, max exponent, max value and values in between
+   * [X] non canonical float40 (same value, larger exponent)
+   * [X] fail for inputs wider than 40 bits
+   *
+   * JS CODEC
+   * [X] encode exact values with the smallest exponent
+   * [X] encode with rounding down and report the rounding error
+   * [X] isExactlyRepresentable
+   * [X] fix2Float / floorFix2Float / float2Fix / roundFix
+   * [X] reject negative, too large and non exact values
+   */
+
+  it("should decode edge cases like the JS decoder", async () => {
+    const cases = [
+      0n,
+      1n,
+      MAX_MANTISSA,
+      float40Of(0, MAX_EXPONENT),
+      float40Of(1, MAX_EXPONENT),
+      float40Of(MAX_MANTISSA, 1),
+      MAX_FLOAT40,
+      float40Of(123456789, 7),
+      float40Of(1n << 34n, 16),
+    ];
+
+    for (const f of cases) {
+      const w = await circuit.calculateWitness({ in: f.toString() }, true);
+      await circuit.checkConstraints(w);
+      await circuit.assertOut(w, { out: decode(f) });
+    }
+    assert.equal(decode(MAX_FLOAT40), MAX_VALUE);
+    assert.equal(decode(float40Of(1, MAX_EXPONENT)), 10n ** 31n);
+  });
+
+  it("should decode non canonical float40 to the same value", async () => {
+    for (const f of [float40Of(10, 0), float40Of(1, 1)]) {
+      const w = await circuit.calculateWitness({ in: f.toString() }, true);
+      await circuit.assertOut(w, { out: 10n });
+    }
+    assert.equal(fix2Float(10), float40Of(10, 0));
+  });
+
+  it("should fail for inputs wider than 40 bits", async () => {
+    try {
+      await circuit.calculateWitness({ in: (MAX_FLOAT40 + 1n).toString() }, true);
+      assert.fail("Should have failed with a 41-bit input");
+    } catch (error) {
+      assert(error.message.includes("Assert Failed"));
+    }
+    assert.throws(() => decode(MAX_FLOAT40 + 1n), Float40Error);
+    assert.throws(() => decode(-1), Float40Error);
+  });
+
+  it("should encode exact values with the smallest exponent", async () => {
+    for (const value of [0n, 1n, MAX_MANTISSA, MAX_VALUE, 10n ** 31n, 25n * 10n ** 18n]) {
+      const { float40, error } = encode(value);
+      assert.equal(error, 0n);
+      assert.equal(decode(float40), value);
+
+      const w = await circuit.calculateWitness({ in: float40.toString() }, true);
+      await circuit.assertOut(w, { out: value });
+    }
+    assert.equal(fix2Float(25n * 10n ** 18n), float40Of(25n * 10n ** 9n, 9));
+  });
+
+  it("should round down and report the rounding error", () => {
+    const value = MAX_MANTISSA + 1n; // 34359738368
+    const { float40, error } = encode(value, { round: true });
+
+    assert.equal(float40, float40Of(3435973836n, 1));
+    assert.equal(error, 8n);
+    assert.equal(decode(float40) + error, value);
+    assert.equal(floorFix2Float(value), float40);
+    assert.equal(roundFix(value), 34359738360n);
+    assert.equal(float2Fix(float40), 34359738360n);
+
+    assert.equal(encode(MAX_VALUE - 1n, { round: true }).error, 10n ** 31n - 1n);
+  });
+
+  it("should tell exactly representable values apart", () => {
+    assert(isExactlyRepresentable(0));
+    assert(isExactlyRepresentable(MAX_VALUE));
+    assert(isExactlyRepresentable(10n ** 40n));
+    assert.equal(fix2Float(10n ** 40n), float40Of(10n ** 10n, 30));
+    assert(!isExactlyRepresentable(MAX_MANTISSA + 1n));
+    assert(!isExactlyRepresentable(MAX_VALUE + 1n));
+    assert(!isExactlyRepresentable(-1));
+  });
+
+  it("should reject values outside the float40 range", () => {
+    assert.throws(() => encode(-1), Float40Error);
+    assert.throws(() => encode(MAX_VALUE + 1n, { round: true }), Float40Error);
+    assert.throws(() => fix2Float(MAX_MANTISSA + 1n), Float40Error);
+    assert.throws(() => fix2Float((MAX_MANTISSA + 1n) * 10n), Float40Error);
+    assert.throws(() => floorFix2Float(MAX_VALUE * 10n), Float40Error);
+  });
+});
@@ -0,0 +1,140 @@
+import fs from "fs";
+import path from "path";
+import { describe, it, before, after } from "mocha";
+import assert from "assert";
+import { wasm as tester } from "circom_tester";
+import { fileURLToPath } from "url";
+import {
+  TxCodecError,
+  TX_TYPES,
+  txDataBitsLength,
+  encodeTx,
+  decodeTx,
+  bitsTxData,
+} from "../../src/rollup/tx.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe("DecodeTx circuit test", function () {
+  this.timeout(100000);
+
+  const N_LEVELS = 6; // txData is 8 + 6 + 6 + 128 = 148 bits
+  const MAX_IDX = (1 << N_LEVELS) - 1;
+  const MAX_AMOUNT = (1n << 128n) - 1n;
+  let circuit;
+  let circuitTmpPath;
+
+  before(async () => {
+    const circuitSrc = `
+            pragma circom 2.0.0;
+            include "../../circuits/syb_rollup/decode-tx.circom";
+            component main = DecodeTx(${N_LEVELS});
+        `;
+    circuitTmpPath = path.join(__dirname, "decode-tx.test.circom");
+    fs.writeFileSync(circuitTmpPath, circuitSrc, "utf8");
+
+    circuit = await tester(circuitTmpPath, {
+      reduceConstraints: false,
+      include: path.join(__dirname, "../../"),
+    });
+  });
+
+  after(() => {
+    if (fs.existsSync(circuitTmpPath)) {
+      fs.unlinkSync(circuitTmpPath);
+    }
+  });
+
+  // Decode txData with the circuit and compare every output with the JS codec
+  async function checkDecode(tx) {
+    const txData = encodeTx(tx, N_LEVELS);
+    const decoded = decodeTx(txData, N_LEVELS);
+
+    const w = await circuit.calculateWitness({ txData: txData.toString() }, true);
+    await circuit.checkConstraints(w);
+    await circuit.assertOut(w, {
+      txnType: decoded.txnType,
+      fromIdx: decoded.from,
+      toIdx: decoded.to,
+      amount: decoded.amount,
+      bitsTxData: bitsTxData(tx, N_LEVELS),
+    });
+    return decoded;
+  }
+
+  /**
+   * TEST CASES
+   *
+   * VALID TXS
+   * [X] every tx type round trips through encodeTx / DecodeTx / decodeTx
+   * [X] indexes and amount at the top of their bit ranges
+   * [X] txnType given by number
+   * [X] fields are packed lowest bits first (txnType, fromIdx, toIdx, amount)
+   *
+   * INVALID TXS
+   * [X] fail (circuit) and throw (JS) for txnType >= 7
+   * [X] throw for indexes overflowing nLevels bits and amounts wider than 128 bits
+   * [X] throw for txData wider than 8 + 2*nLevels + 128 bits
+   */
+
+  it("should round trip every tx type", async () => {
+    for (const type of Object.keys(TX_TYPES)) {
+      const tx = { type, from: 5, to: 9, amount: 1000 };
+      const decoded = await checkDecode(tx);
+      assert.deepEqual(decoded, { type, txnType: TX_TYPES[type], from: 5n, to: 9n, amount: 1000n });
+    }
+  });
+
+  it("should round trip indexes and amount at the top of their range", async () => {
+    const decoded = await checkDecode({ type: "explode", from: MAX_IDX, to: MAX_IDX, amount: MAX_AMOUNT });
+    assert.equal(decoded.from, BigInt(MAX_IDX));
+    assert.equal(decoded.amount, MAX_AMOUNT);
+  });
+
+  it("should accept txnType given by number", async () => {
+    const decoded = await checkDecode({ type: 4, from: 1, to: 2 });
+    assert.equal(decoded.type, "vouch");
+    assert.equal(encodeTx({ type: 4, from: 1, to: 2 }, N_LEVELS), encodeTx({ type: "vouch", from: 1, to: 2 }, N_LEVELS));
+  });
+
+  it("should pack fields lowest bits first", () => {
+    const txData = encodeTx({ type: "vouch", from: 1, to: 2, amount: 3 }, N_LEVELS);
+    assert.equal(txData, 4n + (1n << 8n) + (2n << 14n) + (3n << 20n));
+
+    const bits = bitsTxData({ type: "vouch", from: 1, to: 2, amount: 3 }, N_LEVELS);
+    assert.equal(bits.length, txDataBitsLength(N_LEVELS));
+    const setBits = bits.flatMap((bit, i) => (bit ? [i] : []));
+    assert.deepEqual(setBits, [2, 8, 15, 20, 21]);
+  });
+
+  it("should fail for txnType >= 7", async () => {
+    for (const txnType of [7, 255]) {
+      try {
+        await circuit.calculateWitness({ txData: txnType.toString() }, true);
+        assert.fail(`Should have failed with txnType ${txnType}`);
+      } catch (error) {
+        assert(error.message.includes("Assert Failed"));
+      }
+      assert.throws(() => decodeTx(txnType, N_LEVELS), TxCodecError);
+      assert.throws(() => encodeTx({ type: txnType }, N_LEVELS), TxCodecError);
+    }
+    assert.throws(() => encodeTx({ type: "transfer" }, N_LEVELS), TxCodecError);
+  });
+
+  it("should reject fields that overflow their bit range", () => {
+    const reject = (tx) => assert.throws(() => encodeTx(tx, N_LEVELS), TxCodecError);
+
+    reject({ type: "vouch", from: MAX_IDX + 1, to: 1 });
+    reject({ type: "vouch", from: 1, to: MAX_IDX + 1 });
+    reject({ type: "deposit", from: 1, amount: MAX_AMOUNT + 1n });
+    reject({ type: "deposit", from: 1, amount: -1 });
+    assert.throws(() => encodeTx({ type: "nop" }, 0), TxCodecError);
+    assert.throws(() => encodeTx({ type: "nop" }, 59), TxCodecError);
+  });
+
+  it("should reject txData wider than the DecodeTx layout", () => {
+    assert.throws(() => decodeTx(1n << BigInt(txDataBitsLength(N_LEVELS)), N_LEVELS), TxCodecError);
+    assert.throws(() => decodeTx(-1n, N_LEVELS), TxCodecError);
+  });
+});
@@ -0,0 +1,159 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { describe, it, before, after } from "mocha";
+import assert from "assert";
+import { wasm as tester } from "circom_tester";
+import { fileURLToPath } from "url";
+import { sha256Bits } from "../../src/rollup/sha256.js";
+import {
+  HashInputsError,
+  SNARK_SCALAR_FIELD,
+  hashInputsLayout,
+  formatHashInputsLayout,
+  hashInputsBits,
+  hashInputsBytes,
+  hashGlobalInputs,
+} from "../../src/rollup/hashInputs.js";
+import { TxCodecError, encodeTx } from "../../src/rollup/tx.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Deterministic field element derived from a label
+function fieldElement(label) {
+  const digest = crypto.createHash("sha256").update(label).digest("hex");
+  return BigInt(`0x${digest}`) % SNARK_SCALAR_FIELD;
+}
+
+function sampleRoots(label) {
+  return {
+    oldAccountRoot: fieldElement(`${label}/oldAccountRoot`),
+    oldVouchRoot: fieldElement(`${label}/oldVouchRoot`),
+    oldScoreRoot: fieldElement(`${label}/oldScoreRoot`),
+    newAccountRoot: fieldElement(`${label}/newAccountRoot`),
+    newVouchRoot: fieldElement(`${label}/newVouchRoot`),
+    newScoreRoot: fieldElement(`${label}/newScoreRoot`),
+  };
+}
+
+// Every tx type, with indexes at the top of the nLevels range and a full 128-bit amount
+function sampleTxs(nTx, nLevels) {
+  const maxIdx = (1 << nLevels) - 1;
+  const txs = [
+    { type: "explode", from: maxIdx, to: 1, amount: (1n << 128n) - 1n },
+    { type: "createAccount", from: 1, amount: 1000 },
+    { type: "vouch", from: 2, to: maxIdx },
+    { type: "withdraw", from: maxIdx - 1, amount: 12345678901234567890n },
+    { type: "unvouch", from: maxIdx, to: 2 },
+    { type: "deposit", from: 3, amount: 1 },
+  ];
+  return Array.from({ length: nTx }, (_, i) => (i < txs.length ? txs[i] : { type: "nop" }));
+}
+
+describe("HashInputs JS implementation", function () {
+  it("should match node's sha256 on byte aligned messages", () => {
+    for (const message of ["", "abc", "a".repeat(55), "a".repeat(56), "a".repeat(200)]) {
+      const bits = [...Buffer.from(message)].flatMap((byte) =>
+        Array.from({ length: 8 }, (_, i) => (byte >> (7 - i)) & 1)
+      );
+      const expected = crypto.createHash("sha256").update(message).digest("hex");
+      assert.equal(sha256Bits(bits).toString("hex"), expected);
+    }
+  });
+
+  it("should lay out the roots before the txs", () => {
+    const layout = hashInputsLayout(2, 3);
+
+    assert.equal(layout.length, 6 + 2 * 4);
+    assert.deepEqual(layout[0], { name: "oldAccountRoot", bitOffset: 0, bits: 256, order: "msb first" });
+    assert.deepEqual(layout[6], { name: "txs[0].txnType", bitOffset: 1536, bits: 8, order: "lsb first" });
+    assert.deepEqual(layout[13], { name: "txs[1].amount", bitOffset: 1536 + 142 + 14, bits: 128, order: "lsb first" });
+
+    const table = formatHashInputsLayout(2, 3);
+    console.log(`\n${table}\n`);
+    assert(table.includes("sha256 over 1820 bits (not byte aligned)"));
+    assert(formatHashInputsLayout(1, 4).includes("sha256 over 1680 bits (210 bytes)"));
+  });
+
+  it("should pack byte aligned messages as roots followed by bit reversed txData", () => {
+    const nLevels = 4;
+    const roots = sampleRoots("packed");
+    const txs = sampleTxs(1, nLevels);
+    const bytes = hashInputsBytes(roots, txs, nLevels);
+
+    assert.equal(bytes.length, 210);
+    assert.equal(bytes.subarray(0, 32).toString("hex"), roots.oldAccountRoot.toString(16).padStart(64, "0"));
+
+    const txData = encodeTx(txs[0], nLevels);
+    const reversed = BigInt(`0b${txData.toString(2).padStart(144, "0").split("").reverse().join("")}`);
+    assert.equal(bytes.subarray(192).toString("hex"), reversed.toString(16).padStart(36, "0"));
+
+    const digest = crypto.createHash("sha256").update(bytes).digest("hex");
+    assert.equal(hashGlobalInputs(roots, txs, nLevels), BigInt(`0x${digest}`) % SNARK_SCALAR_FIELD);
+  });
+
+  it("should reject inputs HashInputs cannot read", () => {
+    const roots = sampleRoots("invalid");
+
+    assert.throws(() => hashInputsBytes(roots, sampleTxs(2, 3), 3), HashInputsError);
+    assert.throws(() => hashInputsBits({ ...roots, newScoreRoot: undefined }, [], 3), HashInputsError);
+    assert.throws(() => hashInputsBits({ ...roots, oldVouchRoot: 1n << 256n }, [], 3), HashInputsError);
+    assert.throws(
+      () => hashInputsBits(roots, [{ type: "deposit", from: 1, amount: 1n << 128n }], 3),
+      TxCodecError
+    );
+  });
+});
+
+for (const [nTx, nLevels] of [[1, 4], [2, 3], [3, 5]]) {
+  describe(`HashInputs(${nTx}, ${nLevels}) circuit test`, function () {
+    this.timeout(400000);
+
+    let circuit;
+    let circuitTmpPath;
+
+    before(async () => {
+      const circuitSrc = `
+            pragma circom 2.0.0;
+            include "../../circuits/syb_rollup/hash-inputs.circom";
+            component main = HashInputs(${nTx}, ${nLevels});
+        `;
+      circuitTmpPath = path.join(__dirname, `hash-inputs-${nTx}-${nLevels}.test.circom`);
+      fs.writeFileSync(circuitTmpPath, circuitSrc, "utf8");
+
+      circuit = await tester(circuitTmpPath, {
+        reduceConstraints: false,
+        include: path.join(__dirname, "../../"),
+      });
+    });
+
+    after(() => {
+      if (fs.existsSync(circuitTmpPath)) {
+        fs.unlinkSync(circuitTmpPath);
+      }
+    });
+
+    async function checkHash(roots, txs) {
+      const input = {
+        ...Object.fromEntries(Object.entries(roots).map(([k, v]) => [k, v.toString()])),
+        txsData: hashInputsBits(roots, txs, nLevels).slice(6 * 256),
+      };
+      const w = await circuit.calculateWitness(input, true);
+      await circuit.checkConstraints(w);
+      await circuit.assertOut(w, { hashInputsOut: hashGlobalInputs(roots, txs, nLevels) });
+    }
+
+    it("should match hashInputsOut for every tx type", async () => {
+      await checkHash(sampleRoots(`${nTx}-${nLevels}`), sampleTxs(nTx, nLevels));
+    });
+
+    it("should match hashInputsOut for an all NOP batch with zero roots", async () => {
+      const zeroRoots = sampleRoots("zero");
+      for (const name of Object.keys(zeroRoots)) {
+        zeroRoots[name] = 0n;
+      }
+      await checkHash(zeroRoots, Array(nTx).fill({ type: "nop" }));
+    });
+  });
+}
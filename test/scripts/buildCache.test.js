@@ -0,0 +1,149 @@
+import fs from "fs";
+import path from "path";
+import { describe, it, before, after } from "mocha";
+import assert from "assert";
+import { compileCircuit } from "../../scripts/compileCircuit.mjs";
+import { compileInputs, isStageFresh, readManifest, writeStage, collectSources } from "../../scripts/utils/buildCache.mjs";
+import { runStep, readJournal } from "../../scripts/utils/buildJournal.mjs";
+import { writeTinyProject } from "../utils/tinyProject.js";
+
+const LIB_SOURCE = `pragma circom 2.0.0;
+
+template Square() {
+    signal input in;
+    signal output out;
+    out <== in * in;
+}
+`;
+
+describe("Build cache", function () {
+  this.timeout(300000);
+
+  let project;
+  let mainPath;
+  let libPath;
+  let r1csPath;
+
+  // Compile the tiny project, returning the manifest entry of the compile stage
+  async function compile() {
+    const { circuitName, circuitConfig, projectDir } = project;
+    await compileCircuit(circuitName, `main/${circuitName}`, projectDir, circuitConfig);
+    return (await readManifest(circuitName, projectDir)).compile;
+  }
+
+  before(async () => {
+    // Nothing is compiled yet: the tests below run every compile
+    project = await writeTinyProject();
+    const circuitsDir = path.join(project.projectDir, "circuits");
+    mainPath = path.join(circuitsDir, "main", "multiplier.circom");
+    libPath = path.join(circuitsDir, "lib", "square.circom");
+    r1csPath = path.join(project.projectDir, "build", "multiplier", "multiplier.r1cs");
+
+    // multiplier.circom includes a library, itself included by the main wrapper
+    fs.mkdirSync(path.dirname(libPath));
+    fs.writeFileSync(libPath, LIB_SOURCE);
+    const source = fs.readFileSync(path.join(circuitsDir, "multiplier.circom"), "utf8");
+    fs.writeFileSync(
+      path.join(circuitsDir, "multiplier.circom"),
+      source.replace("pragma circom 2.0.0;\n", "pragma circom 2.0.0;\n\ninclude \"lib/square.circom\";\n// include \"lib/commented.circom\";\n")
+    );
+  });
+
+  after(() => {
+    if (project) {
+      fs.rmSync(project.projectDir, { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * TEST CASES
+   *
+   * [X] every file included by the main wrapper is hashed, commented includes are not
+   * [X] unchanged inputs are a cache hit
+   * [X] a change of the circuit source invalidates the compile stage
+   * [X] a change of an included file invalidates it
+   * [X] a change of the circuit config invalidates it, the protocol does not
+   * [X] a missing artifact invalidates it
+   * [X] a step is resumed from its manifest stage, the journal only records its status
+   */
+
+  it("should hash every included file", async () => {
+    const sources = await collectSources(mainPath, project.projectDir);
+    assert.deepEqual(Object.keys(sources), [
+      path.join("circuits", "lib", "square.circom"),
+      path.join("circuits", "main", "multiplier.circom"),
+      path.join("circuits", "multiplier.circom"),
+    ]);
+  });
+
+  it("should reuse a compile of unchanged inputs", async () => {
+    const first = await compile();
+    const second = await compile();
+
+    assert.equal(second.key, first.key);
+    assert.equal(second.builtAt, first.builtAt);
+    assert(await isStageFresh(project.circuitName, project.projectDir, "compile", first.key));
+  });
+
+  it("should recompile when the circuit source changes", async () => {
+    const previous = await compile();
+
+    const sourcePath = path.join(project.projectDir, "circuits", "multiplier.circom");
+    fs.appendFileSync(sourcePath, "\n// edited\n");
+    const rebuilt = await compile();
+    assert.notEqual(rebuilt.key, previous.key);
+    assert.notEqual(rebuilt.builtAt, previous.builtAt);
+  });
+
+  it("should recompile when an included file changes", async () => {
+    const previous = await compile();
+
+    fs.writeFileSync(libPath, `${LIB_SOURCE}\n// edited\n`);
+    const { key } = await compileInputs(project.circuitConfig, mainPath, project.projectDir);
+    assert.notEqual(key, previous.key);
+    assert(!(await isStageFresh(project.circuitName, project.projectDir, "compile", key)));
+
+    const rebuilt = await compile();
+    assert.equal(rebuilt.key, key);
+    assert.notEqual(rebuilt.builtAt, previous.builtAt);
+    assert.notEqual(rebuilt.sources[path.join("circuits", "lib", "square.circom")], previous.sources[path.join("circuits", "lib", "square.circom")]);
+    assert.equal((await compile()).builtAt, rebuilt.builtAt);
+  });
+
+  it("should key the compile on the circuit config but not on the protocol", async () => {
+    const { circuitConfig, projectDir } = project;
+    const { key } = await compileInputs(circuitConfig, mainPath, projectDir);
+
+    assert.notEqual((await compileInputs({ ...circuitConfig, params: [2] }, mainPath, projectDir)).key, key);
+    assert.notEqual((await compileInputs({ ...circuitConfig, template: "Square" }, mainPath, projectDir)).key, key);
+    assert.equal((await compileInputs({ ...circuitConfig, protocol: "plonk" }, mainPath, projectDir)).key, key);
+  });
+
+  it("should recompile when an artifact is missing", async () => {
+    const previous = await compile();
+
+    fs.rmSync(r1csPath);
+    assert(!(await isStageFresh(project.circuitName, project.projectDir, "compile", previous.key)));
+
+    const rebuilt = await compile();
+    assert.equal(rebuilt.key, previous.key);
+    assert.notEqual(rebuilt.builtAt, previous.builtAt);
+    assert(fs.existsSync(r1csPath));
+  });
+
+  it("should resume a step from its manifest stage only", async () => {
+    const { circuitName, projectDir } = project;
+    let runs = 0;
+    const step = () => runStep(circuitName, projectDir, "info", "key", async () => ({ run: ++runs }));
+
+    assert.deepEqual(await step(), { run: 1 });
+    assert.deepEqual(await step(), { run: 1 });
+    assert.deepEqual((await readManifest(circuitName, projectDir)).info.result, { run: 1 });
+    const { steps } = await readJournal(circuitName, projectDir);
+    assert.deepEqual(Object.keys(steps.info).sort(), ["finishedAt", "startedAt", "status"]);
+
+    // The journal still says done, the manifest decides
+    await writeStage(circuitName, projectDir, "info", { key: "other", result: { run: 1 } });
+    assert.deepEqual(await step(), { run: 2 });
+  });
+});
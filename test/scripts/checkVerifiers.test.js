@@ -0,0 +1,133 @@
+import fs from "fs";
+import { describe, it, before, after } from "mocha";
+import assert from "assert";
+import * as snarkjs from "snarkjs";
+import { checkCircuitVerifier } from "../../scripts/checkVerifiers.mjs";
+import { checkVerifier, formatConstantsDiff, parseVerifierPublicCount } from "../../scripts/utils/verifierConsistency.mjs";
+import { initCeremony, contribute, readCeremony, lastZkeyPath } from "../../scripts/ceremony.mjs";
+import { compileCircuit } from "../../scripts/compileCircuit.mjs";
+import { generateKeys } from "../../scripts/generateKeys.mjs";
+import { generateVerifierContract } from "../../scripts/generateVerifierContract.mjs";
+import { writeTinyProject, tinyPtau, linkNodeModules } from "../utils/tinyProject.js";
+
+describe("Verifier consistency", function () {
+  this.timeout(300000);
+
+  let projectDir;
+  let groth16;
+  let plonk;
+
+  // One compile, with the keys and verifier of both protocols side by side
+  before(async () => {
+    const project = await writeTinyProject();
+    const { circuitName, circuitConfig } = project;
+    projectDir = project.projectDir;
+    await linkNodeModules(projectDir);
+    const { r1csPath } = await compileCircuit(circuitName, `main/${circuitName}`, projectDir, circuitConfig);
+    const ptauPath = await tinyPtau(projectDir);
+
+    const build = async (protocol) => {
+      const config = { ...circuitConfig, protocol };
+      const { zkeyPath, vkeyPath } = await generateKeys(circuitName, r1csPath, ptauPath, projectDir, protocol);
+      const verifier = await generateVerifierContract(circuitName, zkeyPath, vkeyPath, projectDir, protocol, config);
+      return { ...project, circuitConfig: config, r1csPath, ptauPath, vkeyPath, ...verifier };
+    };
+    groth16 = await build("groth16");
+    plonk = await build("plonk");
+  });
+
+  after(async () => {
+    if (projectDir) {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    }
+    await globalThis.curve_bn128?.terminate();
+  });
+
+  // Run fn with file moved away, and put it back
+  async function withoutFile(file, fn) {
+    fs.renameSync(file, `${file}.bak`);
+    try {
+      return await fn();
+    } finally {
+      fs.renameSync(`${file}.bak`, file);
+    }
+  }
+
+  /**
+   * TEST CASES
+   *
+   * [X] a freshly generated groth16 or PLONK verifier matches its vkey and circuit
+   * [X] a verifier left behind by an older key reports the differing constants
+   * [X] a verifier of another public signal count or contract name is reported
+   * [X] a missing vkey or verifier is reported
+   */
+
+  for (const name of ["groth16", "plonk"]) {
+    it(`should match a freshly generated ${name} verifier`, async () => {
+      const project = name === "groth16" ? groth16 : plonk;
+      const report = await checkCircuitVerifier(project.circuitName, project.circuitConfig, project.projectDir);
+
+      assert.deepEqual(report.issues, []);
+      assert(report.ok);
+      assert.equal(report.verifier, `verifiers/${project.contractName}.sol`);
+      assert.deepEqual(report.publicCounts, { verifier: 1, vkey: 1, circuit: 1 });
+    });
+  }
+
+  it("should report the constants of a verifier left behind by an older key", async () => {
+    const { circuitName, circuitConfig, r1csPath, ptauPath, projectDir, vkeyPath } = groth16;
+    const vkey = fs.readFileSync(vkeyPath, "utf8");
+
+    // A Phase-2 contribution changes delta, nothing else
+    await initCeremony(circuitName, r1csPath, ptauPath, projectDir);
+    await contribute(circuitName, projectDir, { name: "alice", entropy: "alice's entropy" });
+    const newVkey = await snarkjs.zKey.exportVerificationKey(lastZkeyPath(await readCeremony(circuitName, projectDir), projectDir));
+    fs.writeFileSync(vkeyPath, JSON.stringify(newVkey));
+
+    try {
+      const report = await checkCircuitVerifier(circuitName, circuitConfig, projectDir);
+      assert(!report.ok);
+      assert.deepEqual(report.constants.map(({ name }) => name), ["deltax1", "deltax2", "deltay1", "deltay2"]);
+      assert.deepEqual(report.issues, ["4 verification key constant(s) differ: deltax1, deltax2, deltay1, deltay2"]);
+
+      const diff = formatConstantsDiff(report.constants);
+      assert.equal(diff.length, 8);
+      assert(diff.includes(`- deltax1 = ${JSON.parse(vkey).vk_delta_2[0][1]}`));
+      assert(diff.includes(`+ deltax1 = ${newVkey.vk_delta_2[0][1]}`));
+    } finally {
+      fs.writeFileSync(vkeyPath, vkey);
+    }
+  });
+
+  it("should report another public signal count or contract name", () => {
+    const source = fs.readFileSync(groth16.verifierPath, "utf8");
+    const vkey = JSON.parse(fs.readFileSync(groth16.vkeyPath, "utf8"));
+    assert.equal(parseVerifierPublicCount(source), 1);
+
+    // The vkey of a circuit with one more public signal
+    const wider = { ...vkey, nPublic: 2, IC: [...vkey.IC, vkey.IC[1]] };
+    const { ok, issues, constants } = checkVerifier(source, wider, { contractName: groth16.contractName, circuitPublic: 1 });
+    assert(!ok);
+    assert.deepEqual(constants.map(({ name, verifier }) => [name, verifier]), [["IC2x", null], ["IC2y", null]]);
+    assert.deepEqual(issues.slice(1), [
+      "verifyProof takes 1 public signal(s), the vkey 2",
+      "vkey has 2 public signal(s), the circuit 1",
+    ]);
+
+    assert.deepEqual(checkVerifier(source, vkey, { contractName: "OtherVerifier" }).issues, [
+      `contract is named ${groth16.contractName}, expected OtherVerifier`,
+    ]);
+  });
+
+  it("should report a missing vkey or verifier", async () => {
+    const { circuitName, circuitConfig, projectDir, vkeyPath, verifierPath } = groth16;
+
+    const withoutVkey = await withoutFile(vkeyPath, () => checkCircuitVerifier(circuitName, circuitConfig, projectDir));
+    assert(!withoutVkey.ok);
+    assert.deepEqual(withoutVkey.issues, [`build/${circuitName}/groth16_vkey.json not found`]);
+
+    const withoutVerifier = await withoutFile(verifierPath, () => checkCircuitVerifier(circuitName, circuitConfig, projectDir));
+    assert(!withoutVerifier.ok);
+    assert.deepEqual(withoutVerifier.issues, [`verifiers/${groth16.contractName}.sol not found`]);
+  });
+});
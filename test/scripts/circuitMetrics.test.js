@@ -0,0 +1,141 @@
+import fs from "fs";
+import path from "path";
+import { describe, it, before, after } from "mocha";
+import assert from "assert";
+import {
+  collectMetrics,
+  compareMetrics,
+  readBaseline,
+  writeBaseline,
+  baselinePath,
+  isBuilt,
+  DEFAULT_TOLERANCE,
+} from "../../scripts/utils/circuitMetrics.mjs";
+import { metricsReports } from "../../scripts/reportMetrics.mjs";
+import { compileCircuit } from "../../scripts/compileCircuit.mjs";
+import { writeTinyProject } from "../utils/tinyProject.js";
+
+describe("Circuit metrics", function () {
+  this.timeout(300000);
+
+  let project;
+
+  before(async () => {
+    // Compiled, without keys
+    project = await writeTinyProject();
+    const { circuitName, circuitConfig, projectDir } = project;
+    await compileCircuit(circuitName, `main/${circuitName}`, projectDir, circuitConfig);
+  });
+
+  after(async () => {
+    if (project) {
+      fs.rmSync(project.projectDir, { recursive: true, force: true });
+    }
+    await globalThis.curve_bn128?.terminate();
+  });
+
+  const metrics = (constraints, components) => ({ constraints, components });
+
+  /**
+   * TEST CASES
+   *
+   * [X] a circuit without a baseline entry is new
+   * [X] growth within the tolerance is ok, above it a regression
+   * [X] the grown components are listed, largest growth first
+   * [X] a missing baseline reads as empty, another version is rejected
+   * [X] the baseline is written and read back
+   * [X] metrics of a compiled circuit, without a zkey size before its keys
+   * [X] --skip-missing skips a circuit that is not compiled instead of compiling it
+   */
+
+  it("should report a circuit without baseline as new", () => {
+    assert.deepEqual(compareMetrics(undefined, metrics(10, { main: 10 })), { status: "new", limit: null, delta: null, grown: [] });
+    assert.equal(compareMetrics(null, metrics(10, { main: 10 })).status, "new");
+  });
+
+  it("should allow growth up to the tolerance", () => {
+    const baseline = metrics(1000, { main: 1000 });
+
+    assert.deepEqual(compareMetrics(baseline, metrics(1000, { main: 1000 })), { status: "ok", limit: 1050, delta: 0, grown: [] });
+    assert.equal(compareMetrics(baseline, metrics(900, { main: 900 })).delta, -100);
+    assert.equal(compareMetrics(baseline, metrics(1050, { main: 1050 })).status, "ok");
+    assert.equal(compareMetrics(baseline, metrics(1051, { main: 1051 })).status, "regression");
+    assert.equal(compareMetrics(baseline, metrics(1051, { main: 1051 }), 0.1).status, "ok");
+    assert.equal(compareMetrics(baseline, metrics(1001, { main: 1001 }), 0).status, "regression");
+  });
+
+  it("should list the grown components, largest growth first", () => {
+    const baseline = metrics(100, { main: 100, "main.a": 60, "main.b": 40 });
+    const current = metrics(200, { main: 200, "main.a": 50, "main.b": 70, "main.c": 80 });
+
+    const { status, delta, grown } = compareMetrics(baseline, current);
+    assert.equal(status, "regression");
+    assert.equal(delta, 100);
+    assert.deepEqual(grown, [
+      { component: "main", baseline: 100, current: 200 },
+      { component: "main.c", baseline: 0, current: 80 },
+      { component: "main.b", baseline: 40, current: 70 },
+    ]);
+  });
+
+  it("should read a missing baseline as empty and reject another version", async () => {
+    const { projectDir } = project;
+    assert.deepEqual(await readBaseline(projectDir), { version: 1, tolerance: DEFAULT_TOLERANCE, circuits: {} });
+
+    fs.mkdirSync(path.dirname(baselinePath(projectDir)), { recursive: true });
+    fs.writeFileSync(baselinePath(projectDir), JSON.stringify({ version: 2, tolerance: 0.05, circuits: {} }));
+    await assert.rejects(readBaseline(projectDir), /Unsupported metrics baseline version 2/);
+    fs.rmSync(path.dirname(baselinePath(projectDir)), { recursive: true });
+  });
+
+  it("should read back a written baseline", async () => {
+    const { projectDir } = project;
+    const baseline = { version: 1, tolerance: 0.1, circuits: { multiplier: metrics(1, { main: 1 }) } };
+
+    await writeBaseline(projectDir, baseline);
+    assert.deepEqual(await readBaseline(projectDir), baseline);
+    fs.rmSync(path.dirname(baselinePath(projectDir)), { recursive: true });
+  });
+
+  it("should collect the metrics of a compiled circuit", async () => {
+    const { circuitName, projectDir } = project;
+
+    assert.deepEqual(await collectMetrics(circuitName, projectDir), {
+      protocol: "groth16",
+      constraints: 1,
+      wires: 4,
+      labels: 4,
+      outputs: 1,
+      publicInputs: 0,
+      privateInputs: 2,
+      zkeySize: null,
+      components: { main: 1 },
+    });
+  });
+
+  it("should skip a circuit that is not compiled with skipMissing", async () => {
+    const { circuitName, circuitConfig, projectDir } = project;
+    // divider is in circuits.json but was never compiled, and can not be: its file does not exist
+    const circuitsJson = { [circuitName]: circuitConfig, divider: { file: "divider", template: "Divider", params: [] } };
+    const baseline = { version: 1, tolerance: DEFAULT_TOLERANCE, circuits: { multiplier: metrics(1, { main: 1 }) } };
+    const options = { baseline, tolerance: DEFAULT_TOLERANCE, depth: 3 };
+
+    assert(await isBuilt(circuitName, projectDir));
+    assert(!(await isBuilt("divider", projectDir)));
+
+    const [multiplier, divider] = await metricsReports(circuitsJson, [circuitName, "divider"], projectDir, { ...options, skipMissing: true });
+    assert.equal(multiplier.comparison.status, "ok");
+    assert.equal(multiplier.metrics.constraints, 1);
+    assert.deepEqual(divider, {
+      circuitName: "divider",
+      config: circuitsJson.divider,
+      metrics: null,
+      baseline: null,
+      comparison: { status: "skipped" },
+    });
+    assert(!fs.existsSync(path.join(projectDir, "build", "divider")));
+
+    // Without skipMissing, every circuit is compiled
+    await assert.rejects(metricsReports(circuitsJson, ["divider"], projectDir, options), /divider/);
+  });
+});
@@ -0,0 +1,61 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, beforeEach, afterEach } from "mocha";
+import assert from "assert";
+import { locatePtau, devPtauFileName, ptauFileName } from "../../scripts/utils/downloadPtau.mjs";
+
+describe("PTAU location", function () {
+  let projectDir;
+  const online = { PTAU_MIRROR: "https://example.com/ptau" };
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "ptau-"));
+    fs.mkdirSync(path.join(projectDir, "ptau", "dev"), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  /**
+   * TEST CASES
+   *
+   * [X] --dev takes the smallest dev PTAU of ptau/dev/ with enough powers before a download
+   * [X] without --dev, a dev PTAU is never used
+   * [X] --dev generates a dev PTAU only when nothing can be downloaded
+   */
+
+  it("should prefer a dev PTAU of ptau/dev/ to a download with --dev", async () => {
+    for (const power of [12, 14, 15]) {
+      fs.writeFileSync(path.join(projectDir, "ptau", "dev", devPtauFileName(power)), "");
+    }
+
+    const location = await locatePtau(13, projectDir, { dev: true, env: online });
+    assert.deepEqual(location, {
+      source: "dev",
+      power: 14,
+      ptauPath: path.join(projectDir, "ptau", "dev", devPtauFileName(14)),
+    });
+  });
+
+  it("should never use a dev PTAU without --dev", async () => {
+    fs.writeFileSync(path.join(projectDir, "ptau", "dev", devPtauFileName(13)), "");
+
+    const location = await locatePtau(13, projectDir, { env: online });
+    assert.equal(location.source, "download");
+    assert.equal(location.url, `https://example.com/ptau/${ptauFileName(13)}`);
+    assert.equal((await locatePtau(13, projectDir, { env: { PTAU_OFFLINE: "1" } })).source, "missing");
+  });
+
+  it("should generate a dev PTAU only when nothing can be downloaded", async () => {
+    assert.equal((await locatePtau(13, projectDir, { dev: true, env: online })).source, "download");
+
+    const location = await locatePtau(13, projectDir, { dev: true, env: { PTAU_OFFLINE: "1" } });
+    assert.deepEqual(location, {
+      source: "dev",
+      power: 13,
+      ptauPath: path.join(projectDir, "ptau", "dev", devPtauFileName(13)),
+    });
+  });
+});
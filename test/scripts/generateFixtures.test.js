@@ -0,0 +1,171 @@
+import fs from "fs";
+import { describe, it, before, after } from "mocha";
+import assert from "assert";
+import { createEVM } from "@ethereumjs/evm";
+import { generateFixtures } from "../../scripts/generateFixtures.mjs";
+import { fixturesPath, sampleInput, verifyProof } from "../../scripts/utils/fixtures.mjs";
+import { hashFile } from "../../scripts/utils/helpers.mjs";
+import { compileCircuit } from "../../scripts/compileCircuit.mjs";
+import { generateKeys } from "../../scripts/generateKeys.mjs";
+import { generateVerifierContract } from "../../scripts/generateVerifierContract.mjs";
+import { writeTinyProject, tinyPtau, linkNodeModules } from "../utils/tinyProject.js";
+import { compile, deploy } from "../utils/evm.js";
+
+describe("Verifier fixtures", function () {
+  this.timeout(300000);
+
+  let projectDir;
+  let groth16;
+  let plonk;
+  let evm;
+
+  // One compile, with the keys and verifier of both protocols side by side
+  before(async () => {
+    const project = await writeTinyProject();
+    const { circuitName, circuitConfig } = project;
+    projectDir = project.projectDir;
+    await linkNodeModules(projectDir);
+    const { r1csPath } = await compileCircuit(circuitName, `main/${circuitName}`, projectDir, circuitConfig);
+    const ptauPath = await tinyPtau(projectDir);
+
+    const build = async (protocol) => {
+      const config = { ...circuitConfig, protocol };
+      const { zkeyPath, vkeyPath } = await generateKeys(circuitName, r1csPath, ptauPath, projectDir, protocol);
+      const verifier = await generateVerifierContract(circuitName, zkeyPath, vkeyPath, projectDir, protocol, config);
+      return { ...project, circuitConfig: config, vkeyPath, ...verifier };
+    };
+    groth16 = await build("groth16");
+    plonk = await build("plonk");
+    evm = await createEVM();
+  });
+
+  after(async () => {
+    if (projectDir) {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    }
+    await globalThis.curve_bn128?.terminate();
+  });
+
+  const decimal = (hex) => BigInt(hex).toString();
+  const point = (x, y) => [decimal(x), decimal(y), "1"];
+
+  // snarkjs proof and public signals back from the parsed verifyProof arguments of a fixture
+  function fromArgs(protocol, args) {
+    const publicSignals = args.input.map(decimal);
+    if (protocol === "groth16") {
+      // exportSolidityCallData swaps the Fq2 limbs of b
+      const { a, b, c } = args;
+      const pi_b = [[decimal(b[0][1]), decimal(b[0][0])], [decimal(b[1][1]), decimal(b[1][0])], ["1", "0"]];
+      return { proof: { pi_a: point(...a), pi_b, pi_c: point(...c), protocol, curve: "bn128" }, publicSignals };
+    }
+    const names = ["A", "B", "C", "Z", "T1", "T2", "T3", "Wxi", "Wxiw"];
+    const evaluations = ["eval_a", "eval_b", "eval_c", "eval_s1", "eval_s2", "eval_zw"];
+    const proof = { protocol, curve: "bn128" };
+    names.forEach((name, i) => (proof[name] = point(args.proof[2 * i], args.proof[2 * i + 1])));
+    evaluations.forEach((name, i) => (proof[name] = decimal(args.proof[2 * names.length + i])));
+    return { proof, publicSignals };
+  }
+
+  // verifyProof of the generated groth16 verifier, deployed in the EVM, on the arguments of a fixture
+  // (the snarkjs PLONK template imports hardhat/console.sol, which solc can not resolve here)
+  async function verifierCall(project) {
+    const call = await deploy(evm, compile(fs.readFileSync(project.verifierPath, "utf8"))[project.contractName]);
+    return async ({ a, b, c, input }) => {
+      const { reverted, value } = await call("verifyProof", [...a, ...b.flat(), ...c, ...input]);
+      assert(!reverted);
+      return value === 1n;
+    };
+  }
+
+  /**
+   * TEST CASES
+   *
+   * [X] a groth16 fixture round-trips: its vkey and verifier accept the valid proof and reject every tampered one
+   * [X] a PLONK fixture round-trips through its vkey, evaluation tampering included
+   * [X] fixtures are refused when the verifier does not match the vkey
+   * [X] a circuit without public signals is refused
+   * [X] a template without a sample input is refused
+   */
+
+  for (const name of ["groth16", "plonk"]) {
+    it(`should write a ${name} fixture its vkey accepts`, async () => {
+      const project = name === "groth16" ? groth16 : plonk;
+      const { circuitName, circuitConfig, projectDir, vkeyPath, verifierPath, contractName } = project;
+      const vkey = JSON.parse(fs.readFileSync(vkeyPath, "utf8"));
+
+      await generateFixtures(circuitName, circuitConfig, projectDir, { input: { a: 3, b: 4 } });
+      const fixtures = JSON.parse(fs.readFileSync(fixturesPath(circuitName, projectDir), "utf8"));
+
+      assert.equal(fixtures.protocol, name);
+      assert.deepEqual(fixtures.verifier, {
+        contract: contractName,
+        file: `verifiers/${contractName}.sol`,
+        sha256: await hashFile(verifierPath),
+      });
+      assert.deepEqual(fixtures.input, { a: 3, b: 4 });
+      assert.deepEqual(fixtures.valid.publicSignals, ["12"]);
+      assert.deepEqual(fixtures.valid.args.input.map(BigInt), [12n]);
+
+      const valid = fromArgs(name, fixtures.valid.args);
+      assert.deepEqual(valid.publicSignals, fixtures.valid.publicSignals);
+      assert(await verifyProof(name, vkey, valid.proof, valid.publicSignals));
+      const verify = name === "groth16" ? await verifierCall(project) : null;
+      if (verify) {
+        assert(await verify(fixtures.valid.args));
+      }
+
+      const tampered = fixtures.invalid.map((invalid) => invalid.name);
+      assert.deepEqual(
+        tampered,
+        name === "groth16"
+          ? ["public_signal_flipped", "proof_point_negated", "proof_point_swapped"]
+          : ["public_signal_flipped", "proof_point_negated", "proof_point_swapped", "proof_evaluation_changed"]
+      );
+      for (const invalid of fixtures.invalid) {
+        const { proof, publicSignals } = fromArgs(name, invalid.args);
+        assert.deepEqual(publicSignals, invalid.publicSignals);
+        assert(!(await verifyProof(name, vkey, proof, publicSignals)), invalid.name);
+        if (verify) {
+          assert(!(await verify(invalid.args)), invalid.name);
+        }
+      }
+    });
+  }
+
+  it("should refuse a verifier that does not match the vkey", async () => {
+    const { circuitName, circuitConfig, projectDir, vkeyPath } = groth16;
+    const vkey = fs.readFileSync(vkeyPath, "utf8");
+
+    const other = JSON.parse(vkey);
+    other.IC = [other.IC[1], other.IC[0]];
+    fs.writeFileSync(vkeyPath, JSON.stringify(other));
+    try {
+      await assert.rejects(
+        generateFixtures(circuitName, circuitConfig, projectDir, { input: { a: 3, b: 4 } }),
+        /does not match build\/multiplier\/groth16_vkey\.json/
+      );
+    } finally {
+      fs.writeFileSync(vkeyPath, vkey);
+    }
+  });
+
+  it("should refuse a circuit without public signals", async () => {
+    const { circuitName, circuitConfig, projectDir, vkeyPath } = groth16;
+    const vkey = fs.readFileSync(vkeyPath, "utf8");
+
+    fs.writeFileSync(vkeyPath, JSON.stringify({ ...JSON.parse(vkey), nPublic: 0 }));
+    try {
+      await assert.rejects(
+        generateFixtures(circuitName, circuitConfig, projectDir, { input: { a: 3, b: 4 } }),
+        /multiplier has no public signals/
+      );
+    } finally {
+      fs.writeFileSync(vkeyPath, vkey);
+    }
+  });
+
+  it("should refuse a template without a sample input", async () => {
+    await assert.rejects(sampleInput(groth16.circuitConfig), /No sample input for template Multiplier/);
+    await assert.rejects(generateFixtures(groth16.circuitName, groth16.circuitConfig, groth16.projectDir), /No sample input/);
+  });
+});
@@ -1,7 +1,7 @@
 /**
  * generateTestVectors.js
  *
- * Generates test vectors from the computeNodeHash function in nodeHasher.test.js
+ * Generates test vectors from the NodeHasher reference implementation (src/v2/nodeHasher.js)
  * and saves them to a JSON file that can be used to verify the Go implementation.
  *
  * Usage: node generateTestVectors.js
@@ -11,68 +11,31 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { buildPoseidon } from "circomlibjs";
+import { NodeHasher } from "../../src/v2/nodeHasher.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const MAX_DEG = 15 * 4; // Maximum degree: 15*4 = 60
 
-// Calculate padLen based on maxDeg
-function calculatePadLen(maxDeg) {
-  const numR = Math.ceil(maxDeg / 15);
-  return 15 * numR;
-}
-
-const PAD_LEN = calculatePadLen(MAX_DEG);
-
-// Helper function to compute NbrHash (same as in nodeHasher.test.js)
-function computeNbrHash(poseidon, d, neighbors) {
-  // Pad neighbors array to PAD_LEN
-  const paddedNbrs = [...neighbors];
-  while (paddedNbrs.length < PAD_LEN) {
-    paddedNbrs.push(0);
-  }
-
+// Helper function to compute NbrHash with the shared NodeHasher
+function computeNbrHash(hasher, d, neighbors) {
   console.log(`Computing NbrHash for degree ${d}`);
-
-  // First block: B_0 = [d, nbr[0..14]] (15 neighbors)
-  const firstBlock = [d];
-  for (let i = 0; i < 15; i++) {
-    firstBlock.push(paddedNbrs[i] || 0);
-  }
-
-  // accumulator
-  let acc = poseidon.F.toString(poseidon(firstBlock));
-
-  // Continuation blocks (15 neighbors each)
-  const numR = Math.ceil(MAX_DEG / 15);
-
-  for (let round = 1; round < numR; round++) {
-    const block = [BigInt(acc)];
-    const startIdx = 15 + (round - 1) * 15;
-
-    for (let i = 0; i < 15; i++) {
-      const idx = startIdx + i;
-      block.push(paddedNbrs[idx] || 0);
-    }
-
-    acc = poseidon.F.toString(poseidon(block));
-  }
-
-  console.log(`Final hash: ${acc}`);
-  return acc;
+  const hash = hasher.hash(d, neighbors).toString();
+  console.log(`Final hash: ${hash}`);
+  return hash;
 }
 
 async function generateTestVectors() {
   console.log("Initializing Poseidon hasher...");
-  const poseidon = await buildPoseidon();
-  console.log(`MAX_DEG = ${MAX_DEG}, PAD_LEN = ${PAD_LEN}\n`);
+  const hasher = new NodeHasher(MAX_DEG);
+  await hasher.init();
+  console.log(`MAX_DEG = ${MAX_DEG}, PAD_LEN = ${hasher.padLen}\n`);
 
   const testVectors = {
     metadata: {
       maxDeg: MAX_DEG,
-      padLen: PAD_LEN,
+      padLen: hasher.padLen,
       description:
         "Test vectors for NbrHash algorithm - Cross-verification between Circom and Go",
       generatedAt: new Date().toISOString(),
@@ -87,7 +50,7 @@ async function generateTestVectors() {
     name: "degree_0_no_neighbors",
     d: 0,
     neighbors: [],
-    expectedHash: computeNbrHash(poseidon, 0, []),
+    expectedHash: computeNbrHash(hasher, 0, []),
   });
 
   // Test case 2: Degree 1
@@ -96,7 +59,7 @@ async function generateTestVectors() {
     name: "degree_1",
     d: 1,
     neighbors: [25],
-    expectedHash: computeNbrHash(poseidon, 1, [25]),
+    expectedHash: computeNbrHash(hasher, 1, [25]),
   });
 
   // Test case 3: Degree 5 (within first block)
@@ -105,7 +68,7 @@ async function generateTestVectors() {
     name: "degree_5_first_block",
     d: 5,
     neighbors: [1, 3, 8, 12, 15],
-    expectedHash: computeNbrHash(poseidon, 5, [1, 3, 8, 12, 15]),
+    expectedHash: computeNbrHash(hasher, 5, [1, 3, 8, 12, 15]),
   });
 
   // Test case 4: Degree 15 (exactly fills first block)
@@ -115,7 +78,7 @@ async function generateTestVectors() {
     name: "degree_15_full_first_block",
     d: 15,
     neighbors: neighbors15,
-    expectedHash: computeNbrHash(poseidon, 15, neighbors15),
+    expectedHash: computeNbrHash(hasher, 15, neighbors15),
   });
 
   // Test case 5: Degree 20 (needs 2 blocks)
@@ -127,7 +90,7 @@ async function generateTestVectors() {
     name: "degree_20_two_blocks",
     d: 20,
     neighbors: neighbors20,
-    expectedHash: computeNbrHash(poseidon, 20, neighbors20),
+    expectedHash: computeNbrHash(hasher, 20, neighbors20),
   });
 
   // Test case 6: Degree 30 (boundary: 15*2)
@@ -137,7 +100,7 @@ async function generateTestVectors() {
     name: "degree_30_boundary",
     d: 30,
     neighbors: neighbors30,
-    expectedHash: computeNbrHash(poseidon, 30, neighbors30),
+    expectedHash: computeNbrHash(hasher, 30, neighbors30),
   });
 
   // Test case 7: Degree 60 (maximum degree, perfect fit)
@@ -147,7 +110,7 @@ async function generateTestVectors() {
     name: "degree_60_maximum",
     d: 60,
     neighbors: neighbors60,
-    expectedHash: computeNbrHash(poseidon, 60, neighbors60),
+    expectedHash: computeNbrHash(hasher, 60, neighbors60),
   });
 
   // Additional test cases with different patterns
@@ -156,7 +119,7 @@ async function generateTestVectors() {
     name: "large_neighbor_ids",
     d: 3,
     neighbors: [1000000, 1000001, 1000002],
-    expectedHash: computeNbrHash(poseidon, 3, [1000000, 1000001, 1000002]),
+    expectedHash: computeNbrHash(hasher, 3, [1000000, 1000001, 1000002]),
   });
 
   console.log("\n=== Test Case 9: Degree 45 (15*3) ===");
@@ -165,7 +128,7 @@ async function generateTestVectors() {
     name: "degree_45_three_blocks",
     d: 45,
     neighbors: neighbors45,
-    expectedHash: computeNbrHash(poseidon, 45, neighbors45),
+    expectedHash: computeNbrHash(hasher, 45, neighbors45),
   });
 
   console.log("\n=== Test Case 10: Sparse neighbors ===");
@@ -173,7 +136,7 @@ async function generateTestVectors() {
     name: "sparse_neighbors",
     d: 7,
     neighbors: [100, 200, 300, 400, 500, 600, 700],
-    expectedHash: computeNbrHash(poseidon, 7, [100, 200, 300, 400, 500, 600, 700]),
+    expectedHash: computeNbrHash(hasher, 7, [100, 200, 300, 400, 500, 600, 700]),
   });
 
   // Save to JSON file in data directory
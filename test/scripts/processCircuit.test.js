@@ -0,0 +1,84 @@
+import fs from "fs";
+import { describe, it, before, after } from "mocha";
+import assert from "assert";
+import { checkContributions, planCircuit } from "../../scripts/processCircuit.mjs";
+import { initCeremony, contribute, readCeremony, lastZkeyPath } from "../../scripts/ceremony.mjs";
+import { readZkeyContributions } from "../../scripts/utils/zkeyInfo.mjs";
+import { compileCircuit } from "../../scripts/compileCircuit.mjs";
+import { generateKeys } from "../../scripts/generateKeys.mjs";
+import { writeTinyProject, tinyPtau } from "../utils/tinyProject.js";
+
+describe("Phase-2 contribution gate", function () {
+  this.timeout(300000);
+
+  let project;
+  let r1csPath;
+  let ptauPath;
+  let zkeyPath;
+
+  // A dev groth16 key of the tiny circuit: no Phase-2 contribution
+  before(async () => {
+    project = await writeTinyProject();
+    const { circuitName, circuitConfig, projectDir } = project;
+    ({ r1csPath } = await compileCircuit(circuitName, `main/${circuitName}`, projectDir, circuitConfig));
+    ptauPath = await tinyPtau(projectDir);
+    ({ zkeyPath } = await generateKeys(circuitName, r1csPath, ptauPath, projectDir, "groth16"));
+  });
+
+  after(async () => {
+    if (project) {
+      fs.rmSync(project.projectDir, { recursive: true, force: true });
+    }
+    await globalThis.curve_bn128?.terminate();
+  });
+
+  /**
+   * TEST CASES
+   *
+   * [X] a zero-contribution groth16 zkey is rejected, unless dev
+   * [X] a zkey with a ceremony contribution is accepted
+   * [X] PLONK and FFLONK keys are not checked
+   * [X] the dry-run plan reports a zero-contribution key outside dev
+   */
+
+  it("should reject a zero-contribution zkey unless dev", async () => {
+    const { contributions } = await readZkeyContributions(zkeyPath);
+    assert.equal(contributions.length, 0);
+
+    await assert.rejects(
+      checkContributions("multiplier", zkeyPath, "groth16", false),
+      /Proving key of multiplier has no Phase-2 contributions/
+    );
+    await checkContributions("multiplier", zkeyPath, "groth16", true);
+  });
+
+  it("should accept a zkey with a ceremony contribution", async () => {
+    const { circuitName, projectDir } = project;
+    await initCeremony(circuitName, r1csPath, ptauPath, projectDir);
+    await contribute(circuitName, projectDir, { name: "alice", entropy: "alice's entropy" });
+    const contributed = lastZkeyPath(await readCeremony(circuitName, projectDir), projectDir);
+
+    const { contributions } = await readZkeyContributions(contributed);
+    assert.equal(contributions.length, 1);
+    await checkContributions(circuitName, contributed, "groth16", false);
+  });
+
+  it("should not check the keys of universal setups", async () => {
+    for (const protocol of ["plonk", "fflonk"]) {
+      await checkContributions("multiplier", "missing.zkey", protocol, false);
+    }
+  });
+
+  it("should report a zero-contribution key in the dry-run plan", async () => {
+    const { circuitName, circuitConfig, projectDir } = project;
+    const error = "Proving key would have no Phase-2 contributions, run the ceremony or pass --dev";
+
+    const plan = await planCircuit(circuitName, circuitConfig, projectDir);
+    assert(plan.compile.reuse);
+    assert.equal(plan.keys.mode, "dev");
+    assert(plan.errors.includes(error));
+
+    const devPlan = await planCircuit(circuitName, circuitConfig, projectDir, { dev: true });
+    assert(!devPlan.errors.includes(error));
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, before } from "mocha";
+import assert from "assert";
+import { createEVM } from "@ethereumjs/evm";
+import { wrapperSource } from "../../scripts/utils/verifierWrapper.mjs";
+import { hashGlobalInputs, ROOT_NAMES } from "../../src/rollup/hashInputs.js";
+import { encodeTx, txDataBitsLength } from "../../src/rollup/tx.js";
+import { inclusionBatchCommitment } from "../../src/smt/smtTree.js";
+import { compile, deploy, word } from "../utils/evm.js";
+
+function batchMainSource(nTx, nLevels, warn) {
+  return wrapperSource({
+    circuitConfig: { template: "BatchMain", params: [nTx, nLevels] },
+    protocol: "groth16",
+    nPublic: 1,
+    signals: [{ name: "hashGlobalInputs", offset: 0, length: 1 }],
+    verifierName: "BatchMainVerifier",
+    contractName: "BatchMainVerifierWrapper",
+    prefix: "BatchMain",
+    warn,
+  });
+}
+
+describe("Verifier wrapper generator", function () {
+  this.timeout(300000);
+
+  let evm;
+
+  before(async () => {
+    evm = await createEVM();
+  });
+
+  /**
+   * TEST CASES
+   *
+   * [X] no wrapper for a circuit without public signals
+   * [X] verify() takes the public signals by name and compiles
+   * [X] BatchMainHashGlobalInputs matches hashGlobalInputs of hashInputs.js, aligned and unaligned txs
+   * [X] BatchMainHashGlobalInputs rejects a txData wider than a tx
+   * [X] no hashGlobalInputs helper when the message is not whole bytes
+   * [X] ProveScoresInclusionBatch commitment library matches inclusionBatchCommitment
+   */
+
+  it("should skip the wrapper of a circuit without public signals", () => {
+    const warnings = [];
+    const source = wrapperSource({
+      circuitConfig: { template: "ProveScoreInclusion", params: [4] },
+      protocol: "groth16",
+      nPublic: 0,
+      signals: [],
+      verifierName: "ProveScoreInclusionVerifier",
+      contractName: "ProveScoreInclusionVerifierWrapper",
+      prefix: "ProveScoreInclusion",
+      warn: (message) => warnings.push(message),
+    });
+
+    assert.equal(source, null);
+    assert.equal(warnings.length, 1);
+    assert(warnings[0].includes("ProveScoreInclusion(4) has no public signals"));
+  });
+
+  it("should take the public signals by name in verify()", () => {
+    const source = wrapperSource({
+      circuitConfig: { template: "ProveScoreThreshold", params: [4, 64] },
+      protocol: "groth16",
+      nPublic: 4,
+      signals: [{ name: "root", offset: 0, length: 1 }, { name: "ids", offset: 1, length: 3 }],
+      verifierName: "ProveScoreThresholdVerifier",
+      contractName: "ProveScoreThresholdVerifierWrapper",
+      prefix: "ProveScoreThreshold",
+    });
+
+    assert(source.includes("function verify(uint256 root, uint256[3] calldata ids, Proof calldata proof)"));
+    assert(source.includes("verifyProof(uint256[2],uint256[2][2],uint256[2],uint256[4])"));
+    compile(source);
+  });
+
+  for (const nLevels of [4, 3]) {
+    it(`should recompute hashGlobalInputs like hashInputs.js (nLevels=${nLevels})`, async () => {
+      const nTx = 4;
+      const max = (bits) => (1n << BigInt(bits)) - 1n;
+      const source = `${batchMainSource(nTx, nLevels)}
+contract Harness {
+    function hash(BatchMainHashGlobalInputs.Roots calldata roots, uint256[${nTx}] calldata txData) external pure returns (uint256) {
+        return BatchMainHashGlobalInputs.hashGlobalInputs(roots, txData);
+    }
+}
+`;
+      const call = await deploy(evm, compile(source).Harness);
+
+      // Roots with every bit set and sparse ones, txs with every field at its maximum
+      const roots = Object.fromEntries(ROOT_NAMES.map((name, i) => [name, i % 2 ? max(256) - BigInt(i) : 1n << BigInt(40 * i)]));
+      const txs = [
+        { type: "explode", from: max(nLevels), to: 1, amount: max(128) },
+        { type: "createAccount", from: 1, amount: 100 },
+        { type: "nop" },
+        { type: "unvouch", from: 2, to: max(nLevels) },
+      ];
+      const txData = txs.map((tx) => encodeTx(tx, nLevels));
+
+      const { value } = await call("hash", [...ROOT_NAMES.map((name) => roots[name]), ...txData]);
+      assert.equal(value, hashGlobalInputs(roots, txs, nLevels));
+
+      // A txData wider than TX_BITS
+      const tooLarge = [...txData];
+      tooLarge[2] = 1n << BigInt(txDataBitsLength(nLevels));
+      const { reverted, returnValue } = await call("hash", [...ROOT_NAMES.map((name) => roots[name]), ...tooLarge]);
+      assert(reverted);
+      assert.equal(returnValue.slice(8, 72), word(2));
+    });
+  }
+
+  it("should leave out hashGlobalInputs when the message is not whole bytes", () => {
+    const warnings = [];
+    // 6 * 256 + 142 bits
+    const source = batchMainSource(1, 3, (message) => warnings.push(message));
+
+    assert(!source.includes("library BatchMainHashGlobalInputs"));
+    assert(!source.includes("verifyBatch"));
+    assert.equal(warnings.length, 1);
+    compile(source);
+  });
+
+  it("should recompute the ProveScoresInclusionBatch commitment like smtTree.js", async () => {
+    const nProofs = 3;
+    const source = `${wrapperSource({
+      circuitConfig: { template: "ProveScoresInclusionBatch", params: [nProofs, 20] },
+      protocol: "groth16",
+      nPublic: 1,
+      signals: [{ name: "commitment", offset: 0, length: 1 }],
+      verifierName: "ProveScoresInclusionBatchVerifier",
+      contractName: "ProveScoresInclusionBatchVerifierWrapper",
+      prefix: "ProveScoresInclusionBatch",
+    })}
+contract Harness {
+    function commitment(uint256 root, uint256[${nProofs}] calldata idx, uint256[${nProofs}] calldata score) external pure returns (uint256) {
+        return ProveScoresInclusionBatchCommitment.commitment(root, idx, score);
+    }
+}
+`;
+    const call = await deploy(evm, compile(source).Harness);
+
+    const root = 12345678901234567890n;
+    const entries = [[6n, 600n], [1n, 100n]];
+    const { value } = await call("commitment", [root, 6n, 1n, 0n, 600n, 100n, 0n]);
+    assert.equal(value, inclusionBatchCommitment(root, entries, nProofs));
+  });
+});
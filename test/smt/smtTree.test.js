@@ -0,0 +1,244 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, it, before, after } from "mocha";
+import assert from "assert";
+import { wasm as tester } from "circom_tester";
+import { fileURLToPath } from "url";
+import {
+  SmtTree,
+  SmtError,
+  KeyNotFoundError,
+  KeyExistsError,
+  OutOfFieldError,
+  DepthOverflowError,
+} from "../../src/smt/smtTree.js";
+import { FileKVStore } from "../../src/smt/kvStore.js";
+import { SNARK_SCALAR_FIELD } from "../../src/rollup/hashInputs.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe("SmtTree with circomlib SMTVerifier / SMTProcessor", function () {
+  this.timeout(300000);
+
+  const N_LEVELS = 4; // Leaves down to depth 3
+  let verifier;
+  let processor;
+  let storeDir;
+  const tmpPaths = [];
+
+  async function compile(name, circuitSrc) {
+    const circuitTmpPath = path.join(__dirname, `${name}.test.circom`);
+    fs.writeFileSync(circuitTmpPath, circuitSrc, "utf8");
+    tmpPaths.push(circuitTmpPath);
+    return tester(circuitTmpPath, {
+      reduceConstraints: false,
+      include: path.join(__dirname, "../../"),
+    });
+  }
+
+  before(async () => {
+    verifier = await compile("smt-verifier", `
+            pragma circom 2.0.0;
+            include "../../node_modules/circomlib/circuits/smt/smtverifier.circom";
+            component main = SMTVerifier(${N_LEVELS});
+        `);
+    processor = await compile("smt-processor", `
+            pragma circom 2.0.0;
+            include "../../node_modules/circomlib/circuits/smt/smtprocessor.circom";
+            component main = SMTProcessor(${N_LEVELS});
+        `);
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "smt-tree-"));
+  });
+
+  after(() => {
+    for (const circuitTmpPath of tmpPaths) {
+      if (fs.existsSync(circuitTmpPath)) {
+        fs.unlinkSync(circuitTmpPath);
+      }
+    }
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  async function checkProof(proof) {
+    const w = await verifier.calculateWitness(proof, true);
+    await verifier.checkConstraints(w);
+  }
+
+  // Check a change of the JS tree is the one SMTProcessor computes
+  async function checkChange(tree, input) {
+    const w = await processor.calculateWitness(input, true);
+    await processor.checkConstraints(w);
+    await processor.assertOut(w, { newRoot: await tree.getRoot() });
+  }
+
+  async function expectVerifierFailure(proof) {
+    try {
+      await verifier.calculateWitness(proof, true);
+      assert.fail("Should have failed");
+    } catch (error) {
+      assert(error.message.includes("Assert Failed"), error.message);
+    }
+  }
+
+  /**
+   * TEST CASES
+   *
+   * PROOFS
+   * [X] inclusion proofs of every leaf
+   * [X] exclusion proof in an empty tree
+   * [X] exclusion proofs ending at an empty leaf and at the leaf of another key (collision path)
+   * [X] reject an inclusion proof with a wrong value
+   *
+   * CHANGES
+   * [X] insert, update and delete match SMTProcessor
+   *
+   * PERSISTENCE
+   * [X] a tree reopened from its file store has the same root and proofs
+   * [X] a failed file write leaves the store and the tree unchanged
+   *
+   * ERRORS
+   * [X] throw DepthOverflowError instead of truncating, the tree is left unchanged
+   * [X] throw KeyNotFoundError / KeyExistsError / OutOfFieldError
+   */
+
+  it("should prove the inclusion of every leaf", async () => {
+    const tree = new SmtTree(N_LEVELS);
+    const entries = [[1n, 100n], [2n, 200n], [3n, 300n], [6n, 600n]];
+    for (const [key, value] of entries) {
+      await tree.insert(key, value);
+    }
+
+    for (const [key, value] of entries) {
+      const proof = await tree.inclusionProof(key);
+      assert.equal(proof.value, value.toString());
+      assert.equal(proof.siblings.length, N_LEVELS);
+      await checkProof(proof);
+    }
+  });
+
+  it("should prove exclusion in an empty tree", async () => {
+    const tree = new SmtTree(N_LEVELS);
+    const proof = await tree.exclusionProof(5);
+
+    assert.equal(proof.root, "0");
+    assert.equal(proof.isOld0, "1");
+    await checkProof(proof);
+  });
+
+  it("should prove exclusion at an empty leaf and on a collision path", async () => {
+    const tree = new SmtTree(N_LEVELS);
+    await tree.insert(1, 100); // ...0001
+    await tree.insert(3, 300); // ...0011
+
+    // 2 = ...0010: bit 0 leads to the empty left half of the root
+    const empty = await tree.exclusionProof(2);
+    assert.equal(empty.isOld0, "1");
+    await checkProof(empty);
+
+    // 5 = ...0101: same path as 1 down to the leaf of 1
+    const collision = await tree.exclusionProof(5);
+    assert.equal(collision.isOld0, "0");
+    assert.equal(collision.oldKey, "1");
+    assert.equal(collision.oldValue, "100");
+    await checkProof(collision);
+
+    assert.deepEqual(await tree.getProof(5), collision);
+    assert.equal((await tree.getProof(3)).fnc, "0");
+  });
+
+  it("should reject an inclusion proof with a wrong value", async () => {
+    const tree = new SmtTree(N_LEVELS);
+    await tree.insert(1, 100);
+    const proof = await tree.inclusionProof(1);
+
+    await expectVerifierFailure({ ...proof, value: "101" });
+  });
+
+  it("should insert, update and delete leaves like SMTProcessor", async () => {
+    const tree = new SmtTree(N_LEVELS);
+
+    await checkChange(tree, await tree.insert(1, 100));
+    await checkChange(tree, await tree.insert(2, 200));
+    await checkChange(tree, await tree.insert(5, 500)); // collides with 1 down to depth 2
+    await checkChange(tree, await tree.update(5, 501));
+    await checkChange(tree, await tree.delete(1));
+    await checkChange(tree, await tree.delete(5));
+
+    assert.equal(await tree.get(2), 200n);
+    assert.equal(await tree.has(5), false);
+    await checkProof(await tree.exclusionProof(5));
+  });
+
+  it("should reopen a tree from its file store", async () => {
+    const filePath = path.join(storeDir, "tree.json");
+    const tree = new SmtTree(N_LEVELS, await FileKVStore.open(filePath));
+    await tree.insert(1, 100);
+    await tree.insert(2, 200);
+    await tree.insert(3, 300);
+    await tree.delete(2);
+
+    const reopened = new SmtTree(N_LEVELS, await FileKVStore.open(filePath));
+    assert.equal(await reopened.getRoot(), await tree.getRoot());
+    assert.deepEqual(await reopened.inclusionProof(3), await tree.inclusionProof(3));
+    assert.equal(await reopened.has(2), false);
+
+    await checkChange(reopened, await reopened.insert(4, 400));
+    await checkProof(await reopened.inclusionProof(4));
+  });
+
+  it("should leave the store and the tree unchanged when the file write fails", async () => {
+    const dirPath = path.join(storeDir, "blocked");
+    const store = await FileKVStore.open(path.join(dirPath, "tree.json"));
+    const tree = new SmtTree(N_LEVELS, store);
+    await tree.insert(1, 100);
+    const root = await tree.getRoot();
+    const entries = new Map(store.entries);
+
+    // A file where the store's directory should be
+    fs.rmSync(dirPath, { recursive: true });
+    fs.writeFileSync(dirPath, "");
+    await assert.rejects(tree.insert(2, 200));
+    assert.deepEqual(store.entries, entries);
+    assert.equal(await tree.getRoot(), root);
+    assert.equal(await tree.has(2), false);
+
+    fs.rmSync(dirPath);
+    await checkChange(tree, await tree.insert(2, 200));
+    const reopened = new SmtTree(N_LEVELS, await FileKVStore.open(path.join(dirPath, "tree.json")));
+    assert.equal(await reopened.getRoot(), await tree.getRoot());
+  });
+
+  it("should throw DepthOverflowError instead of truncating", async () => {
+    const tree = new SmtTree(N_LEVELS);
+    await tree.insert(1, 100);
+    const root = await tree.getRoot();
+
+    // 9 = ...1001 shares 3 bits with 1: both leaves would sit at depth 4
+    await assert.rejects(tree.insert(9, 900), DepthOverflowError);
+    assert.equal(await tree.getRoot(), root);
+    assert.equal(await tree.has(9), false);
+
+    // A tree built for more levels cannot prove for fewer
+    const deep = new SmtTree(8);
+    await deep.insert(1, 100);
+    await deep.insert(9, 900);
+    const shallow = new SmtTree(N_LEVELS, deep.store);
+    await assert.rejects(shallow.inclusionProof(9), DepthOverflowError);
+  });
+
+  it("should throw on missing, existing and out of field keys", async () => {
+    const tree = new SmtTree(N_LEVELS);
+    await tree.insert(1, 100);
+
+    await assert.rejects(tree.inclusionProof(2), KeyNotFoundError);
+    await assert.rejects(tree.update(2, 1), KeyNotFoundError);
+    await assert.rejects(tree.delete(2), KeyNotFoundError);
+    await assert.rejects(tree.exclusionProof(1), KeyExistsError);
+    await assert.rejects(tree.insert(1, 1), KeyExistsError);
+    await assert.rejects(tree.insert(SNARK_SCALAR_FIELD, 1), OutOfFieldError);
+    await assert.rejects(tree.insert(2, -1), OutOfFieldError);
+    await assert.rejects(tree.insert(1, 1), SmtError);
+  });
+});
@@ -0,0 +1,46 @@
+import assert from "assert";
+import solc from "solc";
+
+// Compile a single Solidity source, failing on any error: { <contract>: { evm } }
+function compile(source, fileName = "Contract.sol") {
+    const output = JSON.parse(solc.compile(JSON.stringify({
+        language: "Solidity",
+        sources: { [fileName]: { content: source } },
+        settings: { outputSelection: { "*": { "*": ["evm.bytecode.object", "evm.methodIdentifiers"] } } },
+    })));
+    const errors = (output.errors ?? []).filter((error) => error.severity === "error");
+    assert.deepEqual(errors.map((error) => error.formattedMessage), []);
+    return output.contracts[fileName];
+}
+
+// 32-byte ABI word of an integer, negative ones in two's complement
+const word = (x) => BigInt.asUintN(256, BigInt(x)).toString(16).padStart(64, "0");
+const bytes = (hex) => Uint8Array.from(Buffer.from(hex, "hex"));
+
+/**
+ * deploy a compiled contract to evm (an @ethereumjs/evm instance)
+ * returns call(name, words): the function whose signature starts with name, called with uint256 words
+ * (static arguments only), resolving to { reverted: false, value } or { reverted: true, returnValue }
+ */
+async function deploy(evm, contract) {
+    const { createdAddress, execResult } = await evm.runCall({
+        data: bytes(contract.evm.bytecode.object),
+        gasLimit: 30_000_000n,
+    });
+    assert.equal(execResult.exceptionError, undefined);
+
+    return async (name, words) => {
+        const [signature] = Object.keys(contract.evm.methodIdentifiers).filter((s) => s.startsWith(`${name}(`));
+        const { execResult: result } = await evm.runCall({
+            to: createdAddress,
+            data: bytes(contract.evm.methodIdentifiers[signature] + words.map(word).join("")),
+            gasLimit: 30_000_000n,
+        });
+        if (result.exceptionError) {
+            return { reverted: true, returnValue: Buffer.from(result.returnValue).toString("hex") };
+        }
+        return { reverted: false, value: BigInt(`0x${Buffer.from(result.returnValue).toString("hex")}`) };
+    };
+}
+
+export { compile, deploy, word };
@@ -0,0 +1,52 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { generateMain } from "../../scripts/utils/generateMain.mjs";
+import { generateDevPtau } from "../../scripts/utils/downloadPtau.mjs";
+
+const MULTIPLIER_SOURCE = `pragma circom 2.0.0;
+
+// c = a * b, a and b stay private
+template Multiplier() {
+    signal input a;
+    signal input b;
+    signal output c;
+    c <== a * b;
+}
+`;
+
+const REPO_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+// Enough powers for one constraint with any protocol
+const TINY_PTAU_POWER = 8;
+
+/**
+ * project directory holding circuits.json and one tiny circuit, with its main wrapper generated
+ * - circuitName: "multiplier", Multiplier() with c = a * b as its only public signal, proven with groth16
+ * nothing is compiled: a test runs the pipeline steps it needs
+ * remove projectDir when done
+ */
+async function writeTinyProject() {
+    const projectDir = await fs.mkdtemp(path.join(os.tmpdir(), "tiny-project-"));
+    const circuitName = "multiplier";
+    const circuitConfig = { file: "multiplier", template: "Multiplier", params: [], protocol: "groth16" };
+
+    await fs.mkdir(path.join(projectDir, "circuits"), { recursive: true });
+    await fs.writeFile(path.join(projectDir, "circuits", "multiplier.circom"), MULTIPLIER_SOURCE);
+    await fs.writeFile(path.join(projectDir, "circuits.json"), JSON.stringify({ [circuitName]: circuitConfig }, null, 2));
+    await generateMain(circuitName, circuitConfig, projectDir);
+    return { projectDir, circuitName, circuitConfig };
+}
+
+// A dev PTAU in dir with enough powers for the tiny circuit, with any protocol
+async function tinyPtau(dir) {
+    return generateDevPtau(TINY_PTAU_POWER, path.join(dir, "ptau"));
+}
+
+// Link the repo's node_modules into projectDir, for the snarkjs templates generateVerifierContract reads
+async function linkNodeModules(projectDir) {
+    await fs.symlink(path.join(REPO_DIR, "node_modules"), path.join(projectDir, "node_modules"), "dir");
+}
+
+export { writeTinyProject, tinyPtau, linkNodeModules };
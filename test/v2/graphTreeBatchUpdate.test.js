@@ -0,0 +1,180 @@
+import fs from "fs";
+import path from "path";
+import { describe, it, before, after } from "mocha";
+import assert from "assert";
+import { wasm as tester } from "circom_tester";
+import { fileURLToPath } from "url";
+import {
+  GraphTree,
+  graphBatchCommitment,
+  EdgeExistsError,
+  BatchTooLargeError,
+} from "../../src/v2/graphTree.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe("GraphTreeBatchUpdate circuit test", function () {
+  this.timeout(300000);
+
+  const N_EDGES = 4;
+  const N_LEVELS = 4; // Tree depth (supports 2^4 = 16 vertices)
+  const MAX_DEG = 15; // One NodeHasher block
+  let circuit;
+  let circuitTmpPath;
+
+  before(async () => {
+    const circuitSrc = `
+            pragma circom 2.0.0;
+            include "../circuits/syb_rollup_v2/graph_tree_batch_update.circom";
+            component main = GraphTreeBatchUpdate(${N_EDGES}, ${N_LEVELS}, ${MAX_DEG});
+        `;
+    circuitTmpPath = path.join(__dirname, "graph-tree-batch-update.test.circom");
+    fs.writeFileSync(circuitTmpPath, circuitSrc, "utf8");
+
+    circuit = await tester(circuitTmpPath, {
+      reduceConstraints: false,
+      include: path.join(__dirname, "../"),
+    });
+    await circuit.loadConstraints();
+    console.log(`\n✓ GraphTreeBatchUpdate circuit compiled`);
+    console.log(`  nEdges=${N_EDGES}, nLevels=${N_LEVELS}, maxDeg=${MAX_DEG}`);
+    console.log(`  Constraints: ${circuit.constraints.length}\n`);
+  });
+
+  after(() => {
+    if (fs.existsSync(circuitTmpPath)) {
+      fs.unlinkSync(circuitTmpPath);
+    }
+  });
+
+  // GraphTree with vertices 1..n and no edges
+  async function buildTree(n = 8) {
+    const tree = new GraphTree(N_LEVELS, MAX_DEG);
+    await tree.init();
+    for (let x = 1; x <= n; x++) {
+      await tree.addVertex(x);
+    }
+    return tree;
+  }
+
+  async function checkBatch(tree, edges) {
+    const result = await tree.addEdges(edges, N_EDGES);
+    const w = await circuit.calculateWitness(result.input, true);
+    await circuit.checkConstraints(w);
+    await circuit.assertOut(w, { commitment: result.commitment });
+    return result;
+  }
+
+  async function expectFailure(input, reason) {
+    try {
+      await circuit.calculateWitness(input, true);
+      assert.fail(`Should have failed: ${reason}`);
+    } catch (error) {
+      assert(error.message.includes("Assert Failed"), error.message);
+    }
+  }
+
+  /**
+   * TEST CASES
+   *
+   * VALID BATCHES
+   * [X] full batch of distinct edges, same root as one GraphTreeUpdate per edge
+   * [X] the same vertex in several edges of one batch
+   * [X] partial batch padded with NOP slots, empty batch keeps the root
+   * [X] commitment binds the order of the edges
+   *
+   * INVALID BATCHES
+   * [X] fail when newRoot is not the root left by the last slot
+   * [X] fail when a NOP slot (u = 0) has v != 0
+   * [X] fail when a slot is proven against the tree before the batch (stale witness)
+   * [X] reject duplicate edges and oversized batches in JS, leaving the tree unchanged
+   */
+
+  it("should apply a full batch like one GraphTreeUpdate per edge", async () => {
+    const edges = [[1, 2], [3, 4], [5, 6], [7, 8]];
+    const tree = await buildTree();
+    const { newRoot } = await checkBatch(tree, edges);
+
+    const singleTree = await buildTree();
+    for (const [u, v] of edges) {
+      await singleTree.addEdge(u, v);
+    }
+    assert.equal(newRoot, await singleTree.getRoot());
+  });
+
+  it("should apply the same vertex in several edges of one batch", async () => {
+    const tree = await buildTree();
+    const { input } = await checkBatch(tree, [[1, 2], [1, 3], [3, 2], [4, 1]]);
+
+    // Slot 3 sees the neighbors of 1 added by slots 0 and 1
+    assert.deepEqual(input.oldNbrArrV[3].slice(0, 3), ["2", "3", "0"]);
+    assert.deepEqual(tree.getNeighbors(1), [2n, 3n, 4n]);
+  });
+
+  it("should pad a partial batch with NOP slots", async () => {
+    const tree = await buildTree();
+    const { input } = await checkBatch(tree, [[2, 5]]);
+    assert.deepEqual(input.u, ["2", "0", "0", "0"]);
+
+    const root = await tree.getRoot();
+    const { oldRoot, newRoot } = await checkBatch(tree, []);
+    assert.equal(oldRoot, root);
+    assert.equal(newRoot, root);
+  });
+
+  it("should bind the order of the edges in the commitment", async () => {
+    const treeA = await buildTree();
+    const treeB = await buildTree();
+    const a = await checkBatch(treeA, [[1, 2], [3, 4]]);
+    const b = await checkBatch(treeB, [[3, 4], [1, 2]]);
+
+    assert.equal(a.newRoot, b.newRoot);
+    assert.notEqual(a.commitment, b.commitment);
+    assert.equal(a.commitment, graphBatchCommitment(a.oldRoot, a.newRoot, [[1, 2], [3, 4], [0, 0], [0, 0]], N_EDGES));
+  });
+
+  it("should fail when newRoot is not the root left by the last slot", async () => {
+    const tree = await buildTree();
+    const { input, oldRoot } = await tree.addEdges([[1, 2], [2, 3]], N_EDGES);
+    input.newRoot = oldRoot.toString();
+    await expectFailure(input, "newRoot == oldRoot");
+  });
+
+  it("should fail when a NOP slot has v != 0", async () => {
+    const tree = await buildTree();
+    const { input } = await tree.addEdges([[1, 2]], N_EDGES);
+    input.v[2] = "5";
+    await expectFailure(input, "NOP slot with v = 5");
+  });
+
+  it("should fail when a slot is proven against the tree before the batch", async () => {
+    const tree = await buildTree();
+    const { input } = await tree.addEdges([[1, 2], [1, 3]], N_EDGES);
+
+    // Witness for {1,3} built without the batch's first edge {1,2}
+    const staleTree = await buildTree();
+    const { input: stale } = await staleTree.addEdge(1, 3);
+    for (const key of Object.keys(stale)) {
+      if (key !== "oldRoot") {
+        input[key][1] = stale[key];
+      }
+    }
+    await expectFailure(input, "stale witness for the second edge");
+  });
+
+  it("should reject duplicate edges and oversized batches", async () => {
+    const tree = await buildTree();
+    const oldRoot = await tree.getRoot();
+    await assert.rejects(tree.addEdges([[1, 2], [2, 1]], N_EDGES), EdgeExistsError);
+    // The batch is all-or-nothing: {1,2} is removed again
+    assert.equal(await tree.getRoot(), oldRoot);
+    assert(!tree.hasEdge(1, 2));
+    assert.equal(tree.degree(1), 0);
+    await assert.rejects(
+      tree.addEdges([[3, 4], [3, 5], [3, 6], [3, 7], [3, 8]], N_EDGES),
+      BatchTooLargeError
+    );
+    assert.throws(() => graphBatchCommitment(0n, 0n, Array(N_EDGES + 1).fill([1, 2]), N_EDGES), BatchTooLargeError);
+  });
+});
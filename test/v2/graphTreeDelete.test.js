@@ -0,0 +1,236 @@
+import fs from "fs";
+import path from "path";
+import { describe, it, before, after } from "mocha";
+import assert from "assert";
+import { wasm as tester } from "circom_tester";
+import { fileURLToPath } from "url";
+import {
+  GraphTree,
+  SelfLoopError,
+  VertexOutOfRangeError,
+  UnknownVertexError,
+  EdgeNotFoundError,
+} from "../../src/v2/graphTree.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe("GraphTreeDelete circuit test", function () {
+  this.timeout(300000);
+
+  const N_LEVELS = 5; // Tree depth (supports 2^5 = 32 vertices)
+  const MAX_DEG = 15 * 2; // Maximum degree: 30, two NodeHasher blocks
+  let circuit;
+  let circuitTmpPath;
+
+  before(async () => {
+    const circuitSrc = `
+            pragma circom 2.0.0;
+            include "../circuits/syb_rollup_v2/graph_tree_delete.circom";
+            component main = GraphTreeDelete(${N_LEVELS}, ${MAX_DEG});
+        `;
+    circuitTmpPath = path.join(__dirname, "graph-tree-delete.test.circom");
+    fs.writeFileSync(circuitTmpPath, circuitSrc, "utf8");
+
+    circuit = await tester(circuitTmpPath, {
+      reduceConstraints: false,
+      include: path.join(__dirname, "../"),
+    });
+    await circuit.loadConstraints();
+    console.log(`\n✓ GraphTreeDelete circuit compiled`);
+    console.log(`  nLevels=${N_LEVELS}, maxDeg=${MAX_DEG}`);
+    console.log(`  Constraints: ${circuit.constraints.length}\n`);
+  });
+
+  after(() => {
+    if (fs.existsSync(circuitTmpPath)) {
+      fs.unlinkSync(circuitTmpPath);
+    }
+  });
+
+  // GraphTree holding the given edges
+  async function buildTree(edges) {
+    const tree = new GraphTree(N_LEVELS, MAX_DEG);
+    await tree.init();
+    for (const vertex of new Set(edges.flat())) {
+      await tree.addVertex(vertex);
+    }
+    for (const [u, v] of edges) {
+      await tree.addEdge(u, v);
+    }
+    return tree;
+  }
+
+  async function checkRemove(tree, u, v) {
+    const { input, newRoot } = await tree.removeEdge(u, v);
+    const w = await circuit.calculateWitness(input, true);
+    await circuit.checkConstraints(w);
+    await circuit.assertOut(w, { newRoot });
+    return input;
+  }
+
+  async function expectFailure(input, reason) {
+    try {
+      await circuit.calculateWitness(input, true);
+      assert.fail(`Should have failed: ${reason}`);
+    } catch (error) {
+      assert(error.message.includes("Assert Failed"), error.message);
+    }
+  }
+
+  // Valid witness for removing {2,3} from a star around 2, to be tampered with
+  async function validInput() {
+    const tree = await buildTree([[2, 1], [2, 3], [2, 5], [3, 4]]);
+    const { input } = await tree.removeEdge(2, 3);
+    return input;
+  }
+
+  /**
+   * TEST CASES
+   *
+   * VALID CASES
+   * [X] remove the only edge {1,2} (degrees go back to 0)
+   * [X] remove a neighbor from the first, middle and last position of the arrays
+   * [X] remove across the NodeHasher block boundary (degree > 15)
+   * [X] adding then removing an edge restores the previous root
+   *
+   * INVALID CASES
+   * [X] fail when u equals v (no self-loops)
+   * [X] fail when u or v is 0 (reserved index) or exceeds 2^nLevels
+   * [X] fail when the edge does not exist (IsInArray out == 0)
+   * [X] fail when newDegU != oldDegU - 1 or newDegV != oldDegV - 1
+   * [X] fail when the new array removes another neighbor
+   * [X] fail when the new array keeps the removed neighbor
+   * [X] fail when the new array is not sorted
+   * [X] fail when the old array does not match the tree
+   * [X] reject invalid edges with typed errors before witness generation
+   */
+
+  it("should remove the only edge {1,2}", async () => {
+    const tree = await buildTree([[1, 2]]);
+    const input = await checkRemove(tree, 1, 2);
+
+    assert.equal(input.newDegU, "0");
+    assert.equal(input.newDegV, "0");
+    assert.deepEqual(tree.getNeighbors(1), []);
+  });
+
+  it("should remove a neighbor from any position of the array", async () => {
+    const tree = await buildTree([[8, 1], [8, 4], [8, 6], [8, 9], [8, 12]]);
+
+    await checkRemove(tree, 8, 1); // first
+    await checkRemove(tree, 6, 8); // middle, u and v swapped
+    await checkRemove(tree, 8, 12); // last
+    assert.deepEqual(tree.getNeighbors(8), [4n, 9n]);
+  });
+
+  it("should remove across the NodeHasher block boundary", async () => {
+    // 15 neighbors of 1 fill the first block, the 16th spills into the second
+    const tree = new GraphTree(N_LEVELS, MAX_DEG);
+    await tree.init();
+    for (let x = 1; x < 18; x++) {
+      await tree.addVertex(x);
+    }
+    for (let x = 2; x < 18; x++) {
+      await tree.addEdge(1, x);
+    }
+    assert.equal(tree.degree(1), 16);
+
+    // Removing 2 shifts 17 from the second block back into the first
+    const input = await checkRemove(tree, 1, 2);
+    assert.equal(input.oldNbrArrU[15], "17");
+    assert.equal(input.newNbrArrU[14], "17");
+    assert.equal(input.newNbrArrU[15], "0");
+  });
+
+  it("should restore the previous root when an edge is added then removed", async () => {
+    const tree = await buildTree([[1, 2], [2, 3]]);
+    const root = await tree.getRoot();
+
+    await tree.addEdge(1, 3);
+    assert.notEqual(await tree.getRoot(), root);
+    await checkRemove(tree, 3, 1);
+    assert.equal(await tree.getRoot(), root);
+  });
+
+  it("should fail when u equals v", async () => {
+    const input = await validInput();
+    input.v = input.u;
+    await expectFailure(input, "self-loop");
+  });
+
+  it("should fail when u or v is out of range", async () => {
+    const n = (1 << N_LEVELS).toString();
+    for (const [signal, value] of [["u", "0"], ["v", "0"], ["u", n], ["v", n]]) {
+      const input = await validInput();
+      input[signal] = value;
+      await expectFailure(input, `${signal}=${value}`);
+    }
+  });
+
+  it("should fail when the edge does not exist", async () => {
+    // Witness for {2,3} relabeled as {2,4}: 4 is not in the old neighbors [1, 3, 5] of 2
+    const input = await validInput();
+    input.v = "4";
+    await expectFailure(input, "edge {2,4} does not exist");
+  });
+
+  it("should fail when a degree does not go down by one", async () => {
+    const inputU = await validInput();
+    inputU.newDegU = inputU.oldDegU;
+    await expectFailure(inputU, "newDegU == oldDegU");
+
+    const inputV = await validInput();
+    inputV.newDegV = (BigInt(inputV.oldDegV) - 2n).toString();
+    await expectFailure(inputV, "newDegV == oldDegV - 2");
+  });
+
+  it("should fail when the new array removes another neighbor", async () => {
+    const input = await validInput();
+    // u = 2 has neighbors [1, 3, 5]: claim [3, 5] instead of [1, 5]
+    assert.deepEqual(input.newNbrArrU.slice(0, 3), ["1", "5", "0"]);
+    input.newNbrArrU[0] = "3";
+    await expectFailure(input, "wrong neighbor removed");
+  });
+
+  it("should fail when the new array keeps the removed neighbor", async () => {
+    const input = await validInput();
+    // Claim [1, 3] after removing 3: degree 2, sorted, but 3 is still there
+    input.newNbrArrU[1] = "3";
+    await expectFailure(input, "removed neighbor kept");
+  });
+
+  it("should fail when the new array is not sorted", async () => {
+    const input = await validInput();
+    input.newNbrArrU[0] = "5";
+    input.newNbrArrU[1] = "1";
+    await expectFailure(input, "unsorted neighbors");
+  });
+
+  it("should fail when the old array does not match the tree", async () => {
+    const input = await validInput();
+    // Drop 5 from u's old neighbors (and its new ones): the old leaf hash no longer matches
+    input.oldDegU = "2";
+    input.oldNbrArrU[2] = "0";
+    input.newDegU = "1";
+    input.newNbrArrU[1] = "0";
+    await expectFailure(input, "old array not in the tree");
+  });
+
+  it("should reject invalid edges with typed errors", async () => {
+    const tree = await buildTree([[1, 2], [2, 3]]);
+
+    assert.throws(() => tree.checkRemoveEdge(2, 2), SelfLoopError);
+    assert.throws(() => tree.checkRemoveEdge(0, 2), VertexOutOfRangeError);
+    assert.throws(() => tree.checkRemoveEdge(2, 1 << N_LEVELS), VertexOutOfRangeError);
+    assert.throws(() => tree.checkRemoveEdge(2, 7), UnknownVertexError);
+    assert.throws(() => tree.checkRemoveEdge(1, 3), EdgeNotFoundError);
+
+    const root = await tree.getRoot();
+    await assert.rejects(tree.removeEdge(1, 3), EdgeNotFoundError);
+    assert.equal(await tree.getRoot(), root);
+
+    await tree.removeEdge(1, 2);
+    await assert.rejects(tree.removeEdge(2, 1), EdgeNotFoundError);
+  });
+});
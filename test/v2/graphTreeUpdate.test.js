@@ -3,9 +3,17 @@ import path from "path";
 import { describe, it, before, after } from "mocha";
 import assert from "assert";
 import { wasm as tester } from "circom_tester";
-import { buildPoseidon } from "circomlibjs";
 import { fileURLToPath } from "url";
 import { SmtTree } from "../utils/smt.js";
+import { NodeHasher } from "../../src/v2/nodeHasher.js";
+import {
+  GraphTree,
+  SelfLoopError,
+  VertexOutOfRangeError,
+  UnknownVertexError,
+  MaxDegreeExceededError,
+  EdgeExistsError,
+} from "../../src/v2/graphTree.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,21 +25,12 @@ describe("GraphTreeUpdate circuit test", function () {
   const MAX_DEG = 15 * 4; // Maximum degree: 60
   let circuit;
   let circuitTmpPath;
-  let poseidon;
-  let F;
-
-  // Calculate padLen based on maxDeg
-  function calculatePadLen(maxDeg) {
-    const numR = Math.ceil(maxDeg / 15);
-    return 15 * numR;
-  }
-
-  const PAD_LEN = calculatePadLen(MAX_DEG);
+  const hasher = new NodeHasher(MAX_DEG);
+  const PAD_LEN = hasher.padLen;
 
   before(async () => {
     // Initialize Poseidon hasher
-    poseidon = await buildPoseidon();
-    F = poseidon.F;
+    await hasher.init();
 
     // Create circuit with nLevels=4, maxDeg=60
     const circuitSrc = `
@@ -59,46 +58,14 @@ describe("GraphTreeUpdate circuit test", function () {
     }
   });
 
-  // Helper function to compute NbrHash
+  // Helper to compute NbrHash, including for arrays the circuit must reject
   function computeNbrHash(d, neighbors) {
-    const paddedNbrs = [...neighbors];
-    while (paddedNbrs.length < PAD_LEN) {
-      paddedNbrs.push(0);
-    }
-
-    // First block: B_0 = [d, nbr[0..14]] (15 neighbors)
-    const firstBlock = [d];
-    for (let i = 0; i < 15; i++) {
-      firstBlock.push(paddedNbrs[i] || 0);
-    }
-
-    let acc = F.toString(poseidon(firstBlock));
-
-    // Continuation blocks (15 neighbors each)
-    const numR = Math.ceil(MAX_DEG / 15);
-
-    for (let round = 1; round < numR; round++) {
-      const block = [BigInt(acc)];
-      const startIdx = 15 + (round - 1) * 15;
-
-      for (let i = 0; i < 15; i++) {
-        const idx = startIdx + i;
-        block.push(paddedNbrs[idx] || 0);
-      }
-
-      acc = F.toString(poseidon(block));
-    }
-
-    return acc;
+    return hasher.hash(d, neighbors, { check: false });
   }
 
   // Helper to pad neighbor array
   function padNeighbors(neighbors) {
-    const padded = [...neighbors];
-    while (padded.length < PAD_LEN) {
-      padded.push(0);
-    }
-    return padded.map((x) => x.toString());
+    return hasher.pad(neighbors).map((x) => x.toString());
   }
 
   // Helper to ensure siblings array has exactly nLevels + 1 elements
@@ -127,6 +94,10 @@ describe("GraphTreeUpdate circuit test", function () {
    * [X] fail when degree exceeds maxDeg
    * [X] fail when edge already exists (duplicate edge prevention)
    * [X] fail when neighbor array contains duplicates (NodeHasher strictly ascending check)
+   *
+   * GRAPHTREE WITNESS BUILDER
+   * [X] accept GraphTree witnesses for a sequence of edges sharing vertices
+   * [X] reject invalid edges with typed errors before witness generation
    */
 
   it("should update GraphTree when adding edge {1,2}", async () => {
@@ -147,10 +118,10 @@ describe("GraphTreeUpdate circuit test", function () {
     const newNbrArrV = [1]; // vertex 2 now connected to vertex 1
 
     // Compute hashes
-    const oldHashU = BigInt(computeNbrHash(oldDegU, oldNbrArrU));
-    const oldHashV = BigInt(computeNbrHash(oldDegV, oldNbrArrV));
-    const newHashU = BigInt(computeNbrHash(newDegU, newNbrArrU));
-    const newHashV = BigInt(computeNbrHash(newDegV, newNbrArrV));
+    const oldHashU = computeNbrHash(oldDegU, oldNbrArrU);
+    const oldHashV = computeNbrHash(oldDegV, oldNbrArrV);
+    const newHashU = computeNbrHash(newDegU, newNbrArrU);
+    const newHashV = computeNbrHash(newDegV, newNbrArrV);
 
     // Build initial tree with old hashes at leaves 0 and 1
     const tree = new SmtTree(N_LEVELS);
@@ -183,7 +154,7 @@ describe("GraphTreeUpdate circuit test", function () {
       newNbrArrV: padNeighbors(newNbrArrV),
       siblingsU: siblingsU,
       siblingsV: siblingsV,
-      oldRoot: F.toString(oldRoot),
+      oldRoot: tree.Fr.toString(oldRoot),
     };
 
     // Calculate witness
@@ -194,7 +165,7 @@ describe("GraphTreeUpdate circuit test", function () {
 
     // Compute expected new root by updating V (U already updated for proof generation)
     await tree.update(v, newHashV);
-    const expectedNewRoot = F.toString(await tree.getRoot());
+    const expectedNewRoot = tree.Fr.toString(await tree.getRoot());
 
     assert.equal(circuitNewRoot, expectedNewRoot);
   });
@@ -224,10 +195,10 @@ describe("GraphTreeUpdate circuit test", function () {
     const newNbrArrVSorted = [1, 2, 4];
 
     // Compute hashes
-    const oldHashU = BigInt(computeNbrHash(oldDegU, oldNbrArrU));
-    const oldHashV = BigInt(computeNbrHash(oldDegV, oldNbrArrV));
-    const newHashU = BigInt(computeNbrHash(newDegU, newNbrArrU));
-    const newHashV = BigInt(computeNbrHash(newDegV, newNbrArrVSorted));
+    const oldHashU = computeNbrHash(oldDegU, oldNbrArrU);
+    const oldHashV = computeNbrHash(oldDegV, oldNbrArrV);
+    const newHashU = computeNbrHash(newDegU, newNbrArrU);
+    const newHashV = computeNbrHash(newDegV, newNbrArrVSorted);
 
     // Build initial tree with old hashes
     const tree = new SmtTree(N_LEVELS);
@@ -260,7 +231,7 @@ describe("GraphTreeUpdate circuit test", function () {
       newNbrArrV: padNeighbors(newNbrArrVSorted),
       siblingsU: siblingsU,
       siblingsV: siblingsV,
-      oldRoot: F.toString(oldRoot),
+      oldRoot: tree.Fr.toString(oldRoot),
     };
 
     // Calculate witness
@@ -271,7 +242,7 @@ describe("GraphTreeUpdate circuit test", function () {
 
     // Compute expected new root by updating V (U already updated for proof generation)
     await tree.update(v, newHashV);
-    const expectedNewRoot = F.toString(await tree.getRoot());
+    const expectedNewRoot = tree.Fr.toString(await tree.getRoot());
 
     assert.equal(circuitNewRoot, expectedNewRoot);
   });
@@ -291,8 +262,8 @@ describe("GraphTreeUpdate circuit test", function () {
     const newNbrArrV = [3, 5];
 
     // Build tree
-    const oldHashU = BigInt(computeNbrHash(oldDegU, oldNbrArrU));
-    const oldHashV = BigInt(computeNbrHash(oldDegV, oldNbrArrV));
+    const oldHashU = computeNbrHash(oldDegU, oldNbrArrU);
+    const oldHashV = computeNbrHash(oldDegV, oldNbrArrV);
 
     const tree = new SmtTree(N_LEVELS);
     await tree.init();
@@ -314,7 +285,7 @@ describe("GraphTreeUpdate circuit test", function () {
       newNbrArrV: padNeighbors(newNbrArrV),
       siblingsU: siblingsU,
       siblingsV: siblingsU,
-      oldRoot: F.toString(oldRoot),
+      oldRoot: tree.Fr.toString(oldRoot),
     };
 
     try {
@@ -340,8 +311,8 @@ describe("GraphTreeUpdate circuit test", function () {
     const newNbrArrV = [2, 3];
 
     // Build tree
-    const oldHashU = BigInt(computeNbrHash(oldDegU, oldNbrArrU));
-    const oldHashV = BigInt(computeNbrHash(oldDegV, oldNbrArrV));
+    const oldHashU = computeNbrHash(oldDegU, oldNbrArrU);
+    const oldHashV = computeNbrHash(oldDegV, oldNbrArrV);
 
     const tree = new SmtTree(N_LEVELS);
     await tree.init();
@@ -365,7 +336,7 @@ describe("GraphTreeUpdate circuit test", function () {
       newNbrArrV: padNeighbors(newNbrArrV),
       siblingsU: siblingsU,
       siblingsV: siblingsV,
-      oldRoot: F.toString(oldRoot),
+      oldRoot: tree.Fr.toString(oldRoot),
     };
 
     try {
@@ -391,8 +362,8 @@ describe("GraphTreeUpdate circuit test", function () {
     const newNbrArrV = [1, 4, 5, 9];
 
     // Build tree
-    const oldHashU = BigInt(computeNbrHash(oldDegU, oldNbrArrU));
-    const oldHashV = BigInt(computeNbrHash(oldDegV, oldNbrArrV));
+    const oldHashU = computeNbrHash(oldDegU, oldNbrArrU);
+    const oldHashV = computeNbrHash(oldDegV, oldNbrArrV);
 
     const tree = new SmtTree(N_LEVELS);
     await tree.init();
@@ -403,7 +374,7 @@ describe("GraphTreeUpdate circuit test", function () {
     const siblingsU = ensureSiblingsLength(await tree.getSiblings(u));
 
     // Update U first
-    const newHashU = BigInt(computeNbrHash(newDegU, newNbrArrU));
+    const newHashU = computeNbrHash(newDegU, newNbrArrU);
     await tree.update(u, newHashU);
 
     const siblingsV = ensureSiblingsLength(await tree.getSiblings(v));
@@ -421,7 +392,7 @@ describe("GraphTreeUpdate circuit test", function () {
       newNbrArrV: padNeighbors(newNbrArrV),
       siblingsU: siblingsU,
       siblingsV: siblingsV,
-      oldRoot: F.toString(oldRoot),
+      oldRoot: tree.Fr.toString(oldRoot),
     };
 
     try {
@@ -449,8 +420,8 @@ describe("GraphTreeUpdate circuit test", function () {
     const newNbrArrV = [u];
 
     // Build tree
-    const oldHashU = BigInt(computeNbrHash(oldDegU, oldNbrArrU));
-    const oldHashV = BigInt(computeNbrHash(oldDegV, oldNbrArrV));
+    const oldHashU = computeNbrHash(oldDegU, oldNbrArrU);
+    const oldHashV = computeNbrHash(oldDegV, oldNbrArrV);
 
     const tree = new SmtTree(N_LEVELS);
     await tree.init();
@@ -474,7 +445,7 @@ describe("GraphTreeUpdate circuit test", function () {
       newNbrArrV: padNeighbors(newNbrArrV),
       siblingsU: siblingsU,
       siblingsV: siblingsV,
-      oldRoot: F.toString(oldRoot),
+      oldRoot: tree.Fr.toString(oldRoot),
     };
 
     try {
@@ -500,8 +471,8 @@ describe("GraphTreeUpdate circuit test", function () {
     const newNbrArrV = [u];
 
     // Build tree with old hashes
-    const oldHashU = BigInt(computeNbrHash(oldDegU, oldNbrArrU));
-    const oldHashV = BigInt(computeNbrHash(oldDegV, oldNbrArrV));
+    const oldHashU = computeNbrHash(oldDegU, oldNbrArrU);
+    const oldHashV = computeNbrHash(oldDegV, oldNbrArrV);
 
     const tree = new SmtTree(N_LEVELS);
     await tree.init();
@@ -525,7 +496,7 @@ describe("GraphTreeUpdate circuit test", function () {
       newNbrArrV: padNeighbors(newNbrArrV),
       siblingsU: siblingsU,
       siblingsV: siblingsV,
-      oldRoot: F.toString(oldRoot),
+      oldRoot: tree.Fr.toString(oldRoot),
     };
 
     try {
@@ -553,8 +524,8 @@ describe("GraphTreeUpdate circuit test", function () {
     const newNbrArrV = [6, 6]; // Trying to add 6 again
 
     // Build tree
-    const oldHashU = BigInt(computeNbrHash(oldDegU, oldNbrArrU));
-    const oldHashV = BigInt(computeNbrHash(oldDegV, oldNbrArrV));
+    const oldHashU = computeNbrHash(oldDegU, oldNbrArrU);
+    const oldHashV = computeNbrHash(oldDegV, oldNbrArrV);
 
     const tree = new SmtTree(N_LEVELS);
     await tree.init();
@@ -565,7 +536,7 @@ describe("GraphTreeUpdate circuit test", function () {
     const siblingsU = ensureSiblingsLength(await tree.getSiblings(u));
 
     // Update U first
-    const newHashU = BigInt(computeNbrHash(newDegU, newNbrArrU));
+    const newHashU = computeNbrHash(newDegU, newNbrArrU);
     await tree.update(u, newHashU);
 
     const siblingsV = ensureSiblingsLength(await tree.getSiblings(v));
@@ -583,7 +554,7 @@ describe("GraphTreeUpdate circuit test", function () {
       newNbrArrV: padNeighbors(newNbrArrV),
       siblingsU: siblingsU,
       siblingsV: siblingsV,
-      oldRoot: F.toString(oldRoot),
+      oldRoot: tree.Fr.toString(oldRoot),
     };
 
     try {
@@ -610,8 +581,8 @@ describe("GraphTreeUpdate circuit test", function () {
     const newNbrArrV = [2, 3];
 
     // Build tree
-    const oldHashU = BigInt(computeNbrHash(oldDegU, oldNbrArrU));
-    const oldHashV = BigInt(computeNbrHash(oldDegV, oldNbrArrV));
+    const oldHashU = computeNbrHash(oldDegU, oldNbrArrU);
+    const oldHashV = computeNbrHash(oldDegV, oldNbrArrV);
 
     const tree = new SmtTree(N_LEVELS);
     await tree.init();
@@ -637,7 +608,7 @@ describe("GraphTreeUpdate circuit test", function () {
       newNbrArrV: padNeighbors(newNbrArrV),
       siblingsU: siblingsU,
       siblingsV: siblingsV,
-      oldRoot: F.toString(oldRoot),
+      oldRoot: tree.Fr.toString(oldRoot),
     };
 
     try {
@@ -666,8 +637,8 @@ describe("GraphTreeUpdate circuit test", function () {
     const newNbrArrV = [u];
 
     // Build tree with old hashes
-    const oldHashU = BigInt(computeNbrHash(oldDegU, oldNbrArrU));
-    const oldHashV = BigInt(computeNbrHash(oldDegV, oldNbrArrV));
+    const oldHashU = computeNbrHash(oldDegU, oldNbrArrU);
+    const oldHashV = computeNbrHash(oldDegV, oldNbrArrV);
 
     const tree = new SmtTree(N_LEVELS);
     await tree.init();
@@ -694,7 +665,7 @@ describe("GraphTreeUpdate circuit test", function () {
       newNbrArrV: padNeighbors(newNbrArrV),
       siblingsU: siblingsU,
       siblingsV: siblingsV,
-      oldRoot: F.toString(oldRoot),
+      oldRoot: tree.Fr.toString(oldRoot),
     };
 
     try {
@@ -704,5 +675,53 @@ describe("GraphTreeUpdate circuit test", function () {
       assert(error.message.includes("Assert Failed"));
     }
   });
-  
+
+  it("should accept GraphTree witnesses for a sequence of edges", async () => {
+    const graph = new GraphTree(N_LEVELS, MAX_DEG);
+    for (const x of [1, 2, 3, 5, 6, 15]) {
+      await graph.addVertex(x);
+    }
+
+    const edges = [[1, 2], [2, 5], [5, 1], [6, 2], [3, 15]];
+
+    for (const [u, v] of edges) {
+      const { input, newRoot } = await graph.addEdge(u, v);
+
+      const w = await circuit.calculateWitness(input, true);
+      await circuit.checkConstraints(w);
+
+      assert.equal(w[1].toString(), newRoot);
+      assert.equal(newRoot, (await graph.getRoot()).toString());
+    }
+
+    assert.deepEqual(graph.getNeighbors(2), [1n, 5n, 6n]);
+    assert.deepEqual(graph.getNeighbors(5), [1n, 2n]);
+  });
+
+  it("should reject invalid edges with typed errors before witness generation", async () => {
+    const graph = new GraphTree(N_LEVELS, MAX_DEG);
+    await graph.addVertex(1);
+    await graph.addVertex(2);
+    await graph.addEdge(1, 2);
+    const rootBefore = await graph.getRoot();
+
+    await assert.rejects(graph.addEdge(1, 1), SelfLoopError);
+    await assert.rejects(graph.addEdge(0, 2), VertexOutOfRangeError);
+    await assert.rejects(graph.addEdge(1, 2 ** N_LEVELS), VertexOutOfRangeError);
+    await assert.rejects(graph.addEdge(1, 3), UnknownVertexError);
+    await assert.rejects(graph.addEdge(2, 1), EdgeExistsError);
+    await assert.rejects(graph.addVertex(2 ** N_LEVELS), VertexOutOfRangeError);
+
+    // A rejected edge leaves the tree untouched
+    assert.equal(await graph.getRoot(), rootBefore);
+
+    // Fill vertex 1 up to maxDeg with a small graph
+    const small = new GraphTree(N_LEVELS, 2);
+    for (let x = 1; x <= 4; x++) {
+      await small.addVertex(x);
+    }
+    await small.addEdge(1, 2);
+    await small.addEdge(1, 3);
+    await assert.rejects(small.addEdge(1, 4), MaxDegreeExceededError);
+  });
 });
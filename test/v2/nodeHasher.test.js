@@ -3,8 +3,8 @@ import path from "path";
 import { describe, it, before, after } from "mocha";
 import assert from "assert";
 import { wasm as tester } from "circom_tester";
-import { buildPoseidon } from "circomlibjs";
 import { fileURLToPath } from "url";
+import { NodeHasher, NodeHasherError } from "../../src/v2/nodeHasher.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,19 +15,12 @@ describe("NodeHasher circuit test", function () {
   const MAX_DEG = 15 * 4; // Maximum degree: 15*4 = 60 (numR=4)
   let circuit;
   let circuitTmpPath;
-  let poseidon;
-
-  // Calculate padLen based on maxDeg
-  function calculatePadLen(maxDeg) {
-    const numR = Math.ceil(maxDeg / 15);
-    return 15 * numR;
-  }
-
-  const PAD_LEN = calculatePadLen(MAX_DEG);
+  const hasher = new NodeHasher(MAX_DEG);
+  const PAD_LEN = hasher.padLen;
 
   before(async () => {
     // Initialize Poseidon hasher
-    poseidon = await buildPoseidon();
+    await hasher.init();
 
     // Create circuit with MAX_DEG = 59 (14 + 15*3)
     const circuitSrc = `
@@ -47,10 +40,8 @@ describe("NodeHasher circuit test", function () {
     console.log(`✓ padLen=${PAD_LEN} (15*numR)`);
     console.log(`✓ Constraints: ${circuit.constraints.length}`);
 
-    // Calculate expected rounds
-    const numR = Math.ceil(MAX_DEG / 15);
     console.log(
-      `✓ Total rounds: ${numR} (each processing 15 neighbors)\n`,
+      `✓ Total rounds: ${hasher.numR} (each processing 15 neighbors)\n`,
     );
   });
 
@@ -62,45 +53,7 @@ describe("NodeHasher circuit test", function () {
 
   // Helper function to compute NbrHash according to the NEW spec
   function computeNodeHash(d, neighbors) {
-    // Pad neighbors array to PAD_LEN
-    const paddedNbrs = [...neighbors];
-    while (paddedNbrs.length < PAD_LEN) {
-      paddedNbrs.push(0);
-    }
-
-    // console.log(`  Computing NbrHash for degree ${d}`);
-    // console.log(
-    //   `  Neighbors: [${neighbors.join(", ")}]${neighbors.length < PAD_LEN ? " + padding" : ""}`,
-    // );
-
-    // First block: B_0 = [d, nbr[0..14]] (15 neighbors)
-    const firstBlock = [d];
-    for (let i = 0; i < 15; i++) {
-      firstBlock.push(paddedNbrs[i] || 0);
-    }
-
-    // accumulator
-    let acc = poseidon.F.toString(poseidon(firstBlock));
-    // console.log(`  Block 0 hash: ${acc.slice(0, 20)}...`);
-
-    // Continuation blocks (15 neighbors each)
-    const numR = Math.ceil(MAX_DEG / 15);
-
-    for (let round = 1; round < numR; round++) {
-      const block = [BigInt(acc)];
-      const startIdx = 15 + (round - 1) * 15;
-
-      for (let i = 0; i < 15; i++) {
-        const idx = startIdx + i;
-        block.push(paddedNbrs[idx] || 0);
-      }
-
-      acc = poseidon.F.toString(poseidon(block));
-      // console.log(`  Block ${round} hash: ${acc.slice(0, 20)}...`);
-    }
-
-    // console.log(`  Final hash: ${acc}`);
-    return acc;
+    return hasher.hash(d, neighbors).toString();
   }
 
   /**
@@ -115,6 +68,10 @@ describe("NodeHasher circuit test", function () {
    * INVALID
    * [X] fail with nbr_arr not ascending
    * [X] fail with degree 61 (exceed padLength)
+   * JS REFERENCE
+   * [X] match the committed Go cross-verification vectors
+   * [X] reject the same neighbor arrays as the circuit
+   * [X] hash many vertices at once
    *
    */
 
@@ -317,4 +274,92 @@ describe("NodeHasher circuit test", function () {
       );
     }
   });
+
+  it("should match the committed Go cross-verification vectors", async () => {
+    const vectors = JSON.parse(
+      fs.readFileSync(path.join(__dirname, "../data/nodeHasherTestVectors.json"), "utf8"),
+    );
+    const vectorHasher = new NodeHasher(vectors.metadata.maxDeg);
+    await vectorHasher.init();
+
+    assert.equal(vectorHasher.padLen, vectors.metadata.padLen);
+    for (const tc of vectors.testCases) {
+      assert.equal(vectorHasher.hash(tc.d, tc.neighbors).toString(), tc.expectedHash, tc.name);
+    }
+  });
+
+  it("should reject the same neighbor arrays as the circuit in JS", async () => {
+    assert.throws(() => hasher.hash(3, [1, 81, 3]), NodeHasherError);
+    assert.throws(() => hasher.hash(2, [5, 5]), NodeHasherError);
+    assert.throws(() => hasher.hash(2, [1]), NodeHasherError);
+    assert.throws(
+      () => hasher.hash(MAX_DEG + 1, Array.from({ length: MAX_DEG + 1 }, (_, i) => i + 1)),
+      NodeHasherError,
+    );
+    assert.throws(() => new NodeHasher(0), NodeHasherError);
+  });
+
+  it("should hash many vertices at once", async () => {
+    const vertices = [
+      { d: 0, neighbors: [] },
+      { d: 2, neighbors: [4, 9] },
+      { d: 16, neighbors: Array.from({ length: 16 }, (_, i) => i + 1) },
+    ];
+
+    const hashes = hasher.hashMany(vertices);
+
+    assert.equal(hashes.length, vertices.length);
+    for (let i = 0; i < vertices.length; i++) {
+      assert.equal(hashes[i], hasher.hash(vertices[i].d, vertices[i].neighbors));
+    }
+  });
+});
+
+describe("NodeHasher circuit test (maxDeg=20)", function () {
+  this.timeout(200000);
+
+  const MAX_DEG = 20; // numR=2, padLen=30
+  let circuit;
+  let circuitTmpPath;
+  const hasher = new NodeHasher(MAX_DEG);
+
+  before(async () => {
+    await hasher.init();
+
+    const circuitSrc = `
+            pragma circom 2.0.0;
+            include "../circuits/syb_rollup_v2/node_hasher.circom";
+            component main = NodeHasher(${MAX_DEG});
+        `;
+    circuitTmpPath = path.join(__dirname, "node-hasher-20.test.circom");
+    fs.writeFileSync(circuitTmpPath, circuitSrc, "utf8");
+
+    circuit = await tester(circuitTmpPath, {
+      reduceConstraints: false,
+      include: path.join(__dirname, "../"),
+    });
+    await circuit.loadConstraints();
+  });
+
+  after(() => {
+    if (fs.existsSync(circuitTmpPath)) {
+      fs.unlinkSync(circuitTmpPath);
+    }
+  });
+
+  it("should match the JS hash for a maxDeg that is not a multiple of 15", async () => {
+    assert.equal(hasher.padLen, 30);
+
+    for (const neighbors of [[], [7], Array.from({ length: 20 }, (_, i) => 3 * i + 1)]) {
+      const input = {
+        d: neighbors.length.toString(),
+        nbr_arr: hasher.pad(neighbors).map((x) => x.toString()),
+      };
+
+      const w = await circuit.calculateWitness(input, true);
+      await circuit.checkConstraints(w);
+
+      assert.equal(w[1].toString(), hasher.hash(neighbors.length, neighbors).toString());
+    }
+  });
 });
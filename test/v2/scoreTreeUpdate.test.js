@@ -0,0 +1,208 @@
+import fs from "fs";
+import path from "path";
+import { describe, it, before, after } from "mocha";
+import assert from "assert";
+import { wasm as tester } from "circom_tester";
+import { fileURLToPath } from "url";
+import {
+  ScoreTree,
+  ScoreTreeError,
+  UnknownIndexError,
+  TreeDepthExceededError,
+} from "../../src/v2/scoreTree.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe("ScoreTreeUpdate circuit test", function () {
+  this.timeout(300000);
+
+  const N_UPDATES = 4;
+  const N_LEVELS = 8; // Same nLevels for ScoreTreeUpdate and ProveScoreInclusion
+  let circuit;
+  let inclusionCircuit;
+  const tmpPaths = [];
+
+  async function compile(name, circuitSrc) {
+    const circuitTmpPath = path.join(__dirname, `${name}.test.circom`);
+    fs.writeFileSync(circuitTmpPath, circuitSrc, "utf8");
+    tmpPaths.push(circuitTmpPath);
+    return tester(circuitTmpPath, {
+      reduceConstraints: false,
+      include: path.join(__dirname, "../"),
+    });
+  }
+
+  before(async () => {
+    circuit = await compile("score-tree-update", `
+            pragma circom 2.0.0;
+            include "../circuits/syb_rollup_v2/score_tree_update.circom";
+            component main = ScoreTreeUpdate(${N_UPDATES}, ${N_LEVELS});
+        `);
+    inclusionCircuit = await compile("score-tree-inclusion", `
+            pragma circom 2.0.0;
+            include "../circuits/prove_score_inclusion.circom";
+            component main = ProveScoreInclusion(${N_LEVELS});
+        `);
+    await circuit.loadConstraints();
+    console.log(`\n✓ ScoreTreeUpdate circuit compiled`);
+    console.log(`  nUpdates=${N_UPDATES}, nLevels=${N_LEVELS}`);
+    console.log(`  Constraints: ${circuit.constraints.length}\n`);
+  });
+
+  after(() => {
+    for (const circuitTmpPath of tmpPaths) {
+      if (fs.existsSync(circuitTmpPath)) {
+        fs.unlinkSync(circuitTmpPath);
+      }
+    }
+  });
+
+  // Apply a batch with the JS tree and check the circuit reaches the same root
+  async function checkUpdate(scoreTree, updates) {
+    const { input, newRoot } = await scoreTree.buildUpdate(updates, N_UPDATES);
+
+    const w = await circuit.calculateWitness(input, true);
+    await circuit.checkConstraints(w);
+    await circuit.assertOut(w, { newRoot });
+    return input;
+  }
+
+  async function expectFailure(input, reason) {
+    try {
+      await circuit.calculateWitness(input, true);
+      assert.fail(`Should have failed: ${reason}`);
+    } catch (error) {
+      assert(error.message.includes("Assert Failed"), error.message);
+    }
+  }
+
+  /**
+   * TEST CASES
+   *
+   * VALID BATCHES
+   * [X] insert scores into an empty tree (empty leaves and leaf collisions)
+   * [X] mix updates and inserts across batches, then prove inclusion with ProveScoreInclusion
+   * [X] update the same idx twice in one batch
+   * [X] pad a partial batch with NOP slots (empty batch keeps the root)
+   *
+   * INVALID BATCHES
+   * [X] fail for DELETE slots and non binary fnc
+   * [X] fail when an UPDATE claims a wrong old score
+   * [X] fail when an INSERT targets an idx that already has a score
+   * [X] reject paths deeper than nLevels, unknown idx and oversized batches in JS
+   * [X] revert the updates before a rejected one
+   */
+
+  it("should insert scores into an empty tree", async () => {
+    const scoreTree = new ScoreTree(N_LEVELS);
+    const input = await checkUpdate(scoreTree, [[1, 100], [2, 200], [3, 300], [17, 1700]]);
+
+    // The first insert lands on an empty tree, 17 shares its low bits with 1
+    assert.equal(input.isOld0[0], "1");
+    assert.deepEqual(input.fnc, [["1", "0"], ["1", "0"], ["1", "0"], ["1", "0"]]);
+  });
+
+  it("should mix updates and inserts and keep the ProveScoreInclusion layout", async () => {
+    const scoreTree = new ScoreTree(N_LEVELS);
+    await checkUpdate(scoreTree, [[5, 10], [9, 20], [12, 30]]);
+    const input = await checkUpdate(scoreTree, [[9, 25], [40, 1], [5, 0], [77, 77]]);
+
+    assert.deepEqual(input.fnc.map(([a, b]) => a + b), ["01", "10", "01", "10"]);
+    assert.equal(input.oldValue[0], "20");
+    assert.equal(scoreTree.getScore(9), 25n);
+
+    for (const idx of [5, 9, 12, 40, 77]) {
+      const w = await inclusionCircuit.calculateWitness(await scoreTree.inclusionInput(idx), true);
+      await inclusionCircuit.checkConstraints(w);
+    }
+  });
+
+  it("should update the same idx twice in one batch", async () => {
+    const scoreTree = new ScoreTree(N_LEVELS);
+    await checkUpdate(scoreTree, [[6, 1], [6, 2], [6, 3]]);
+    assert.equal(scoreTree.getScore(6), 3n);
+  });
+
+  it("should pad a partial batch with NOP slots", async () => {
+    const scoreTree = new ScoreTree(N_LEVELS);
+    await checkUpdate(scoreTree, [[4, 44]]);
+    const root = await scoreTree.getRoot();
+
+    const input = await checkUpdate(scoreTree, []);
+    assert.deepEqual(input.fnc, Array(N_UPDATES).fill(["0", "0"]));
+    assert.equal(await scoreTree.getRoot(), root);
+  });
+
+  it("should fail for DELETE slots and non binary fnc", async () => {
+    const scoreTree = new ScoreTree(N_LEVELS);
+    await scoreTree.buildUpdate([[1, 100], [2, 200]], N_UPDATES);
+
+    // A valid SMTProcessor DELETE of idx 2, taken from a copy of the tree
+    const copy = new ScoreTree(N_LEVELS);
+    await copy.buildUpdate([[1, 100], [2, 200]], N_UPDATES);
+    const res = await copy.tree.delete(2n);
+
+    const { input } = await scoreTree.buildUpdate([], N_UPDATES);
+    input.fnc[0] = ["1", "1"];
+    input.idx[0] = "2";
+    input.newScore[0] = res.newValue;
+    input.siblings[0] = res.siblings;
+    input.isOld0[0] = res.isOld0;
+    input.oldKey[0] = res.oldKey;
+    input.oldValue[0] = res.oldValue;
+    await expectFailure(input, "DELETE slot");
+
+    const { input: nopInput } = await scoreTree.buildUpdate([], N_UPDATES);
+    nopInput.fnc[1] = ["2", "0"];
+    await expectFailure(nopInput, "non binary fnc");
+  });
+
+  it("should fail when an UPDATE claims a wrong old score", async () => {
+    const scoreTree = new ScoreTree(N_LEVELS);
+    await scoreTree.buildUpdate([[1, 100]], N_UPDATES);
+
+    const { input } = await scoreTree.buildUpdate([[1, 150]], N_UPDATES);
+    input.oldValue[0] = "99";
+    await expectFailure(input, "wrong old score");
+  });
+
+  it("should fail when an INSERT targets an idx that already has a score", async () => {
+    const scoreTree = new ScoreTree(N_LEVELS);
+    await scoreTree.buildUpdate([[1, 100], [3, 300]], N_UPDATES);
+
+    // Re-insert idx 3 over its own leaf instead of updating it
+    const { input } = await scoreTree.buildUpdate([], N_UPDATES);
+    input.fnc[0] = ["1", "0"];
+    input.idx[0] = "3";
+    input.newScore[0] = "301";
+    input.siblings[0] = await scoreTree.getSiblings(3);
+    input.oldKey[0] = "3";
+    input.oldValue[0] = "300";
+    await expectFailure(input, "INSERT of an existing idx");
+  });
+
+  it("should reject what the circuit can not prove in JS", async () => {
+    // 1 = 0b001 and 5 = 0b101 share their low 2 bits: the path of 5 needs 3 levels
+    const shallowTree = new ScoreTree(2);
+    await shallowTree.setScore(1, 10);
+    const root = await shallowTree.getRoot();
+
+    await assert.rejects(shallowTree.setScore(5, 50), TreeDepthExceededError);
+    assert.equal(await shallowTree.getRoot(), root);
+    assert(!shallowTree.hasScore(5));
+
+    // A rejected batch reverts the inserts and updates before it
+    await assert.rejects(shallowTree.buildUpdate([[1, 20], [2, 30], [1, 40], [5, 50]], N_UPDATES), TreeDepthExceededError);
+    assert.equal(await shallowTree.getRoot(), root);
+    assert.equal(shallowTree.getScore(1), 10n);
+    assert(!shallowTree.hasScore(2));
+
+    const scoreTree = new ScoreTree(N_LEVELS);
+    await assert.rejects(scoreTree.inclusionInput(8), UnknownIndexError);
+    await assert.rejects(
+      scoreTree.buildUpdate(Array(N_UPDATES + 1).fill([1, 1]), N_UPDATES),
+      ScoreTreeError
+    );
+  });
+});
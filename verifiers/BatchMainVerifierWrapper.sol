@@ -0,0 +1,114 @@
+// SPDX-License-Identifier: GPL-3.0
+// Generated by scripts/generateVerifierContract.mjs for BatchMain(16, 1) (groth16), do not edit
+pragma solidity ^0.8.4;
+
+/// @notice hashGlobalInputs of HashInputs(16, 1), the public output of BatchMain(16, 1)
+/// @dev sha256 over the 6 roots (256 bits each, most significant bit first) and the txData of
+/// every tx (138 bits each, least significant bit first), reduced to the scalar field
+library BatchMainHashGlobalInputs {
+    uint256 internal constant SNARK_SCALAR_FIELD = 21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    uint256 internal constant N_TX = 16;
+    uint256 internal constant N_LEVELS = 1;
+    // txnType (8) | fromIdx (N_LEVELS) | toIdx (N_LEVELS) | amount (128)
+    uint256 internal constant TX_BITS = 138;
+    uint256 internal constant MESSAGE_BYTES = 468;
+
+    struct Roots {
+        uint256 oldAccountRoot;
+        uint256 oldVouchRoot;
+        uint256 oldScoreRoot;
+        uint256 newAccountRoot;
+        uint256 newVouchRoot;
+        uint256 newScoreRoot;
+    }
+
+    error TxDataTooLarge(uint256 index, uint256 txData);
+
+    function hashGlobalInputs(Roots memory roots, uint256[N_TX] memory txData) internal pure returns (uint256) {
+        // 32 spare bytes: every tx is ORed in as a whole word
+        bytes memory message = new bytes(MESSAGE_BYTES + 32);
+        orWord(message, 0, roots.oldAccountRoot);
+        orWord(message, 256, roots.oldVouchRoot);
+        orWord(message, 512, roots.oldScoreRoot);
+        orWord(message, 768, roots.newAccountRoot);
+        orWord(message, 1024, roots.newVouchRoot);
+        orWord(message, 1280, roots.newScoreRoot);
+
+        uint256 bitOffset = 1536;
+        for (uint256 i = 0; i < N_TX; i++) {
+            if (txData[i] >> TX_BITS != 0) revert TxDataTooLarge(i, txData[i]);
+            // Bit 0 of txData is the first bit hashed
+            orWord(message, bitOffset, reverseBits(txData[i]));
+            bitOffset += TX_BITS;
+        }
+
+        assembly {
+            mstore(message, MESSAGE_BYTES)
+        }
+        return uint256(sha256(message)) % SNARK_SCALAR_FIELD;
+    }
+
+    // OR a word into the message, its most significant bit at bitOffset
+    function orWord(bytes memory message, uint256 bitOffset, uint256 word) private pure {
+        assembly {
+            let p := add(add(message, 32), shr(3, bitOffset))
+            mstore(p, or(mload(p), shr(and(bitOffset, 7), word)))
+        }
+    }
+
+    function reverseBits(uint256 v) private pure returns (uint256) {
+        v = ((v >> 1) & 0x5555555555555555555555555555555555555555555555555555555555555555) | ((v & 0x5555555555555555555555555555555555555555555555555555555555555555) << 1);
+        v = ((v >> 2) & 0x3333333333333333333333333333333333333333333333333333333333333333) | ((v & 0x3333333333333333333333333333333333333333333333333333333333333333) << 2);
+        v = ((v >> 4) & 0x0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f) | ((v & 0x0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f0f) << 4);
+        v = ((v >> 8) & 0x00ff00ff00ff00ff00ff00ff00ff00ff00ff00ff00ff00ff00ff00ff00ff00ff) | ((v & 0x00ff00ff00ff00ff00ff00ff00ff00ff00ff00ff00ff00ff00ff00ff00ff00ff) << 8);
+        v = ((v >> 16) & 0x0000ffff0000ffff0000ffff0000ffff0000ffff0000ffff0000ffff0000ffff) | ((v & 0x0000ffff0000ffff0000ffff0000ffff0000ffff0000ffff0000ffff0000ffff) << 16);
+        v = ((v >> 32) & 0x00000000ffffffff00000000ffffffff00000000ffffffff00000000ffffffff) | ((v & 0x00000000ffffffff00000000ffffffff00000000ffffffff00000000ffffffff) << 32);
+        v = ((v >> 64) & 0x0000000000000000ffffffffffffffff0000000000000000ffffffffffffffff) | ((v & 0x0000000000000000ffffffffffffffff0000000000000000ffffffffffffffff) << 64);
+        v = ((v >> 128) & 0x00000000000000000000000000000000ffffffffffffffffffffffffffffffff) | ((v & 0x00000000000000000000000000000000ffffffffffffffffffffffffffffffff) << 128);
+        return v;
+    }
+}
+
+/// @notice BatchMainVerifier with the public signals of BatchMain(16, 1) by name
+contract BatchMainVerifierWrapper {
+    uint256 internal constant SNARK_SCALAR_FIELD = 21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    bytes4 internal constant VERIFY_PROOF = bytes4(keccak256("verifyProof(uint256[2],uint256[2][2],uint256[2],uint256[1])"));
+
+    struct Proof {
+        uint256[2] a;
+        uint256[2][2] b;
+        uint256[2] c;
+    }
+
+    error NotInField(string input, uint256 value);
+
+    /// @notice Deployed BatchMainVerifier
+    address public immutable verifier;
+
+    constructor(address _verifier) {
+        verifier = _verifier;
+    }
+
+    /// @param hashGlobalInputs public signal 0
+    function verify(uint256 hashGlobalInputs, Proof calldata proof) public view returns (bool) {
+        uint256[1] memory pubSignals;
+        checkField(hashGlobalInputs, "hashGlobalInputs");
+        pubSignals[0] = hashGlobalInputs;
+
+        (bool success, bytes memory result) = verifier.staticcall(abi.encodeWithSelector(VERIFY_PROOF, proof.a, proof.b, proof.c, pubSignals));
+        return success && result.length == 32 && abi.decode(result, (bool));
+    }
+
+    /// @notice Verify a batch from its roots and txs, hashGlobalInputs is recomputed from them
+    function verifyBatch(
+        BatchMainHashGlobalInputs.Roots calldata roots,
+        uint256[16] calldata txData,
+        Proof calldata proof
+    ) external view returns (bool) {
+        return verify(BatchMainHashGlobalInputs.hashGlobalInputs(roots, txData), proof);
+    }
+
+    function checkField(uint256 value, string memory input) private pure {
+        if (value >= SNARK_SCALAR_FIELD) revert NotInField(input, value);
+    }
+}